@@ -0,0 +1,180 @@
+// --- AIM SWAY ---
+// Where the reticle wanders while aiming. Breathing lifts and settles it, every heartbeat
+// bumps it and a tremor rides on top. A poor stance, a winded hunter and buck fever with a
+// deer close all make it worse. Holding a breath stills the breathing for a few seconds,
+// then the hunter has to gasp for air. The sway moves the camera itself and the shot goes
+// where the reticle sits, so this is where a shot's accuracy comes from.
+import { gameContext } from './context.js';
+import { showMessage } from './ui.js';
+
+// Sway amplitudes at full offhand sway, milliradians
+const BREATH_SWAY = 2.5;               // Rise and fall with each breath
+const DRIFT_SWAY = 1.2;                // Slow wander of the hold
+const TREMOR_SWAY = 0.5;               // Muscle shake
+const HEARTBEAT_SWAY = 0.35;           // Bump on each beat; shows even from a rest
+
+// Breathing and heart rate
+const RESTING_BREATH_RATE = 12;        // Breaths per minute
+const WINDED_BREATH_RATE = 30;         // Breaths per minute with no stamina left
+const RESTING_HEART_RATE = 70;         // Beats per minute
+const WINDED_HEART_RATE_RISE = 60;
+const BUCK_FEVER_HEART_RATE_RISE = 70;
+const HEARTBEAT_DECAY = 12;            // How fast a beat's bump dies away, per second
+const WINDED_SWAY_INCREASE = 1.5;      // Extra breathing and drift sway with no stamina left
+
+// Holding a breath
+const HOLD_BREATH_MAX = 6;             // Seconds with full stamina
+const HOLD_BREATH_MIN = 2;             // Seconds when winded
+const HELD_BREATH_SWAY = 0.1;          // Share of breathing and drift sway left while holding
+const HELD_TREMOR_SWAY = 0.6;          // Share of tremor left while holding
+const BREATH_CONTROL_RATE = 3;         // Per second; the hold settles in, and lets go, over a moment
+const GASP_DURATION = 3;               // Seconds of heavy breathing after holding too long
+const GASP_SWAY = 1.8;                 // Breathing sway while gasping
+const RECOVERY_PER_HELD_SECOND = 0.3;  // Seconds before another breath can be held, per second held
+
+// Buck fever
+const BUCK_FEVER_RANGE = 60;           // Meters; a deer closer than this gets the heart going
+const DOE_FEVER = 0.5;                 // Share of a buck's effect that a doe or fawn has
+const FEVER_RISE_RATE = 0.4;           // Per second toward the target level
+const FEVER_FALL_RATE = 0.05;          // Per second - it takes a while to calm down
+const FEVER_TREMOR = 2.5;              // Extra tremor at full buck fever
+
+class AimSway {
+    constructor() {
+        this.time = 0;
+        this.breathPhase = 0;
+        this.heartPhase = 0;
+        this.heartbeat = 0;              // Bump of the last beat, 1 on the beat fading to 0
+        this.adrenaline = 0;             // Buck fever, 0-1
+        this.holdingBreath = false;
+        this.breathControl = 0;          // How fully a held breath has stilled the sway, 0-1
+        this.breathHeld = 0;             // Seconds the current breath has been held
+        this.recoveryLeft = 0;           // Seconds before another breath can be held
+        this.gasping = false;
+        this.offset = { pitch: 0, yaw: 0 };
+    }
+
+    /**
+     * Starts or lets out a held breath. A breath can't be held again until the hunter has
+     * recovered from the last one.
+     * @param {boolean} holding
+     */
+    holdBreath(holding) {
+        if (holding) {
+            if (this.holdingBreath || this.recoveryLeft > 0) return;
+            this.holdingBreath = true;
+            this.breathHeld = 0;
+        } else if (this.holdingBreath) {
+            this.releaseBreath(false);
+        }
+    }
+
+    /**
+     * @param {boolean} gasp - The breath was held until it gave out
+     */
+    releaseBreath(gasp) {
+        this.holdingBreath = false;
+        this.gasping = gasp;
+        this.recoveryLeft = gasp ? GASP_DURATION : this.breathHeld * RECOVERY_PER_HELD_SECOND;
+        if (gasp) showMessage('Out of breath', 1500);
+    }
+
+    /**
+     * Buck fever climbs when a deer is close, more for a buck, and fades slowly once it's gone.
+     * @param {number} delta
+     */
+    updateAdrenaline(delta) {
+        let target = 0;
+        const nearest = gameContext.herd && gameContext.player
+            ? gameContext.herd.getNearestLiveDeer(gameContext.player.position)
+            : null;
+        if (nearest && nearest.distance < BUCK_FEVER_RANGE) {
+            target = (1 - nearest.distance / BUCK_FEVER_RANGE) * (nearest.deer.deerClass === 'buck' ? 1 : DOE_FEVER);
+        }
+
+        if (target > this.adrenaline) {
+            this.adrenaline = Math.min(target, this.adrenaline + FEVER_RISE_RATE * delta);
+        } else {
+            this.adrenaline = Math.max(target, this.adrenaline - FEVER_FALL_RATE * delta);
+        }
+    }
+
+    /**
+     * Advances breathing, heartbeat and tremor and works out where the aim sits.
+     * @param {number} delta - Seconds since the last frame
+     * @param {number} swayFactor - The stance's share of full offhand sway; 0 when not aiming
+     * @param {number} staminaShare - Stamina left, 0-1
+     * @returns {{pitch: number, yaw: number}} Aim offset from where the hunter points, radians
+     */
+    update(delta, swayFactor, staminaShare) {
+        this.time += delta;
+        this.updateAdrenaline(delta);
+        const winded = 1 - staminaShare;
+
+        // A held breath only lasts so long, shorter when winded
+        if (this.holdingBreath) {
+            this.breathHeld += delta;
+            const holdLimit = HOLD_BREATH_MIN + (HOLD_BREATH_MAX - HOLD_BREATH_MIN) * staminaShare;
+            if (swayFactor === 0) {
+                this.releaseBreath(false);
+            } else if (this.breathHeld >= holdLimit) {
+                this.releaseBreath(true);
+            }
+        } else if (this.recoveryLeft > 0) {
+            this.recoveryLeft = Math.max(0, this.recoveryLeft - delta);
+            if (this.recoveryLeft === 0) this.gasping = false;
+        }
+
+        // Breathing stops while held; the heart keeps going
+        const breathRate = RESTING_BREATH_RATE + (WINDED_BREATH_RATE - RESTING_BREATH_RATE) * winded;
+        if (!this.holdingBreath) {
+            this.breathPhase += delta * breathRate / 60 * Math.PI * 2;
+        }
+        const heartRate = RESTING_HEART_RATE + WINDED_HEART_RATE_RISE * winded + BUCK_FEVER_HEART_RATE_RISE * this.adrenaline;
+        this.heartPhase += delta * heartRate / 60;
+        if (this.heartPhase >= 1) {
+            this.heartPhase -= Math.floor(this.heartPhase);
+            this.heartbeat = 1;
+        }
+        this.heartbeat *= Math.exp(-HEARTBEAT_DECAY * delta);
+
+        // Ease into and out of a held breath rather than snapping still
+        const control = this.holdingBreath ? 1 : 0;
+        const controlStep = BREATH_CONTROL_RATE * delta;
+        this.breathControl = Math.max(this.breathControl - controlStep, Math.min(this.breathControl + controlStep, control));
+
+        if (swayFactor === 0) {
+            this.offset.pitch = 0;
+            this.offset.yaw = 0;
+            return this.offset;
+        }
+
+        let breathScale = (1 + WINDED_SWAY_INCREASE * winded) * (1 - (1 - HELD_BREATH_SWAY) * this.breathControl);
+        let tremorScale = (1 + FEVER_TREMOR * this.adrenaline) * (1 - (1 - HELD_TREMOR_SWAY) * this.breathControl);
+        if (this.gasping) {
+            breathScale *= GASP_SWAY;
+        }
+
+        const t = this.time;
+        const breath = BREATH_SWAY * breathScale * swayFactor;
+        const drift = DRIFT_SWAY * breathScale * swayFactor;
+        const tremor = TREMOR_SWAY * tremorScale * swayFactor;
+        const beat = HEARTBEAT_SWAY * this.heartbeat * (0.5 + 0.5 * swayFactor) * (1 + this.adrenaline);
+
+        // Breathing mostly lifts the muzzle; drift wanders in a slow loop; tremor is
+        // a mix of fast, unrelated frequencies so it never settles into a pattern
+        const pitch = Math.sin(this.breathPhase) * breath
+            + Math.sin(t * 0.37 + 1.3) * drift
+            + (Math.sin(t * 6.1) + Math.sin(t * 8.7 + 2)) * 0.5 * tremor
+            + beat;
+        const yaw = Math.sin(this.breathPhase * 0.5 + 0.7) * breath * 0.3
+            + Math.sin(t * 0.29) * drift
+            + (Math.sin(t * 7.3 + 1) + Math.sin(t * 9.9)) * 0.5 * tremor;
+
+        this.offset.pitch = pitch / 1000;
+        this.offset.yaw = yaw / 1000;
+        return this.offset;
+    }
+}
+
+export const aimSway = new AimSway();
@@ -3,7 +3,7 @@ import { gameContext } from './context.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 
 // Pre-allocated for per-frame use in update()
-const _stationaryStates = new Set(['IDLE', 'GRAZING', 'DRINKING', 'ALERT', 'KILLED']);
+const _stationaryStates = new Set(['IDLE', 'GRAZING', 'DRINKING', 'CURIOUS', 'ALERT', 'KILLED']);
 const _centerVec = new THREE.Vector3();
 
 export class Animal {
@@ -47,6 +47,7 @@ export class Animal {
                 if (child.isMesh) {
                     // The first mesh found is assumed to be the main body.
                     if (!bodyMesh) bodyMesh = child;
+                    child.userData.sourceName = child.name; // Keep the name from the file for subsystems that look parts up
                     child.name = 'body'; // Name all meshes 'body' for simplicity.
                     child.castShadow = true; // Enable shadows for all meshes
                     child.receiveShadow = true;
@@ -95,6 +96,7 @@ export class Animal {
             this.createBody();
             this.createLegs();
             this.createHead();
+            this.setupModel();
             this.isModelLoaded = true;
         });
     }
@@ -197,7 +199,7 @@ export class Animal {
         this.stateTimer += delta;
 
         // Boundary check
-        const worldSize = gameContext.terrain.geometry.parameters.width;
+        const worldSize = gameContext.worldSize;
         const boundary = worldSize / 2 - (this.config.worldBoundaryMargin || 20);
         if (Math.abs(this.model.position.x) > boundary || Math.abs(this.model.position.z) > boundary) {
             _centerVec.set(0, this.model.position.y, 0);
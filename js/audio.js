@@ -10,6 +10,7 @@ const WATERWALK_SOUND_VOLUME = -5; // dB, moderate volume for water walking soun
 const FOLIAGEWALK_SOUND_VOLUME = 0; // dB, louder for better audibility when walking through brush
 const TITLE_MUSIC_VOLUME = -8; // dB, moderate volume for title screen music
 const RIFLE_SOUND_INSTANCES = 3; // Number of rifle sound instances for instant playback
+const BOW_SOUND_VOLUME = -12; // dB, a bow is far quieter than any firearm
 const FOREST_FADE_IN_DURATION = 2; // seconds for forest sound fade-in
 const FOREST_FADE_IN_START_VOLUME = -40; // dB, very quiet starting volume for fade-in
 const CRICKET_SOUND_VOLUME = 6; // dB, reduced by 1 dB for better balance
@@ -17,6 +18,13 @@ const CROSSFADE_START_TIME = 17.5; // 17:30 (5:30 PM) - start of cricket fade-in
 const CROSSFADE_END_TIME = 18.5; // 18:30 (6:30 PM) - end of cricket fade-in (1 hour duration)
 const CRICKET_START_TIME = 17.5; // 17:30 (5:30 PM) - cricket start time
 const CRICKET_END_TIME = 24.0; // 24:00 (midnight) - cricket end time
+const RAIN_SOUND_VOLUME = -10; // dB, rain layer at full downpour
+const RAIN_SILENT_VOLUME = -60; // dB, rain layer when dry
+const RAIN_FILTER_FREQUENCY = 2500; // Hz, lowpass that turns pink noise into rain on leaves
+const FOREST_RAIN_DUCK = 12; // dB the forest ambience drops under a downpour (birds go quiet)
+const THUNDER_VOLUME = 4; // dB, thunder from a close strike
+const THUNDER_DISTANT_VOLUME = -22; // dB, thunder from a far strike
+const THUNDER_FILTER_FREQUENCY = 350; // Hz, far thunder is mostly low rumble
 
 /**
  * Initializes only the title screen music (called early, before UI initialization).
@@ -138,6 +146,9 @@ export function initAudio() {
         // Failed to initialize cricket sound
     }
     
+    // Forest loop starts undimmed; the weather update ducks it again if it's raining
+    weatherForestVolume = FOREST_SOUND_VOLUME;
+
     // Initialize spatial audio system for directional deer sounds
     initSpatialAudio();
 }
@@ -230,18 +241,66 @@ export function setForestSoundVolume(volume) {
 }
 
 /**
- * Plays the rifle shot sound effect.
+ * Plays the rifle shot sound effect. Other firearms reuse the recording, pitched and
+ * boosted to their own report.
+ * @param {number} [playbackRate=1] - Below 1 for a deeper boom, above for a sharper crack
+ * @param {number} [volumeOffset=0] - dB added to the rifle volume
  */
-export function playRifleSound() {
+export function playRifleSound(playbackRate = 1, volumeOffset = 0) {
     if (gameContext.rifleSounds && gameContext.rifleSounds.length > 0) {
         const currentRifleSound = gameContext.rifleSounds[gameContext.rifleCurrentIndex];
         if (currentRifleSound) {
+            currentRifleSound.playbackRate = playbackRate;
+            currentRifleSound.volume.value = RIFLE_SOUND_VOLUME + volumeOffset;
             currentRifleSound.start();
             gameContext.rifleCurrentIndex = (gameContext.rifleCurrentIndex + 1) % gameContext.rifleSounds.length;
         }
     }
 }
 
+/**
+ * Plays the shot of a bow or crossbow: the string's thump and the limbs' slap, synthesized.
+ * @param {'bowString'|'crossbowString'} kind
+ */
+function playBowSound(kind) {
+    if (!gameContext.bowSounds) {
+        try {
+            gameContext.bowSounds = {
+                string: new Tone.MembraneSynth({
+                    pitchDecay: 0.02,
+                    octaves: 2,
+                    envelope: { attack: 0.001, decay: 0.15, sustain: 0, release: 0.05 },
+                    volume: BOW_SOUND_VOLUME
+                }).toDestination(),
+                slap: new Tone.NoiseSynth({
+                    noise: { type: 'pink' },
+                    envelope: { attack: 0.001, decay: 0.05, sustain: 0 },
+                    volume: BOW_SOUND_VOLUME - 4
+                }).toDestination()
+            };
+        } catch (error) {
+            return;
+        }
+    }
+
+    const now = Tone.now();
+    const crossbow = kind === 'crossbowString';
+    gameContext.bowSounds.string.triggerAttackRelease(crossbow ? 70 : 110, 0.1, now);
+    gameContext.bowSounds.slap.triggerAttackRelease(crossbow ? 0.06 : 0.03, now, crossbow ? 1 : 0.6);
+}
+
+/**
+ * Plays a weapon's shot.
+ * @param {{sample?: boolean, playbackRate?: number, volume?: number, synth?: string}} sound - Weapon.sound from weapon-config.js
+ */
+export function playWeaponSound(sound) {
+    if (sound.synth) {
+        playBowSound(sound.synth);
+    } else {
+        playRifleSound(sound.playbackRate ?? 1, sound.volume ?? 0);
+    }
+}
+
 /**
  * Starts the walk sound if it's loaded and not already playing.
  */
@@ -526,3 +585,82 @@ export function updateAmbianceForTime(gameTime) {
     // Update crossfade volumes during evening transition period only
     updateCrossfadeVolumes(gameTime);
 }
+
+// Last forest volume target set for the weather, so ramps only happen when it changes
+let weatherForestVolume = FOREST_SOUND_VOLUME;
+
+/**
+ * Creates the synthesized rain and thunder layers. Done once; the nodes are reused across hunts.
+ */
+function initWeatherAudio() {
+    if (gameContext.rainSound || !window.Tone) return;
+    try {
+        const rainFilter = new Tone.Filter(RAIN_FILTER_FREQUENCY, 'lowpass').toDestination();
+        gameContext.rainSound = new Tone.Noise({ type: 'pink', volume: RAIN_SILENT_VOLUME }).connect(rainFilter);
+
+        const thunderFilter = new Tone.Filter(THUNDER_FILTER_FREQUENCY, 'lowpass').toDestination();
+        gameContext.thunderSound = new Tone.NoiseSynth({
+            noise: { type: 'brown' },
+            envelope: { attack: 0.08, decay: 4, sustain: 0, release: 1 },
+            volume: THUNDER_VOLUME
+        }).connect(thunderFilter);
+    } catch (error) {
+        // Failed to initialize weather audio
+    }
+}
+
+/**
+ * Sets the rain layer and forest ambience for the current rain intensity.
+ * Should be called regularly (e.g., from the weather update).
+ * @param {number} rain - Rain intensity, 0 (dry) to 1 (downpour)
+ */
+export function updateWeatherAudio(rain) {
+    initWeatherAudio();
+    const VOLUME_TOLERANCE = 0.5; // Only adjust volume if difference is > 0.5 dB
+
+    const rainSound = gameContext.rainSound;
+    if (rainSound && Tone.context.state === 'running') {
+        if (rain > 0 && rainSound.state === 'stopped') {
+            rainSound.start();
+        }
+        if (rainSound.state === 'started') {
+            const rainVolume = rain > 0 ? RAIN_SILENT_VOLUME + Math.sqrt(rain) * (RAIN_SOUND_VOLUME - RAIN_SILENT_VOLUME) : RAIN_SILENT_VOLUME;
+            if (Math.abs(rainSound.volume.value - rainVolume) > VOLUME_TOLERANCE) {
+                rainSound.volume.rampTo(rainVolume, 0.5);
+            }
+            if (rain <= 0 && rainSound.volume.value <= RAIN_SILENT_VOLUME + VOLUME_TOLERANCE) {
+                rainSound.stop();
+            }
+        }
+    }
+
+    // Duck the daytime forest loop under rain. Only ramp when the target moves, so the
+    // hunt-start fade-in isn't cut short in dry weather.
+    const forestVolume = FOREST_SOUND_VOLUME - rain * FOREST_RAIN_DUCK;
+    if (Math.abs(forestVolume - weatherForestVolume) > VOLUME_TOLERANCE) {
+        weatherForestVolume = forestVolume;
+        if (gameContext.forestSound && gameContext.forestSound.state === 'started') {
+            gameContext.forestSound.volume.rampTo(forestVolume, 0.5);
+        }
+    }
+}
+
+/**
+ * Plays a roll of thunder.
+ * @param {number} delaySeconds - Time for the sound to arrive from the strike
+ * @param {number} closeness - 0 (far strike) to 1 (close strike)
+ */
+export function playThunderSound(delaySeconds, closeness) {
+    initWeatherAudio();
+    const thunder = gameContext.thunderSound;
+    if (!thunder || Tone.context.state !== 'running') return;
+    try {
+        const startTime = Tone.now() + delaySeconds;
+        thunder.volume.setValueAtTime(THUNDER_DISTANT_VOLUME + closeness * (THUNDER_VOLUME - THUNDER_DISTANT_VOLUME), startTime);
+        // Close strikes crack sharply, far ones only rumble
+        thunder.envelope.attack = 0.02 + (1 - closeness) * 0.4;
+        thunder.triggerAttackRelease(2 + (1 - closeness) * 2, startTime);
+    } catch (error) {
+        // Could not play thunder
+    }
+}
@@ -0,0 +1,298 @@
+// --- EXTERNAL BALLISTICS ---
+// Flies a bullet or arrow from the muzzle instead of casting an instant ray. The projectile slows
+// under G1 drag, drops under gravity and drifts with the wind, and it is stepped through
+// the scene so terrain, trees or a deer's hitboxes can stop it. Holdover for long shots and
+// reading the wind are left to the hunter. World units are meters.
+import * as THREE from 'three';
+import { gameContext } from './context.js';
+
+/**
+ * A cartridge or arrow, as fired by a weapon in weapon-config.js
+ * @typedef {object} ProjectileLoad
+ * @property {string} label
+ * @property {number} muzzleVelocity - Meters per second
+ * @property {number} ballisticCoefficient - G1, in lb/in² as printed on the ammunition box
+ * @property {number} bulletMass - Grams, for impact energy
+ * @property {number} sightHeight - Scope center above the bore, meters
+ * @property {number} zeroRange - Distance at which the bullet crosses the line of sight, meters
+ */
+
+const GRAVITY = 9.81;
+const AIR_DENSITY = 1.225;          // kg/m³ at sea level
+const SPEED_OF_SOUND = 340;         // m/s
+const BC_TO_KG_PER_M2 = 703.07;     // lb/in² to kg/m²
+const MPH_TO_MPS = 0.44704;
+const TIME_STEP = 0.004;            // Seconds per flight segment - a few meters at rifle speeds
+const MAX_RANGE = 1000;             // The old hitscan reach; bullets are dropped past it
+const MAX_FLIGHT_TIME = 3;
+const TERRAIN_BISECTIONS = 6;       // Refinements of where a segment that ends underground went in
+const TREE_SEARCH_MARGIN = 6;       // Trees whose trunk is this close to the flight path are tested - crowns spread wider than the trunk
+
+// G1 standard projectile drag coefficient by Mach number
+const G1_DRAG = [
+    [0.0, 0.2629], [0.5, 0.2032], [0.7, 0.2165], [0.8, 0.2546], [0.9, 0.3415],
+    [1.0, 0.4805], [1.1, 0.6189], [1.2, 0.6573], [1.3, 0.6598], [1.5, 0.6399],
+    [2.0, 0.5934], [2.5, 0.5453], [3.0, 0.5133], [4.0, 0.4811],
+];
+
+// Bore angle above the line of sight for each load, worked out on first use
+const zeroAngles = new Map();
+
+// Reusable vectors for the flight loop
+const _position = new THREE.Vector3();
+const _velocity = new THREE.Vector3();
+const _velocityBefore = new THREE.Vector3();
+const _nextPosition = new THREE.Vector3();
+const _airVelocity = new THREE.Vector3();
+const _wind = new THREE.Vector3();
+const _right = new THREE.Vector3();
+const _up = new THREE.Vector3();
+const _segment = new THREE.Vector3();
+const _midpoint = new THREE.Vector3();
+const _toImpact = new THREE.Vector3();
+const _worldUp = new THREE.Vector3(0, 1, 0);
+const _treeIntersects = [];
+
+const treeRaycaster = new THREE.Raycaster();
+
+function getDragCoefficient(mach) {
+    if (mach >= G1_DRAG[G1_DRAG.length - 1][0]) return G1_DRAG[G1_DRAG.length - 1][1];
+    for (let i = 1; i < G1_DRAG.length; i++) {
+        const [m1, cd1] = G1_DRAG[i];
+        if (mach <= m1) {
+            const [m0, cd0] = G1_DRAG[i - 1];
+            return cd0 + (cd1 - cd0) * (mach - m0) / (m1 - m0);
+        }
+    }
+    return G1_DRAG[0][1];
+}
+
+/**
+ * Advances a bullet one time step: drag against the air it moves through (so a crosswind
+ * pushes it sideways) and gravity.
+ * @param {THREE.Vector3} position - Updated in place
+ * @param {THREE.Vector3} velocity - Updated in place
+ * @param {THREE.Vector3} wind - Air velocity, m/s
+ * @param {number} bcKgPerM2 - Ballistic coefficient in kg/m²
+ * @param {number} dt - Seconds
+ */
+function stepBullet(position, velocity, wind, bcKgPerM2, dt) {
+    _airVelocity.subVectors(velocity, wind);
+    const airSpeed = _airVelocity.length();
+    const cd = getDragCoefficient(airSpeed / SPEED_OF_SOUND);
+    // a = ρ v² Cd(G1) π / (8 BC), along the air-relative velocity
+    const dragPerSpeed = AIR_DENSITY * airSpeed * cd * Math.PI / (8 * bcKgPerM2);
+
+    position.addScaledVector(velocity, dt);
+    velocity.addScaledVector(_airVelocity, -dragPerSpeed * dt);
+    velocity.y -= GRAVITY * dt;
+}
+
+/**
+ * The angle the bore is tipped up from the line of sight so the bullet, starting below the
+ * scope, crosses the line of sight again at the zero range.
+ * @param {ProjectileLoad} load
+ * @returns {number} Radians
+ */
+export function getZeroAngle(load) {
+    if (zeroAngles.has(load)) return zeroAngles.get(load);
+
+    const bc = load.ballisticCoefficient * BC_TO_KG_PER_M2;
+    const still = new THREE.Vector3();
+    const position = new THREE.Vector3();
+    const velocity = new THREE.Vector3();
+    let angle = 0;
+    for (let pass = 0; pass < 4; pass++) {
+        position.set(0, -load.sightHeight, 0);
+        velocity.set(0, Math.sin(angle), Math.cos(angle)).multiplyScalar(load.muzzleVelocity);
+        while (position.z < load.zeroRange) {
+            stepBullet(position, velocity, still, bc, TIME_STEP);
+        }
+        angle += Math.atan2(-position.y, load.zeroRange);
+    }
+
+    zeroAngles.set(load, angle);
+    return angle;
+}
+
+/**
+ * How far a level shot in still air falls below the line of sight by a given distance.
+ * Negative while the bullet is still rising above it, short of the zero.
+ * @param {ProjectileLoad} load
+ * @param {number} distance - Meters
+ * @returns {number} Meters
+ */
+export function getDropAt(load, distance) {
+    const bc = load.ballisticCoefficient * BC_TO_KG_PER_M2;
+    const angle = getZeroAngle(load);
+    const still = new THREE.Vector3();
+    const position = new THREE.Vector3(0, -load.sightHeight, 0);
+    const velocity = new THREE.Vector3(0, Math.sin(angle), Math.cos(angle)).multiplyScalar(load.muzzleVelocity);
+    let time = 0;
+    while (position.z < distance && time < MAX_FLIGHT_TIME) {
+        stepBullet(position, velocity, still, bc, TIME_STEP);
+        time += TIME_STEP;
+    }
+    return -position.y;
+}
+
+/**
+ * Trees near the flight path, found once per shot so each segment only tests a handful.
+ */
+function findTreesAlongPath(origin, direction) {
+    const trees = gameContext.trees?.children;
+    if (!trees) return [];
+
+    const flatLength = Math.hypot(direction.x, direction.z);
+    const dirX = flatLength > 0 ? direction.x / flatLength : 0;
+    const dirZ = flatLength > 0 ? direction.z / flatLength : 0;
+    const candidates = [];
+    for (const tree of trees) {
+        const dx = tree.position.x - origin.x;
+        const dz = tree.position.z - origin.z;
+        const along = dx * dirX + dz * dirZ;
+        if (along < -TREE_SEARCH_MARGIN || along > MAX_RANGE) continue;
+        const across = Math.abs(dx * dirZ - dz * dirX);
+        const radius = (tree.userData.collisionRadius ?? (tree.scale.x || 1.0) * 1.8) + (tree.userData.collisionHalfLength || 0);
+        if (across < radius + TREE_SEARCH_MARGIN) candidates.push(tree);
+    }
+    return candidates;
+}
+
+/**
+ * Nearest tree the segment passes through, if any.
+ * @returns {{distance: number, point: THREE.Vector3}|null}
+ */
+function intersectTrees(trees, from, to) {
+    _segment.subVectors(to, from);
+    const length = _segment.length();
+    _midpoint.addVectors(from, to).multiplyScalar(0.5);
+    treeRaycaster.set(from, _segment.divideScalar(length));
+    treeRaycaster.far = length;
+
+    let nearest = null;
+    for (const tree of trees) {
+        const radius = (tree.userData.collisionRadius ?? (tree.scale.x || 1.0) * 1.8) + (tree.userData.collisionHalfLength || 0);
+        const reach = length / 2 + radius + TREE_SEARCH_MARGIN;
+        const dx = tree.position.x - _midpoint.x;
+        const dz = tree.position.z - _midpoint.z;
+        if (dx * dx + dz * dz > reach * reach) continue;
+
+        _treeIntersects.length = 0;
+        treeRaycaster.intersectObject(tree, true, _treeIntersects);
+        if (_treeIntersects.length > 0 && (!nearest || _treeIntersects[0].distance < nearest.distance)) {
+            nearest = { distance: _treeIntersects[0].distance, point: _treeIntersects[0].point.clone() };
+        }
+    }
+    return nearest;
+}
+
+/**
+ * Where a segment that ended underground went into the ground.
+ */
+function findGroundImpact(from, to) {
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < TERRAIN_BISECTIONS; i++) {
+        const mid = (low + high) / 2;
+        _midpoint.lerpVectors(from, to, mid);
+        if (_midpoint.y < gameContext.getHeightAt(_midpoint.x, _midpoint.z)) {
+            high = mid;
+        } else {
+            low = mid;
+        }
+    }
+    return new THREE.Vector3().lerpVectors(from, to, high);
+}
+
+/**
+ * Fires a bullet along the line of sight and flies it until it strikes a deer, a tree or
+ * the ground, or runs out of range.
+ * @param {THREE.Vector3} sightOrigin - Scope position (the camera)
+ * @param {THREE.Vector3} aimDirection - Unit vector along the line of sight
+ * @param {ProjectileLoad} load
+ * @returns {object} Hit fields from herd.raycast (hit, deer, hitZone, point, isDoubleLung) when a
+ *   deer was struck, distance from the scope to the impact, plus impact ('deer'|'tree'|'ground'|null), impactPoint, direction
+ *   (unit vector of the bullet's path at impact), flightTime, velocity (m/s), energy (joules)
+ *   and drop (meters below the line of sight at impact)
+ */
+export function fireBullet(sightOrigin, aimDirection, load) {
+    const herd = gameContext.herd;
+    const bc = load.ballisticCoefficient * BC_TO_KG_PER_M2;
+
+    // The bore sits below the scope and is tipped up by the zero angle
+    _right.crossVectors(aimDirection, _worldUp).normalize();
+    _up.crossVectors(_right, aimDirection).normalize();
+    _position.copy(sightOrigin).addScaledVector(_up, -load.sightHeight);
+    _velocity.copy(aimDirection).applyAxisAngle(_right, getZeroAngle(load)).multiplyScalar(load.muzzleVelocity);
+
+    const wind = gameContext.wind;
+    if (wind) {
+        const windSpeed = wind.speed * MPH_TO_MPS;
+        _wind.set(wind.downwindX * windSpeed, 0, wind.downwindZ * windSpeed);
+    } else {
+        _wind.set(0, 0, 0);
+    }
+
+    const trees = findTreesAlongPath(sightOrigin, aimDirection);
+    let result = { hit: false };
+    let impactPoint = null;
+    let impact = null;
+    let time = 0;
+
+    while (time < MAX_FLIGHT_TIME && _position.distanceTo(sightOrigin) < MAX_RANGE) {
+        _nextPosition.copy(_position);
+        _velocityBefore.copy(_velocity);
+        stepBullet(_nextPosition, _velocity, _wind, bc, TIME_STEP);
+        time += TIME_STEP;
+
+        const segmentLength = _position.distanceTo(_nextPosition);
+        const deerHit = herd ? herd.raycast(_position, _nextPosition, time) : { hit: false };
+        const treeHit = intersectTrees(trees, _position, _nextPosition);
+        const underground = _nextPosition.y < gameContext.getHeightAt(_nextPosition.x, _nextPosition.z);
+        const groundPoint = underground ? findGroundImpact(_position, _nextPosition) : null;
+        const groundDistance = groundPoint ? _position.distanceTo(groundPoint) : Infinity;
+
+        const deerDistance = deerHit.hit ? deerHit.distance : Infinity;
+        const treeDistance = treeHit ? treeHit.distance : Infinity;
+        const nearest = Math.min(deerDistance, treeDistance, groundDistance);
+        if (nearest <= segmentLength) {
+            // Back the flight time up to the impact within this segment
+            time -= TIME_STEP * (1 - nearest / segmentLength);
+            _velocity.lerpVectors(_velocityBefore, _velocity, nearest / segmentLength);
+            if (nearest === deerDistance) {
+                impact = 'deer';
+                result = deerHit;
+                impactPoint = new THREE.Vector3(deerHit.point.x, deerHit.point.y, deerHit.point.z);
+            } else if (nearest === treeDistance) {
+                impact = 'tree';
+                impactPoint = treeHit.point;
+            } else {
+                impact = 'ground';
+                impactPoint = groundPoint;
+            }
+            break;
+        }
+
+        _position.copy(_nextPosition);
+    }
+
+    const endPoint = impactPoint || _position;
+    const speed = _velocity.length();
+    // Drop is measured square to the line of sight, at the distance the bullet reached
+    _toImpact.subVectors(endPoint, sightOrigin);
+    const alongSight = _toImpact.dot(aimDirection);
+    const drop = sightOrigin.y + aimDirection.y * alongSight - endPoint.y;
+
+    return {
+        ...result,
+        distance: impactPoint ? impactPoint.distanceTo(sightOrigin) : null,
+        impact,
+        impactPoint: impactPoint ? impactPoint.clone() : null,
+        direction: _velocity.clone().normalize(),
+        flightTime: time,
+        velocity: speed,
+        energy: 0.5 * (load.bulletMass / 1000) * speed * speed,
+        drop,
+    };
+}
@@ -0,0 +1,47 @@
+// --- HUNTER CALLS ---
+// Grunt tube and rattling antlers. A call can bring a curious deer in toward the hunter,
+// but calling too often from one spot sounds wrong and puts nearby deer on alert.
+
+import { gameContext } from './context.js';
+import { playHunterCallSound } from './spatial-audio.js';
+import { showMessage } from './ui.js';
+import { logEvent } from './report-logger.js';
+
+const CALLS = {
+    grunt: { label: 'Grunt Call', sound: 'gruntCall', duration: 2, weight: 1 },
+    rattle: { label: 'Rattling', sound: 'rattle', duration: 4, weight: 2 } // A rattling sequence counts as two calls
+};
+
+// Calls (weighted) the woods will put up with within the window; any more gives the hunter away
+const OVERUSE_WINDOW_S = 120; // Real seconds - about two hours of game time
+const OVERUSE_LIMIT = 4;
+
+let recentCalls = []; // { time, weight } in clock seconds
+let busyUntil = 0;    // Clock time the current call finishes
+
+/**
+ * Uses one of the hunter's calls. Deer in earshot may come in to it.
+ * @param {'grunt'|'rattle'} kind - Which call
+ */
+export function useCall(kind) {
+    const call = CALLS[kind];
+    if (!call || !gameContext.player || !gameContext.herd || !gameContext.clock) return;
+
+    const now = gameContext.clock.getElapsed();
+    if (now < busyUntil) return;
+    busyUntil = now + call.duration;
+
+    recentCalls = recentCalls.filter(c => now - c.time < OVERUSE_WINDOW_S);
+    recentCalls.push({ time: now, weight: call.weight });
+    const callWeight = recentCalls.reduce((sum, c) => sum + c.weight, 0);
+    const overused = callWeight > OVERUSE_LIMIT;
+
+    playHunterCallSound(call.sound);
+    const responders = gameContext.herd.onHunterCall(kind, gameContext.player.position, overused);
+
+    showMessage(call.label, 1500);
+    logEvent(call.label, overused ? `${call.label} used too often - nearby deer grew suspicious` : `${call.label} used`, {
+        overused,
+        responders: responders.map(deer => deer.id)
+    });
+}
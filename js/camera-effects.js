@@ -8,7 +8,11 @@ let _recoilAnimationId = null;
 // The control-enabled state captured when the currently active recoil began.
 let _recoilOriginalControlsEnabled = null;
 
-export function applyRifleRecoil() {
+/**
+ * Kicks the camera up and off line, then eases it back.
+ * @param {number} [strength=1] - Weapon.recoil: 1 for a .308, a fraction of that for a bow
+ */
+export function applyRifleRecoil(strength = 1) {
     if (!gameContext.camera) {
         return;
     }
@@ -34,9 +38,9 @@ export function applyRifleRecoil() {
     const recoveryDuration = 400; // Recovery back to original position (ms)
     
     // Calculate realistic recoil with increased random variation
-    const upwardRecoil = baseRecoilStrength + (Math.random() - 0.5) * 0.012; // Increased variation in upward kick
-    const horizontalRecoil = (Math.random() - 0.5) * horizontalVariation * (0.8 + Math.random() * 0.4); // Variable horizontal intensity
-    const rollRecoil = (Math.random() - 0.5) * rollVariation * (0.7 + Math.random() * 0.6); // Variable roll intensity
+    const upwardRecoil = (baseRecoilStrength + (Math.random() - 0.5) * 0.012) * strength; // Increased variation in upward kick
+    const horizontalRecoil = (Math.random() - 0.5) * horizontalVariation * (0.8 + Math.random() * 0.4) * strength; // Variable horizontal intensity
+    const rollRecoil = (Math.random() - 0.5) * rollVariation * (0.7 + Math.random() * 0.6) * strength; // Variable roll intensity
     
     // Add slight directional bias variation (not perfectly centered)
     const directionalBiasX = (Math.random() - 0.5) * 0.003; // Slight up/down bias
@@ -4,6 +4,7 @@
 
 import { deerConfig } from './deer-config.js';
 import { gameContext } from './context.js';
+import { getDistanceToStem } from './vegetation.js';
 import * as THREE from 'three';
 
 // Reusable vector for raycast direction; raycast is a hot path (per shot,
@@ -248,11 +249,11 @@ class CollisionSystem {
                 continue;
             }
             
-            // Calculate precise 2D distance (ignore Y axis for collision)
-            const distance = Math.sqrt(dx * dx + dz * dz);
+            // Calculate precise 2D distance (ignore Y axis for collision); a log's runs along its length
+            const distance = getDistanceToStem(tree, position.x, position.z);
             
-            // Estimate tree collision radius based on scale
-            const treeRadius = (tree.scale.x || 1.0) * 1.8;
+            // Species radius from the vegetation catalog, or an estimate from scale
+            const treeRadius = tree.userData.collisionRadius ?? (tree.scale.x || 1.0) * 1.8;
             
             // Check if collision occurs
             if (distance < treeRadius + radius) {
@@ -296,8 +297,8 @@ class CollisionSystem {
             const bdz = position.z - bush.position.z;
             const distance = Math.sqrt(bdx * bdx + bdz * bdz);
             
-            // Estimate bush collision radius - bushes spread out wider than their center
-            const bushRadius = (bush.scale.x || 1.0) * 1.5;
+            // Species radius from the vegetation catalog - bushes spread out wider than their center
+            const bushRadius = bush.userData.collisionRadius ?? (bush.scale.x || 1.0) * 1.5;
             
             // Check if collision occurs
             if (distance < bushRadius + radius) {
@@ -122,13 +122,154 @@ export const INITIAL_PLAYER_Z = 60;
  * @type {number}
  */
 export const DEFAULT_WORLD_SIZE = 1000;
+
+// --- TERRAIN CHUNK CONSTANTS ---
+/**
+ * Grid cells along each side of a terrain chunk at full detail. Must be divisible by the coarsest LOD step.
+ * @type {number}
+ */
+export const TERRAIN_CHUNK_CELLS = 32;
+/**
+ * Preferred width of one full-detail terrain cell in world units. The actual width is adjusted
+ * so a whole number of chunks covers the world.
+ * @type {number}
+ */
+export const TERRAIN_TARGET_CELL_SIZE = 5;
+/**
+ * Camera distances (world units) at which a chunk drops to the next level of detail.
+ * Each level halves the vertex density, so three distances give steps of 1, 2, 4 and 8 cells.
+ * @type {number[]}
+ */
+export const TERRAIN_LOD_DISTANCES = [150, 400, 800];
+/**
+ * How far the camera must move (world units) before chunk LODs are re-evaluated.
+ * @type {number}
+ */
+export const TERRAIN_LOD_UPDATE_DISTANCE = 10;
+
+// --- WIND CONSTANTS ---
+/**
+ * Wind speed (mph) at the calmest point of the day, around dawn and dusk.
+ * @type {number}
+ */
+export const WIND_MIN_SPEED_MPH = 1;
+/**
+ * Range (mph) for the prevailing afternoon wind speed rolled each day.
+ * @type {{min: number, max: number}}
+ */
+export const WIND_PREVAILING_SPEED_RANGE_MPH = { min: 5, max: 14 };
+/**
+ * Maximum swing (radians) of the wind direction over the course of a day
+ * (morning thermals drain one way, afternoon thermals rise the other).
+ * @type {number}
+ */
+export const WIND_DAILY_DIRECTION_SWING = Math.PI / 3; // +/- 60 degrees
+/**
+ * Maximum change (radians) of the prevailing wind direction between days.
+ * @type {number}
+ */
+export const WIND_DAY_TO_DAY_SHIFT = Math.PI / 4; // +/- 45 degrees
+/**
+ * Below this speed (mph) the wind is considered calm and scent swirls in all directions.
+ * @type {number}
+ */
+export const WIND_CALM_SPEED_MPH = 2;
+/**
+ * Distance (units) a deer can smell the hunter in any direction when the wind is calm.
+ * @type {number}
+ */
+export const WIND_SCENT_SWIRL_RANGE = 25;
+/**
+ * Base scent detection distance (units) for a deer directly downwind of the hunter.
+ * @type {number}
+ */
+export const WIND_SCENT_BASE_RANGE = 40;
 /**
- * Number of width segments for the terrain geometry. Higher values mean more detail but lower performance.
+ * Additional scent detection distance (units) per mph of wind speed.
  * @type {number}
  */
-export const WORLD_WIDTH_SEGMENTS = 100;
+export const WIND_SCENT_RANGE_PER_MPH = 10;
+/**
+ * Half-angle (radians) of the downwind scent cone.
+ * @type {number}
+ */
+export const WIND_SCENT_CONE_HALF_ANGLE = Math.PI / 6; // 30 degrees either side
+
+// --- WEATHER CONSTANTS ---
+/**
+ * Range (game hours) a weather front holds before the next one starts moving in.
+ * @type {{min: number, max: number}}
+ */
+export const WEATHER_FRONT_DURATION_HOURS = { min: 2, max: 6 };
+/**
+ * Game hours for one weather state to blend into the next.
+ * @type {number}
+ */
+export const WEATHER_TRANSITION_HOURS = 0.75;
+/**
+ * Range (real seconds) between lightning strikes at the height of a thunderstorm.
+ * @type {{min: number, max: number}}
+ */
+export const LIGHTNING_INTERVAL_S = { min: 6, max: 20 };
+
+// --- HARVEST RULE CONSTANTS ---
+/**
+ * Selective harvest rules, picked in the start options. Tagging an antlered buck younger
+ * than minBuckAge is legal but costs YOUNG_BUCK_PENALTY points.
+ * @type {Object<string, {label: string, minBuckAge: number}>}
+ */
+export const HARVEST_RULES = {
+    any: { label: 'Any Deer', minBuckAge: 0 },
+    quality: { label: 'Quality Deer (3½+ Bucks)', minBuckAge: 3.5 },
+    trophy: { label: 'Trophy (4½+ Bucks)', minBuckAge: 4.5 }
+};
+/**
+ * Harvest rule used when none is picked.
+ * @type {string}
+ */
+export const DEFAULT_HARVEST_RULE = 'any';
+/**
+ * Points lost for taking a buck the harvest rule says to let walk.
+ * @type {number}
+ */
+export const YOUNG_BUCK_PENALTY = -50;
+
+// --- WOUNDED DEER CONSTANTS ---
+/**
+ * Points lost when a deer still wounded at the end of the day dies overnight. Finding and
+ * tagging it next morning earns the tag as usual but doesn't win these back.
+ * @type {number}
+ */
+export const WOUNDED_LOST_PENALTY = -25;
+/**
+ * Points lost when a deer still wounded at the end of the day pulls through - it carries
+ * the wound and is never recovered.
+ * @type {number}
+ */
+export const WOUNDED_SURVIVED_PENALTY = -15;
+
+// --- CLOTHING CONSTANTS ---
+/**
+ * What the hunter wears, picked in the start options. `visibility` scales how readily deer
+ * pick the hunter out: deer see blue and ultraviolet well but can't tell orange from brown,
+ * so a blaze vest mostly costs its solid, unbroken shape.
+ * @type {Object<string, {label: string, visibility: number}>}
+ */
+export const CLOTHING_LOADOUTS = {
+    street: { label: 'Street Clothes', visibility: 1 },
+    blaze: { label: 'Blaze Orange Vest', visibility: 0.85 },
+    camo: { label: 'Woodland Camo', visibility: 0.6 },
+    ghillie: { label: 'Ghillie Suit', visibility: 0.4 }
+};
+/**
+ * Clothing worn when none is picked.
+ * @type {string}
+ */
+export const DEFAULT_CLOTHING = 'camo';
+
+// --- PRACTICE MODE CONSTANTS ---
 /**
- * Number of depth segments for the terrain geometry. Higher values mean more detail but lower performance.
+ * Practice mode deer build suspicion this much slower, so a new hunter can get within range.
  * @type {number}
  */
-export const WORLD_DEPTH_SEGMENTS = 100;
+export const PRACTICE_WARINESS = 0.4;
@@ -9,14 +9,21 @@
  * @property {THREE.Timer} clock - Timer for managing delta time.
  * @property {number} deltaTime - Time elapsed since the last frame.
  * @property {THREE.Mesh} player - The player object/mesh.
- * @property {THREE.Group} deer - The deer object/group.
- * @property {THREE.Mesh} terrain - The terrain mesh.
+ * @property {THREE.Group} deer - The focused deer (the herd member most recently shot at or tagged).
+ * @property {object} herd - The HerdManager that owns every deer in the world.
+ * @property {THREE.Group} terrain - The terrain group (one mesh per chunk).
+ * @property {object} terrainChunks - The ChunkedTerrain that owns the terrain heightfield and chunk LODs.
+ * @property {object|null} navGrid - The NavGrid deer plan their routes over, baked once the world is placed.
+ * @property {object|null} wildlife - The WildlifeManager running the turkeys, squirrels, crows and coyotes.
+ * @property {number} worldSize - Width and depth of the current world in world units.
  * @property {THREE.Mesh[]} waterBodies - Array of water body meshes.
  * @property {THREE.Vector3[]} drinkingSpots - Array of deer drinking spot coordinates.
  * @property {THREE.Group} trees - Group containing all tree meshes.
  * @property {THREE.Mesh[]} tracks - Array of deer track meshes.
  * @property {THREE.Mesh[]} bloodDrops - Array of blood drop meshes.
  * @property {number} gameTime - Current in-game time (0-24 hours).
+ * @property {object} wind - Current wind (direction it blows from in radians, speed in mph, downwind unit vector).
+ * @property {object} weather - Current weather front, the one moving in, and their blended effects (see weather.js).
  * @property {number} gameSpeed - Game speed multiplier.
  * @property {boolean} isSleeping - Flag indicating if the sleep sequence is active.
  * @property {number} score - Player's current score.
@@ -38,6 +45,8 @@
  * @property {HTMLElement} timeValueElement - UI element for displaying game time.
  * @property {HTMLElement} scoreValueElement - UI element for displaying score.
  * @property {HTMLElement} compassElement - UI element for displaying compass heading.
+ * @property {HTMLElement} windDirectionElement - UI element for displaying the wind direction.
+ * @property {HTMLElement} windSpeedElement - UI element for displaying the wind speed.
  * @property {HTMLElement} interactionPromptElement - UI element for interaction prompts.
  * @property {HTMLElement} messageElement - UI element for displaying messages.
  * @property {HTMLElement} sleepOverlay - UI overlay for the sleep sequence.
@@ -45,6 +54,16 @@
  * @property {HTMLElement} mainMenu - The main menu container element.
  * @property {HTMLElement} worldSelect - The dropdown for world selection.
  * @property {string} gameMode - The selected game mode ('practice' or 'simulator').
+ * @property {string|null} requestedSeed - World seed typed into the start options (blank for none).
+ * @property {number|null} worldSeed - Seed used to generate the current world.
+ * @property {string} season - Key of SEASONS in seasons.js for the current hunt.
+ * @property {string} harvestRule - Key of HARVEST_RULES in constants.js for the current hunt.
+ * @property {boolean} showSuspicionMeter - Show the deer suspicion meter in practice mode (testing options).
+ * @property {string} clothing - Key of CLOTHING_LOADOUTS in constants.js the hunter is wearing.
+ * @property {string} weapon - Key of WEAPONS in weapon-config.js the hunter is carrying.
+ * @property {string} reticle - Key of RETICLES in weapon-config.js in the scope, if the weapon wears one.
+ * @property {number|null} scopeZero - Yards the scope is sighted in at; null keeps the weapon's own zero.
+ * @property {number} lightLevel - Overall brightness (0 = dark night, 1 = full midday sun), set by updateDynamicLighting().
  * @property {HTMLElement} scopeOverlayElement - UI overlay for the rifle scope.
  * @property {HTMLElement} crosshairElement - UI element for the crosshair.
  * @property {HTMLElement} reportModalBackdrop - Modal backdrop for reports.
@@ -104,7 +123,12 @@ export const gameContext = {
     // Game objects
     player: null,
     deer: null,
+    herd: null,
     terrain: null,
+    terrainChunks: null,
+    navGrid: null,
+    wildlife: null,
+    worldSize: 1000,
     waterBodies: [],
     drinkingSpots: [],
     trees: null,
@@ -116,6 +140,8 @@ export const gameContext = {
     // Game state
     gameTime: 4.5, // Start at 4:30 AM (30 minutes before legal hunting hours)
     currentDay: 1, // Current day number
+    dayCount: 1, // Calendar days into the hunt, turning over at midnight or on a jump to the next dawn
+    nightSettled: false, // Wounded deer were settled at midnight while the hunter stayed out
     eveningCrossfadeTriggered: false, // Track whether evening ambiance crossfade has occurred
     morningCrossfadeTriggered: false, // Track whether morning ambiance crossfade has occurred
     gameSpeed: 1,
@@ -153,11 +179,15 @@ export const gameContext = {
     maxMapUsage: 10,  // Maximum map uses per day
     isSleeping: false,
     deerSighted: false, // Flag to prevent duplicate sighting logs
+    wind: null, // Set by initWind() at hunt start
+    weather: null, // Set by initWeather() at hunt start
 
     // UI Elements - to be populated on DOMContentLoaded
     timeValueElement: null,
     scoreValueElement: null,
     compassElement: null,
+    windDirectionElement: null,
+    windSpeedElement: null,
     interactionPromptElement: null,
     messageElement: null,
     sleepOverlay: null,
@@ -165,6 +195,16 @@ export const gameContext = {
     mainMenu: null,
     worldSelect: null,
     gameMode: 'simulator', // Default to simulator mode
+    requestedSeed: null,
+    worldSeed: null,
+    season: 'early',
+    harvestRule: 'any',
+    clothing: 'camo',
+    weapon: 'rifle308',
+    reticle: 'duplex',
+    scopeZero: null,
+    showSuspicionMeter: true,
+    lightLevel: 0,
     gameStartedAndReady: false, // Flag to prevent auto pointer lock on game start
     scopeOverlayElement: null,
     crosshairElement: null,
@@ -211,11 +251,6 @@ export const gameContext = {
         return this.raycasterPool.visibility;
     },
     
-    // Reusable vectors for cached height queries (avoid per-call allocations)
-    _cachedHeightOrigin: new THREE.Vector3(),
-    _cachedHeightDown: new THREE.Vector3(0, -1, 0),
-    _cachedHeightIntersects: [], // Reusable array for raycast results
-    
     // Optimized height query with caching
     getCachedHeightAt(x, z) {
         // Create cache key based on grid position
@@ -230,15 +265,10 @@ export const gameContext = {
             return this.heightCache.get(cacheKey);
         }
         
-        // Perform raycast if not cached
-        if (!this.terrain) return 0;
+        // Sample the terrain heightfield if not cached
+        if (!this.terrainChunks) return 0;
         
-        const terrainRaycaster = this.getTerrainRaycaster();
-        this._cachedHeightOrigin.set(gridX, 1000, gridZ);
-        terrainRaycaster.set(this._cachedHeightOrigin, this._cachedHeightDown);
-        this._cachedHeightIntersects.length = 0;
-        terrainRaycaster.intersectObject(this.terrain, false, this._cachedHeightIntersects);
-        const height = this._cachedHeightIntersects.length > 0 ? this._cachedHeightIntersects[0].point.y : 0;
+        const height = this.terrainChunks.getHeightAt(gridX, gridZ);
         
         // Cache the result
         if (this.heightCache.size >= this.heightCacheMaxSize) {
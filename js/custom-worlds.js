@@ -0,0 +1,456 @@
+// --- CUSTOM WORLDS ---
+// Validation and browser storage for player-authored world configs.
+// A custom world uses the same shape as the entries in world-presets.js.
+import { VEGETATION_SPECIES } from './vegetation.js';
+
+const STORAGE_KEY = 'fairchase.customWorlds';
+
+// Value used in the world selector for saved custom worlds, e.g. "custom:My Ridge"
+export const CUSTOM_WORLD_PREFIX = 'custom:';
+
+const GENERATION_METHODS = ['sineCosine', 'perlin', 'heightmap'];
+const TREE_TYPES = ['hardwood', 'pine'];
+const TREE_LAYER_SPECIES = Object.keys(VEGETATION_SPECIES).filter(type => VEGETATION_SPECIES[type].layer === 'trees');
+const WATER_SHAPES = ['circle', 'square', 'polygon', 'river'];
+const HERD_CLASSES = ['buck', 'doe', 'fawn'];
+
+const MAX_NAME_LENGTH = 40;
+const WORLD_SIZE_RANGE = { min: 200, max: 5000 };
+const MAX_TREE_COUNT = 3000;
+const MAX_BUSH_COUNT = 1500;
+const MAX_WATER_BODIES = 12;
+const MAX_WATER_POINTS = 64;
+const RIVER_WIDTH_RANGE = { min: 2, max: 80 };
+const MAX_HERD_CLASS_COUNT = 8;
+const MAX_SPECIES_ENTRIES = 12;
+
+// Ranges for placement rules on a species mix entry, as [minKey, maxKey, range]
+const PLACEMENT_RULE_RANGES = [
+    ['minSlope', 'maxSlope', { min: 0, max: 10 }],
+    ['minAltitude', 'maxAltitude', { min: -500, max: 1000 }],
+    ['minWaterDistance', 'maxWaterDistance', { min: 0, max: 5000 }]
+];
+
+// Heightmaps live with the other landscape assets. Heights stay under the 500-unit
+// ceiling the terrain height raycasts start from.
+const HEIGHTMAP_PATH_PATTERN = /^assets\/landscapes\/[\w\-./]+\.png$/i;
+const HEIGHTMAP_HEIGHT_RANGE = { min: -200, max: 400 };
+
+/**
+ * Validates a world config (from the builder or an imported JSON file) and returns
+ * a normalized copy. Colors may be given as numbers or "#rrggbb" strings.
+ * @param {object} data - Candidate world config
+ * @returns {{valid: boolean, errors: string[], config: object|null}}
+ */
+export function validateWorldConfig(data) {
+    const errors = [];
+
+    if (!isPlainObject(data)) {
+        return { valid: false, errors: ['World must be a JSON object'], config: null };
+    }
+
+    const config = {};
+
+    // Name and seed
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+        errors.push('name: required');
+    } else if (data.name.trim().length > MAX_NAME_LENGTH) {
+        errors.push(`name: must be ${MAX_NAME_LENGTH} characters or fewer`);
+    } else {
+        config.name = data.name.trim();
+    }
+
+    if (data.seed !== undefined && data.seed !== null && data.seed !== '') {
+        if (typeof data.seed === 'number' && Number.isInteger(data.seed) && data.seed >= 0) {
+            config.seed = data.seed;
+        } else if (typeof data.seed === 'string') {
+            config.seed = data.seed.trim();
+        } else {
+            errors.push('seed: must be a non-negative integer or a string');
+        }
+    }
+
+    // Terrain
+    const terrain = data.terrain;
+    if (!isPlainObject(terrain)) {
+        errors.push('terrain: required');
+    } else {
+        config.terrain = {
+            color: readColor(terrain, 'color', 'terrain.color', errors),
+            size: readNumber(terrain, 'size', 'terrain.size', errors, { ...WORLD_SIZE_RANGE }),
+            generationMethod: terrain.generationMethod
+        };
+
+        // Heightmaps set their vertical range directly; the multiplier is for the procedural methods
+        const isHeightmap = terrain.generationMethod === 'heightmap';
+        const heightMultiplier = readNumber(terrain, 'heightMultiplier', 'terrain.heightMultiplier', errors, { min: 0, max: 100, optional: isHeightmap });
+        if (heightMultiplier !== null) {
+            config.terrain.heightMultiplier = heightMultiplier;
+        }
+
+        if (!GENERATION_METHODS.includes(terrain.generationMethod)) {
+            errors.push(`terrain.generationMethod: must be one of ${GENERATION_METHODS.join(', ')}`);
+        } else if (terrain.generationMethod === 'sineCosine') {
+            const params = terrain.sineCosineParams;
+            if (!isPlainObject(params)) {
+                errors.push('terrain.sineCosineParams: required for sineCosine terrain');
+            } else {
+                const path = 'terrain.sineCosineParams';
+                config.terrain.sineCosineParams = {
+                    freq1: readNumber(params, 'freq1', `${path}.freq1`, errors, { min: 1, max: 1000 }),
+                    amp1: readNumber(params, 'amp1', `${path}.amp1`, errors, { min: 0, max: 100 }),
+                    freq2: readNumber(params, 'freq2', `${path}.freq2`, errors, { min: 1, max: 1000 }),
+                    amp2: readNumber(params, 'amp2', `${path}.amp2`, errors, { min: 0, max: 100 })
+                };
+            }
+        } else if (terrain.generationMethod === 'heightmap') {
+            const params = terrain.heightmapParams;
+            if (!isPlainObject(params)) {
+                errors.push('terrain.heightmapParams: required for heightmap terrain');
+            } else {
+                const path = 'terrain.heightmapParams';
+                if (typeof params.image !== 'string' || !HEIGHTMAP_PATH_PATTERN.test(params.image) || params.image.includes('..')) {
+                    errors.push(`${path}.image: must be a .png under assets/landscapes/`);
+                }
+                const minHeight = readNumber(params, 'minHeight', `${path}.minHeight`, errors, { ...HEIGHTMAP_HEIGHT_RANGE });
+                const maxHeight = readNumber(params, 'maxHeight', `${path}.maxHeight`, errors, { ...HEIGHTMAP_HEIGHT_RANGE });
+                if (minHeight !== null && maxHeight !== null && minHeight >= maxHeight) {
+                    errors.push(`${path}: minHeight must be below maxHeight`);
+                }
+                config.terrain.heightmapParams = { image: params.image, minHeight, maxHeight };
+            }
+        } else {
+            const params = terrain.perlinParams;
+            if (!isPlainObject(params)) {
+                errors.push('terrain.perlinParams: required for perlin terrain');
+            } else {
+                const path = 'terrain.perlinParams';
+                config.terrain.perlinParams = {
+                    quality: readNumber(params, 'quality', `${path}.quality`, errors, { min: 0.1, max: 10 }),
+                    amplitudeScale: readNumber(params, 'amplitudeScale', `${path}.amplitudeScale`, errors, { min: 0, max: 10 }),
+                    coordinateScale: readNumber(params, 'coordinateScale', `${path}.coordinateScale`, errors, { min: 0.0001, max: 1 })
+                };
+                // noiseZ is optional - when omitted the world seed picks it
+                if (params.noiseZ !== undefined) {
+                    config.terrain.perlinParams.noiseZ = readNumber(params, 'noiseZ', `${path}.noiseZ`, errors, { min: 0, max: 1000 });
+                }
+            }
+        }
+    }
+
+    // Environment and water
+    const environment = data.environment;
+    if (!isPlainObject(environment)) {
+        errors.push('environment: required');
+    } else {
+        config.environment = {
+            waterColor: readColor(environment, 'waterColor', 'environment.waterColor', errors),
+            waterBodies: []
+        };
+        for (const key of ['skyColor', 'fogColor']) {
+            if (environment[key] !== undefined) {
+                config.environment[key] = readColor(environment, key, `environment.${key}`, errors);
+            }
+        }
+        if (environment.waterLevel !== undefined) {
+            config.environment.waterLevel = readNumber(environment, 'waterLevel', 'environment.waterLevel', errors, { min: -200, max: 200 });
+        }
+
+        const waterBodies = environment.waterBodies;
+        if (!Array.isArray(waterBodies)) {
+            errors.push('environment.waterBodies: must be a list');
+        } else if (waterBodies.length > MAX_WATER_BODIES) {
+            errors.push(`environment.waterBodies: at most ${MAX_WATER_BODIES} water bodies`);
+        } else {
+            const halfSize = (config.terrain?.size || WORLD_SIZE_RANGE.max) / 2;
+            waterBodies.forEach((body, index) => {
+                const path = `environment.waterBodies[${index}]`;
+                if (!isPlainObject(body)) {
+                    errors.push(`${path}: must be an object with a shape`);
+                    return;
+                }
+                if (!WATER_SHAPES.includes(body.shape)) {
+                    errors.push(`${path}.shape: must be one of ${WATER_SHAPES.join(', ')}`);
+                    return;
+                }
+
+                const water = { shape: body.shape };
+                if (body.shape === 'polygon' || body.shape === 'river') {
+                    water.points = readWaterPoints(body, path, halfSize, errors);
+                    if (body.depth !== undefined) {
+                        water.depth = readNumber(body, 'depth', `${path}.depth`, errors, { min: 0.5, max: 30 });
+                    }
+                    if (body.shape === 'polygon' && body.bankWidth !== undefined) {
+                        water.bankWidth = readNumber(body, 'bankWidth', `${path}.bankWidth`, errors, { min: 1, max: 50 });
+                    }
+                } else if (!isPlainObject(body.position)) {
+                    errors.push(`${path}: must have a size and position`);
+                    return;
+                } else {
+                    water.size = readNumber(body, 'size', `${path}.size`, errors, { min: 5, max: halfSize * 2 });
+                    water.position = {
+                        x: readNumber(body.position, 'x', `${path}.position.x`, errors, { min: -halfSize, max: halfSize }),
+                        y: readNumber(body.position, 'y', `${path}.position.y`, errors, { min: -200, max: 200, optional: true }) ?? 0,
+                        z: readNumber(body.position, 'z', `${path}.position.z`, errors, { min: -halfSize, max: halfSize })
+                    };
+                }
+                water.opacity = readNumber(body, 'opacity', `${path}.opacity`, errors, { min: 0.1, max: 1, optional: true }) ?? 0.8;
+                config.environment.waterBodies.push(water);
+            });
+        }
+    }
+
+    // Vegetation
+    const vegetation = data.vegetation;
+    if (!isPlainObject(vegetation)) {
+        errors.push('vegetation: required');
+    } else {
+        config.vegetation = {
+            treeCount: readNumber(vegetation, 'treeCount', 'vegetation.treeCount', errors, { min: 0, max: MAX_TREE_COUNT, integer: true }),
+            canopyColor: readColor(vegetation, 'canopyColor', 'vegetation.canopyColor', errors),
+            trunkColor: readColor(vegetation, 'trunkColor', 'vegetation.trunkColor', errors)
+        };
+        if (vegetation.bushCount !== undefined) {
+            config.vegetation.bushCount = readNumber(vegetation, 'bushCount', 'vegetation.bushCount', errors, { min: 0, max: MAX_BUSH_COUNT, integer: true });
+        }
+        if (vegetation.treeType !== undefined) {
+            if (!TREE_TYPES.includes(vegetation.treeType)) {
+                errors.push(`vegetation.treeType: must be one of ${TREE_TYPES.join(', ')}`);
+            } else {
+                config.vegetation.treeType = vegetation.treeType;
+            }
+        }
+        if (vegetation.species !== undefined) {
+            config.vegetation.species = readSpeciesMix(vegetation.species, errors);
+        }
+        if (!isPlainObject(vegetation.treeScale)) {
+            errors.push('vegetation.treeScale: required ({ min, max })');
+        } else {
+            const min = readNumber(vegetation.treeScale, 'min', 'vegetation.treeScale.min', errors, { min: 0.05, max: 5 });
+            const max = readNumber(vegetation.treeScale, 'max', 'vegetation.treeScale.max', errors, { min: 0.05, max: 5 });
+            if (min !== null && max !== null && min > max) {
+                errors.push('vegetation.treeScale: min must not exceed max');
+            }
+            config.vegetation.treeScale = { min, max };
+        }
+    }
+
+    // Deer (optional)
+    if (data.deer !== undefined) {
+        if (!isPlainObject(data.deer) || !isPlainObject(data.deer.herd)) {
+            errors.push('deer.herd: must be an object like { buck: 1, doe: 2, fawn: 1 }');
+        } else {
+            const herd = {};
+            for (const deerClass of HERD_CLASSES) {
+                if (data.deer.herd[deerClass] !== undefined) {
+                    herd[deerClass] = readNumber(data.deer.herd, deerClass, `deer.herd.${deerClass}`, errors, { min: 0, max: MAX_HERD_CLASS_COUNT, integer: true });
+                }
+            }
+            const unknown = Object.keys(data.deer.herd).filter(key => !HERD_CLASSES.includes(key));
+            if (unknown.length > 0) {
+                errors.push(`deer.herd: unknown deer class ${unknown.join(', ')}`);
+            }
+            config.deer = { herd };
+        }
+    }
+
+    return { valid: errors.length === 0, errors, config: errors.length === 0 ? config : null };
+}
+
+/**
+ * Reads the outline of a polygon pond or the centerline of a river. River points also
+ * carry the channel width at that point.
+ * @returns {Array<object>} Normalized points ({ x, z } or { x, z, width })
+ */
+function readWaterPoints(body, path, halfSize, errors) {
+    const isRiver = body.shape === 'river';
+    const minPoints = isRiver ? 2 : 3;
+    if (!Array.isArray(body.points) || body.points.length < minPoints || body.points.length > MAX_WATER_POINTS) {
+        errors.push(`${path}.points: must list ${minPoints}-${MAX_WATER_POINTS} points`);
+        return [];
+    }
+
+    return body.points.map((point, index) => {
+        const pointPath = `${path}.points[${index}]`;
+        if (!isPlainObject(point)) {
+            errors.push(`${pointPath}: must be { x, z${isRiver ? ', width' : ''} }`);
+            return null;
+        }
+        const normalized = {
+            x: readNumber(point, 'x', `${pointPath}.x`, errors, { min: -halfSize, max: halfSize }),
+            z: readNumber(point, 'z', `${pointPath}.z`, errors, { min: -halfSize, max: halfSize })
+        };
+        if (isRiver) {
+            normalized.width = readNumber(point, 'width', `${pointPath}.width`, errors, { ...RIVER_WIDTH_RANGE });
+        }
+        return normalized;
+    });
+}
+
+/**
+ * Reads the weighted species mix for the tree layer. Each entry may override the
+ * species' placement rules, scale range and color.
+ * @returns {Array<object>} Normalized mix entries
+ */
+function readSpeciesMix(species, errors) {
+    if (!Array.isArray(species) || species.length === 0 || species.length > MAX_SPECIES_ENTRIES) {
+        errors.push(`vegetation.species: must list 1-${MAX_SPECIES_ENTRIES} species`);
+        return [];
+    }
+
+    return species.map((entry, index) => {
+        const path = `vegetation.species[${index}]`;
+        if (!isPlainObject(entry)) {
+            errors.push(`${path}: must be { type, weight }`);
+            return null;
+        }
+        if (!TREE_LAYER_SPECIES.includes(entry.type)) {
+            errors.push(`${path}.type: must be one of ${TREE_LAYER_SPECIES.join(', ')}`);
+        }
+        const normalized = {
+            type: entry.type,
+            weight: readNumber(entry, 'weight', `${path}.weight`, errors, { min: 0.01, max: 1000 })
+        };
+        for (const [minKey, maxKey, range] of PLACEMENT_RULE_RANGES) {
+            const min = readNumber(entry, minKey, `${path}.${minKey}`, errors, { ...range, optional: true });
+            const max = readNumber(entry, maxKey, `${path}.${maxKey}`, errors, { ...range, optional: true });
+            if (min !== null) normalized[minKey] = min;
+            if (max !== null) normalized[maxKey] = max;
+            if (min !== null && max !== null && min > max) {
+                errors.push(`${path}: ${minKey} must not exceed ${maxKey}`);
+            }
+        }
+        if (entry.scale !== undefined) {
+            if (!isPlainObject(entry.scale)) {
+                errors.push(`${path}.scale: must be { min, max }`);
+            } else {
+                const min = readNumber(entry.scale, 'min', `${path}.scale.min`, errors, { min: 0.05, max: 5 });
+                const max = readNumber(entry.scale, 'max', `${path}.scale.max`, errors, { min: 0.05, max: 5 });
+                if (min !== null && max !== null && min > max) {
+                    errors.push(`${path}.scale: min must not exceed max`);
+                }
+                normalized.scale = { min, max };
+            }
+        }
+        if (entry.color !== undefined) {
+            normalized.color = readColor(entry, 'color', `${path}.color`, errors);
+        }
+        return normalized;
+    });
+}
+
+/**
+ * Reads a numeric field, recording an error if it is missing or out of range.
+ * @returns {number|null} The value, or null when invalid or optional and absent
+ */
+function readNumber(source, key, path, errors, { min = -Infinity, max = Infinity, integer = false, optional = false } = {}) {
+    const value = source[key];
+    if (value === undefined || value === null) {
+        if (!optional) errors.push(`${path}: required`);
+        return null;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${path}: must be a number`);
+        return null;
+    }
+    if (integer && !Number.isInteger(value)) {
+        errors.push(`${path}: must be a whole number`);
+        return null;
+    }
+    if (value < min || value > max) {
+        errors.push(`${path}: must be between ${min} and ${max}`);
+        return null;
+    }
+    return value;
+}
+
+/**
+ * Reads a color given as a 24-bit number or a "#rrggbb" string.
+ * @returns {number|null} Color as a number, or null when invalid
+ */
+function readColor(source, key, path, errors) {
+    const value = source[key];
+    if (typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 0xFFFFFF) {
+        return value;
+    }
+    if (typeof value === 'string' && /^#?[0-9a-f]{6}$/i.test(value.trim())) {
+        return parseInt(value.trim().replace('#', ''), 16);
+    }
+    errors.push(`${path}: must be a color like "#3d5c28"`);
+    return null;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Loads every saved custom world from browser storage.
+ * Entries that no longer validate (e.g. edited by hand) are skipped.
+ * @returns {Object<string, object>} Worlds keyed by name
+ */
+export function loadCustomWorlds() {
+    let stored;
+    try {
+        stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    } catch (error) {
+        console.warn('⚠️ Saved custom worlds are unreadable - ignoring them', error);
+        return {};
+    }
+
+    const worlds = {};
+    if (!isPlainObject(stored)) return worlds;
+
+    for (const world of Object.values(stored)) {
+        const { valid, config } = validateWorldConfig(world);
+        if (valid) {
+            worlds[config.name] = config;
+        }
+    }
+    return worlds;
+}
+
+/**
+ * Gets a saved custom world by name.
+ * @param {string} name - World name
+ * @returns {object|null} The world config, or null if not found
+ */
+export function getCustomWorld(name) {
+    return loadCustomWorlds()[name] || null;
+}
+
+/**
+ * Saves (or overwrites) a custom world. The config must already be validated.
+ * @param {object} config - Validated world config
+ */
+export function saveCustomWorld(config) {
+    const worlds = loadCustomWorlds();
+    worlds[config.name] = config;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(worlds));
+}
+
+/**
+ * Deletes a saved custom world.
+ * @param {string} name - World name
+ */
+export function deleteCustomWorld(name) {
+    const worlds = loadCustomWorlds();
+    delete worlds[name];
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(worlds));
+}
+
+/**
+ * Serializes a world config for download. Colors are written as "#rrggbb" so the
+ * file is easy to edit by hand.
+ * @param {object} config - Validated world config
+ * @returns {string} Pretty-printed JSON
+ */
+export function exportWorldConfig(config) {
+    const colorKeys = new Set(['color', 'waterColor', 'skyColor', 'fogColor', 'canopyColor', 'trunkColor']);
+    return JSON.stringify(config, (key, value) => {
+        if (colorKeys.has(key) && typeof value === 'number') {
+            return `#${value.toString(16).padStart(6, '0')}`;
+        }
+        return value;
+    }, 2);
+}
@@ -2,6 +2,12 @@ import * as THREE from 'three';
 import { gameContext } from './context.js';
 import { triggerDeerBlowSound } from './spatial-audio.js';
 import { isOnTrail } from './trails.js';
+import { getNearestShorePoint } from './water.js';
+import { getDaylightHours } from './seasons.js';
+import { getDeerActivity } from './weather.js';
+
+// Hours before dusk when deer with an eveningGrazeChance start feeding hard
+const EVENING_FEEDING_HOURS = 2;
 
 export class DeerAI {
     constructor(deer, config) {
@@ -16,6 +22,22 @@ export class DeerAI {
         this._upAxis = new THREE.Vector3(0, 1, 0);
     }
 
+    /**
+     * Chance an idle deer starts grazing. Seasons can raise it for the last hours of
+     * daylight (late-season deer feed hard before a cold night).
+     * @returns {number}
+     */
+    getGrazeChance() {
+        if (this.config.eveningGrazeChance !== undefined) {
+            const { duskStart, nightStart } = getDaylightHours();
+            const hour = gameContext.gameTime;
+            if (hour >= duskStart - EVENING_FEEDING_HOURS && hour <= nightStart) {
+                return this.config.eveningGrazeChance;
+            }
+        }
+        return this.config.grazeChance;
+    }
+
     update(delta) {
         const deer = this.deer;
         let speed = 0;
@@ -44,18 +66,15 @@ export class DeerAI {
                     deer.model.rotation.y += (Math.random() - 0.5) * 0.3;
                 }
                 
-                // Wait 1.5-3 seconds before transitioning (more natural pause)
-                const idleDuration = 1.5 + Math.random() * 1.5;
+                // Short pause (1.5-3 seconds), or a long lie-up when bedded; storms stretch it out
+                const idleDuration = deer.idleDuration / getDeerActivity();
                 if (deer.stateTimer > idleDuration) {
-                    // Deer should visit water at least twice per game day
-                    // Thirst threshold of 180 real seconds = deer drinks every ~3 real minutes = 4x per day
-                    const thirstThreshold = 180;
-                    
-                    if (deer.timeSinceLastDrink > thirstThreshold) {
+                    // Deer water on a pattern: on the way to bed, on the way out to feed, and at night
+                    if (deer.schedule.isDrinkDue()) {
                         deer.setState('THIRSTY');
                     } else {
-                        // 30% graze, 70% wander - deer should move frequently
-                        deer.setState(Math.random() < 0.3 ? 'GRAZING' : 'WANDERING');
+                        // Mostly wander unless the schedule has the deer feeding
+                        deer.setState(Math.random() < deer.schedule.getGrazeChance(this.getGrazeChance()) ? 'GRAZING' : 'WANDERING');
                     }
                 }
                 break;
@@ -70,7 +89,7 @@ export class DeerAI {
                 } else {
                     // Only move if we have a valid target
                     speed = this.config.speeds.wandering * delta;
-                    deer.movement.smoothRotateTowards(deer.movement.getWanderTarget(), delta);
+                    deer.movement.steerTowards(deer.movement.getWanderTarget(), delta);
                     deer.movement.moveWithCollisionDetection(speed, delta);
                 }
                 break;
@@ -81,18 +100,15 @@ export class DeerAI {
                 
                 if (gameContext.waterBodies && gameContext.waterBodies.length > 0) {
                     for (const waterBody of gameContext.waterBodies) {
-                        // Get water center and radius
-                        const waterCenter = waterBody.position;
-                        const waterRadius = (waterBody.userData?.config?.size || 92) / 2;
-                        
-                        // Calculate direction from water center to deer (reuse temp vector)
-                        this._tempVec3.subVectors(deer.model.position, waterCenter).normalize();
+                        // Nearest point on this body's shoreline (ponds, irregular ponds and creeks alike)
+                        const shore = getNearestShorePoint(waterBody, deer.model.position.x, deer.model.position.z);
                         
-                        // Calculate edge point (water center + direction * (radius - 2))
-                        // Subtract 2 units to stop just at the edge, not in the water
-                        this._tempVec3b.copy(waterCenter)
-                            .add(this._tempVec3.multiplyScalar(waterRadius - 2));
-                        this._tempVec3b.y = deer.model.position.y; // Keep same height for distance calc
+                        // Edge point 2 units in from the shoreline, where the water actually starts
+                        this._tempVec3b.set(
+                            shore.x - shore.nx * 2,
+                            deer.model.position.y, // Keep same height for distance calc
+                            shore.z - shore.nz * 2
+                        );
                         
                         const distance = deer.model.position.distanceTo(this._tempVec3b);
                         if (distance < closestDistance) {
@@ -114,7 +130,7 @@ export class DeerAI {
                     } else {
                         // Move toward water edge
                         speed = this.config.speeds.thirsty * delta;
-                        deer.movement.smoothRotateTowards(waterEdgeTarget, delta);
+                        deer.movement.steerTowards(waterEdgeTarget, delta);
                         deer.movement.moveWithCollisionDetection(speed, delta);
                     }
                 } else {
@@ -141,16 +157,30 @@ export class DeerAI {
                 deer.movement.clearMovementHistory();
                 if (deer.stateTimer > this.config.stateTimers.drinking) {
                     deer.timeSinceLastDrink = 0;
+                    deer.schedule.markDrank();
                     // Transition to IDLE for a natural pause before next action
                     deer.setState('IDLE');
                 }
                 break;
+            case 'CURIOUS':
+                // Stock-still with head up, squared up to whatever caught its attention
+                deer.currentSpeed = 0;
+                deer.movement.currentSpeed = 0;
+                deer.movement.clearMovementHistory();
+                deer.movement.smoothRotateTowards(deer.suspicionSource, delta);
+                break;
             case 'ALERT':
                 // Deer should be stationary while alert
                 deer.currentSpeed = 0;
                 deer.movement.currentSpeed = 0;
                 deer.movement.clearMovementHistory();
                 
+                // Frozen after a gunshot it could place: face where it came from
+                if (deer.startle && deer.startle.located) {
+                    deer.movement.smoothRotateTowards(deer.noiseSource, delta);
+                    break;
+                }
+
                 // Turn counterclockwise (left) when alert instead of toward player
                 if (!deer.alertTurnDirection) {
                     // Calculate counterclockwise direction (90 degrees left from current facing)
@@ -178,61 +208,68 @@ export class DeerAI {
                     }
                 }
                 
-                // Calculate flee direction, but check if it leads to water
-                this._tempVec3.subVectors(deer.model.position, gameContext.player.position).normalize();
+                // Run the flee route over the navigation grid - over a rise or into cover - away
+                // from the hunter, or from wherever the deer thinks a gunshot came from
+                const threat = deer.getFleeThreat();
+                const fleeWaypoint = deer.movement.getFleeWaypoint(threat);
+                if (fleeWaypoint) {
+                    this._tempVec3b.copy(fleeWaypoint);
+                } else {
+                    // Calculate flee direction, but check if it leads to water
+                    this._tempVec3.subVectors(deer.model.position, threat).normalize();
                 
-                // Test if fleeing directly away would put deer in water
-                const testDistance = 10;
-                // Compute test position: deer pos + fleeDir * testDistance
-                const testX = deer.model.position.x + this._tempVec3.x * testDistance;
-                const testZ = deer.model.position.z + this._tempVec3.z * testDistance;
-                const fleeIntoWater = gameContext.isWaterAt ? gameContext.isWaterAt(testX, testZ) : false;
+                    // Test if fleeing directly away would put deer in water
+                    const testDistance = 10;
+                    // Compute test position: deer pos + fleeDir * testDistance
+                    const testX = deer.model.position.x + this._tempVec3.x * testDistance;
+                    const testZ = deer.model.position.z + this._tempVec3.z * testDistance;
+                    const fleeIntoWater = gameContext.isWaterAt ? gameContext.isWaterAt(testX, testZ) : false;
                 
-                if (fleeIntoWater) {
-                    // Try perpendicular directions using stored flee dir components
-                    const fdx = this._tempVec3.x;
-                    const fdz = this._tempVec3.z;
+                    if (fleeIntoWater) {
+                        // Try perpendicular directions using stored flee dir components
+                        const fdx = this._tempVec3.x;
+                        const fdz = this._tempVec3.z;
                     
-                    const leftX = deer.model.position.x + (-fdz) * testDistance;
-                    const leftZ = deer.model.position.z + fdx * testDistance;
-                    const rightX = deer.model.position.x + fdz * testDistance;
-                    const rightZ = deer.model.position.z + (-fdx) * testDistance;
+                        const leftX = deer.model.position.x + (-fdz) * testDistance;
+                        const leftZ = deer.model.position.z + fdx * testDistance;
+                        const rightX = deer.model.position.x + fdz * testDistance;
+                        const rightZ = deer.model.position.z + (-fdx) * testDistance;
                     
-                    const leftInWater = gameContext.isWaterAt ? gameContext.isWaterAt(leftX, leftZ) : false;
-                    const rightInWater = gameContext.isWaterAt ? gameContext.isWaterAt(rightX, rightZ) : false;
+                        const leftInWater = gameContext.isWaterAt ? gameContext.isWaterAt(leftX, leftZ) : false;
+                        const rightInWater = gameContext.isWaterAt ? gameContext.isWaterAt(rightX, rightZ) : false;
                     
-                    if (!leftInWater && !rightInWater) {
-                        const ldx = leftX - gameContext.player.position.x;
-                        const ldz = leftZ - gameContext.player.position.z;
-                        const rdx = rightX - gameContext.player.position.x;
-                        const rdz = rightZ - gameContext.player.position.z;
-                        if (ldx * ldx + ldz * ldz > rdx * rdx + rdz * rdz) {
-                            this._tempVec3.set(-fdz, 0, fdx); // perpLeft
-                        } else {
-                            this._tempVec3.set(fdz, 0, -fdx); // perpRight
+                        if (!leftInWater && !rightInWater) {
+                            const ldx = leftX - threat.x;
+                            const ldz = leftZ - threat.z;
+                            const rdx = rightX - threat.x;
+                            const rdz = rightZ - threat.z;
+                            if (ldx * ldx + ldz * ldz > rdx * rdx + rdz * rdz) {
+                                this._tempVec3.set(-fdz, 0, fdx); // perpLeft
+                            } else {
+                                this._tempVec3.set(fdz, 0, -fdx); // perpRight
+                            }
+                        } else if (!leftInWater) {
+                            this._tempVec3.set(-fdz, 0, fdx);
+                        } else if (!rightInWater) {
+                            this._tempVec3.set(fdz, 0, -fdx);
                         }
-                    } else if (!leftInWater) {
-                        this._tempVec3.set(-fdz, 0, fdx);
-                    } else if (!rightInWater) {
-                        this._tempVec3.set(fdz, 0, -fdx);
+                        // If both lead to water, keep original flee direction
                     }
-                    // If both lead to water, keep original flee direction
-                }
                 
-                // Compute target position for smooth rotation (reuse _tempVec3b)
-                this._tempVec3b.addVectors(deer.model.position, this._tempVec3);
+                    // Compute target position for smooth rotation (reuse _tempVec3b)
+                    this._tempVec3b.addVectors(deer.model.position, this._tempVec3);
+                }
                 deer.movement.smoothRotateTowards(this._tempVec3b, delta);
                 deer.movement.moveWithCollisionDetection(speed, delta);
                 
                 if (deer.stateTimer > this.config.stateTimers.fleeing) {
-                    // Generate new wander target AWAY from player, not random
+                    // Generate new wander target AWAY from the threat, not random
                     // This prevents deer from immediately walking back toward the hunter
-                    this._tempVec3.subVectors(deer.model.position, gameContext.player.position).normalize();
+                    this._tempVec3.subVectors(deer.model.position, threat).normalize();
                     
-                    // Set wander target 50-100 units further away from player
+                    // Set wander target 50-100 units further away from it
                     const fleeDistance = 50 + Math.random() * 50;
-                    const worldSize = gameContext.terrain ? 
-                        gameContext.terrain.geometry.parameters.width / 2 : 500;
+                    const worldSize = gameContext.worldSize / 2;
                     const margin = 50;
                     const ntX = deer.model.position.x + this._tempVec3.x * fleeDistance;
                     const ntZ = deer.model.position.z + this._tempVec3.z * fleeDistance;
@@ -307,10 +344,7 @@ export class DeerAI {
                         if (distToPlayer < 25) {
                             // Bumped! Move away 50-150 yards
                             console.log(`🦌 Deer bumped! Was bedded, now moving again.`);
-                            woundState.isBedded = false;
-                            woundState.distanceTraveled = 0; // Reset for new short run
-                            woundState.beddingDistance = 30 + Math.random() * 70; // Short distance: 30-100 units
-                            woundState.findBeddingLocation();
+                            woundState.bumpFromBed();
                             
                             // Penalty for pushing a wounded deer - causes more suffering
                             // Per B&C: gut-shot deer should be given time before tracking
@@ -356,7 +390,7 @@ export class DeerAI {
                     const moveDir = woundState.getMovementDirection();
                     
                     // Apply boundary checking
-                    const worldSize = gameContext.terrain.geometry.parameters.width;
+                    const worldSize = gameContext.worldSize;
                     const boundary = worldSize / 2 - this.config.worldBoundaryMargin;
                     const safeBoundary = boundary * 0.8;
                     
@@ -374,7 +408,8 @@ export class DeerAI {
                     }
                     
                     // Proactive obstacle avoidance - check at multiple distances
-                    const lookAheadDistances = [4, 8, 12];
+                    // (not needed on a route over the navigation grid, which already leads around them)
+                    const lookAheadDistances = deer.movement.route ? [] : [4, 8, 12];
                     let obstacleAhead = false;
                     
                     for (const dist of lookAheadDistances) {
@@ -506,7 +541,7 @@ export class DeerAI {
     }
 
     checkBoundaries(deer) {
-        const worldSize = gameContext.terrain.geometry.parameters.width;
+        const worldSize = gameContext.worldSize;
         const boundary = worldSize / 2 - this.config.worldBoundaryMargin;
         
         let wasOutsideBoundary = false;
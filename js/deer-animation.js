@@ -2,6 +2,16 @@
 // Handles animation state management, transitions, and idle behaviors
 // Extracted from deer.js for better modularity
 
+import * as THREE from 'three';
+
+// States that lift the head to stare, and states that flag the tail
+const HEAD_UP_STATES = new Set(['CURIOUS', 'ALERT']);
+const TAIL_UP_STATES = new Set(['ALERT', 'FLEEING']);
+
+// Reusable objects for posture
+const _xAxis = new THREE.Vector3(1, 0, 0);
+const _lift = new THREE.Quaternion();
+
 export class DeerAnimation {
     constructor(deer, config) {
         this.deer = deer;
@@ -16,6 +26,26 @@ export class DeerAnimation {
         this.currentIdleBehavior = 'idle';
         this.idleBehaviorTimer = 0;
         this.idleBehaviorDuration = 3 + Math.random() * 4; // Random duration 3-7 seconds
+
+        // Posture bones, found once the model loads (either may be missing from the rig)
+        this.headBone = null;
+        this.tailBone = null;
+        this.headLift = 0; // 0-1 blend toward the lifted pose
+        this.tailLift = 0;
+        this.headPose = { base: new THREE.Quaternion(), written: new THREE.Quaternion() };
+        this.tailPose = { base: new THREE.Quaternion(), written: new THREE.Quaternion() };
+    }
+
+    /**
+     * Finds the head and tail bones (called from Deer.setupModel). Parents come before
+     * children in a traversal, so the first match is the bone nearest the root.
+     */
+    onModelLoaded() {
+        this.deer.model.traverse(child => {
+            if (!child.isBone) return;
+            if (!this.headBone && /head/i.test(child.name)) this.headBone = child;
+            if (!this.tailBone && /tail/i.test(child.name)) this.tailBone = child;
+        });
     }
 
     getAnimationForState() {
@@ -56,8 +86,9 @@ export class DeerAnimation {
             case 'DRINKING':
                 return 'idle'; // Use idle for drinking (no specific drinking animation)
                 
+            case 'CURIOUS':
             case 'ALERT':
-                return 'idle'; // Use idle for alert state
+                return 'idle'; // Use idle for curious and alert states - posture lifts the head
                 
             case 'FLEEING':
                 if (isMoving) return 'Run';
@@ -196,6 +227,7 @@ export class DeerAnimation {
             case 'IDLE':
             case 'GRAZING':
             case 'DRINKING':
+            case 'CURIOUS':
             case 'ALERT':
             case 'KILLED':
                 return 0;
@@ -217,6 +249,22 @@ export class DeerAnimation {
         this.updateIdleBehavior(delta);
         this.changeAnimationIfNecessary();
         this.updateAnimationSpeed();
+        this.updatePosture(delta);
+    }
+
+    /**
+     * Lifts the head of a curious or alert deer and flags the tail of an alert or fleeing
+     * one, on top of whatever the current clip is doing with those bones.
+     */
+    updatePosture(delta) {
+        const posture = this.config.posture;
+        const blend = Math.min(1, posture.blendRate * delta);
+        const state = this.deer.state;
+        this.headLift += ((HEAD_UP_STATES.has(state) ? 1 : 0) - this.headLift) * blend;
+        this.tailLift += ((TAIL_UP_STATES.has(state) ? 1 : 0) - this.tailLift) * blend;
+
+        liftBone(this.headBone, this.headPose, -posture.headLift * this.headLift);
+        liftBone(this.tailBone, this.tailPose, -posture.tailLift * this.tailLift);
     }
     
     /**
@@ -294,3 +342,16 @@ export class DeerAnimation {
         return currentAnimation === 'Walk' || currentAnimation === 'Run';
     }
 }
+
+/**
+ * Rotates a bone about its local x axis from the pose the mixer last gave it. A bone no clip
+ * animates keeps the quaternion we wrote last frame, so that pose is held as the base instead
+ * of stacking the lift frame after frame.
+ */
+function liftBone(bone, pose, angle) {
+    if (!bone) return;
+    if (!bone.quaternion.equals(pose.written)) pose.base.copy(bone.quaternion);
+    _lift.setFromAxisAngle(_xAxis, angle);
+    bone.quaternion.copy(pose.base).multiply(_lift);
+    pose.written.copy(bone.quaternion);
+}
@@ -0,0 +1,312 @@
+// --- DEER ANTLERS ---
+// Rolls each deer's sex and age class, grows a rack for bucks (point count, spread and mass
+// drawn from the age class), mounts it on the head bone, and measures it the way a Boone and
+// Crockett scorer would for the gross typical score.
+
+import * as THREE from 'three';
+import { getWorldRandom } from './random.js';
+
+const INCH = 0.0254; // Meters - racks are grown and scored in inches
+
+// Where along the main beam each typical point grows (0 = pedicle, 1 = tip) and how long it
+// is relative to the rack's tine length: short brow tines, long G2s, shorter toward the tip
+const TINE_POSITIONS = [0.12, 0.36, 0.56, 0.72, 0.85];
+const TINE_LENGTH_FACTORS = [0.45, 1, 0.85, 0.6, 0.4];
+
+// Circumference at H1-H4 relative to the base
+const CIRCUMFERENCE_FACTORS = [0.92, 0.86, 0.82, 0.74];
+
+// Left and right sides differ by up to this fraction, and one side sometimes gains or loses a point
+const SIDE_ASYMMETRY = 0.06;
+const UNEVEN_POINT_CHANCE = 0.25;
+
+// Mesh detail
+const BEAM_SEGMENTS = 8;
+const RADIAL_SEGMENTS = 6;
+const BEAM_TIP_TAPER = 0.3; // Tip radius relative to the base
+
+// Reusable objects for mounting and building
+const _up = new THREE.Vector3(0, 1, 0);
+const _dir = new THREE.Vector3();
+const _mount = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+const _scale = new THREE.Vector3();
+const _headQuat = new THREE.Quaternion();
+const _modelQuat = new THREE.Quaternion();
+
+/**
+ * @typedef {object} RackSide
+ * @property {number} points - Points on this side, counting the main beam tip
+ * @property {number} beamLength - Main beam length (inches)
+ * @property {number[]} tines - Typical point lengths G1, G2, ... (inches)
+ * @property {number[]} circumferences - H1-H4 circumferences (inches)
+ */
+
+/**
+ * @typedef {object} Rack
+ * @property {number} spread - Inside spread between the main beams (inches)
+ * @property {RackSide[]} sides - Left, then right
+ */
+
+export class DeerAntlers {
+    constructor(deer, config) {
+        this.deer = deer;
+        this.config = config;
+
+        /** @type {Rack|null} */
+        this.rack = null;
+        this.mesh = null;
+        this.modelLoaded = false;
+    }
+
+    /**
+     * Rolls the deer's sex, age class and rack from its own seeded stream, so a world seed
+     * always holds the same bucks. Call once the herd has assigned the deer's id.
+     */
+    generate() {
+        const deer = this.deer;
+        const random = getWorldRandom(`antlers:${deer.id}`);
+
+        deer.sex = this.config.sex || (random() < 0.5 ? 'male' : 'female');
+        deer.ageClass = rollAgeClass(this.config.ageClasses, random);
+        this.rack = deer.ageClass.antlers ? growRack(deer.ageClass.antlers, random) : null;
+
+        if (this.mesh) {
+            this.mesh.removeFromParent();
+            this.mesh = null;
+        }
+        this.attach();
+    }
+
+    /**
+     * Called once the deer's model has loaded (from Deer.setupModel)
+     */
+    onModelLoaded() {
+        this.modelLoaded = true;
+
+        // Every deer shares the buck model; hide any antlers it came with in favor of the grown rack
+        this.deer.model.traverse(child => {
+            if (child.isMesh && /antler/i.test(child.userData.sourceName || '')) {
+                child.visible = false;
+            }
+        });
+
+        this.attach();
+    }
+
+    /**
+     * Builds the rack and mounts it on the head bone so it follows the head's animation.
+     * The mount point is worked out in world space from the brain hitbox, so it doesn't
+     * matter how the bone itself is oriented or scaled.
+     */
+    attach() {
+        if (!this.rack || this.mesh || !this.modelLoaded) return;
+
+        const model = this.deer.model;
+        const head = this.deer.animation.headBone || model;
+        const rackGroup = buildRackMesh(this.rack, this.config.antlers.color);
+
+        model.updateMatrixWorld(true);
+        model.getWorldQuaternion(_modelQuat);
+
+        const brain = this.config.brain.offset;
+        const mountOffset = this.config.antlers.mountOffset;
+        _mount.set(brain.x, brain.y, brain.z);
+        model.localToWorld(_mount);
+        _offset.set(mountOffset.x, mountOffset.y, mountOffset.z).applyQuaternion(_modelQuat);
+        _mount.add(_offset);
+        head.worldToLocal(_mount);
+        rackGroup.position.copy(_mount);
+
+        head.getWorldQuaternion(_headQuat);
+        rackGroup.quaternion.copy(_headQuat.invert().multiply(_modelQuat));
+
+        // The rack is built in meters; undo whatever scale the bone carries
+        head.getWorldScale(_scale);
+        rackGroup.scale.set(1 / _scale.x, 1 / _scale.y, 1 / _scale.z);
+
+        head.add(rackGroup);
+        this.mesh = rackGroup;
+    }
+
+    /**
+     * @returns {number|null} Gross typical score in inches, or null for an antlerless deer
+     */
+    getGrossScore() {
+        return this.rack ? scoreRack(this.rack) : null;
+    }
+
+    /**
+     * @returns {string} e.g. '3½ years, 8-point' or 'Yearling' for antlerless deer
+     */
+    describe() {
+        const ageLabel = this.deer.ageClass ? this.deer.ageClass.label : '';
+        return this.rack ? `${ageLabel}, ${describeRack(this.rack)}` : ageLabel;
+    }
+}
+
+/**
+ * Picks an age class by weight.
+ * @param {{age: number, label: string, weight: number}[]} ageClasses
+ * @param {function(): number} random
+ */
+export function rollAgeClass(ageClasses, random) {
+    const total = ageClasses.reduce((sum, ageClass) => sum + ageClass.weight, 0);
+    let roll = random() * total;
+    for (const ageClass of ageClasses) {
+        roll -= ageClass.weight;
+        if (roll <= 0) return ageClass;
+    }
+    return ageClasses[ageClasses.length - 1];
+}
+
+/**
+ * Grows a rack within an age class's ranges.
+ * @param {object} spec - The age class's antlers ranges (see deerClassConfigs.buck)
+ * @param {function(): number} random
+ * @returns {Rack}
+ */
+export function growRack(spec, random) {
+    const maxPoints = TINE_POSITIONS.length + 1;
+    const points = Math.min(maxPoints, Math.floor(spec.points.min + random() * (spec.points.max - spec.points.min + 1)));
+    const spread = between(spec.spread, random);
+    const beamLength = between(spec.beamLength, random);
+    const tineLength = between(spec.tineLength, random);
+    const baseCircumference = between(spec.baseCircumference, random);
+
+    const sides = [];
+    for (let side = 0; side < 2; side++) {
+        let sidePoints = points;
+        if (side === 1 && random() < UNEVEN_POINT_CHANCE) {
+            sidePoints = Math.max(1, Math.min(maxPoints, points + (random() < 0.5 ? -1 : 1)));
+        }
+        const tines = [];
+        for (let i = 0; i < sidePoints - 1; i++) {
+            tines.push(vary(tineLength * TINE_LENGTH_FACTORS[i], 0.15, random));
+        }
+        const base = vary(baseCircumference, SIDE_ASYMMETRY / 2, random);
+        sides.push({
+            points: sidePoints,
+            beamLength: vary(beamLength, SIDE_ASYMMETRY, random),
+            tines,
+            circumferences: CIRCUMFERENCE_FACTORS.map(factor => base * factor)
+        });
+    }
+
+    return { spread, sides };
+}
+
+/**
+ * Gross typical score: inside spread (credited up to the longer main beam), both main
+ * beams, every typical point, and the four circumferences on each side. Rounded to the
+ * eighth of an inch the way score sheets are.
+ * @param {Rack} rack
+ * @returns {number} Inches
+ */
+export function scoreRack(rack) {
+    const longerBeam = Math.max(...rack.sides.map(side => side.beamLength));
+    let score = Math.min(rack.spread, longerBeam);
+    for (const side of rack.sides) {
+        score += side.beamLength;
+        score += side.tines.reduce((sum, tine) => sum + tine, 0);
+        score += side.circumferences.reduce((sum, c) => sum + c, 0);
+    }
+    return Math.round(score * 8) / 8;
+}
+
+/**
+ * @param {number} inches - A score in inches
+ * @returns {string} Score in whole inches and eighths, e.g. '142 3/8'
+ */
+export function formatScore(inches) {
+    const whole = Math.floor(inches);
+    let eighths = Math.round((inches - whole) * 8);
+    if (eighths === 0) return `${whole}`;
+    let denominator = 8;
+    while (eighths % 2 === 0) {
+        eighths /= 2;
+        denominator /= 2;
+    }
+    return `${whole} ${eighths}/${denominator}`;
+}
+
+/**
+ * Hunter's name for a rack, counting points on both sides.
+ * @param {Rack} rack
+ * @returns {string} e.g. 'Spike', '8-point'
+ */
+export function describeRack(rack) {
+    const [left, right] = rack.sides.map(side => side.points);
+    if (left === 1 && right === 1) return 'Spike';
+    return `${left + right}-point`;
+}
+
+function between(range, random) {
+    return range.min + random() * (range.max - range.min);
+}
+
+function vary(value, amount, random) {
+    return value * (1 + (random() * 2 - 1) * amount);
+}
+
+/**
+ * Builds the rack in meters: +y up, +z forward, pedicles at the origin. Left is +x.
+ * @param {Rack} rack
+ * @param {number} color
+ * @returns {THREE.Group}
+ */
+function buildRackMesh(rack, color) {
+    const group = new THREE.Group();
+    group.name = 'antlers';
+    const material = new THREE.MeshLambertMaterial({ color });
+    const halfSpread = rack.spread * INCH / 2;
+
+    rack.sides.forEach((side, index) => {
+        const s = index === 0 ? 1 : -1;
+        const length = side.beamLength * INCH;
+
+        // The main beam sweeps back and out from the pedicle, then forward and in toward the tip
+        const curve = new THREE.CatmullRomCurve3([
+            new THREE.Vector3(s * 0.02, 0, 0),
+            new THREE.Vector3(s * halfSpread * 0.45, length * 0.28, -length * 0.22),
+            new THREE.Vector3(s * (halfSpread + 0.02), length * 0.45, -length * 0.05),
+            new THREE.Vector3(s * halfSpread * 0.95, length * 0.52, length * 0.22),
+            new THREE.Vector3(s * halfSpread * 0.6, length * 0.55, length * 0.42)
+        ]);
+        const baseRadius = side.circumferences[0] * INCH / (2 * Math.PI);
+        const radiusAt = t => baseRadius * (1 - (1 - BEAM_TIP_TAPER) * t);
+
+        let previous = curve.getPointAt(0);
+        for (let i = 1; i <= BEAM_SEGMENTS; i++) {
+            const t = i / BEAM_SEGMENTS;
+            const point = curve.getPointAt(t);
+            addSegment(group, previous, point, radiusAt((i - 1) / BEAM_SEGMENTS), radiusAt(t), material);
+            previous = point;
+        }
+
+        // Typical points rise off the top of the beam, leaning a little forward and out
+        side.tines.forEach((tineLength, i) => {
+            const t = TINE_POSITIONS[i];
+            const base = curve.getPointAt(t);
+            _dir.set(s * 0.15, 1, 0.25).normalize();
+            const tip = base.clone().addScaledVector(_dir, tineLength * INCH);
+            addSegment(group, base, tip, radiusAt(t) * 0.8, radiusAt(t) * 0.2, material);
+        });
+    });
+
+    return group;
+}
+
+/**
+ * Adds a tapered cylinder running from one point to another.
+ */
+function addSegment(group, from, to, radiusFrom, radiusTo, material) {
+    _dir.subVectors(to, from);
+    const length = _dir.length();
+    const geometry = new THREE.CylinderGeometry(radiusTo, radiusFrom, length, RADIAL_SEGMENTS);
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.addVectors(from, to).multiplyScalar(0.5);
+    mesh.quaternion.setFromUnitVectors(_up, _dir.normalize());
+    mesh.castShadow = true;
+    group.add(mesh);
+}
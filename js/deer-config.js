@@ -134,16 +134,125 @@ export const deerConfig = {
     },
 
     // AI Behavior
-    alertDistanceThreshold: 250,  // Increased from 60 - deer becomes alert at longer distance
-    fleeDistanceThreshold: 150,   // Increased from 35 - deer flees when player gets closer
+    wariness: 1,                 // Scales how fast suspicion builds (practice mode lowers it)
+    woundSurvivorWariness: 1.5,  // Wariness multiplier for a deer that survived a night wounded
     wanderMinRadius: 15,         // Reduced from 20 - deer stays closer to current area
     wanderMaxRadiusAddition: 40, // Reduced from 50 - less wandering range
     wanderTargetReachThreshold: 5.0,
+    grazeChance: 0.3,            // Chance an idle deer grazes rather than wanders
+    trailFollowChance: 0.3,      // Chance a new wander target is picked on a game trail
+    gruntRate: 0,                // Grunts per minute while on the move
+    bleatRate: 0,                // Contact bleats per minute
+    snortWheezeChance: 0,        // Chance a buck answers a rival's grunt or rattling with a snort-wheeze
+    callResponse: { grunt: 0.1, rattle: 0 }, // Chance of coming in to the hunter's grunt call or rattling
     stateTimers: {
         grazing: 4,              // Reduced from 6 - less time stationary
         drinking: 6,             // Reduced from 8 - less time spent drinking
         fleeing: 12,             // Deer runs away for 12 seconds after alert
     },
+    // Daily schedule: feed in the open overnight, travel trails to a bed in thick cover at
+    // dawn, bed through midday, travel back out at dusk. Hours are offsets from the
+    // season's dawn, dusk and nightfall, so the pattern follows the length of the day.
+    schedule: {
+        dawnTravelStart: -0.5,   // Hours from dawn: leave the feeding area
+        bedStart: 2,             // Hours from dawn: bedded down
+        duskTravelStart: -1.5,   // Hours from dusk: up and heading out to feed
+        feedStart: 0.5,          // Hours from nightfall: in the feeding area
+        drinkAfterDawn: 1.5,     // Water stops: on the way in, on the way out, and mid-night
+        drinkBeforeDusk: 1,
+        drinkAfterNightfall: 3,
+        jitterHours: 0.5,        // Each deer (or family) runs up to this far ahead of or behind the clock
+        bedSiteRadius: 12,       // Deer mill about within these radii once they arrive
+        feedSiteRadius: 30,
+        bedIdleDuration: { min: 20, max: 45 }, // Seconds bedded before getting up to stretch
+        feedingGrazeChance: 0.8,
+        travelTrailFollowChance: 0.8,
+    },
+    // Memory of run-ins with the hunter. Each encounter leaves pressure on the ground around
+    // it that fades over days; wander targets avoid pressured ground and a bedding or feeding
+    // area under too much pressure is given up for a new one.
+    memory: {
+        radius: 60,              // Ground around an encounter the deer shies away from
+        halfLifeDays: 2,         // Pressure halves every two in-game days
+        strengths: {             // Pressure left by each kind of encounter
+            seen: 0.5,
+            heard: 0.4,
+            smelled: 0.7,
+            shotAt: 1,
+        },
+        maxPressure: 2,          // Repeat encounters at one spot stack up to this
+        siteAbandonPressure: 0.8,
+        maxEncounters: 24,
+    },
+    // Vocalizations and how far other deer hear them (world units). The hunter's calls
+    // are heard from farther off; calling too often in a short spell gives the hunter away.
+    voice: {
+        stompInterval: { min: 2.5, max: 6 }, // Seconds between foot stomps while alert
+        hearingRanges: {
+            grunt: 120,
+            bleat: 150,
+            snortWheeze: 100,
+            stomp: 60,
+        },
+        callHearingRanges: {     // The hunter's grunt tube and rattling antlers
+            grunt: 200,
+            rattle: 350,
+        },
+        investigateStandoff: { min: 15, max: 35 }, // How short of a call a curious deer stops
+        separatedBleatMultiplier: 4, // Family members bleat more when they've lost the group
+    },
+    // How well a deer picks the hunter out by eye. Visibility (0-1) is the product of distance,
+    // light, clothing, backdrop cover and how fast the hunter is moving.
+    vision: {
+        range: 200,              // Farthest a deer can make out the hunter (kneeling halves the effective distance)
+        closeRange: 8,           // Inside this nothing hides the hunter
+        lowLightFactor: 0.35,    // Visibility in full dark relative to daylight - deer see well at dawn and dusk
+        backdropFactor: 0.5,     // Cover behind the hunter breaks up their outline
+        stillFactor: 0.1,        // A motionless hunter relative to one walking
+        walkingSpeed: 1.5,       // Hunter speed (units/s) that counts as walking
+        maxMotionFactor: 2,      // Running stands out at most this much more than walking
+        elevatedFactor: 0.5,     // A hunter up in a tree stand is above where deer look
+    },
+    // Suspicion (0-1) rises with every cue the deer picks up and drains once nothing registers.
+    // Crossing `curious` the deer stops and stares toward the cue, crossing `alert` it stomps
+    // and flags its tail, and at 1 it runs. Gains are suspicion per second.
+    suspicion: {
+        curious: 0.3,
+        alert: 0.6,
+        sightThreshold: 0.15,    // Visibility below this doesn't register - a still hunter rarely does
+        sightGain: 1,            // Per unit of visibility above the threshold
+        watchfulSightMultiplier: 2, // A curious or alert deer is looking hard for whatever it sensed
+        soundGain: 0.6,          // Per noise level, at the noise source; fades to nothing at its range
+        scentGain: 2,            // Human scent is never ignored
+        decay: 0.05,             // Drains this fast once nothing registers
+    },
+    // Gunshots and other loud noises (see noise.js). A deer that can place the sound stands
+    // frozen for a beat, then runs from where it thinks it came from. One that can't place
+    // it stands listening for a few seconds before it settles or bolts.
+    hearing: {
+        localizeLoudness: 0.3,   // Fainter than this and the deer can't tell where it came from
+        echoConfusion: 0.5,      // Chance a sound muffled by a ridge can't be placed either
+        bearingError: 0.6,       // Radians a placed sound's direction can be off, at the faintest
+        fleeLoudness: 0.15,      // A placed sound at least this loud sends the deer running
+        freezeDuration: { min: 0.5, max: 1.5 },  // Seconds frozen before running from a placed sound
+        listenDuration: { min: 3, max: 7 },      // Seconds standing when it couldn't place the sound
+        unplacedFleeChance: 0.35, // Chance a deer that couldn't place the sound bolts anyway
+    },
+    // Routes over the navigation grid (see nav-grid.js). A fleeing deer scores the ground
+    // around it by how far it gets from the hunter, whether a rise hides it, and cover,
+    // less the length of the run; the best spot becomes the end of its flee route.
+    navigation: {
+        waypointReach: 2,        // Close enough to a waypoint to head for the next one
+        rerouteDistance: 8,      // Plan again once the destination has moved this far
+        rerouteInterval: 1,      // Seconds between route plans
+        fleeSearchRadius: 90,    // Ground considered around where the deer jumped
+        fleeMinDistance: 40,     // Shortest run it will settle for
+        fleeRouteCost: 0.5,      // Score lost per unit of route cost
+        fleeApproachPenalty: 4,  // Extra route cost per unit for a step back toward the hunter
+        concealedBonus: 40,      // Score for ground the hunter can't see into
+        coverBonus: 3,           // Score per unit of cover, counted up to maxCover
+        maxCover: 5,
+    },
     speeds: {
         wandering: 0.98,         // +10% from 0.89
         thirsty: 1.76,           // +10% from 1.6
@@ -159,6 +268,11 @@ export const deerConfig = {
     },
     legRotationAmplitude: 0.5,
     neckLerpFactor: 0.1,
+    posture: {
+        headLift: 0.35,          // Radians the head comes up while curious or alert
+        tailLift: 1.1,           // Radians the tail flags up while alert or fleeing
+        blendRate: 4,            // How quickly the deer moves into and out of a posture
+    },
     neckRotations: {
         grazing: Math.PI / 2.5,
         drinking: Math.PI / 2,
@@ -178,8 +292,80 @@ export const deerConfig = {
         bloodOpacityStart: 0.9, // Increased from 0.8 - more visible blood
         bloodFadeDurationS: 5400, // Increased from 4500 - blood lasts longer
         bloodDropCreationDistanceThreshold: 0.8, // Reduced from 1.3 to place blood drops closer to tracks
+        overnightBloodAgeS: 3600, // A night out ages every drop this much on top of the clock
+        overnightBloodLoss: 0.4,  // Share of drops gone by morning (dew, rain, scavengers)
     },
 
     // Spawning
     respawnBoundaryMargin: 100,
+
+    // Antlers are built procedurally in inches (as a scorer measures them) and mounted
+    // on the head bone. Age classes and rack sizes are per class below.
+    antlers: {
+        color: 0xCBB79A,
+        mountOffset: { x: 0, y: 0.08, z: -0.04 }, // Meters from the brain hitbox to the pedicles
+    },
+};
+
+// --- HERD CONFIGURATION ---
+// Per-class overrides merged over deerConfig for each herd member.
+// All classes share the same model and hitbox layout; hitboxes scale with the model.
+export const deerClassConfigs = {
+    buck: {
+        label: 'Buck',
+        sex: 'male',
+        // Age structure of the buck herd, and the rack each age class grows (inches).
+        // Points are per side and include the main beam tip.
+        ageClasses: [
+            {
+                age: 1.5, label: 'Yearling', weight: 0.35,
+                antlers: { points: { min: 1, max: 3 }, spread: { min: 6, max: 11 }, beamLength: { min: 8, max: 14 }, tineLength: { min: 1, max: 3 }, baseCircumference: { min: 2.6, max: 3.4 } }
+            },
+            {
+                age: 2.5, label: '2½ years', weight: 0.3,
+                antlers: { points: { min: 3, max: 4 }, spread: { min: 10, max: 14 }, beamLength: { min: 13, max: 18 }, tineLength: { min: 2, max: 6 }, baseCircumference: { min: 3.2, max: 4 } }
+            },
+            {
+                age: 3.5, label: '3½ years', weight: 0.2,
+                antlers: { points: { min: 4, max: 5 }, spread: { min: 13, max: 17 }, beamLength: { min: 17, max: 21 }, tineLength: { min: 3, max: 8 }, baseCircumference: { min: 3.8, max: 4.6 } }
+            },
+            {
+                age: 4.5, label: 'Mature (4½+)', weight: 0.15,
+                antlers: { points: { min: 4, max: 6 }, spread: { min: 15, max: 20 }, beamLength: { min: 20, max: 25 }, tineLength: { min: 4, max: 11 }, baseCircumference: { min: 4.3, max: 5.4 } }
+            },
+        ],
+        gruntRate: 0.3,
+        callResponse: { grunt: 0.3, rattle: 0.2 },
+    },
+    doe: {
+        label: 'Doe',
+        sex: 'female',
+        ageClasses: [
+            { age: 1.5, label: 'Yearling', weight: 0.3 },
+            { age: 2.5, label: '2½ years', weight: 0.3 },
+            { age: 3.5, label: 'Mature (3½+)', weight: 0.4 },
+        ],
+        scale: 1.35,             // ~10% smaller frame than a mature buck
+        bleatRate: 0.1,
+    },
+    fawn: {
+        label: 'Fawn',
+        sex: null,               // Either - rolled at spawn (a male fawn is a button buck)
+        ageClasses: [
+            { age: 0.5, label: 'Fawn', weight: 1 },
+        ],
+        scale: 0.95,             // Late-season fawn, roughly 60% of buck size
+        wariness: 0.8,           // Less wary than adults - relies on the herd
+        bleatRate: 0.4,
+        callResponse: { grunt: 0.15, rattle: 0 }, // Curious, but only about other deer
+    },
+};
+
+export const herdConfig = {
+    // Default composition when a world preset doesn't specify one
+    composition: { buck: 1, doe: 2, fawn: 2 },
+    familySpawnRadius: 20,       // Does and fawns spawn within this distance of the lead doe
+    cohesionRadius: 25,          // Family members drift back toward the lead doe beyond this
+    alarmHearingRange: 150,      // Herd members within this range react to another's blow
+    alarmAlertDuration: 8,       // Seconds a herd-alarmed deer stays alert without sensing the hunter itself
 };
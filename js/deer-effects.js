@@ -4,6 +4,7 @@
 
 import * as THREE from 'three';
 import { gameContext } from './context.js';
+import { getBloodWashoutRate } from './weather.js';
 
 // Shared scratch vector reused by effect creation (avoids a per-track
 // Vector3 allocation for the travel-direction calculation).
@@ -189,7 +190,7 @@ export class DeerEffects {
         drop.rotation.z = Math.random() * Math.PI * 2; // Randomize rotation
 
         this.lastBloodDropPosition.copy(this.deer.model.position);
-        this.bloodDrops.push({ mesh: drop, creationTime: gameContext.clock.getElapsed() });
+        this.bloodDrops.push({ mesh: drop, creationTime: gameContext.clock.getElapsed(), washout: 0 });
         
         // Store blood drop position for GPS map
         if (!gameContext.bloodDrops) gameContext.bloodDrops = [];
@@ -244,17 +245,20 @@ export class DeerEffects {
         // Add to scene and track for cleanup
         if (gameContext.scene) {
             gameContext.scene.add(shotBlood);
-            this.bloodDrops.push({ mesh: shotBlood, creationTime: gameContext.clock.getElapsed() });
+            this.bloodDrops.push({ mesh: shotBlood, creationTime: gameContext.clock.getElapsed(), washout: 0 });
         }
     }
 
     updateBloodDrops() {
         const currentTime = gameContext.clock.getElapsed();
+        // Rain ages blood faster than time alone
+        const washout = getBloodWashoutRate() * (gameContext.deltaTime || 0);
         // Use in-place removal to avoid creating new array every frame
         let writeIndex = 0;
         for (let i = 0; i < this.bloodDrops.length; i++) {
             const drop = this.bloodDrops[i];
-            const age = currentTime - drop.creationTime;
+            drop.washout += washout;
+            const age = currentTime - drop.creationTime + drop.washout;
             const opacity = this.config.tracking.bloodOpacityStart - (age / this.config.tracking.bloodFadeDurationS);
 
             if (opacity <= 0) {
@@ -271,6 +275,19 @@ export class DeerEffects {
         this.bloodDrops.length = writeIndex; // Truncate array in place
     }
 
+    /**
+     * Ages the blood trail by a night out: every drop fades by ageSeconds and a share of
+     * them is gone by morning. Removal happens on the next updateBloodDrops().
+     * @param {number} ageSeconds - Extra age added to each drop
+     * @param {number} lossFraction - Chance each drop is lost outright
+     * @param {function(): number} [random=Math.random] - Random stream to roll losses from
+     */
+    degradeBloodTrail(ageSeconds, lossFraction, random = Math.random) {
+        for (const drop of this.bloodDrops) {
+            drop.washout += random() < lossFraction ? Infinity : ageSeconds;
+        }
+    }
+
     // Update all visual effects
     update() {
         this.updateTracks();
@@ -0,0 +1,98 @@
+// --- DEER MEMORY ---
+// Each deer remembers where it ran into the hunter: where it saw, heard or smelled them
+// and where it was shot at. The memory fades over in-game days, but ground that keeps
+// getting hunted stays pressured and the deer move their routine away from it.
+
+import { HOURS_IN_DAY } from './constants.js';
+import { gameContext } from './context.js';
+
+// Encounters fading below this pressure are forgotten
+const MIN_ENCOUNTER_PRESSURE = 0.05;
+
+export class DeerMemory {
+    constructor(deer, config) {
+        this.deer = deer;
+        this.config = config;
+
+        /** @type {{x: number, z: number, pressure: number, kind: string}[]} */
+        this.encounters = [];
+        this.lastHour = null;
+    }
+
+    /**
+     * Fades every encounter by the game time passed since the last call, counting every
+     * day that went by in between (midnight or "Jump to Next Day") and the skipped nights.
+     */
+    decay() {
+        const hour = (gameContext.dayCount || 0) * HOURS_IN_DAY + gameContext.gameTime;
+        if (this.lastHour === null) {
+            this.lastHour = hour;
+            return;
+        }
+        const elapsedHours = hour - this.lastHour;
+        this.lastHour = hour;
+        if (elapsedHours <= 0 || this.encounters.length === 0) return;
+
+        const factor = Math.pow(0.5, elapsedHours / (this.config.memory.halfLifeDays * HOURS_IN_DAY));
+        let writeIndex = 0;
+        for (const encounter of this.encounters) {
+            encounter.pressure *= factor;
+            if (encounter.pressure >= MIN_ENCOUNTER_PRESSURE) {
+                this.encounters[writeIndex++] = encounter;
+            }
+        }
+        this.encounters.length = writeIndex;
+    }
+
+    /**
+     * Remembers a run-in with the hunter. A new encounter close to a remembered one
+     * adds to it, so the same ground hunted again and again builds up pressure.
+     * @param {'seen'|'heard'|'smelled'|'shotAt'} kind - How the deer met the hunter
+     * @param {{x: number, z: number}} position - Where it happened
+     */
+    recordEncounter(kind, position) {
+        this.decay();
+        const settings = this.config.memory;
+        const pressure = settings.strengths[kind] ?? 0;
+        if (pressure <= 0) return;
+
+        const mergeDistSq = (settings.radius / 2) ** 2;
+        const existing = this.encounters.find(e => (e.x - position.x) ** 2 + (e.z - position.z) ** 2 < mergeDistSq);
+        if (existing) {
+            existing.pressure = Math.min(settings.maxPressure, existing.pressure + pressure);
+            existing.kind = kind;
+        } else {
+            this.encounters.push({ x: position.x, z: position.z, pressure, kind });
+            if (this.encounters.length > settings.maxEncounters) {
+                // Forget the faintest memory
+                let weakest = 0;
+                for (let i = 1; i < this.encounters.length; i++) {
+                    if (this.encounters[i].pressure < this.encounters[weakest].pressure) weakest = i;
+                }
+                this.encounters.splice(weakest, 1);
+            }
+        }
+
+        this.deer.schedule.reconsiderSites();
+    }
+
+    /**
+     * How strongly the deer associates a spot with the hunter. Each encounter's pressure
+     * falls off linearly to zero at the memory radius.
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {number} 0 for ground the deer has no bad memories of
+     */
+    getPressureAt(x, z) {
+        this.decay();
+        const radius = this.config.memory.radius;
+        let total = 0;
+        for (const encounter of this.encounters) {
+            const distance = Math.hypot(encounter.x - x, encounter.z - z);
+            if (distance < radius) {
+                total += encounter.pressure * (1 - distance / radius);
+            }
+        }
+        return total;
+    }
+}
@@ -6,6 +6,20 @@
 import * as THREE from 'three';
 import { gameContext } from './context.js';
 import { isOnTrail } from './trails.js';
+import { herdConfig } from './deer-config.js';
+import { getShoreDistance, getNearestShorePoint, getWaterLevelAt } from './water.js';
+
+// Distance from a shoreline (world units) within which deer steer away from the water
+const NEARBY_WATER_DISTANCE = 25;
+
+// How far a rutting buck will cruise toward a doe he's after
+const RUT_DOE_SEARCH_RANGE = 400;
+
+// Trail points sampled when looking for one that leads toward the deer's destination
+const TRAIL_TARGET_ATTEMPTS = 6;
+
+// Random wander targets tried before the deer gives up and stays put
+const WANDER_TARGET_ATTEMPTS = 10;
 
 export class DeerMovement {
     constructor(deer, config) {
@@ -40,11 +54,9 @@ export class DeerMovement {
         this.forcedAvoidanceDirection = null;
         this.forcedAvoidanceTimer = 0;
         
-        // Player movement detection
-        this.MOVEMENT_DETECTION_THRESHOLD = 0.2; // Reduced from 0.3 to 0.2 seconds for even faster detection
-        this.MOVEMENT_DISTANCE_THRESHOLD = 0.005; // Reduced from 0.01 to 0.005 for much higher sensitivity
-        this.movementSampleCount = 0;
-        this.REQUIRED_MOVEMENT_SAMPLES = 1; // Keep at 1 to detect even slight movement
+        // Route over the navigation grid: { purpose: 'travel'|'flee', goal, waypoints, index }
+        this.route = null;
+        this.nextRouteTime = 0; // Clock time before which no new route is planned
         
         // Reusable objects for hot-path methods (avoid per-frame allocations)
         this._tempVec3 = new THREE.Vector3();
@@ -53,29 +65,37 @@ export class DeerMovement {
         this._tempQuat = new THREE.Quaternion();
         this._currentQuat = new THREE.Quaternion(); // For smoothRotateTowards
         this._upAxis = new THREE.Vector3(0, 1, 0);
+        this._sidestepPoint = new THREE.Vector3();
     }
 
     /**
      * Generate a new random wander target within boundaries, avoiding water
-     * Optionally follows trails for more natural forest behavior (30% chance)
+     * Optionally follows trails for more natural forest behavior (30% chance, more while traveling)
+     * Heads for the bedding or feeding area the deer's daily schedule calls for
      */
     generateNewWanderTarget() {
-        const worldSize = gameContext.terrain ? gameContext.terrain.geometry.parameters.width : 1000;
+        const worldSize = gameContext.worldSize;
         const boundary = worldSize / 2 - this.config.worldBoundaryMargin;
         
         // If deer is in flee recovery, only generate targets away from player
         const inFleeRecovery = this.deer.fleeRecoveryTime > 0;
         const playerPos = gameContext.player ? gameContext.player.position : null;
         
-        // 30% chance to try to find a trail target for realistic forest behavior
+        // Bedding or feeding area for this time of day (null before the schedule has sites)
+        const anchor = this.deer.schedule ? this.deer.schedule.getWanderAnchor() : null;
+        const trailFollowChance = this.deer.schedule
+            ? this.deer.schedule.getTrailFollowChance(this.config.trailFollowChance)
+            : this.config.trailFollowChance;
+        
+        // Chance to try to find a trail target for realistic forest behavior
         // Deer naturally use trails even if they lead toward the hunter (realistic behavior)
         // Skip trail following only during flee recovery
-        if (!inFleeRecovery && Math.random() < 0.3 && gameContext.trails && gameContext.trails.children.length > 0) {
-            const trailTarget = this.findTrailTarget(boundary);
+        if (!inFleeRecovery && Math.random() < trailFollowChance && gameContext.trails && gameContext.trails.children.length > 0) {
+            const trailTarget = this.findTrailTarget(boundary, anchor);
             if (trailTarget) {
                 // Verify trail target is not in water
                 const inWater = gameContext.isWaterAt ? gameContext.isWaterAt(trailTarget.x, trailTarget.z) : false;
-                if (!inWater) {
+                if (!inWater && !this.shunsGround(trailTarget.x, trailTarget.z)) {
                     this.wanderTarget.copy(trailTarget);
                     return;
                 }
@@ -87,30 +107,36 @@ export class DeerMovement {
         let nearbyWaterZ = 0;
         let hasNearbyWater = false;
         if (gameContext.waterBodies && gameContext.waterBodies.length > 0) {
+            const { x, z } = this.deer.model.position;
             for (const waterBody of gameContext.waterBodies) {
-                const waterX = waterBody.position.x;
-                const waterZ = waterBody.position.z;
-                const waterRadius = (waterBody.userData?.config?.size || 92) / 2;
-                const distToWater = Math.sqrt(
-                    (this.deer.model.position.x - waterX) ** 2 + 
-                    (this.deer.model.position.z - waterZ) ** 2
-                );
-                // If deer is within 1.5x water radius, remember this water body
-                if (distToWater < waterRadius * 1.5) {
-                    nearbyWaterX = waterX;
-                    nearbyWaterZ = waterZ;
+                // If deer is close to the shore, remember a point out in the water to head away from
+                if (getShoreDistance(waterBody, x, z) < NEARBY_WATER_DISTANCE) {
+                    const shore = getNearestShorePoint(waterBody, x, z);
+                    nearbyWaterX = shore.x - shore.nx * NEARBY_WATER_DISTANCE;
+                    nearbyWaterZ = shore.z - shore.nz * NEARBY_WATER_DISTANCE;
                     hasNearbyWater = true;
                     break;
                 }
             }
         }
         
-        // Try up to 10 times to find a valid target not in water
-        for (let attempt = 0; attempt < 10; attempt++) {
+        // Rutting bucks often head for the nearest doe instead of a random bearing
+        const doeAngle = this.config.seekDoeChance && Math.random() < this.config.seekDoeChance
+            ? this.getNearestDoeAngle()
+            : null;
+        
+        const anchorDistance = anchor
+            ? Math.hypot(anchor.x - this.deer.model.position.x, anchor.z - this.deer.model.position.z)
+            : Infinity;
+        
+        // Try several times to find a valid target not in water
+        for (let attempt = 0; attempt < WANDER_TARGET_ATTEMPTS; attempt++) {
             let angle = Math.random() * Math.PI * 2;
-            const distance = this.config.wanderMinRadius + Math.random() * this.config.wanderMaxRadiusAddition;
+            let distance = this.config.wanderMinRadius + Math.random() * this.config.wanderMaxRadiusAddition;
+            let originX = this.deer.model.position.x;
+            let originZ = this.deer.model.position.z;
             
-            // If near water, bias angle away from water center
+            // If near water, bias angle away from the water
             if (hasNearbyWater) {
                 const awayFromWater = Math.atan2(
                     this.deer.model.position.z - nearbyWaterZ,
@@ -120,7 +146,33 @@ export class DeerMovement {
                 angle = awayFromWater + (Math.random() - 0.5) * (Math.PI * 2 / 3);
             }
             
-            // During flee recovery, bias angle away from player (overrides water bias)
+            // Head for the scheduled area, or mill about inside it once there
+            if (anchor) {
+                if (anchorDistance > anchor.radius) {
+                    angle = Math.atan2(anchor.z - originZ, anchor.x - originX) + (Math.random() - 0.5) * (Math.PI / 3);
+                    distance = Math.min(distance, anchorDistance);
+                } else {
+                    originX = anchor.x;
+                    originZ = anchor.z;
+                    distance = Math.random() * anchor.radius;
+                }
+            }
+            
+            // Family members drift back toward their lead doe when they stray too far
+            const leader = this.deer.herdLeader;
+            if (leader && leader.state !== 'KILLED') {
+                const ldx = leader.model.position.x - this.deer.model.position.x;
+                const ldz = leader.model.position.z - this.deer.model.position.z;
+                if (ldx * ldx + ldz * ldz > herdConfig.cohesionRadius * herdConfig.cohesionRadius) {
+                    angle = Math.atan2(ldz, ldx) + (Math.random() - 0.5) * (Math.PI / 3);
+                }
+            }
+            
+            if (doeAngle !== null) {
+                angle = doeAngle + (Math.random() - 0.5) * (Math.PI / 3);
+            }
+            
+            // During flee recovery, bias angle away from player (overrides water and herd bias)
             if (inFleeRecovery && playerPos) {
                 const awayFromPlayer = Math.atan2(
                     this.deer.model.position.z - playerPos.z,
@@ -130,8 +182,8 @@ export class DeerMovement {
                 angle = awayFromPlayer + (Math.random() - 0.5) * (Math.PI * 2 / 3);
             }
             
-            let targetX = this.deer.model.position.x + Math.cos(angle) * distance;
-            let targetZ = this.deer.model.position.z + Math.sin(angle) * distance;
+            let targetX = originX + Math.cos(angle) * distance;
+            let targetZ = originZ + Math.sin(angle) * distance;
             
             // Clamp to world boundaries
             targetX = Math.max(-boundary, Math.min(boundary, targetX));
@@ -140,8 +192,13 @@ export class DeerMovement {
             // Check if target is in water
             let inWater = gameContext.isWaterAt ? gameContext.isWaterAt(targetX, targetZ) : false;
             
-            // Also check if the PATH to the target crosses water (sample 3 points along the way)
-            if (!inWater && gameContext.isWaterAt) {
+            // Also check the deer can get there. Routes lead around water, so over the navigation
+            // grid only targets cut off from the deer are out; without it, the straight line
+            // to the target mustn't cross water (sample 3 points along the way)
+            if (!inWater && gameContext.navGrid) {
+                const { x, z } = this.deer.model.position;
+                inWater = !gameContext.navGrid.isReachable(x, z, targetX, targetZ);
+            } else if (!inWater && gameContext.isWaterAt) {
                 const deerX = this.deer.model.position.x;
                 const deerZ = this.deer.model.position.z;
                 for (let t = 0.25; t <= 0.75; t += 0.25) {
@@ -170,6 +227,12 @@ export class DeerMovement {
                 }
             }
             
+            // Steer clear of ground where the hunter has turned up before, but take the
+            // last candidate regardless so a pressured deer doesn't freeze in place
+            if (attempt < WANDER_TARGET_ATTEMPTS - 1 && this.shunsGround(targetX, targetZ)) {
+                continue;
+            }
+            
             if (!inWater) {
                 this.wanderTarget.set(targetX, this.deer.model.position.y, targetZ);
                 return;
@@ -180,43 +243,88 @@ export class DeerMovement {
         this.wanderTarget.copy(this.deer.model.position);
     }
     
+    /**
+     * Rolls whether the deer refuses to go somewhere it remembers the hunter from.
+     * The more pressure on the spot, the likelier it is turned down.
+     * @param {number} x - World X of the candidate target
+     * @param {number} z - World Z of the candidate target
+     * @returns {boolean} True if the target should be passed over
+     */
+    shunsGround(x, z) {
+        if (!this.deer.memory) return false;
+        return Math.random() < this.deer.memory.getPressureAt(x, z);
+    }
+    
+    /**
+     * Bearing from this deer to the nearest living doe in the herd
+     * @returns {number|null} Angle in the XZ plane, or null if no doe is in range
+     */
+    getNearestDoeAngle() {
+        const members = gameContext.herd ? gameContext.herd.members : [];
+        const { x, z } = this.deer.model.position;
+        let nearest = null;
+        let nearestDistSq = RUT_DOE_SEARCH_RANGE * RUT_DOE_SEARCH_RANGE;
+        for (const member of members) {
+            if (member.deerClass !== 'doe' || member.state === 'KILLED') continue;
+            const dx = member.model.position.x - x;
+            const dz = member.model.position.z - z;
+            const distSq = dx * dx + dz * dz;
+            if (distSq < nearestDistSq) {
+                nearestDistSq = distSq;
+                nearest = member;
+            }
+        }
+        if (!nearest) return null;
+        return Math.atan2(nearest.model.position.z - z, nearest.model.position.x - x);
+    }
+    
     /**
      * Find a point on a trail to use as wander target
      * @param {number} boundary - World boundary limit
+     * @param {{x: number, z: number}|null} [destination] - Only accept trail points that bring the deer closer to this
      * @returns {THREE.Vector3|null} Trail point or null if none found
      */
-    findTrailTarget(boundary) {
+    findTrailTarget(boundary, destination = null) {
         if (!gameContext.trails || gameContext.trails.children.length === 0) {
             return null;
         }
         
-        // Pick a random trail
         const trails = gameContext.trails.children;
-        const randomTrail = trails[Math.floor(Math.random() * trails.length)];
-        
-        if (!randomTrail || !randomTrail.geometry || !randomTrail.geometry.attributes.position) {
-            return null;
-        }
-        
-        const positions = randomTrail.geometry.attributes.position;
-        const vertexCount = positions.count;
-        
-        if (vertexCount < 4) return null;
-        
-        // Pick a random point along the trail
-        const randomIndex = Math.floor(Math.random() * (vertexCount / 2)) * 2;
-        
-        const x = positions.getX(randomIndex);
-        const z = positions.getZ(randomIndex);
-        
-        // Make sure it's within bounds and a reasonable distance away
-        if (Math.abs(x) < boundary && Math.abs(z) < boundary) {
-            const deerPos = this.deer.model.position;
-            const distance = Math.sqrt((x - deerPos.x) ** 2 + (z - deerPos.z) ** 2);
+        const deerPos = this.deer.model.position;
+        const attempts = destination ? TRAIL_TARGET_ATTEMPTS : 1;
+        const currentDistSq = destination
+            ? (destination.x - deerPos.x) ** 2 + (destination.z - deerPos.z) ** 2
+            : Infinity;
+        
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            // Pick a random trail
+            const randomTrail = trails[Math.floor(Math.random() * trails.length)];
             
-            if (distance > 15 && distance < 100) {
-                this._tempVec3.set(x, 0, z);
-                return this._tempVec3;
+            if (!randomTrail || !randomTrail.geometry || !randomTrail.geometry.attributes.position) {
+                continue;
+            }
+            
+            const positions = randomTrail.geometry.attributes.position;
+            const vertexCount = positions.count;
+            
+            if (vertexCount < 4) continue;
+            
+            // Pick a random point along the trail
+            const randomIndex = Math.floor(Math.random() * (vertexCount / 2)) * 2;
+            
+            const x = positions.getX(randomIndex);
+            const z = positions.getZ(randomIndex);
+            
+            // Make sure it's within bounds and a reasonable distance away
+            if (Math.abs(x) < boundary && Math.abs(z) < boundary) {
+                const distance = Math.sqrt((x - deerPos.x) ** 2 + (z - deerPos.z) ** 2);
+                const towardDestination = !destination ||
+                    (destination.x - x) ** 2 + (destination.z - z) ** 2 < currentDistSq;
+                
+                if (distance > 15 && distance < 100 && towardDestination) {
+                    this._tempVec3.set(x, 0, z);
+                    return this._tempVec3;
+                }
             }
         }
         
@@ -272,21 +380,9 @@ export class DeerMovement {
         if (!inWater && gameContext.waterBodies && gameContext.waterBodies.length > 0) {
             const terrainAtNewPos = gameContext.getCachedHeightAt(newPosition.x, newPosition.z);
             for (const waterBody of gameContext.waterBodies) {
-                const waterX = waterBody.position.x;
-                const waterZ = waterBody.position.z;
-                const waterY = waterBody.position.y;
-                const distance = Math.sqrt(
-                    (newPosition.x - waterX) * (newPosition.x - waterX) + 
-                    (newPosition.z - waterZ) * (newPosition.z - waterZ)
-                );
-                
-                let waterRadius = 10;
-                if (waterBody.userData && waterBody.userData.config) {
-                    waterRadius = waterBody.userData.config.size / 2;
-                }
-                
-                // If within water radius and terrain is below water level, treat as water
-                if (distance <= waterRadius && terrainAtNewPos < waterY - 0.5) {
+                // If within the water outline and terrain is below water level, treat as water
+                if (getShoreDistance(waterBody, newPosition.x, newPosition.z) <= 0 &&
+                    terrainAtNewPos < getWaterLevelAt(waterBody, newPosition.x, newPosition.z) - 0.5) {
                     inWater = true;
                     break;
                 }
@@ -294,14 +390,7 @@ export class DeerMovement {
         }
         
         // Check if position is within valid world boundaries
-        // Default world size if terrain geometry isn't available yet
-        let worldSize = 1000;
-        
-        // Safely access terrain geometry if available
-        if (gameContext && gameContext.terrain && gameContext.terrain.geometry && 
-            gameContext.terrain.geometry.parameters && gameContext.terrain.geometry.parameters.width) {
-            worldSize = gameContext.terrain.geometry.parameters.width;
-        }
+        const worldSize = gameContext.worldSize;
         
         const boundary = worldSize / 2 - 20; // 20 units from edge
         const outOfBounds = Math.abs(newPosition.x) > boundary || Math.abs(newPosition.z) > boundary;
@@ -404,22 +493,9 @@ export class DeerMovement {
         // Check if near any water body and ensure deer is above water level
         if (gameContext.waterBodies && gameContext.waterBodies.length > 0) {
             for (const waterBody of gameContext.waterBodies) {
-                const waterX = waterBody.position.x;
-                const waterZ = waterBody.position.z;
-                const waterY = waterBody.position.y;
-                const distance = Math.sqrt(
-                    (position.x - waterX) * (position.x - waterX) + 
-                    (position.z - waterZ) * (position.z - waterZ)
-                );
-                
-                // Get water body radius
-                let waterRadius = 10;
-                if (waterBody.userData && waterBody.userData.config) {
-                    waterRadius = waterBody.userData.config.size / 2;
-                }
-                
-                // If deer is near water (within 1.5x radius), ensure it's above water level
-                if (distance <= waterRadius * 1.5) {
+                // If deer is near water, ensure it's above water level
+                if (getShoreDistance(waterBody, position.x, position.z) <= NEARBY_WATER_DISTANCE) {
+                    const waterY = getWaterLevelAt(waterBody, position.x, position.z);
                     const minHeight = waterY + this.deer.config.heightOffset + 0.5; // Stay 0.5 units above water
                     if (targetHeight < minHeight) {
                         targetHeight = minHeight;
@@ -442,7 +518,7 @@ export class DeerMovement {
             return;
         }
         
-        const worldSize = gameContext.terrain ? gameContext.terrain.geometry.parameters.width : 1000;
+        const worldSize = gameContext.worldSize;
         const boundary = worldSize / 2 - this.config.worldBoundaryMargin;
         
         // Get current facing direction (reuse _tempVec3)
@@ -479,19 +555,27 @@ export class DeerMovement {
             if (inBounds && noTree && noWater) {
                 // Found a clear direction - recompute direction for target
                 this._tempVec3b.copy(this._tempVec3).applyAxisAngle(this._upAxis, angle);
-                const ntX = currentPosition.x + this._tempVec3b.x * 15;
-                const ntZ = currentPosition.z + this._tempVec3b.z * 15;
-                this.wanderTarget.set(
-                    Math.max(-boundary, Math.min(boundary, ntX)),
-                    currentPosition.y,
-                    Math.max(-boundary, Math.min(boundary, ntZ))
-                );
+                
+                // A deer on a route keeps its destination and plans afresh once it has sidestepped
+                if (!this.route) {
+                    const ntX = currentPosition.x + this._tempVec3b.x * 15;
+                    const ntZ = currentPosition.z + this._tempVec3b.z * 15;
+                    this.wanderTarget.set(
+                        Math.max(-boundary, Math.min(boundary, ntX)),
+                        currentPosition.y,
+                        Math.max(-boundary, Math.min(boundary, ntZ))
+                    );
+                }
                 
                 // Store forced avoidance direction and lock it for a short time
                 this._tempVec3b.normalize();
                 if (!this.forcedAvoidanceDirection) this.forcedAvoidanceDirection = new THREE.Vector3();
                 this.forcedAvoidanceDirection.copy(this._tempVec3b);
                 this.forcedAvoidanceTimer = 0.8; // Lock direction for 0.8 seconds
+                if (this.route) {
+                    this.clearRoute();
+                    this.nextRouteTime = gameContext.clock.getElapsed() + this.forcedAvoidanceTimer;
+                }
                 
                 // Also update wound state flee direction if deer is wounded
                 if (this.deer.state === 'WOUNDED' && this.deer.woundState && this.deer.woundState.fleeDirection) {
@@ -539,7 +623,7 @@ export class DeerMovement {
             this._tempVec3b.set(tpX, this._originalPos.y, tpZ);
             
             // Check if this position is within world bounds
-            const worldSize = gameContext.terrain ? gameContext.terrain.geometry.parameters.width : 1000;
+            const worldSize = gameContext.worldSize;
             const boundary = worldSize / 2 - this.config.worldBoundaryMargin;
             const withinBounds = Math.abs(tpX) <= boundary && Math.abs(tpZ) <= boundary;
             const noTreeCollision = !gameContext.checkTreeCollision(this._tempVec3b, 0.7);
@@ -599,39 +683,6 @@ export class DeerMovement {
         this.lastPosition.copy(this.deer.model.position);
     }
 
-    /**
-     * Track player movement for detection logic
-     * @param {THREE.Vector3} playerPosition - Current player position
-     * @param {THREE.Vector3} lastPlayerPosition - Previous player position
-     */
-    trackPlayerMovement(playerPosition, lastPlayerPosition) {
-        const playerMovementDistance = playerPosition.distanceTo(lastPlayerPosition);
-        
-        if (playerMovementDistance > this.MOVEMENT_DISTANCE_THRESHOLD) {
-            this.movementSampleCount++;
-            
-            if (!this.deer.isTrackingPlayerMovement && this.movementSampleCount >= this.REQUIRED_MOVEMENT_SAMPLES) {
-                // Start tracking movement after enough consecutive movement samples
-                this.deer.isTrackingPlayerMovement = true;
-                this.deer.playerMovementStartTime = gameContext.clock.getElapsed();
-            } else if (this.deer.isTrackingPlayerMovement) {
-                const movementDuration = gameContext.clock.getElapsed() - this.deer.playerMovementStartTime;
-                if (movementDuration >= this.MOVEMENT_DETECTION_THRESHOLD && !this.deer.hasDetectedMovingPlayer) {
-                    this.deer.hasDetectedMovingPlayer = true;
-                }
-            }
-        } else {
-            // Player is not moving - reset movement sample count
-            this.movementSampleCount = Math.max(0, this.movementSampleCount - 1);
-            
-            if (this.movementSampleCount === 0 && this.deer.isTrackingPlayerMovement) {
-                // Player stopped moving - reset tracking
-                this.deer.isTrackingPlayerMovement = false;
-                this.deer.playerMovementStartTime = 0;
-            }
-        }
-    }
-
     /**
      * Update movement speed tracking
      * @param {number} speed - Current movement speed
@@ -690,11 +741,110 @@ export class DeerMovement {
         this.lastPosition.copy(this.deer.model.position);
         this.movementHistory.fill(0);
         this.movementHistoryIndex = 0;
-        this.movementSampleCount = 0;
         this.consecutiveStuckChecks = 0;
         this.emergencyEscapeActive = false;
         this.movementSpeed = 0;
         this.currentSpeed = 0;
+        this.clearRoute();
+    }
+
+    /**
+     * Turn toward a destination along a route over the navigation grid, planning one when
+     * there isn't one yet or the destination has moved. Without a grid or a route the deer
+     * heads straight for it and relies on the obstacle avoidance in moveWithCollisionDetection.
+     * @param {THREE.Vector3} destination - Where the deer is going
+     * @param {number} delta - Time delta for smooth rotation
+     */
+    steerTowards(destination, delta) {
+        this.smoothRotateTowards(this.getRouteWaypoint(destination), delta);
+    }
+
+    /**
+     * @param {THREE.Vector3} destination - Where the deer is going
+     * @returns {THREE.Vector3} The next point to head for on the way there
+     */
+    getRouteWaypoint(destination) {
+        const sidestep = this.getSidestepPoint();
+        if (sidestep) return sidestep;
+        
+        const route = this.route;
+        const settings = this.config.navigation;
+        const stale = !route || route.purpose !== 'travel' ||
+            horizontalDistanceSq(route.goal, destination) > settings.rerouteDistance * settings.rerouteDistance;
+        if (stale && this.canPlanRoute()) {
+            const { x, z } = this.deer.model.position;
+            this.startRoute('travel', destination, gameContext.navGrid.findPath(x, z, destination.x, destination.z));
+        }
+        
+        const waypoint = this.route && this.route.purpose === 'travel' ? this.advanceRoute() : null;
+        return waypoint || destination;
+    }
+
+    /**
+     * Next point on a flee route away from a threat: over the nearest rise that hides the
+     * deer from it or into cover, via the navigation grid. A deer still running when it gets
+     * there picks its next spot from where it ended up.
+     * @param {THREE.Vector3} threat - What the deer is running from
+     * @returns {THREE.Vector3|null} Null without a route, for the caller to run straight away
+     */
+    getFleeWaypoint(threat) {
+        const sidestep = this.getSidestepPoint();
+        if (sidestep) return sidestep;
+        
+        const route = this.route;
+        const finished = route && route.index >= route.waypoints.length;
+        if ((!route || route.purpose !== 'flee' || finished) && this.canPlanRoute()) {
+            const { x, z } = this.deer.model.position;
+            this.startRoute('flee', threat, gameContext.navGrid.findFleeRoute(x, z, threat, this.config.navigation));
+        }
+        
+        return this.route && this.route.purpose === 'flee' ? this.advanceRoute() : null;
+    }
+
+    /**
+     * While a collision has the deer locked into a sidestep, a point a little way along it
+     * @returns {THREE.Vector3|null}
+     */
+    getSidestepPoint() {
+        if (this.forcedAvoidanceTimer <= 0 || !this.forcedAvoidanceDirection) return null;
+        return this._sidestepPoint.addVectors(this.deer.model.position, this.forcedAvoidanceDirection);
+    }
+
+    canPlanRoute() {
+        return gameContext.navGrid !== null && gameContext.clock.getElapsed() >= this.nextRouteTime;
+    }
+
+    /**
+     * @param {'travel'|'flee'} purpose
+     * @param {THREE.Vector3} goal - Destination, or the threat for a flee route
+     * @param {THREE.Vector3[]|null} waypoints - From the navigation grid; null drops the route
+     */
+    startRoute(purpose, goal, waypoints) {
+        this.route = waypoints ? { purpose, goal: goal.clone(), waypoints, index: 0 } : null;
+        this.nextRouteTime = gameContext.clock.getElapsed() + this.config.navigation.rerouteInterval;
+    }
+
+    /**
+     * Moves past every waypoint the deer has reached.
+     * @returns {THREE.Vector3|null} The waypoint to head for, or null once the route is done
+     */
+    advanceRoute() {
+        const route = this.route;
+        const position = this.deer.model.position;
+        const reach = this.config.navigation.waypointReach;
+        while (route.index < route.waypoints.length &&
+            horizontalDistanceSq(position, route.waypoints[route.index]) < reach * reach) {
+            route.index++;
+        }
+        return route.index < route.waypoints.length ? route.waypoints[route.index] : null;
+    }
+
+    /**
+     * Drop the current route (the deer changed what it's doing, or was moved)
+     */
+    clearRoute() {
+        this.route = null;
+        this.nextRouteTime = 0;
     }
 
     /**
@@ -760,3 +910,9 @@ export class DeerMovement {
         return this.isMoving;
     }
 }
+
+function horizontalDistanceSq(a, b) {
+    const dx = a.x - b.x;
+    const dz = a.z - b.z;
+    return dx * dx + dz * dz;
+}
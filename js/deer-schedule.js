@@ -0,0 +1,297 @@
+// --- DEER DAILY SCHEDULE ---
+// Gives each deer a bedding area in thick cover and a feeding area in the open, and decides
+// which one it is working toward at each hour: feeding overnight, traveling trails to bed at
+// dawn, bedded through midday, back out along the trails at dusk, with water stops on the way.
+// Sites are seeded per deer and kept for the whole hunt, so scouting a deer's pattern pays off.
+
+import { gameContext } from './context.js';
+import { HOURS_IN_DAY } from './constants.js';
+import { getDaylightHours } from './seasons.js';
+import { getWorldRandom } from './random.js';
+import { getCoverDensity } from './wound-system.js';
+
+// Bedding area search: grid around the deer's home range, scored by cover density
+const BED_SEARCH_RADIUS = 150;
+const BED_SEARCH_STEP = 20;
+const MIN_BED_COVER = 2;
+
+// Feeding area search: random candidates around the bedding area, preferring open grass
+const FEED_SITE_CANDIDATES = 24;
+const FEED_SITE_DISTANCE = { min: 60, max: 250 };
+const GRASS_FEED_RADIUS = 20;
+const GRASS_FEED_BONUS = 1.5; // Score per grass cluster in reach, capped below
+const MAX_GRASS_FEED_BONUS = 6;
+
+// Short pause between actions when not bedded
+const IDLE_DURATION = { min: 1.5, max: 3 };
+
+// Site score lost per unit of remembered hunting pressure
+const SITE_PRESSURE_PENALTY = 4;
+
+export class DeerSchedule {
+    constructor(deer, config) {
+        this.deer = deer;
+        this.config = config;
+
+        this.bedSite = null;   // { x, z } in thick cover
+        this.feedSite = null;  // { x, z } in the open
+        this.jitter = 0;       // Hours this deer runs behind (+) or ahead (-) of the clock
+        this.drankSlot = -1;   // Index of the drink slot the deer last drank in
+        this.random = null;    // Seeded stream the sites are drawn from
+    }
+
+    /**
+     * Picks the bedding and feeding areas around the deer's spawn point. Each deer draws
+     * from its own seeded stream so the same world seed gives the same patterns.
+     */
+    chooseSites() {
+        const home = this.deer.spawnPosition || this.deer.model.position;
+        this.random = getWorldRandom(`schedule:${this.deer.id}`);
+        const settings = this.config.schedule;
+        const pressureAt = this.getPressureFn();
+
+        this.jitter = (this.random() * 2 - 1) * settings.jitterHours;
+        this.bedSite = findBeddingArea(home.x, home.z, this.random, pressureAt);
+        this.feedSite = findFeedingArea(this.bedSite.x, this.bedSite.z, this.random, pressureAt);
+        this.drankSlot = this.getDrinkSlot();
+    }
+
+    /**
+     * Gives up a bedding or feeding area the deer has been pushed out of too often and
+     * picks a new one away from the pressure. Called whenever the deer's memory grows.
+     */
+    reconsiderSites() {
+        if (!this.bedSite || !this.deer.memory) return;
+        const memory = this.deer.memory;
+        const threshold = this.config.memory.siteAbandonPressure;
+        const pressureAt = this.getPressureFn();
+
+        if (memory.getPressureAt(this.bedSite.x, this.bedSite.z) > threshold) {
+            this.bedSite = findBeddingArea(this.bedSite.x, this.bedSite.z, this.random, pressureAt);
+            console.log(`🛏️ ${this.deer.label} moved its bedding area to (${this.bedSite.x.toFixed(0)}, ${this.bedSite.z.toFixed(0)})`);
+        }
+        if (memory.getPressureAt(this.feedSite.x, this.feedSite.z) > threshold) {
+            this.feedSite = findFeedingArea(this.bedSite.x, this.bedSite.z, this.random, pressureAt);
+            console.log(`🌾 ${this.deer.label} moved its feeding area to (${this.feedSite.x.toFixed(0)}, ${this.feedSite.z.toFixed(0)})`);
+        }
+    }
+
+    /**
+     * @returns {function(number, number): number} Remembered hunting pressure at a point
+     */
+    getPressureFn() {
+        const memory = this.deer.memory;
+        return memory ? (x, z) => memory.getPressureAt(x, z) : () => 0;
+    }
+
+    /**
+     * Family members keep their lead doe's schedule so the group moves together.
+     * @returns {DeerSchedule} The schedule this deer follows
+     */
+    getPlan() {
+        const leader = this.deer.herdLeader;
+        if (leader && leader.state !== 'KILLED' && leader.schedule.bedSite) {
+            return leader.schedule;
+        }
+        return this;
+    }
+
+    /**
+     * @returns {'feeding'|'morning-travel'|'bedding'|'evening-travel'} What the deer is doing at this hour
+     */
+    getPhase() {
+        const plan = this.getPlan();
+        const settings = this.config.schedule;
+        const { dawnStart, duskStart, nightStart } = getDaylightHours();
+        const hour = ((gameContext.gameTime - plan.jitter) % HOURS_IN_DAY + HOURS_IN_DAY) % HOURS_IN_DAY;
+
+        if (hour >= dawnStart + settings.dawnTravelStart && hour < dawnStart + settings.bedStart) return 'morning-travel';
+        if (hour >= dawnStart + settings.bedStart && hour < duskStart + settings.duskTravelStart) return 'bedding';
+        if (hour >= duskStart + settings.duskTravelStart && hour < nightStart + settings.feedStart) return 'evening-travel';
+        return 'feeding';
+    }
+
+    /**
+     * Area the deer's wandering should stay in or head toward for the current phase.
+     * Travel phases head for the site at the far end of the trip.
+     * @returns {{x: number, z: number, radius: number}|null} Site and the radius it mills about in, or null without sites
+     */
+    getWanderAnchor() {
+        const plan = this.getPlan();
+        if (!plan.bedSite) return null;
+        const settings = this.config.schedule;
+        const phase = this.getPhase();
+        if (phase === 'morning-travel' || phase === 'bedding') {
+            return { x: plan.bedSite.x, z: plan.bedSite.z, radius: settings.bedSiteRadius };
+        }
+        return { x: plan.feedSite.x, z: plan.feedSite.z, radius: settings.feedSiteRadius };
+    }
+
+    /**
+     * @param {{x: number, z: number, radius: number}|null} anchor - From getWanderAnchor()
+     * @returns {boolean} True if the deer is inside the anchor's area
+     */
+    isInside(anchor) {
+        if (!anchor) return false;
+        const dx = this.deer.model.position.x - anchor.x;
+        const dz = this.deer.model.position.z - anchor.z;
+        return dx * dx + dz * dz <= anchor.radius * anchor.radius;
+    }
+
+    /**
+     * @returns {boolean} True if it's bedding time and the deer is in its bedding area
+     */
+    isBedded() {
+        return this.getPhase() === 'bedding' && this.isInside(this.getWanderAnchor());
+    }
+
+    /**
+     * Rolls how long the deer stays idle. Bedded deer lie up for a long spell before
+     * getting up to stretch; otherwise it's a short look around.
+     * @returns {number} Seconds
+     */
+    rollIdleDuration() {
+        const { min, max } = this.isBedded() ? this.config.schedule.bedIdleDuration : IDLE_DURATION;
+        return min + Math.random() * (max - min);
+    }
+
+    /**
+     * Chance an idle deer grazes rather than wanders at this point in its day.
+     * @param {number} baseChance - The deer's normal graze chance (season and time adjusted)
+     * @returns {number}
+     */
+    getGrazeChance(baseChance) {
+        const phase = this.getPhase();
+        if (phase === 'feeding' && this.isInside(this.getWanderAnchor())) {
+            return Math.max(baseChance, this.config.schedule.feedingGrazeChance);
+        }
+        if (phase === 'morning-travel' || phase === 'evening-travel') {
+            return baseChance * 0.5; // Travelling deer only snatch a bite here and there
+        }
+        return baseChance;
+    }
+
+    /**
+     * Chance a new wander target is picked on a game trail. Deer travel the trails between
+     * bed and feed, but leave them alone once they've arrived.
+     * @param {number} baseChance - The deer's normal trail follow chance
+     * @returns {number}
+     */
+    getTrailFollowChance(baseChance) {
+        const anchor = this.getWanderAnchor();
+        if (!anchor) return baseChance;
+        if (this.isInside(anchor)) return 0;
+        const phase = this.getPhase();
+        if (phase === 'morning-travel' || phase === 'evening-travel') {
+            return Math.max(baseChance, this.config.schedule.travelTrailFollowChance);
+        }
+        return baseChance;
+    }
+
+    /**
+     * Index of the most recent drink slot (after dawn, before dusk, after nightfall).
+     * Before the first slot of the day it's still the previous night's slot.
+     * @returns {number}
+     */
+    getDrinkSlot() {
+        const plan = this.getPlan();
+        const settings = this.config.schedule;
+        const { dawnStart, duskStart, nightStart } = getDaylightHours();
+        const slots = [
+            dawnStart + settings.drinkAfterDawn,
+            duskStart - settings.drinkBeforeDusk,
+            nightStart + settings.drinkAfterNightfall
+        ];
+        // Jitter can push the hour past midnight either way
+        const hour = ((gameContext.gameTime - plan.jitter) % HOURS_IN_DAY + HOURS_IN_DAY) % HOURS_IN_DAY;
+        let slot = slots.length - 1;
+        for (let i = 0; i < slots.length; i++) {
+            if (hour >= slots[i]) slot = i;
+        }
+        return slot;
+    }
+
+    /**
+     * @returns {boolean} True if a drink slot has come round since the deer last drank
+     */
+    isDrinkDue() {
+        if (!gameContext.waterBodies || gameContext.waterBodies.length === 0) return false;
+        return this.getDrinkSlot() !== this.drankSlot;
+    }
+
+    markDrank() {
+        this.drankSlot = this.getDrinkSlot();
+    }
+
+    /**
+     * Short description of what the deer is doing, for scouting entries in the hunt report.
+     * @returns {string} e.g. 'bedded', 'feeding', 'traveling'
+     */
+    describeActivity() {
+        switch (this.deer.state) {
+            case 'THIRSTY': return 'heading to water';
+            case 'DRINKING': return 'drinking';
+            case 'GRAZING': return 'feeding';
+            case 'CURIOUS': return 'curious';
+            case 'ALERT': return 'on alert';
+        }
+        const phase = this.getPhase();
+        if (phase === 'bedding') return this.isBedded() ? 'bedded' : 'heading to bed';
+        if (phase === 'feeding') return 'feeding';
+        return 'traveling';
+    }
+}
+
+function findBeddingArea(homeX, homeZ, random, pressureAt) {
+    const boundary = gameContext.worldSize / 2 - BED_SEARCH_STEP;
+    let best = { x: homeX, z: homeZ };
+    let bestScore = -Infinity;
+    for (let dx = -BED_SEARCH_RADIUS; dx <= BED_SEARCH_RADIUS; dx += BED_SEARCH_STEP) {
+        for (let dz = -BED_SEARCH_RADIUS; dz <= BED_SEARCH_RADIUS; dz += BED_SEARCH_STEP) {
+            if (dx * dx + dz * dz > BED_SEARCH_RADIUS * BED_SEARCH_RADIUS) continue;
+            const x = homeX + dx;
+            const z = homeZ + dz;
+            if (Math.abs(x) > boundary || Math.abs(z) > boundary) continue;
+            if (gameContext.isWaterAt && gameContext.isWaterAt(x, z)) continue;
+            const density = getCoverDensity(x, z);
+            if (density < MIN_BED_COVER) continue;
+            // Jitter breaks ties so every deer in a uniform woods doesn't pick the same corner
+            const score = density + random() - pressureAt(x, z) * SITE_PRESSURE_PENALTY;
+            if (score > bestScore) {
+                bestScore = score;
+                best = { x, z };
+            }
+        }
+    }
+    return best;
+}
+
+function findFeedingArea(bedX, bedZ, random, pressureAt) {
+    const boundary = gameContext.worldSize / 2 - BED_SEARCH_STEP;
+    const clusters = gameContext.grassClusterPositions || [];
+    let best = null;
+    let bestScore = -Infinity;
+    for (let i = 0; i < FEED_SITE_CANDIDATES; i++) {
+        const angle = random() * Math.PI * 2;
+        const distance = FEED_SITE_DISTANCE.min + random() * (FEED_SITE_DISTANCE.max - FEED_SITE_DISTANCE.min);
+        const x = Math.max(-boundary, Math.min(boundary, bedX + Math.cos(angle) * distance));
+        const z = Math.max(-boundary, Math.min(boundary, bedZ + Math.sin(angle) * distance));
+        if (gameContext.isWaterAt && gameContext.isWaterAt(x, z)) continue;
+
+        let grassBonus = 0;
+        for (const cluster of clusters) {
+            const cdx = cluster.x - x;
+            const cdz = cluster.z - z;
+            if (cdx * cdx + cdz * cdz < GRASS_FEED_RADIUS * GRASS_FEED_RADIUS) {
+                grassBonus = Math.min(MAX_GRASS_FEED_BONUS, grassBonus + GRASS_FEED_BONUS);
+            }
+        }
+        // Open ground with grass beats brush, unless the hunter keeps turning up there
+        const score = grassBonus - getCoverDensity(x, z) + random() - pressureAt(x, z) * SITE_PRESSURE_PENALTY;
+        if (score > bestScore) {
+            bestScore = score;
+            best = { x, z };
+        }
+    }
+    return best || { x: bedX, z: bedZ };
+}
@@ -0,0 +1,196 @@
+// --- DEER VOICE ---
+// Grunts, bleats, snort-wheezes and foot stomps: when a deer makes them, and how it reacts
+// to other deer's calls and to the hunter's grunt tube and rattling antlers.
+
+import { gameContext } from './context.js';
+import { herdConfig } from './deer-config.js';
+import { triggerDeerVocalization } from './spatial-audio.js';
+
+// States in which a deer is relaxed enough to answer or come in to a call
+const CALM_STATES = new Set(['IDLE', 'WANDERING', 'THIRSTY', 'GRAZING', 'DRINKING']);
+
+// States in which a buck grunts as he goes
+const MOVING_STATES = new Set(['WANDERING', 'THIRSTY']);
+
+const SOUND_TYPES = {
+    grunt: 'deerGrunt',
+    bleat: 'deerBleat',
+    snortWheeze: 'deerSnortWheeze',
+    stomp: 'deerStomp'
+};
+
+// Seconds after coming in to one call before a deer will come in to another. Keeps two
+// bucks from answering each other back and forth forever.
+const RESPONSE_COOLDOWN = 30;
+
+export class DeerVoice {
+    constructor(deer, config) {
+        this.deer = deer;
+        this.config = config;
+
+        this.stompTimer = 0;
+        this.lastResponseTime = -Infinity;
+    }
+
+    update(delta) {
+        const deer = this.deer;
+        const settings = this.config.voice;
+
+        // An alert deer stamps a front hoof every few seconds to warn the others and
+        // to try to make whatever it's looking at move
+        if (deer.state === 'ALERT') {
+            this.stompTimer -= delta;
+            if (this.stompTimer <= 0) {
+                this.vocalize('stomp');
+                this.stompTimer = randomBetween(settings.stompInterval);
+            }
+        } else {
+            this.stompTimer = randomBetween(settings.stompInterval) / 2;
+        }
+
+        if (this.config.gruntRate > 0 && MOVING_STATES.has(deer.state) && Math.random() < this.config.gruntRate / 60 * delta) {
+            this.vocalize('grunt');
+        }
+
+        if (this.config.bleatRate > 0 && CALM_STATES.has(deer.state)) {
+            const rate = this.isSeparated() ? this.config.bleatRate * settings.separatedBleatMultiplier : this.config.bleatRate;
+            if (Math.random() < rate / 60 * delta) {
+                this.vocalize('bleat');
+            }
+        }
+    }
+
+    /**
+     * @returns {boolean} True if this deer has strayed well away from its lead doe
+     */
+    isSeparated() {
+        const leader = this.deer.herdLeader;
+        if (!leader || leader.state === 'KILLED') return false;
+        const range = herdConfig.cohesionRadius * 2;
+        return leader.model.position.distanceToSquared(this.deer.model.position) > range * range;
+    }
+
+    /**
+     * Makes a sound and lets the rest of the herd hear it.
+     * @param {'grunt'|'bleat'|'snortWheeze'|'stomp'} kind
+     */
+    vocalize(kind) {
+        triggerDeerVocalization(this.deer, SOUND_TYPES[kind]);
+        if (gameContext.herd) {
+            gameContext.herd.onMemberVocalize(this.deer, kind);
+        }
+    }
+
+    /**
+     * Reacts to another herd member's vocalization.
+     * @param {Deer} source - The deer that made the sound
+     * @param {'grunt'|'bleat'|'snortWheeze'|'stomp'} kind
+     */
+    hear(source, kind) {
+        const deer = this.deer;
+
+        if (kind === 'stomp') {
+            // A stomp is a warning - look around for whatever the other deer saw
+            if (CALM_STATES.has(deer.state)) deer.respondToHerdAlarm(false);
+            return;
+        }
+
+        if (!CALM_STATES.has(deer.state) || !this.canRespond()) return;
+
+        if (kind === 'bleat') {
+            // Family members go to a bleating member; a rutting buck comes to look for the doe
+            if (isSameFamily(deer, source)) {
+                this.investigate(source.model.position, herdConfig.cohesionRadius / 2);
+            } else if (deer.deerClass === 'buck' && Math.random() < (this.config.seekDoeChance || 0)) {
+                this.investigate(source.model.position);
+            }
+            return;
+        }
+
+        // Grunts and snort-wheezes are between bucks: a rival may answer and come in
+        if (deer.deerClass === 'buck' && Math.random() < this.config.callResponse.grunt) {
+            this.answerRival();
+            this.investigate(source.model.position);
+        }
+    }
+
+    /**
+     * Reacts to the hunter's grunt call or rattling.
+     * @param {'grunt'|'rattle'} kind - Which call
+     * @param {THREE.Vector3} position - Where the hunter called from
+     * @param {boolean} overused - The hunter has been calling too much
+     * @returns {boolean} True if the deer is coming in to the call
+     */
+    hearCall(kind, position, overused) {
+        const deer = this.deer;
+        if (!CALM_STATES.has(deer.state)) return false;
+
+        if (overused) {
+            // No deer calls that much from one spot - something's wrong over there
+            deer.memory.recordEncounter('heard', position);
+            deer.herdAlarmTime = gameContext.clock.getElapsed();
+            deer.setState('ALERT');
+            return false;
+        }
+
+        // A deer spooked recently, or that has run into the hunter near the call, won't come
+        if (deer.fleeRecoveryTime > 0 || !this.canRespond()) return false;
+        const pressure = deer.memory.getPressureAt(position.x, position.z);
+        const chance = (this.config.callResponse[kind] || 0) * Math.max(0, 1 - pressure);
+        if (Math.random() >= chance) return false;
+
+        if (deer.deerClass === 'buck') this.answerRival();
+        this.investigate(position);
+        return true;
+    }
+
+    /**
+     * A buck answers a rival with a snort-wheeze if he's spoiling for a fight, otherwise
+     * sometimes with a grunt.
+     */
+    answerRival() {
+        if (Math.random() < this.config.snortWheezeChance) {
+            this.vocalize('snortWheeze');
+        } else if (this.config.gruntRate > 0 && Math.random() < 0.5) {
+            this.vocalize('grunt');
+        }
+    }
+
+    /**
+     * @returns {boolean} True once the cooldown since the last call the deer came in to is over
+     */
+    canRespond() {
+        return gameContext.clock.getElapsed() - this.lastResponseTime >= RESPONSE_COOLDOWN;
+    }
+
+    /**
+     * Walks toward a sound, stopping short of it to look things over.
+     * @param {THREE.Vector3} position - Where the sound came from
+     * @param {number} [standoff] - How far short to stop; random within voice.investigateStandoff by default
+     */
+    investigate(position, standoff = randomBetween(this.config.voice.investigateStandoff)) {
+        const deer = this.deer;
+        const dx = deer.model.position.x - position.x;
+        const dz = deer.model.position.z - position.z;
+        const distance = Math.hypot(dx, dz);
+        if (distance <= standoff) return;
+
+        const x = position.x + dx / distance * standoff;
+        const z = position.z + dz / distance * standoff;
+        if (gameContext.isWaterAt && gameContext.isWaterAt(x, z)) return;
+
+        this.lastResponseTime = gameContext.clock.getElapsed();
+        deer.setState('WANDERING');
+        deer.movement.wanderTarget.set(x, deer.model.position.y, z);
+    }
+}
+
+function isSameFamily(a, b) {
+    const leaderA = a.herdLeader || a;
+    const leaderB = b.herdLeader || b;
+    return leaderA === leaderB;
+}
+
+function randomBetween(range) {
+    return range.min + Math.random() * (range.max - range.min);
+}
@@ -2,20 +2,24 @@ import * as THREE from 'three';
 import { gameContext } from './context.js';
 import { updateDeerAudio, triggerDeerBlowSound, triggerDeerSpawnBlowSound } from './spatial-audio.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { deerConfig } from './deer-config.js';
+import { deerConfig, deerClassConfigs, herdConfig } from './deer-config.js';
+import { applySeasonToDeerConfig } from './seasons.js';
 import { DeerEffects } from './deer-effects.js';
 import { DeerAnimation } from './deer-animation.js';
 import { DeerHitbox } from './deer-hitbox.js';
 import { DeerMovement } from './deer-movement.js';
 import { DeerAI } from './deer-ai.js';
+import { DeerSchedule } from './deer-schedule.js';
+import { DeerMemory } from './deer-memory.js';
+import { DeerVoice } from './deer-voice.js';
+import { DeerAntlers } from './deer-antlers.js';
 import { Animal } from './animal.js';
 import { applySpookingPenalty, awardScoutingBonus } from './hunting-mechanics.js';
-import { getPlayerNoise } from './player.js';
+import { getPlayerNoise, getPlayerSpeed, getIsKneeling } from './player.js';
+import { isPlayerScentAt } from './wind.js';
 import { WoundState, getWoundTypeFromHitbox } from './wound-system.js';
-
-// Detection modal tracking
-let lastDetectionModalTime = 0;
-const DETECTION_MODAL_COOLDOWN = 5000; // 5 seconds between modals
+import { CLOTHING_LOADOUTS, DEFAULT_CLOTHING } from './constants.js';
+import { gear } from './gear.js';
 
 // Reusable vectors to avoid garbage collection in visibility checks
 const _deerPos = new THREE.Vector3();
@@ -26,66 +30,24 @@ const _toObject = new THREE.Vector3();
 const _nearbyObjects = []; // Reusable array for visibility raycasting
 const _visIntersects = []; // Reusable array for intersectObjects results
 
-/**
- * Shows a modal explaining how the deer detected the hunter
- * Only shows in Practice Mode (not Hunt Simulator)
- */
-function showDetectionDebugModal(detectionType, details) {
-    // Only show in practice mode, not hunt simulator
-    if (gameContext.gameMode !== 'practice') return;
-    
-    const now = Date.now();
-    if (now - lastDetectionModalTime < DETECTION_MODAL_COOLDOWN) return;
-    lastDetectionModalTime = now;
-    
-    // Create or get the debug modal
-    let modal = document.getElementById('detection-debug-modal');
-    if (!modal) {
-        modal = document.createElement('div');
-        modal.id = 'detection-debug-modal';
-        modal.style.cssText = `
-            position: fixed;
-            top: 50%;
-            left: 50%;
-            transform: translate(-50%, -50%);
-            background: rgba(42, 43, 47, 0.95);
-            border: 2px solid #ba5216;
-            border-radius: 8px;
-            padding: 20px 30px;
-            z-index: 10000;
-            color: #beb5a3;
-            font-family: 'Inter', sans-serif;
-            max-width: 400px;
-            text-align: center;
-            box-shadow: 0 4px 20px rgba(0,0,0,0.5);
-        `;
-        document.body.appendChild(modal);
-    }
-    
-    const icon = detectionType === 'visual' ? '👁️' : detectionType === 'sound' ? '👂' : '⚠️';
-    const title = detectionType === 'visual' ? 'Visual Detection!' : 
-                  detectionType === 'sound' ? 'Sound Detection!' : 'Deer Alert!';
-    
-    modal.innerHTML = `
-        <div style="font-size: 32px; margin-bottom: 10px;">${icon}</div>
-        <div style="font-size: 18px; font-weight: 600; color: #ba5216; margin-bottom: 15px;">${title}</div>
-        <div style="font-size: 14px; line-height: 1.6;">${details}</div>
-        <div style="margin-top: 15px; font-size: 11px; color: #6b675f;">(Practice Mode - Auto-closes in 3s)</div>
-    `;
-    
-    modal.style.display = 'block';
-    
-    // Auto-close after 3 seconds
-    setTimeout(() => {
-        if (modal) modal.style.display = 'none';
-    }, 3000);
-}
+// Memory encounter left by each kind of cue when it pushes a deer to alert or flight
+const CUE_ENCOUNTERS = { sight: 'seen', sound: 'heard', scent: 'smelled', alarm: 'heard' };
 
 export class Deer extends Animal {
-    constructor() {
-        super(deerConfig);
+    /**
+     * @param {string} deerClass - 'buck', 'doe' or 'fawn' (see deerClassConfigs)
+     */
+    constructor(deerClass = 'buck') {
+        super(applySeasonToDeerConfig({ ...deerConfig, ...deerClassConfigs[deerClass] }, deerClass));
         this.model.name = 'deer';
-        gameContext.deer = this;
+        this.deerClass = deerClass;
+        this.id = 0;
+        this.label = this.config.label;
+        this.sex = this.config.sex;   // 'male' or 'female'; fawns are rolled by DeerAntlers.generate()
+        this.ageClass = null;         // Entry of config.ageClasses, rolled by DeerAntlers.generate()
+        this.herdLeader = null; // Family members follow this deer (set by HerdManager)
+        this.herdAlarmTime = -Infinity;
+        this.spawnPosition = null;
 
         this.timeSinceLastDrink = 0;
         this.idleBehaviorTimer = 0;
@@ -111,6 +73,10 @@ export class Deer extends Animal {
         this.effects = new DeerEffects(this, this.config);
         this.animation = new DeerAnimation(this, this.config);
         this.hitbox = new DeerHitbox(this, this.config);
+        this.schedule = new DeerSchedule(this, this.config);
+        this.memory = new DeerMemory(this, this.config);
+        this.voice = new DeerVoice(this, this.config);
+        this.antlers = new DeerAntlers(this, this.config);
         this.movement = new DeerMovement(this, this.config);
         this.ai = new DeerAI(this, this.config);
         
@@ -120,6 +86,11 @@ export class Deer extends Animal {
         this.woundCount = 0;
         this.accumulatedSeverity = 0;
         this.tagged = false;
+        this.killInfo = null;        // Kill details for this deer (set by processKill)
+        this.overnightOutcome = null; // 'expired' or 'survived' once a night wounded has been resolved
+        this.lastHitPosition = null; // Where this deer was last hit (GPS map marker)
+        this.sightingLogged = false;
+        this.spookLogged = false;
         this.setState('IDLE');
         
         // Check debug setting for no-flee mode
@@ -129,17 +100,18 @@ export class Deer extends Animal {
         this.headCurrentRotation = 0;
         this.headTurnSpeed = 3.0;
 
-        this.lastPlayerPosition = new THREE.Vector3();
-        this.playerMovementStartTime = 0;
-        
         // Calibration mode
         this.frozen = false;
-        this.isTrackingPlayerMovement = false;
-        this.hasDetectedMovingPlayer = false;
-        this.MOVEMENT_DETECTION_THRESHOLD = 1.0;
-        this.MOVEMENT_DISTANCE_THRESHOLD = 0.05;
-        this.movementSampleCount = 0;
-        this.REQUIRED_MOVEMENT_SAMPLES = 2;
+
+        // Suspicion of the hunter (0-1), built up from sight, sound and scent (see config.suspicion)
+        this.suspicion = 0;
+        this.suspicionCue = null;                   // Cue that last raised it: 'sight', 'sound', 'scent' or 'alarm'
+        this.suspicionSource = new THREE.Vector3(); // Where that cue came from
+
+        // Gunshots and other loud noises (see config.hearing and noise.js)
+        this.startle = null;                    // { until, flee, located } while frozen or listening after one
+        this.noiseSource = new THREE.Vector3(); // Where the deer thinks the last one came from
+        this.fleeingFromNoise = false;          // Running from noiseSource rather than from the hunter
 
         this.wasActuallyHit = false;
 
@@ -152,9 +124,8 @@ export class Deer extends Animal {
         this.stuckDetectionCount = 0;
         this.stuckThreshold = 0.2;
         
-        this.cachedVisibility = undefined;
+        this.cachedExposure = undefined;
         this.lastVisibilityCheck = undefined;
-        this.lastPlayerPositionForVisibility = undefined;
         
         this.woundedFleeDirection = null;
         this.lastWoundedDirectionUpdate = null;
@@ -164,12 +135,13 @@ export class Deer extends Animal {
     }
 
     // Apply wound with specific type based on hitbox
-    applyWound(hitZone, hitPoint) {
+    // shotDirection is the bullet's path at impact when known (see ballistics.js)
+    applyWound(hitZone, hitPoint, shotDirection = null) {
         if (this.state === 'KILLED') return false;
         
         const deerPos = this.model.position;
         const deerRotation = this.model.rotation.y;
-        const woundType = getWoundTypeFromHitbox(hitZone, hitPoint, deerPos, deerRotation);
+        const woundType = getWoundTypeFromHitbox(hitZone, hitPoint, deerPos, deerRotation, shotDirection);
         
         this.woundCount++;
         
@@ -234,7 +206,7 @@ export class Deer extends Animal {
 
     setState(newState) {
         const oldState = this.state;
-        const validStates = ['IDLE', 'WANDERING', 'THIRSTY', 'GRAZING', 'DRINKING', 'ALERT', 'FLEEING', 'WOUNDED', 'KILLED'];
+        const validStates = ['IDLE', 'WANDERING', 'THIRSTY', 'GRAZING', 'DRINKING', 'CURIOUS', 'ALERT', 'FLEEING', 'WOUNDED', 'KILLED'];
         if (!validStates.includes(newState)) return;
         
         if (this.stateLockedToKilled && newState !== 'KILLED') return;
@@ -246,7 +218,12 @@ export class Deer extends Animal {
         }
         
         super.setState(newState);
-        gameContext.deerState = newState;
+        if (newState !== oldState) {
+            this.movement.clearRoute();
+        }
+        if (gameContext.deer === this) {
+            gameContext.deerState = newState;
+        }
         
         if (newState === 'ALERT' && oldState !== 'ALERT') {
             this.alertStartTime = gameContext.clock.getElapsed();
@@ -270,6 +247,7 @@ export class Deer extends Animal {
         // Reset idle look timer when entering IDLE state
         if (newState === 'IDLE') {
             this.idleLookTimer = 0;
+            this.idleDuration = this.schedule.rollIdleDuration();
         }
         
         // Generate new wander target when transitioning to WANDERING
@@ -293,6 +271,13 @@ export class Deer extends Animal {
             this.alertTurnDirection = false;
             this.hasAlertedPlayer = false;
         }
+
+        if (newState !== 'ALERT') {
+            this.startle = null;
+        }
+        if (newState !== 'FLEEING') {
+            this.fleeingFromNoise = false;
+        }
     }
 
     startDeathSequence() {
@@ -308,7 +293,15 @@ export class Deer extends Animal {
         }
     }
 
-    respawn() {
+    /**
+     * Respawns the deer at a new location based on the spawn mode.
+     * @param {object} [options]
+     * @param {THREE.Vector3} [options.anchor] - Spawn near this point instead (herd family groups)
+     * @param {number} [options.radius] - Max distance from the anchor
+     * @param {boolean} [options.announce] - Play the delayed spawn blow notification
+     * @param {function(): number} [options.random] - Random source for spawn placement (seeded world stream)
+     */
+    respawn({ anchor = null, radius = 20, announce = true, random = Math.random } = {}) {
         this.fallen = false;
         this.tagged = false;
         this.stateLockedToKilled = false;
@@ -317,9 +310,15 @@ export class Deer extends Animal {
         this.wasActuallyHit = false;
         this.woundCount = 0;
         this.accumulatedSeverity = 0;
+        this.overnightOutcome = null;
         this.idleLookTimer = 0;
         this.timeSinceLastDrink = 0; // Reset thirst so deer visits water naturally
         this.lastBloodDropTime = 0;
+        this.herdAlarmTime = -Infinity;
+        this.killInfo = null;
+        this.lastHitPosition = null;
+        this.sightingLogged = false;
+        this.spookLogged = false;
         
         // Reset wound state
         if (this.woundState) {
@@ -344,15 +343,28 @@ export class Deer extends Animal {
         while (attempts < maxAttempts && !safePosition) {
             attempts++;
             
-            if (spawnMode === 'testing') {
-                x = gameContext.player.position.x;
+            if (anchor) {
+                // Family members spread out around their leader
+                const angle = random() * 2 * Math.PI;
+                const distance = 5 + random() * Math.max(0, radius - 5);
+                x = anchor.x + Math.cos(angle) * distance;
+                z = anchor.z + Math.sin(angle) * distance;
+                
+                const boundary = worldSize / 2 - this.config.respawnBoundaryMargin;
+                x = Math.max(-boundary, Math.min(boundary, x));
+                z = Math.max(-boundary, Math.min(boundary, z));
+                
+                y = gameContext.getHeightAt(x, z);
+            } else if (spawnMode === 'testing') {
+                // Line herd members up side by side in front of the player
+                x = gameContext.player.position.x + (this.id || 0) * 3;
                 z = gameContext.player.position.z + 20;
                 y = gameContext.getHeightAt(x, z);
             } else if (spawnMode === 'near') {
                 const minDistance = 30;
                 const maxDistance = 80;
-                const angle = Math.random() * 2 * Math.PI;
-                const distance = minDistance + Math.random() * (maxDistance - minDistance);
+                const angle = random() * 2 * Math.PI;
+                const distance = minDistance + random() * (maxDistance - minDistance);
                 
                 x = gameContext.player.position.x + Math.cos(angle) * distance;
                 z = gameContext.player.position.z + Math.sin(angle) * distance;
@@ -364,8 +376,8 @@ export class Deer extends Animal {
                 y = gameContext.getHeightAt(x, z);
             } else {
                 const margin = 50;
-                x = (Math.random() - 0.5) * (worldSize - margin);
-                z = (Math.random() - 0.5) * (worldSize - margin);
+                x = (random() - 0.5) * (worldSize - margin);
+                z = (random() - 0.5) * (worldSize - margin);
                 y = gameContext.getHeightAt(x, z);
             }
             
@@ -385,11 +397,147 @@ export class Deer extends Animal {
             safePosition = new THREE.Vector3(x, y, z);
         }
 
+        this.spawnPosition = safePosition;
+        this.schedule.chooseSites();
         this.spawn(safePosition, Math.PI);
         
-        setTimeout(() => {
-            triggerDeerSpawnBlowSound(this);
-        }, 10000);
+        if (announce) {
+            setTimeout(() => {
+                triggerDeerSpawnBlowSound(this);
+            }, 10000);
+        }
+    }
+
+    /**
+     * Reacts to another herd member blowing. The deer joins a flight if the
+     * alarm came from a fleeing deer, otherwise it goes alert and looks around.
+     * It does not blow itself - one alarm per group.
+     * @param {boolean} sourceFleeing - Whether the deer that blew is fleeing
+     */
+    respondToHerdAlarm(sourceFleeing) {
+        if (this.state === 'KILLED' || this.state === 'WOUNDED' || this.state === 'FLEEING') return;
+        
+        this.herdAlarmTime = gameContext.clock.getElapsed();
+        this.hasAlertedPlayer = true; // Suppress this deer's own blow in setState
+        
+        const noFleeDebug = gameContext.deerBehaviorMode === 'no-flee';
+        if (sourceFleeing && this.fleeingEnabled && !noFleeDebug) {
+            this.setState('FLEEING');
+        } else if (this.state !== 'ALERT') {
+            this.setState('ALERT');
+        }
+    }
+
+    /**
+     * @returns {boolean} True while a recent herd alarm keeps this deer on edge
+     */
+    isHerdAlarmActive() {
+        return gameContext.clock.getElapsed() - this.herdAlarmTime < herdConfig.alarmAlertDuration;
+    }
+
+    /**
+     * Reacts to a turkey putting, a squirrel chattering or crows cawing. Each call adds a
+     * jolt of suspicion pointed at the caller rather than the hunter, so enough of them
+     * can push the deer through alert into flight.
+     * @param {THREE.Vector3} position - Where the call came from
+     * @param {number} strength - Suspicion the call adds before wariness
+     */
+    hearAlarmCall(position, strength) {
+        if (this.state === 'KILLED' || this.state === 'WOUNDED' || this.state === 'FLEEING') return;
+
+        this.suspicion = Math.min(1, this.suspicion + strength * this.config.wariness);
+        this.suspicionCue = 'alarm';
+        this.suspicionSource.copy(position);
+        this.reactToSuspicion();
+    }
+
+    /**
+     * Reacts to the hunter rattling around, like setting up gear. Each noise adds suspicion
+     * pointed at the hunter, the way footsteps do, so a deer close by goes alert and may
+     * run if it keeps up, while one further off only grows curious.
+     * @param {THREE.Vector3} position - Where the noise came from
+     * @param {number} strength - Suspicion the noise adds before wariness
+     */
+    hearHunterNoise(position, strength) {
+        if (this.state === 'KILLED' || this.state === 'WOUNDED' || this.state === 'FLEEING') return;
+
+        this.suspicion = Math.min(1, this.suspicion + strength * this.config.wariness);
+        this.suspicionCue = 'sound';
+        this.suspicionSource.copy(position);
+        this.reactToSuspicion();
+    }
+
+    /**
+     * Reacts to a gunshot or other loud noise. A loud, clear sound can be placed: the deer
+     * freezes facing roughly where it came from, then runs away from there. A faint one, or
+     * one that echoed off a ridge, can't be placed, so the deer stands listening and may
+     * settle again or bolt in whatever direction it guesses.
+     * @param {THREE.Vector3} source - Where the noise was made
+     * @param {number} loudness - 0-1 at this deer, after distance and terrain (see noise.js)
+     * @param {boolean} muffled - Terrain stood between the deer and the noise
+     */
+    hearLoudNoise(source, loudness, muffled) {
+        if (this.state === 'KILLED' || this.state === 'WOUNDED') return;
+
+        const hearing = this.config.hearing;
+        const located = loudness >= hearing.localizeLoudness && !(muffled && Math.random() < hearing.echoConfusion);
+
+        // The perceived source keeps the true distance, on a bearing that's off by a little
+        // for a placed sound and anywhere at all for one that wasn't
+        const dx = source.x - this.model.position.x;
+        const dz = source.z - this.model.position.z;
+        const distance = Math.hypot(dx, dz);
+        const bearingError = located
+            ? (Math.random() * 2 - 1) * hearing.bearingError * (1 - loudness)
+            : Math.random() * Math.PI * 2;
+        const bearing = Math.atan2(dx, dz) + bearingError;
+        this.noiseSource.set(
+            this.model.position.x + Math.sin(bearing) * distance,
+            source.y,
+            this.model.position.z + Math.cos(bearing) * distance
+        );
+
+        // Already running; one fleeing from an earlier shot replans away from this one
+        if (this.state === 'FLEEING') {
+            if (this.fleeingFromNoise) this.movement.clearRoute();
+            return;
+        }
+
+        this.suspicion = Math.max(this.suspicion, this.config.suspicion.alert);
+        this.suspicionCue = 'sound';
+        this.suspicionSource.copy(this.noiseSource);
+        if (located) this.memory.recordEncounter(CUE_ENCOUNTERS.sound, this.noiseSource);
+
+        const hold = located ? hearing.freezeDuration : hearing.listenDuration;
+        const flee = located ? loudness >= hearing.fleeLoudness : Math.random() < hearing.unplacedFleeChance;
+        this.setState('ALERT');
+        this.startle = {
+            until: gameContext.clock.getElapsed() + hold.min + Math.random() * (hold.max - hold.min),
+            flee,
+            located
+        };
+    }
+
+    /**
+     * Runs out a startle once the deer has stood frozen or listening long enough.
+     */
+    updateStartle() {
+        if (!this.startle || gameContext.clock.getElapsed() < this.startle.until) return;
+
+        const { flee } = this.startle;
+        this.startle = null;
+        const noFleeDebug = gameContext.deerBehaviorMode === 'no-flee';
+        if (flee && this.fleeingEnabled && !noFleeDebug) {
+            this.setState('FLEEING');
+            this.fleeingFromNoise = true;
+        }
+    }
+
+    /**
+     * @returns {THREE.Vector3} What a fleeing deer is running from
+     */
+    getFleeThreat() {
+        return this.fleeingFromNoise ? this.noiseSource : gameContext.player.position;
     }
 
     createTrack() { this.effects.createTrack(); }
@@ -405,12 +553,21 @@ export class Deer extends Animal {
         this.movement.lastPosition.copy(position);
         this.currentSpeed = 0;
         this.movementSpeed = 0;
+        this.suspicion = 0;
+        this.suspicionCue = null;
+        this.startle = null;
+        this.fleeingFromNoise = false;
     }
 
     createVitals(parent) {
         this.hitbox.createVitals(parent);
     }
 
+    setupModel() {
+        this.animation.onModelLoaded();
+        this.antlers.onModelLoaded();
+    }
+
     update(delta) {
         if (!this.isModelLoaded) return;
         
@@ -449,7 +606,7 @@ export class Deer extends Animal {
 
         updateDeerAudio(this, delta);
 
-        if ((this.state === 'WOUNDED' || this.state === 'FLEEING') && gameContext.huntLog && gameContext.huntLog.deerInitialPosition) {
+        if ((this.state === 'WOUNDED' || this.state === 'FLEEING') && gameContext.huntLog && gameContext.huntLog.deerInitialPosition && gameContext.huntLog.deerId === this.id) {
             const currentDistance = gameContext.huntLog.deerInitialPosition.distanceTo(this.model.position);
             gameContext.huntLog.distanceTrailed = Math.max(gameContext.huntLog.distanceTrailed, currentDistance);
         }
@@ -457,103 +614,27 @@ export class Deer extends Animal {
         this.timeSinceLastDrink += delta;
         this.effects.update();
         this.animation.update(delta);
+        this.voice.update(delta);
 
         const distanceToPlayer = this.model.position.distanceTo(gameContext.player.position);
-        const playerVisible = this.isPlayerVisible();
-        const playerMoved = this.lastPlayerPosition.distanceTo(gameContext.player.position) > 0.005;
-
-        if (playerVisible) {
-            if (playerMoved) {
-                this.movementSampleCount++;
-                if (!this.isTrackingPlayerMovement && this.movementSampleCount >= this.REQUIRED_MOVEMENT_SAMPLES) {
-                    this.isTrackingPlayerMovement = true;
-                    this.playerMovementStartTime = gameContext.clock.getElapsed();
-                    this.hasDetectedMovingPlayer = false;
-                } else if (this.isTrackingPlayerMovement) {
-                    const movementDuration = gameContext.clock.getElapsed() - this.playerMovementStartTime;
-                    if (movementDuration >= this.MOVEMENT_DETECTION_THRESHOLD && !this.hasDetectedMovingPlayer) {
-                        this.hasDetectedMovingPlayer = true;
-                    }
-                }
-            } else {
-                // Player stopped moving - reset detection faster (was decrementing by 1, now by 2)
-                this.movementSampleCount = Math.max(0, this.movementSampleCount - 2);
-                if (this.movementSampleCount === 0) {
-                    this.isTrackingPlayerMovement = false;
-                    this.hasDetectedMovingPlayer = false;
-                }
-            }
-        } else {
-            // Player not visible - immediately reset all tracking
-            this.isTrackingPlayerMovement = false;
-            this.hasDetectedMovingPlayer = false;
-            this.movementSampleCount = 0;
-        }
-
-        this.lastPlayerPosition.copy(gameContext.player.position);
+        const visibility = this.getPlayerVisibility();
 
         if (this.state !== 'FLEEING' && this.state !== 'WOUNDED' && this.state !== 'KILLED') {
-            const currentTime = gameContext.clock.getElapsed();
-            const inAlertDelay = this.state === 'ALERT' && (currentTime - this.alertStartTime < this.alertMovementDelay);
-            
-            // Check for noise-based detection (works even when player is not visible)
             const playerNoise = getPlayerNoise();
-            const canHearPlayer = playerNoise.level > 0 && distanceToPlayer < playerNoise.range;
-            
-            // Visual detection (existing logic)
-            const visualDetection = playerVisible && this.hasDetectedMovingPlayer;
-            
-            // Flee if player is too close AND (visible+moving OR making noise)
-            // Check no-flee debug mode at runtime (not constructor) since deer is created before UI settings
-            const noFleeDebug = gameContext.deerBehaviorMode === 'no-flee';
-            if ((visualDetection || canHearPlayer) && distanceToPlayer < this.config.fleeDistanceThreshold && this.fleeingEnabled && !noFleeDebug && !inAlertDelay) {
-                // Show debug modal explaining detection
-                if (visualDetection && canHearPlayer) {
-                    showDetectionDebugModal('both', `The deer detected you through <b>sight AND sound</b>!<br><br>
-                        <b>Visual:</b> You were moving in the deer's line of sight.<br>
-                        <b>Sound:</b> ${playerNoise.source} (range: ${playerNoise.range.toFixed(0)} yds)<br><br>
-                        Distance: ${(distanceToPlayer * 1.09).toFixed(0)} yards`);
-                } else if (visualDetection) {
-                    showDetectionDebugModal('visual', `The deer <b>saw you moving</b>!<br><br>
-                        You were within the deer's field of view and your movement was detected.<br><br>
-                        Distance: ${(distanceToPlayer * 1.09).toFixed(0)} yards<br>
-                        <b>Tip:</b> Stay still or use cover to avoid visual detection.`);
-                } else if (canHearPlayer) {
-                    showDetectionDebugModal('sound', `The deer <b>heard you</b>!<br><br>
-                        <b>Sound source:</b> ${playerNoise.source}<br>
-                        <b>Noise range:</b> ${playerNoise.range.toFixed(0)} yards<br><br>
-                        Distance: ${(distanceToPlayer * 1.09).toFixed(0)} yards<br>
-                        <b>Tip:</b> Move slowly and avoid running or walking through brush.`);
-                }
-                this.setState('FLEEING');
-                applySpookingPenalty();
-            } else if ((visualDetection || canHearPlayer) && distanceToPlayer < this.config.alertDistanceThreshold) {
-                if (this.state !== 'ALERT') {
-                    // Show debug modal for alert state
-                    if (visualDetection && canHearPlayer) {
-                        showDetectionDebugModal('both', `The deer is <b>alert</b> - it sensed you through sight AND sound!<br><br>
-                            Distance: ${(distanceToPlayer * 1.09).toFixed(0)} yards<br>
-                            <b>Warning:</b> Get closer and it will flee!`);
-                    } else if (visualDetection) {
-                        showDetectionDebugModal('visual', `The deer is <b>alert</b> - it saw movement!<br><br>
-                            Distance: ${(distanceToPlayer * 1.09).toFixed(0)} yards<br>
-                            <b>Tip:</b> Stay still and it may calm down.`);
-                    } else if (canHearPlayer) {
-                        showDetectionDebugModal('sound', `The deer is <b>alert</b> - it heard something!<br><br>
-                            <b>Sound:</b> ${playerNoise.source}<br>
-                            Distance: ${(distanceToPlayer * 1.09).toFixed(0)} yards<br>
-                            <b>Tip:</b> Stop making noise and it may calm down.`);
-                    }
-                    this.setState('ALERT');
-                }
-            } else if (this.state === 'ALERT' && !playerVisible && !canHearPlayer) {
-                this.setState('IDLE');
-            }
-            
+            const loudness = playerNoise.level > 0 && distanceToPlayer < playerNoise.range
+                ? playerNoise.level * (1 - distanceToPlayer / playerNoise.range)
+                : 0;
+            // Deer downwind of the hunter smell them regardless of sight or sound
+            const smelled = isPlayerScentAt(this.model.position);
+
+            this.updateSuspicion(visibility, loudness, smelled, delta);
+            this.updateStartle();
+            this.reactToSuspicion();
+
             // Award scouting bonus when player spots deer without spooking it
-            // Player must be within reasonable distance and deer must be visible but not fleeing
-            if (playerVisible && distanceToPlayer < 100 && !this.hasDetectedMovingPlayer && !canHearPlayer && this.state !== 'ALERT') {
-                awardScoutingBonus();
+            // Player must be within reasonable distance and deer must be visible but not suspicious
+            if (visibility > 0 && distanceToPlayer < 100 && this.suspicion < this.config.suspicion.curious && this.state !== 'ALERT') {
+                awardScoutingBonus(this);
             }
         }
 
@@ -564,11 +645,104 @@ export class Deer extends Animal {
         super.loadModel(path);
     }
     
+    /**
+     * @returns {boolean} True if the hunter is in this deer's line of sight and within range
+     */
     isPlayerVisible() {
-        if (!gameContext.player || !gameContext.trees) return true;
+        return this.getPlayerExposure() > 0;
+    }
+
+    /**
+     * How easily this deer can pick out the hunter right now (0 = can't, 1 = unmistakable).
+     * Combines the hunter's standing exposure with how fast they're moving.
+     * @returns {number}
+     */
+    getPlayerVisibility() {
+        const exposure = this.getPlayerExposure();
+        if (exposure === 0) return 0;
+
+        const vision = this.config.vision;
+        const motion = Math.min(vision.maxMotionFactor,
+            vision.stillFactor + (1 - vision.stillFactor) * getPlayerSpeed() / vision.walkingSpeed);
+        return Math.min(1, exposure * motion);
+    }
+
+    /**
+     * Raises suspicion while the hunter can be seen, heard or smelled, and lets it drain
+     * away once none of them register. An alert or curious deer is watching closely and
+     * picks the hunter out faster.
+     * @param {number} visibility - From getPlayerVisibility()
+     * @param {number} loudness - Player noise level scaled by how far inside its range the deer is
+     * @param {boolean} smelled - The deer is in the hunter's scent cone
+     * @param {number} delta - Time delta
+     */
+    updateSuspicion(visibility, loudness, smelled, delta) {
+        const settings = this.config.suspicion;
+        const watching = this.state === 'ALERT' || this.state === 'CURIOUS' ? settings.watchfulSightMultiplier : 1;
+        const cues = {
+            sight: Math.max(0, visibility - settings.sightThreshold) * settings.sightGain * watching,
+            sound: loudness * settings.soundGain,
+            scent: smelled ? settings.scentGain : 0
+        };
+
+        let rise = 0;
+        let strongest = 0;
+        for (const [cue, amount] of Object.entries(cues)) {
+            rise += amount;
+            if (amount > strongest) {
+                strongest = amount;
+                this.suspicionCue = cue;
+            }
+        }
+
+        if (rise > 0) {
+            this.suspicionSource.copy(gameContext.player.position);
+            this.suspicion = Math.min(1, this.suspicion + rise * this.config.wariness * delta);
+        } else {
+            this.suspicion = Math.max(0, this.suspicion - settings.decay * delta);
+        }
+    }
+
+    /**
+     * Moves the deer through curious, alert and flight as suspicion crosses each threshold,
+     * and back to calm once it has drained away.
+     */
+    reactToSuspicion() {
+        const settings = this.config.suspicion;
+        const inAlertDelay = this.state === 'ALERT' && (gameContext.clock.getElapsed() - this.alertStartTime < this.alertMovementDelay);
+        // Check no-flee debug mode at runtime (not constructor) since deer is created before UI settings
+        const noFleeDebug = gameContext.deerBehaviorMode === 'no-flee';
+
+        if (this.suspicion >= 1 && this.state === 'ALERT' && this.fleeingEnabled && !noFleeDebug && !inAlertDelay) {
+            this.memory.recordEncounter(CUE_ENCOUNTERS[this.suspicionCue], this.suspicionSource);
+            this.setState('FLEEING');
+            applySpookingPenalty(this);
+        } else if (this.suspicion >= settings.alert) {
+            if (this.state !== 'ALERT') {
+                this.memory.recordEncounter(CUE_ENCOUNTERS[this.suspicionCue], this.suspicionSource);
+                this.setState('ALERT');
+            }
+        } else if (this.suspicion >= settings.curious) {
+            if (this.state !== 'ALERT' && this.state !== 'CURIOUS') {
+                this.setState('CURIOUS');
+            }
+        } else if (this.state === 'CURIOUS' || (this.state === 'ALERT' && !this.isHerdAlarmActive() && !this.startle)) {
+            this.setState('IDLE');
+        }
+    }
+
+    /**
+     * How exposed a motionless hunter is to this deer: 0 if out of range or hidden behind
+     * trees, bushes or terrain, otherwise scaled down by distance, poor light, clothing and
+     * backdrop cover. Line-of-sight raycasts are cached for a state-dependent interval.
+     * @returns {number} 0-1
+     */
+    getPlayerExposure() {
+        if (!gameContext.player) return 0;
         
         const currentTime = gameContext.clock.getElapsed();
-        const isKneeling = gameContext.playerControls?.isKneeling || false;
+        const isKneeling = getIsKneeling();
+        const vision = this.config.vision;
         const actualDistance = this.model.position.distanceTo(gameContext.player.position);
         
         // Effective distance is used for detection range only, NOT for ray geometry
@@ -577,16 +751,17 @@ export class Deer extends Animal {
             effectiveDistance *= 0.5;
         }
         
-        if (effectiveDistance > 200) {
-            this.cachedVisibility = false;
+        if (effectiveDistance > vision.range) {
+            this.cachedExposure = 0;
             this.lastVisibilityCheck = currentTime;
-            return false;
+            return 0;
         }
         
         // Visibility check intervals - shorter = more responsive but more CPU
         // Reduced intervals to prevent stale visibility data causing false detections
         let checkInterval = 0.5;
         switch (this.state) {
+            case 'CURIOUS':
             case 'ALERT': checkInterval = 0.15; break;
             case 'FLEEING':
             case 'WOUNDED': checkInterval = 0.3; break;
@@ -599,17 +774,17 @@ export class Deer extends Animal {
         
         if (this.lastVisibilityCheck && currentTime - this.lastVisibilityCheck < checkInterval) {
             // Only use cache if it's defined - never default to visible
-            if (this.cachedVisibility !== undefined) {
-                return this.cachedVisibility;
+            if (this.cachedExposure !== undefined) {
+                return this.cachedExposure;
             }
             // If no cached value, fall through to do a fresh check
         }
         
         // Very close range - always visible (can't hide when deer is right next to you)
-        if (effectiveDistance < 8) {
-            this.cachedVisibility = true;
+        if (effectiveDistance < vision.closeRange) {
+            this.cachedExposure = 1;
             this.lastVisibilityCheck = currentTime;
-            return true;
+            return 1;
         }
         
         // Set up eye-level positions for ray geometry
@@ -617,7 +792,7 @@ export class Deer extends Animal {
         _deerPos.y += 1.5; // Deer eye height
         
         _playerPos.copy(gameContext.player.position);
-        _playerPos.y += isKneeling ? 0.9 : 1.7; // Player eye height
+        _playerPos.y += (isKneeling ? 0.9 : 1.7) + gear.getElevation(); // Player eye height, up in a tree stand if in one
         
         // Direction and actual eye-to-eye distance for correct ray sampling
         _direction.subVectors(_playerPos, _deerPos);
@@ -682,30 +857,32 @@ export class Deer extends Animal {
         
         // If player is fully blocked, they're not visible
         if (hasBlockingIntersect || terrainBlocked) {
-            this.cachedVisibility = false;
+            this.cachedExposure = 0;
             this.lastVisibilityCheck = currentTime;
-            return false;
+            return 0;
         }
         
-        // Check for backdrop cover (bushes/grass behind the player from deer's view)
-        // This makes the player's silhouette harder to see
-        const hasBackdropCover = this.checkBackdropCover(_playerPos, _direction, actualDistance);
-        
-        if (hasBackdropCover) {
-            // With backdrop cover, effective distance is doubled (harder to see)
-            // This means deer needs to be closer to detect the player
-            const backdropEffective = effectiveDistance * 2;
-            if (backdropEffective > this.config.alertDistanceThreshold) {
-                this.cachedVisibility = false;
-                this.lastVisibilityCheck = currentTime;
-                return false;
-            }
+        // Farther off is harder to make out; dim light and camouflage make it harder still
+        let exposure = 1 - effectiveDistance / vision.range;
+        const light = gameContext.lightLevel;
+        exposure *= vision.lowLightFactor + (1 - vision.lowLightFactor) * light;
+        const clothing = CLOTHING_LOADOUTS[gameContext.clothing] || CLOTHING_LOADOUTS[DEFAULT_CLOTHING];
+        exposure *= clothing.visibility;
+
+        // A blind hides all but the window openings, and deer seldom look up into a tree
+        exposure *= gear.getConcealment();
+        if (gear.getElevation() > 0) {
+            exposure *= vision.elevatedFactor;
         }
-        
-        this.cachedVisibility = true;
+
+        // Cover behind the player (bushes, grass, a tree trunk) breaks up their silhouette
+        if (this.checkBackdropCover(_playerPos, _direction, actualDistance)) {
+            exposure *= vision.backdropFactor;
+        }
+
+        this.cachedExposure = exposure;
         this.lastVisibilityCheck = currentTime;
-        
-        return this.cachedVisibility;
+        return exposure;
     }
     
     /**
@@ -770,5 +947,3 @@ export class Deer extends Animal {
         return false;
     }
 }
-
-export const deer = new Deer();
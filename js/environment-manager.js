@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { gameContext } from './context.js';
-import { DAWN_START_HOUR, NIGHT_START_HOUR } from './constants.js';
+import { getDaylightHours, getSolarHour } from './seasons.js';
+import { FOG_DENSITY_DAY, FOG_DENSITY_NIGHT, FOG_LERP_FACTOR } from './constants.js';
 
 // Throttle lighting updates - no need to update every frame
 let lightingUpdateAccumulator = 0;
@@ -14,13 +15,23 @@ const _hsl = { h: 0, s: 0, l: 0 };
 // Reusable vector for sun direction calculation
 const _sunDir = new THREE.Vector3();
 
+// Weather lighting
+const OVERCAST_SATURATION_LOSS = 0.8; // Fraction of sky saturation lost under full cloud cover
+const OVERCAST_LUMINOSITY_LOSS = 0.25; // Fraction of sky brightness lost under full cloud cover
+const LIGHTNING_COLOR = 0xdde4ff;
+const LIGHTNING_AMBIENT_INTENSITY = 2.5; // Ambient intensity added by a full-strength flash
+
+// Sun plus ambient intensity at midday under a clear sky - the top of gameContext.lightLevel
+const FULL_DAYLIGHT_INTENSITY = 1.7;
+
 /**
  * Checks if it is currently night time in the game.
  * @returns {boolean} True if night, false if day
  */
 export function isNight() {
     const currentTime = gameContext.gameTime;
-    return currentTime < DAWN_START_HOUR || currentTime > NIGHT_START_HOUR;
+    const { dawnStart, nightStart } = getDaylightHours();
+    return currentTime < dawnStart || currentTime > nightStart;
 }
 
 /**
@@ -84,6 +95,21 @@ export function updateTimeDisplay() {
     }
 }
 
+/**
+ * Shows the current season's legal shooting hours in the HUD.
+ */
+export function updateLegalHoursDisplay() {
+    const element = document.getElementById('legal-hours-display');
+    if (!element) return;
+    const { legalStart, legalEnd } = getDaylightHours();
+    const format = hour => {
+        const hours = Math.floor(hour);
+        const minutes = Math.round((hour - hours) * 60);
+        return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+    };
+    element.textContent = `${format(legalStart)} - ${format(legalEnd)}`;
+}
+
 /**
  * Updates dynamic lighting based on game time
  */
@@ -95,7 +121,8 @@ export function updateDynamicLighting() {
     if (lightingUpdateAccumulator < LIGHTING_UPDATE_INTERVAL) return;
     lightingUpdateAccumulator = 0;
     
-    const timeOfDay = gameContext.gameTime; // 0-24 hours
+    // Lighting phases below are written for the early-season day; shorter seasons are mapped onto it
+    const timeOfDay = getSolarHour(gameContext.gameTime); // 0-24 hours
     const sun = gameContext.scene.sun;
     const ambientLight = gameContext.scene.ambientLight;
     
@@ -190,15 +217,41 @@ export function updateDynamicLighting() {
         sun.position.set(-100, 200, -100);
     }
     
+    // Night fog follows the sun going down, before clouds dim it
+    const nightFactor = 1 - sunIntensity;
+
+    // Clouds block direct sun and gray the sky; lightning briefly lights everything
+    const weather = gameContext.weather;
+    if (weather) {
+        sunIntensity *= weather.sunLight;
+        ambientIntensity *= weather.ambientLight;
+        skyColor = adjustColorSaturationAndLuminosity(
+            skyColor, 1 - weather.overcast * OVERCAST_SATURATION_LOSS, 1 - weather.overcast * OVERCAST_LUMINOSITY_LOSS
+        );
+        if (weather.flash > 0) {
+            ambientIntensity += weather.flash * LIGHTNING_AMBIENT_INTENSITY;
+            skyColor = interpolateColor(skyColor, LIGHTNING_COLOR, weather.flash * 0.6);
+        }
+    }
+    
+    // How well anything can be seen out there - deer use this to pick out the hunter
+    gameContext.lightLevel = Math.min(1, (sunIntensity + ambientIntensity) / FULL_DAYLIGHT_INTENSITY);
+
     // Apply colors and intensities
     sun.color.setHex(sunColor);
     sun.intensity = sunIntensity;
     ambientLight.color.setHex(ambientColor);
     ambientLight.intensity = ambientIntensity;
     
-    // Update sky color (fog)
-    if (gameContext.scene.fog) {
-        gameContext.scene.fog.color.setHex(skyColor);
+    // Update sky color and fog density (thicker at night and in rain or fog banks)
+    const fog = gameContext.scene.fog;
+    if (fog) {
+        fog.color.setHex(skyColor);
+        if (fog.density !== undefined) {
+            const baseDensity = FOG_DENSITY_DAY + (FOG_DENSITY_NIGHT - FOG_DENSITY_DAY) * nightFactor;
+            const targetDensity = baseDensity * (weather ? weather.fogMultiplier : 1);
+            fog.density += (targetDensity - fog.density) * FOG_LERP_FACTOR;
+        }
     }
     
     // Explicitly set alpha to 1 to ensure opaque background, preventing HTML leak-through
@@ -0,0 +1,59 @@
+// --- GEAR CATALOG ---
+// Gear the hunter carries and sets up in the woods (see gear.js). Setting a piece up or
+// taking it down takes time, holds the hunter in place and makes noise the deer can hear.
+// Distances are meters.
+
+/**
+ * @typedef {object} GearItem
+ * @property {string} label
+ * @property {string} key - Keyboard code that sets it up or takes it down
+ * @property {number} setupTime - Seconds to put it up (for the stand: hang it and climb in)
+ * @property {number} teardownTime - Seconds to take it down (for the stand: climb out and take it down)
+ * @property {number} [climbTime] - Seconds to climb into a stand already hung
+ * @property {string} noise - Loud-noise kind in noise.js made while working on it
+ * @property {number} noiseInterval - Seconds between those noises
+ * @property {number} reach - How close the hunter has to be to use it or take it down
+ * @property {boolean} [braces] - Rests the weapon like bracing against a tree
+ * @property {number} [visibility] - Multiplier on how visible the hunter is inside it
+ * @property {number} [noiseRange] - Multiplier on the range footsteps carry inside it
+ * @property {number} [height] - How high it lifts the hunter
+ * @property {string[]} [treeSpecies] - Trees it can be hung on
+ */
+
+/** @type {Object<string, GearItem>} */
+export const GEAR = {
+    shootingSticks: {
+        label: 'Shooting Sticks',
+        key: 'Digit1',
+        setupTime: 3,
+        teardownTime: 2,
+        noise: 'sticksSetup',
+        noiseInterval: 3,
+        reach: 1.2,
+        braces: true,
+    },
+    groundBlind: {
+        label: 'Ground Blind',
+        key: 'Digit2',
+        setupTime: 20,
+        teardownTime: 15,
+        noise: 'blindSetup',
+        noiseInterval: 5,
+        reach: 1.3,                 // Inside the hub
+        visibility: 0.2,            // Dark inside, only the window openings show
+        noiseRange: 0.3,            // Shuffling on the floor of a blind doesn't carry
+    },
+    treeStand: {
+        label: 'Tree Stand',
+        key: 'Digit3',
+        setupTime: 40,
+        teardownTime: 30,
+        climbTime: 10,
+        noise: 'standSetup',
+        noiseInterval: 6,
+        reach: 1.5,
+        braces: true,               // Shooting rail
+        height: 4.5,                // About 15 ft
+        treeSpecies: ['hardwood', 'conifer'],
+    },
+};
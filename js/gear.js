@@ -0,0 +1,285 @@
+// --- DEPLOYABLE GEAR ---
+// Shooting sticks, a pop-up ground blind and a hang-on tree stand. Each piece is carried
+// until the hunter sets it up, stays where it was put (overnight too) and is taken down by
+// going back to it. Sticks and the stand's rail brace the weapon, the blind hides the hunter
+// and muffles their shuffling, and the stand lifts them above the deer's line of sight.
+// The catalog is in gear-config.js.
+import * as THREE from 'three';
+import { gameContext } from './context.js';
+import { GEAR } from './gear-config.js';
+import { makeLoudNoise } from './noise.js';
+import { showMessage } from './ui.js';
+
+const STICK_COLOR = 0x3B2F22;
+const BLIND_COLOR = 0x4A4632;
+const STAND_COLOR = 0x2E2E2A;
+
+class GearManager {
+    constructor() {
+        this.placed = {};          // Gear key -> { position, mesh }
+        this.task = null;          // { key, action, doneAt, nextNoiseAt } while working on a piece
+        this.inStand = false;
+    }
+
+    /**
+     * Packs everything for a new hunt.
+     */
+    init() {
+        for (const key of Object.keys(this.placed)) this.remove(key);
+        this.task = null;
+        this.inStand = false;
+    }
+
+    /**
+     * The hunter walks in from the truck each morning; gear left out stays where it is.
+     */
+    onNewDay() {
+        this.task = null;
+        this.inStand = false;
+    }
+
+    /**
+     * Sets up, takes down or climbs into a piece of gear, whichever fits where the hunter is.
+     * @param {string} key - Key of GEAR
+     */
+    use(key) {
+        const item = GEAR[key];
+        if (!item || !gameContext.player) return;
+        if (this.task) {
+            showMessage(`Still working on the ${GEAR[this.task.key].label.toLowerCase()}`, 1500);
+            return;
+        }
+        if (this.inStand && key !== 'treeStand') {
+            showMessage('Climb down first', 1500);
+            return;
+        }
+
+        const placed = this.placed[key];
+        const label = item.label.toLowerCase();
+        if (this.inStand) {
+            this.start(key, 'teardown', item.teardownTime, `Climbing down and taking the ${label} down...`);
+        } else if (placed && this.isNear(key)) {
+            if (key === 'treeStand') {
+                this.start(key, 'climb', item.climbTime, `Climbing into the ${label}...`);
+            } else {
+                this.start(key, 'teardown', item.teardownTime, `Taking the ${label} down...`);
+            }
+        } else if (placed) {
+            showMessage(`Your ${label} is still up where you left it`, 2000);
+        } else if (key === 'treeStand' && !this.findStandTree()) {
+            showMessage('Stand next to a tree to hang the stand', 2000);
+        } else {
+            this.start(key, 'setup', item.setupTime, `Setting up the ${label}...`);
+        }
+    }
+
+    /**
+     * @param {string} key
+     * @param {'setup'|'teardown'|'climb'} action
+     * @param {number} duration - Seconds
+     * @param {string} message
+     */
+    start(key, action, duration, message) {
+        const now = gameContext.clock.getElapsed();
+        this.task = { key, action, doneAt: now + duration, nextNoiseAt: now };
+        showMessage(`${message} (${duration} s)`, 2000);
+    }
+
+    /**
+     * Works on the piece at hand, making noise as it goes, and finishes it once the time is up.
+     */
+    update() {
+        if (!this.task) return;
+
+        const now = gameContext.clock.getElapsed();
+        const { key, action } = this.task;
+        const item = GEAR[key];
+        if (now >= this.task.nextNoiseAt) {
+            makeLoudNoise(item.noise, gameContext.player.position);
+            this.task.nextNoiseAt = now + item.noiseInterval;
+        }
+        if (now < this.task.doneAt) return;
+
+        this.task = null;
+        if (action === 'setup') {
+            this.place(key);
+            if (key === 'treeStand') this.inStand = true;
+            showMessage(`${item.label} up`, 1500);
+        } else if (action === 'climb') {
+            this.inStand = true;
+            showMessage(`In the ${item.label.toLowerCase()}`, 1500);
+        } else {
+            this.remove(key);
+            this.inStand = false;
+            showMessage(`${item.label} packed up`, 1500);
+        }
+        console.log(`🎒 ${item.label}: ${action} done`);
+    }
+
+    /**
+     * Looks past brush and deadfall for the closest trunk in reach that will take a stand.
+     * @returns {THREE.Object3D|null} A tree right next to the hunter that will take a stand
+     */
+    findStandTree() {
+        if (!gameContext.trees) return null;
+        const position = gameContext.player.position;
+        const { reach, treeSpecies } = GEAR.treeStand;
+        let nearest = null;
+        let nearestGap = Infinity;
+        for (const tree of gameContext.trees.children) {
+            const species = tree.userData.species;
+            if (species && !treeSpecies.includes(species)) continue;
+
+            const radius = tree.userData.collisionRadius ?? (tree.scale.x || 1.0) * 1.8;
+            const gap = Math.hypot(position.x - tree.position.x, position.z - tree.position.z) - radius;
+            if (gap < reach && gap < nearestGap) {
+                nearest = tree;
+                nearestGap = gap;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {boolean} The hunter is within reach of the piece where it stands
+     */
+    isNear(key) {
+        const placed = this.placed[key];
+        if (!placed || !gameContext.player) return false;
+        const position = gameContext.player.position;
+        return Math.hypot(position.x - placed.position.x, position.z - placed.position.z) <= GEAR[key].reach;
+    }
+
+    /**
+     * Puts the piece's model in the world at the hunter's feet.
+     * @param {string} key
+     */
+    place(key) {
+        const position = gameContext.player.position.clone();
+        const mesh = key === 'shootingSticks' ? createSticks()
+            : key === 'groundBlind' ? createBlind()
+            : createStand(position, this.findStandTree());
+        mesh.position.copy(position);
+        gameContext.scene.add(mesh);
+        this.placed[key] = { position, mesh };
+    }
+
+    /**
+     * @param {string} key
+     */
+    remove(key) {
+        const placed = this.placed[key];
+        if (!placed) return;
+        gameContext.scene.remove(placed.mesh);
+        placed.mesh.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        delete this.placed[key];
+    }
+
+    /**
+     * @returns {boolean} The hunter can't walk: busy with gear or up in the stand
+     */
+    holdsPlayer() {
+        return !!this.task || this.inStand;
+    }
+
+    /**
+     * @returns {boolean} The weapon is rested on the shooting sticks or the stand's rail
+     */
+    isBracing() {
+        if (this.inStand) return true;
+        return !!this.placed.shootingSticks && this.isNear('shootingSticks');
+    }
+
+    /**
+     * @returns {boolean} The hunter is sitting inside the ground blind
+     */
+    isInBlind() {
+        return !!this.placed.groundBlind && this.isNear('groundBlind');
+    }
+
+    /**
+     * @returns {number} Meters the hunter's eyes are lifted off the ground
+     */
+    getElevation() {
+        return this.inStand ? GEAR.treeStand.height : 0;
+    }
+
+    /**
+     * @returns {number} Multiplier on how visible the hunter is
+     */
+    getConcealment() {
+        return this.isInBlind() ? GEAR.groundBlind.visibility : 1;
+    }
+
+    /**
+     * @returns {number} Multiplier on how far the hunter's footsteps carry
+     */
+    getNoiseRangeMultiplier() {
+        return this.isInBlind() ? GEAR.groundBlind.noiseRange : 1;
+    }
+}
+
+/**
+ * Three legs meeting in a V-yoke at chest height.
+ * @returns {THREE.Group}
+ */
+function createSticks() {
+    const group = new THREE.Group();
+    const material = new THREE.MeshLambertMaterial({ color: STICK_COLOR });
+    for (let i = 0; i < 3; i++) {
+        const leg = new THREE.Mesh(new THREE.CylinderGeometry(0.012, 0.015, 1.45, 5), material);
+        const angle = (i / 3) * Math.PI * 2;
+        leg.position.set(Math.sin(angle) * 0.15, 0.7, Math.cos(angle) * 0.15);
+        leg.rotation.set(Math.cos(angle) * 0.2, 0, -Math.sin(angle) * 0.2);
+        group.add(leg);
+    }
+    return group;
+}
+
+/**
+ * A six-sided hub blind. Faces point outward only, so from inside the walls don't block
+ * the hunter's view - as if looking out of the windows.
+ * @returns {THREE.Group}
+ */
+function createBlind() {
+    const group = new THREE.Group();
+    const material = new THREE.MeshLambertMaterial({ color: BLIND_COLOR, side: THREE.FrontSide });
+    const walls = new THREE.Mesh(new THREE.CylinderGeometry(1.3, 1.5, 1.8, 6, 1, true), material);
+    walls.position.y = 0.9;
+    const roof = new THREE.Mesh(new THREE.ConeGeometry(1.35, 0.4, 6), material);
+    roof.position.y = 2;
+    group.add(walls, roof);
+    return group;
+}
+
+/**
+ * A platform and seat on the trunk side of the hunter, and a ladder of sticks below.
+ * @param {THREE.Vector3} position - Where the hunter stands at the base
+ * @param {THREE.Object3D|null} tree
+ * @returns {THREE.Group}
+ */
+function createStand(position, tree) {
+    const group = new THREE.Group();
+    const material = new THREE.MeshLambertMaterial({ color: STAND_COLOR });
+    const height = GEAR.treeStand.height;
+
+    const platform = new THREE.Mesh(new THREE.BoxGeometry(0.7, 0.05, 0.7), material);
+    platform.position.y = height;
+    const seat = new THREE.Mesh(new THREE.BoxGeometry(0.45, 0.05, 0.3), material);
+    seat.position.set(0, height + 0.5, 0.25);
+    const ladder = new THREE.Mesh(new THREE.BoxGeometry(0.08, height, 0.08), material);
+    ladder.position.set(0, height / 2, 0.4);
+    group.add(platform, seat, ladder);
+
+    // Seat and ladder go against the trunk
+    if (tree) {
+        group.rotation.y = Math.atan2(tree.position.x - position.x, tree.position.z - position.z);
+    }
+    return group;
+}
+
+export const gear = new GearManager();
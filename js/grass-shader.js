@@ -11,6 +11,7 @@ export function createGrassShaderMaterial() {
             time: { value: 0 },
             windStrength: { value: 0.3 },
             windFrequency: { value: 1.5 },
+            windDirection: { value: new THREE.Vector2(1, 0) }, // Downwind direction in world XZ
             grassColor: { value: new THREE.Color(0x4a7c23) }, // Darker, truer grass green
             grassColorTip: { value: new THREE.Color(0x6b9b3a) }, // Slightly lighter tip
         },
@@ -18,6 +19,7 @@ export function createGrassShaderMaterial() {
             uniform float time;
             uniform float windStrength;
             uniform float windFrequency;
+            uniform vec2 windDirection;
             
             varying vec2 vUv;
             varying float vHeight;
@@ -26,17 +28,21 @@ export function createGrassShaderMaterial() {
                 vUv = uv;
                 vec3 pos = position;
                 
+                // Bend in world space so every blade leans the same way regardless of instance rotation
+                vec4 worldPos = instanceMatrix * vec4(pos, 1.0);
+                
                 // Wind effect - stronger at top of grass blade
                 float windEffect = pos.y * windStrength;
-                float windWave = sin(time * windFrequency + pos.x * 0.5 + pos.z * 0.3) * windEffect;
-                float windWave2 = sin(time * windFrequency * 0.7 + pos.x * 0.3 + pos.z * 0.5) * windEffect * 0.5;
+                float windWave = sin(time * windFrequency + worldPos.x * 0.5 + worldPos.z * 0.3) * windEffect;
+                float windWave2 = sin(time * windFrequency * 0.7 + worldPos.x * 0.3 + worldPos.z * 0.5) * windEffect * 0.5;
                 
-                pos.x += windWave + windWave2;
-                pos.z += windWave * 0.5;
+                // Steady lean downwind plus gusting sway around it
+                float bend = windEffect * 0.6 + windWave + windWave2;
+                worldPos.xz += windDirection * bend;
                 
                 vHeight = pos.y;
                 
-                vec4 mvPosition = modelViewMatrix * instanceMatrix * vec4(pos, 1.0);
+                vec4 mvPosition = modelViewMatrix * worldPos;
                 gl_Position = projectionMatrix * mvPosition;
             }
         `,
@@ -103,11 +109,22 @@ export function createGrassBladeGeometry() {
 }
 
 /**
- * Updates grass shader time uniform for wind animation
+ * Updates grass shader uniforms for wind animation
  * Call this in your animation loop
+ * @param {THREE.InstancedMesh} grassMesh - Grass mesh using the grass shader material
+ * @param {number} deltaTime - Time since last frame in seconds
+ * @param {object} [wind] - Current wind from gameContext.wind (speed in mph, downwind vector)
  */
-export function updateGrassWind(grassMesh, deltaTime) {
+export function updateGrassWind(grassMesh, deltaTime, wind) {
     if (grassMesh && grassMesh.material && grassMesh.material.uniforms) {
-        grassMesh.material.uniforms.time.value += deltaTime;
+        const uniforms = grassMesh.material.uniforms;
+        uniforms.time.value += deltaTime;
+        
+        if (wind) {
+            // Calm air barely stirs the grass, a 15 mph wind lays it over
+            uniforms.windStrength.value = 0.05 + Math.min(wind.speed, 20) * 0.03;
+            uniforms.windFrequency.value = 1.0 + Math.min(wind.speed, 20) * 0.08;
+            uniforms.windDirection.value.set(wind.downwindX, wind.downwindZ);
+        }
     }
 }
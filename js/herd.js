@@ -0,0 +1,333 @@
+// --- HERD MANAGER ---
+// Spawns and updates every deer in the world and relays alarm blows, vocalizations, the
+// hunter's calls and loud noises, and wildlife alarm calls to herd members
+import * as THREE from 'three';
+import { gameContext } from './context.js';
+import { Deer } from './deer.js';
+import { herdConfig } from './deer-config.js';
+import { collisionSystem } from './collision.js';
+import { getWorldRandom } from './random.js';
+import { getHeardLoudness, getNoiseSuspicion } from './noise.js';
+
+// States in which a deer can still react to another member's alarm
+const ALARM_RESPONSIVE_STATES = new Set(['IDLE', 'WANDERING', 'THIRSTY', 'GRAZING', 'DRINKING', 'CURIOUS', 'ALERT']);
+
+// Reusable vectors for aim checks and shot raycasts
+const _toDeer = new THREE.Vector3();
+const _closestPoint = new THREE.Vector3();
+const _lead = new THREE.Vector3();
+const _leadFrom = new THREE.Vector3();
+const _leadTo = new THREE.Vector3();
+const _segmentMid = new THREE.Vector3();
+
+// Farthest a hitbox reaches from the deer's origin, for skipping deer nowhere near a shot
+const DEER_HIT_REACH = 2;
+
+export class HerdManager {
+    constructor() {
+        this.members = [];
+        this.familyLeader = null;
+        this.spawnRandom = Math.random;
+    }
+
+    /**
+     * Creates the herd for a world. Composition comes from worldConfig.deer.herd
+     * (e.g. { buck: 1, doe: 3, fawn: 2 }), falling back to herdConfig.composition.
+     * @param {object} worldConfig - The world configuration
+     */
+    init(worldConfig) {
+        const composition = worldConfig?.deer?.herd || herdConfig.composition;
+
+        this.members = [];
+        this.familyLeader = null;
+        this.spawnRandom = getWorldRandom('deer');
+
+        const counts = {};
+        for (const deerClass of ['buck', 'doe', 'fawn']) {
+            const count = composition[deerClass] || 0;
+            for (let i = 0; i < count; i++) {
+                const member = new Deer(deerClass);
+                counts[deerClass] = (counts[deerClass] || 0) + 1;
+                member.id = this.members.length;
+                member.label = count > 1 ? `${member.config.label} #${counts[deerClass]}` : member.config.label;
+                member.antlers.generate();
+                this.members.push(member);
+            }
+        }
+
+        // Does and fawns travel as one family group led by the first doe;
+        // bucks range on their own.
+        this.familyLeader = this.members.find(m => m.deerClass === 'doe') || null;
+        for (const member of this.members) {
+            if (member !== this.familyLeader && member.deerClass !== 'buck') {
+                member.herdLeader = this.familyLeader;
+            }
+        }
+
+        // The hunt starts focused on the first deer; shooting retargets the focus
+        gameContext.deer = this.members[0] || null;
+        gameContext.herd = this;
+    }
+
+    /**
+     * Respawns every member. Family members spawn around their leader.
+     * Spawn points come from the world seed, so call this after vegetation has
+     * loaded - tree collision checks affect which candidate points are accepted.
+     */
+    respawnAll() {
+        for (const member of this.members) {
+            if (member.herdLeader) continue;
+            member.respawn({ random: this.spawnRandom });
+        }
+        for (const member of this.members) {
+            if (!member.herdLeader) continue;
+            member.respawn({
+                anchor: member.herdLeader.spawnPosition,
+                radius: herdConfig.familySpawnRadius,
+                announce: false,
+                random: this.spawnRandom
+            });
+        }
+    }
+
+    /**
+     * @returns {boolean} True once every member's model has finished loading
+     */
+    isLoaded() {
+        return this.members.length > 0 && this.members.every(m => m.isModelLoaded);
+    }
+
+    /**
+     * @returns {Deer[]} Members that are loaded and present in the scene
+     */
+    getActiveMembers() {
+        return this.members.filter(m => m.isModelLoaded && gameContext.scene.children.includes(m.model));
+    }
+
+    /**
+     * @returns {boolean} True if any deer has been killed (the hunter's tag is filled)
+     */
+    hasHarvest() {
+        return this.members.some(m => m.state === 'KILLED');
+    }
+
+    update(delta) {
+        for (const member of this.members) {
+            member.update(delta);
+        }
+    }
+
+    /**
+     * Called when a member blows. Nearby members that are still calm go alert, or
+     * run with it if the blowing deer is already fleeing.
+     * @param {Deer} source - The deer that blew
+     */
+    onMemberBlow(source) {
+        if (!source.model) return;
+
+        const sourceFleeing = source.state === 'FLEEING';
+        const rangeSq = herdConfig.alarmHearingRange * herdConfig.alarmHearingRange;
+
+        for (const member of this.members) {
+            if (member === source || !member.isModelLoaded) continue;
+            if (!ALARM_RESPONSIVE_STATES.has(member.state)) continue;
+            if (member.model.position.distanceToSquared(source.model.position) > rangeSq) continue;
+
+            member.respondToHerdAlarm(sourceFleeing);
+        }
+    }
+
+    /**
+     * Called when a member grunts, bleats, snort-wheezes or stomps. Members within
+     * earshot of that sound react to it.
+     * @param {Deer} source - The deer that made the sound
+     * @param {'grunt'|'bleat'|'snortWheeze'|'stomp'} kind
+     */
+    onMemberVocalize(source, kind) {
+        if (!source.model) return;
+
+        for (const member of this.members) {
+            if (member === source || !member.isModelLoaded) continue;
+            const range = member.config.voice.hearingRanges[kind];
+            if (member.model.position.distanceToSquared(source.model.position) > range * range) continue;
+
+            member.voice.hear(source, kind);
+        }
+    }
+
+    /**
+     * Called when the hunter uses a grunt call or rattles antlers.
+     * @param {'grunt'|'rattle'} kind - Which call
+     * @param {THREE.Vector3} position - Where the hunter called from
+     * @param {boolean} overused - The hunter has been calling too much
+     * @returns {Deer[]} Members coming in to the call
+     */
+    onHunterCall(kind, position, overused) {
+        const responders = [];
+
+        for (const member of this.members) {
+            if (!member.isModelLoaded) continue;
+            const range = member.config.voice.callHearingRanges[kind];
+            if (member.model.position.distanceToSquared(position) > range * range) continue;
+
+            if (member.voice.hearCall(kind, position, overused)) {
+                responders.push(member);
+            }
+        }
+
+        return responders;
+    }
+
+    /**
+     * Called for each alarm call from the wildlife - a turkey putting, a squirrel
+     * chattering, crows cawing. Calm members within range grow more suspicious.
+     * @param {THREE.Vector3} position - Where the call came from
+     * @param {number} strength - Suspicion each hearer gains, before its wariness
+     * @param {number} range - How far the call carries
+     */
+    onWildlifeAlarm(position, strength, range) {
+        for (const member of this.members) {
+            if (!member.isModelLoaded || !ALARM_RESPONSIVE_STATES.has(member.state)) continue;
+            if (member.model.position.distanceToSquared(position) > range * range) continue;
+
+            member.hearAlarmCall(position, strength);
+        }
+    }
+
+    /**
+     * Called when the hunter shoots or makes some other loud noise. Every member in earshot
+     * hears it, fainter with distance and muffled by terrain in between.
+     * @param {string} kind - Noise kind from noise.js
+     * @param {THREE.Vector3} position - Where the noise was made
+     */
+    onLoudNoise(kind, position) {
+        const suspicion = getNoiseSuspicion(kind);
+        for (const member of this.members) {
+            if (!member.isModelLoaded) continue;
+            const { loudness, muffled } = getHeardLoudness(kind, member.model.position, position);
+            if (loudness <= 0) continue;
+
+            if (suspicion > 0) {
+                member.hearHunterNoise(position, loudness * suspicion);
+            } else {
+                member.hearLoudNoise(position, loudness, muffled);
+            }
+        }
+    }
+
+    /**
+     * Finds the deer the hunter is aiming at: the active member closest to the
+     * line of sight (in front of the shooter).
+     * @param {THREE.Ray} ray - Aim ray from the camera
+     * @returns {Deer|null}
+     */
+    getAimedDeer(ray) {
+        let best = null;
+        let bestScore = Infinity;
+
+        for (const member of this.getActiveMembers()) {
+            _toDeer.subVectors(member.model.position, ray.origin);
+            const along = _toDeer.dot(ray.direction);
+            if (along <= 0) continue;
+
+            ray.closestPointToPoint(member.model.position, _closestPoint);
+            // Angular offset from the aim line - favors the deer under the reticle, not the nearest one
+            const score = _closestPoint.distanceTo(member.model.position) / along;
+            if (score < bestScore) {
+                bestScore = score;
+                best = member;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Raycasts a shot against every active member's hitboxes.
+     * @param {THREE.Vector3} from
+     * @param {THREE.Vector3} to
+     * @param {number} [leadTime=0] - Seconds after the trigger pull the bullet covers this
+     *   segment; a moving deer is tested where it will be by then
+     * @returns {object} Closest hit result from collisionSystem.raycast, plus the deer that was hit
+     */
+    raycast(from, to, leadTime = 0) {
+        let closest = { hit: false };
+        const reach = from.distanceTo(to) / 2 + DEER_HIT_REACH;
+        _segmentMid.addVectors(from, to).multiplyScalar(0.5);
+
+        for (const member of this.getActiveMembers()) {
+            // Shift the segment back by the deer's travel rather than moving the deer
+            const speed = leadTime > 0 ? member.movement.getCurrentSpeed() : 0;
+            _lead.set(Math.sin(member.model.rotation.y), 0, Math.cos(member.model.rotation.y)).multiplyScalar(speed * leadTime);
+            if (_segmentMid.distanceToSquared(_toDeer.addVectors(member.model.position, _lead)) > reach * reach) continue;
+
+            _leadFrom.subVectors(from, _lead);
+            _leadTo.subVectors(to, _lead);
+            const result = collisionSystem.raycast(_leadFrom, _leadTo, member);
+            if (result.hit && (!closest.hit || result.distance < closest.distance)) {
+                closest = { ...result, deer: member };
+            }
+        }
+
+        return closest;
+    }
+
+    /**
+     * Finds the nearest downed, untagged deer within reach.
+     * @param {THREE.Vector3} position - Hunter position
+     * @param {number} maxDistance - Maximum horizontal distance
+     * @returns {Deer|null}
+     */
+    getTaggableDeer(position, maxDistance) {
+        let nearest = null;
+        let nearestDist = maxDistance;
+
+        for (const member of this.members) {
+            if (member.state !== 'KILLED' || !member.fallen || member.tagged) continue;
+            const dx = position.x - member.model.position.x;
+            const dz = position.z - member.model.position.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+            if (dist <= nearestDist) {
+                nearestDist = dist;
+                nearest = member;
+            }
+        }
+
+        return nearest;
+    }
+
+    /**
+     * Finds the nearest deer that's still on its feet.
+     * @param {THREE.Vector3} position - Hunter position
+     * @returns {{deer: Deer, distance: number}|null}
+     */
+    getNearestLiveDeer(position) {
+        let nearest = null;
+        let nearestDist = Infinity;
+
+        for (const member of this.members) {
+            if (!member.model || member.state === 'KILLED') continue;
+            const dx = position.x - member.model.position.x;
+            const dz = position.z - member.model.position.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+            if (dist < nearestDist) {
+                nearestDist = dist;
+                nearest = member;
+            }
+        }
+
+        return nearest ? { deer: nearest, distance: nearestDist } : null;
+    }
+
+    /**
+     * Scales how fast every member's suspicion builds (used by the game-mode toggles).
+     * @param {number} multiplier - Applied on top of each deer class's own wariness
+     */
+    scaleWariness(multiplier) {
+        for (const member of this.members) {
+            member.config.wariness *= multiplier;
+        }
+    }
+}
+
+export const herd = new HerdManager();
@@ -1,12 +1,25 @@
 import * as THREE from 'three';
 import { gameContext } from './context.js';
-import { playRifleSound } from './audio.js';
+import { playWeaponSound } from './audio.js';
 import { showMessage, showSeasonCompleteModal } from './ui.js';
 import { logEvent } from './report-logger.js';
-import { collisionSystem } from './collision.js';
-import { LEGAL_HUNTING_START_HOUR, LEGAL_HUNTING_END_HOUR } from './constants.js';
+import { getDaylightHours } from './seasons.js';
 import { applyRifleRecoil } from './camera-effects.js';
 import { getIsTreeBraced, getIsKneeling } from './player.js';
+import { HARVEST_RULES, DEFAULT_HARVEST_RULE, YOUNG_BUCK_PENALTY, WOUNDED_LOST_PENALTY, WOUNDED_SURVIVED_PENALTY } from './constants.js';
+import { deerConfig } from './deer-config.js';
+import { describeRack, formatScore } from './deer-antlers.js';
+import { makeLoudNoise } from './noise.js';
+import { fireBullet } from './ballistics.js';
+import { weapons } from './weapons.js';
+import { scope } from './scope.js';
+import { getWorldRandom } from './random.js';
+
+// How close the hunter must be to a downed deer to tag it
+const TAG_REACH_DISTANCE = 5;
+
+// Seeded stream so the same world seed settles wounded deer the same way each night
+let overnightRandom = Math.random;
 
 /**
  * Shows a message only in practice mode (not hunt simulator)
@@ -19,11 +32,12 @@ function showPracticeModeMessage(message, duration) {
 }
 
 /**
- * Checks if current time is within legal hunting hours
+ * Checks if current time is within legal hunting hours for the season
  */
 function isLegalHuntingTime() {
     const currentTime = gameContext.gameTime;
-    return currentTime >= LEGAL_HUNTING_START_HOUR && currentTime <= LEGAL_HUNTING_END_HOUR;
+    const { legalStart, legalEnd } = getDaylightHours();
+    return currentTime >= legalStart && currentTime <= legalEnd;
 }
 
 /**
@@ -57,20 +71,28 @@ function calculateBonuses(distance, wasMoving, hitZone, isFirstShot = false, isB
     
     // Close range bonus: Rewards stalking skill and patience
     // Getting close to a deer without spooking it is the essence of fair chase
-    if (distance <= 25) {
+    // Bands are quarters of the weapon's effective range: 25/50/75/100 yards with a rifle,
+    // 7/15/22/30 with a bow
+    const weapon = weapons.getWeapon();
+    const range = weapon.effectiveRange;
+    if (distance <= range * 0.25) {
         bonus += 25;
         bonusDetails.push('Close Stalk +25');
-    } else if (distance <= 50) {
+    } else if (distance <= range * 0.5) {
         bonus += 15;
         bonusDetails.push('Good Stalk +15');
-    } else if (distance <= 75) {
+    } else if (distance <= range * 0.75) {
         bonus += 10;
         bonusDetails.push('Decent Range +10');
-    } else if (distance <= 100) {
+    } else if (distance <= range) {
         bonus += 5;
         bonusDetails.push('Effective Range +5');
+    } else if (distance > weapon.maxEthicalRange) {
+        // Past what the weapon can be trusted to kill cleanly at, even if it did this time
+        bonus -= 15;
+        bonusDetails.push(`Beyond ${weapon.label} Range -15`);
     }
-    // No bonus for shots over 100 yards - fair chase emphasizes getting close
+    // No bonus past the effective range - fair chase emphasizes getting close
     
     // Stationary target bonus: Ethical hunters wait for a clean, still shot
     if (!wasMoving) {
@@ -116,8 +138,9 @@ function calculateBonuses(distance, wasMoving, hitZone, isFirstShot = false, isB
 
 /**
  * Processes a kill event, updating score and logs
+ * @param {Deer} [deer] - The deer that was killed (defaults to the focused deer)
  */
-function processKill(baseScore, baseMessage, wasMoving, shotCount, distance, hitZone = 'body', wasRunning = false, wasWalking = false) {
+function processKill(baseScore, baseMessage, wasMoving, shotCount, distance, hitZone = 'body', wasRunning = false, wasWalking = false, deer = gameContext.deer) {
     // Prevent processing a new kill if one is already pending a tag
     if (gameContext.killInfo) {
         return;
@@ -154,6 +177,24 @@ function processKill(baseScore, baseMessage, wasMoving, shotCount, distance, hit
         if (bonusDetails.length > 0) {
             finalMessage += ` (${bonusDetails.join(', ')})`;
         }
+
+        // Selective harvest: a buck the rules say to let walk costs points however clean the shot
+        const rule = HARVEST_RULES[gameContext.harvestRule] || HARVEST_RULES[DEFAULT_HARVEST_RULE];
+        if (deer.antlers.rack && deer.ageClass && deer.ageClass.age < rule.minBuckAge) {
+            finalScore += YOUNG_BUCK_PENALTY;
+            finalMessage += ` - Young Buck (${deer.ageClass.label})`;
+            if (!gameContext.badShotPenalties) gameContext.badShotPenalties = [];
+            gameContext.badShotPenalties.push({
+                hitZone: 'young-buck',
+                penalty: Math.abs(YOUNG_BUCK_PENALTY),
+                description: `Young Buck (${rule.label})`
+            });
+            logEvent("Young Buck Harvested", `${deer.label} (${deer.ageClass.label}) taken under ${rule.label} rules`, {
+                deerId: deer.id,
+                age: deer.ageClass.age,
+                penalty: YOUNG_BUCK_PENALTY
+            });
+        }
     }
 
     gameContext.score += finalScore;
@@ -181,15 +222,21 @@ function processKill(baseScore, baseMessage, wasMoving, shotCount, distance, hit
         ethical: ethical,
         hitZone: hitZone,
         bonusBreakdown: bonusBreakdown, // Store individual bonus details for report
-        shootingStance: stance
+        shootingStance: stance,
+        deerLabel: deer.label,
+        ageClass: deer.ageClass ? deer.ageClass.label : null,
+        rack: deer.antlers.rack ? describeRack(deer.antlers.rack) : null,
+        grossScore: deer.antlers.getGrossScore()
     };
+    deer.killInfo = gameContext.killInfo;
     
     const scoreText = finalScore >= 0 ? ` +${finalScore}` : ` ${finalScore}`;
     showPracticeModeMessage(`${finalMessage}!${scoreText} Points`);
     
-    gameContext.deer.setState('KILLED');
+    deer.setState('KILLED');
     
-    logEvent("Deer Killed", `${baseMessage} at ${distance} yards (${stance})`, {
+    logEvent("Deer Killed", `${deer.label}: ${baseMessage} at ${distance} yards (${stance})`, {
+        deerId: deer.id,
         distance: distance,
         moving: wasMoving,
         shotCount: shotCount,
@@ -206,18 +253,28 @@ function processKill(baseScore, baseMessage, wasMoving, shotCount, distance, hit
  * Handles the shooting mechanic
  */
 export function shoot() {
-    if (gameContext.isSleeping || (gameContext.deer && gameContext.deer.state === 'KILLED')) return;
-
-    playRifleSound();
-    applyRifleRecoil();
+    const herd = gameContext.herd;
+    // One tag per season - no more shooting once a deer is down
+    if (gameContext.isSleeping || (herd && herd.hasHarvest())) return;
 
-    if (!gameContext.deer || !gameContext.deer.isModelLoaded) {
+    if (!herd || !herd.isLoaded()) {
         showMessage("Deer model not loaded yet", 2000);
         return;
     }
 
-    if (!gameContext.scene.children.includes(gameContext.deer.model)) {
+    // Nothing leaves the barrel while empty, reloading or still cycling
+    if (!weapons.fire()) return;
+
+    const weapon = weapons.getWeapon();
+    playWeaponSound(weapon.sound);
+    applyRifleRecoil(weapon.recoil);
+
+    // The deer under the reticle sets the shot conditions (distance, movement, angle)
+    gameContext.raycaster.setFromCamera({ x: 0, y: 0 }, gameContext.camera);
+    const targetDeer = herd.getAimedDeer(gameContext.raycaster.ray);
+    if (!targetDeer) {
         showMessage("Deer not in scene", 2000);
+        makeLoudNoise(weapon.noise, gameContext.player.position);
         return;
     }
     
@@ -244,11 +301,11 @@ export function shoot() {
         });
     }
 
-    const deerState = gameContext.deer.state;
+    const deerState = targetDeer.state;
     const wasMoving = ['FLEEING', 'WOUNDED', 'WANDERING', 'THIRSTY'].includes(deerState);
     const wasRunning = ['FLEEING', 'WOUNDED'].includes(deerState);
     const wasWalking = ['WANDERING', 'THIRSTY'].includes(deerState);
-    const shotDistance = gameContext.player.position.distanceTo(gameContext.deer.model.position);
+    const shotDistance = gameContext.player.position.distanceTo(targetDeer.model.position);
     const shotDistanceYards = Math.round(shotDistance * 1.09361);
 
     // Capture shooting conditions at time of shot (for bonus calculation)
@@ -265,80 +322,44 @@ export function shoot() {
             distanceTrailed: 0,
             recoveryShotDistance: null,
             totalShotsTaken: 0,
-            deerInitialPosition: gameContext.deer.model.position.clone(),
+            deerInitialPosition: targetDeer.model.position.clone(),
+            deerId: targetDeer.id,
             // Store first shot conditions for bonus calculation
             firstShotBraced: shotIsBraced,
             firstShotKneeling: shotIsKneeling
         };
     }
 
-    gameContext.raycaster.setFromCamera({ x: 0, y: 0 }, gameContext.camera);
     const rayOrigin = gameContext.raycaster.ray.origin;
     let rayDirection = gameContext.raycaster.ray.direction.clone();
     
-    // --- Accuracy Deviation System (Hunt Simulator only) ---
-    // Applies realistic shot deviation based on shooting conditions
-    // Only in simulator mode - practice mode has perfect accuracy for learning
+    // The bullet leaves along the line under the reticle: breathing, heartbeat, stance,
+    // stamina and buck fever have already moved the camera (see aim-sway.js)
     if (gameContext.gameMode !== 'practice') {
-        const isBraced = getIsTreeBraced();
-        const isKneeling = getIsKneeling();
-        
-        // Calculate cumulative deviation in degrees
-        let deviationDegrees = 0;
-        
-        // Stance-based deviation
-        if (!isBraced && !isKneeling) {
-            // Offhand (standing, no support) - highest deviation
-            deviationDegrees += 2.0;
-        } else if (isKneeling && !isBraced) {
-            // Sitting only - moderate deviation
-            deviationDegrees += 0.5;
-        } else if (isBraced && !isKneeling) {
-            // Braced only - low deviation
-            deviationDegrees += 0.2;
-        }
-        // Sitting + Braced = 0 deviation (perfect accuracy)
-        
-        // Distance-based deviation (simulates bullet drop, wind, shooter fatigue)
-        if (shotDistanceYards > 150) {
-            deviationDegrees += 0.6;
-        } else if (shotDistanceYards > 100) {
-            deviationDegrees += 0.3;
-        }
-        
-        // Moving target adds deviation (harder to track and lead)
-        if (wasMoving) {
-            deviationDegrees += 1.0;
-        }
-        
-        // Apply random deviation within the calculated cone
-        if (deviationDegrees > 0) {
-            const deviationRadians = (deviationDegrees * Math.PI) / 180;
-            // Random angle within deviation cone
-            const randomAngle = Math.random() * Math.PI * 2;
-            const randomMagnitude = Math.random() * deviationRadians;
-            
-            // Create perpendicular vectors for deviation
-            const up = new THREE.Vector3(0, 1, 0);
-            const right = new THREE.Vector3().crossVectors(rayDirection, up).normalize();
+        // Scope parallax (hunt simulator only): an eye off-center behind the glass (worse at
+        // high power and from a shaky stance) puts the reticle off what it covers unless the
+        // deer stands at the scope's parallax distance
+        const parallax = scope.getParallaxError(shotDistance);
+        if (parallax.x !== 0 || parallax.y !== 0) {
+            const right = new THREE.Vector3().crossVectors(rayDirection, new THREE.Vector3(0, 1, 0)).normalize();
             const actualUp = new THREE.Vector3().crossVectors(right, rayDirection).normalize();
-            
-            // Apply deviation
-            const deviationX = Math.cos(randomAngle) * Math.sin(randomMagnitude);
-            const deviationY = Math.sin(randomAngle) * Math.sin(randomMagnitude);
-            
-            rayDirection.add(right.multiplyScalar(deviationX));
-            rayDirection.add(actualUp.multiplyScalar(deviationY));
+            rayDirection.addScaledVector(right, parallax.x);
+            rayDirection.addScaledVector(actualUp, parallax.y);
             rayDirection.normalize();
         }
     }
     
-    const rayEnd = rayOrigin.clone().add(rayDirection.clone().multiplyScalar(1000));
+    // Fly the bullet: it drops, drifts and slows on its way, and a moving deer keeps moving
+    // while it's in the air
+    const hitResult = fireBullet(rayOrigin, rayDirection, weapons.getLoad());
+    
+    // A deviated shot can hit a different herd member than the one aimed at
+    const deer = hitResult.hit ? hitResult.deer : targetDeer;
 
     // Calculate shot angle relative to deer's facing direction
     // This determines if it's a broadside, quartering, frontal, or rear shot
-    const deerForward = new THREE.Vector3(0, 0, 1).applyQuaternion(gameContext.deer.model.quaternion).normalize();
-    const shotTowardsDeer = rayDirection.clone().normalize();
+    const deerForward = new THREE.Vector3(0, 0, 1).applyQuaternion(deer.model.quaternion).normalize();
+    const shotTowardsDeer = hitResult.direction;
     const angleAlignment = deerForward.dot(shotTowardsDeer); // -1 = frontal, 0 = broadside, 1 = rear
     
     // Determine shot angle type based on ethical hunting guidelines
@@ -371,7 +392,12 @@ export function shoot() {
     }
     // Broadside (between -0.25 and 0.25) - "as good as it gets" - no penalty
 
-    const hitResult = collisionSystem.raycast(rayOrigin, rayEnd, gameContext.deer);
+    gameContext.deer = deer;
+    gameContext.deerState = deer.state;
+
+    // Hit or miss, the deer remembers the spot it was shot at
+    deer.memory.recordEncounter('shotAt', deer.model.position);
+    
     let shotResult = {
         distance: shotDistanceYards,
         hitType: 'miss',
@@ -379,7 +405,10 @@ export function shoot() {
         deerMoving: wasMoving,
         hit: false,
         shotAngle: shotAngleType,
-        shotAnglePenalty: shotAnglePenalty
+        shotAnglePenalty: shotAnglePenalty,
+        flightTime: hitResult.flightTime,
+        dropInches: Math.round(hitResult.drop * 39.37),
+        impactVelocity: Math.round(hitResult.velocity)
     };
 
     if (hitResult.hit) {
@@ -468,7 +497,7 @@ export function shoot() {
             if (!gameContext.shotAngles) gameContext.shotAngles = [];
             gameContext.shotAngles.push({ angle: shotAngleType, penalty: shotAnglePenalty });
             
-            processKill(finalScore, finalMessage, wasMoving, 1, yards, hitName, wasRunning, wasWalking);
+            processKill(finalScore, finalMessage, wasMoving, 1, yards, hitName, wasRunning, wasWalking, deer);
             
         } else if (isNeckShot && neckIsFatal) {
             // Fatal neck shot - risky shot penalized
@@ -478,12 +507,13 @@ export function shoot() {
                 penalty: 5,
                 description: 'Neck Shot - Risky Shot'
             });
-            processKill(-5, 'Neck Shot - Risky Shot', wasMoving, 1, yards, hitName, wasRunning, wasWalking);
+            processKill(-5, 'Neck Shot - Risky Shot', wasMoving, 1, yards, hitName, wasRunning, wasWalking, deer);
             
         } else if (vitalHitButWounded) {
             // Vital area hit but poor shot angle caused deflection/non-fatal wound
             // This simulates bone deflection, single lung hit, or gut penetration
-            gameContext.lastHitPosition = gameContext.deer.model.position.clone();
+            deer.lastHitPosition = deer.model.position.clone();
+            gameContext.lastHitPosition = deer.lastHitPosition;
             
             // Determine wound type based on shot angle
             // Frontal: likely single lung or liver (deflected by sternum/ribs)
@@ -495,7 +525,7 @@ export function shoot() {
             }
             
             const hitPointVec = hitPosition ? new THREE.Vector3(hitPosition.x, hitPosition.y, hitPosition.z) : null;
-            const woundResult = gameContext.deer.applyWound(deflectedHitZone, hitPointVec);
+            const woundResult = deer.applyWound(deflectedHitZone, hitPointVec, hitResult.direction);
             
             // Apply shot angle penalty
             gameContext.score += shotAnglePenalty;
@@ -514,7 +544,8 @@ export function shoot() {
             const angleDesc = angleNames[shotAngleType] || shotAngleType;
             showPracticeModeMessage(`${angleDesc} shot deflected! ${woundTypeName} - deer wounded. ${shotAnglePenalty} Points`);
             
-            logEvent("Deer Wounded", `Vital hit deflected by ${angleDesc} angle - ${woundTypeName} at ${yards} yards`, {
+            logEvent("Deer Wounded", `${deer.label}: vital hit deflected by ${angleDesc} angle - ${woundTypeName} at ${yards} yards`, {
+                deerId: deer.id,
                 distance: yards,
                 originalHit: 'vitals',
                 actualWound: woundTypeName,
@@ -525,15 +556,16 @@ export function shoot() {
         } else {
             // Non-fatal hit - wound the deer with realistic behavior
             // Store hit position for GPS map (red X marker)
-            gameContext.lastHitPosition = gameContext.deer.model.position.clone();
+            deer.lastHitPosition = deer.model.position.clone();
+            gameContext.lastHitPosition = deer.lastHitPosition;
             
             // Use new applyWound method that determines wound type from hitbox
             const hitPointVec = hitPosition ? new THREE.Vector3(hitPosition.x, hitPosition.y, hitPosition.z) : null;
-            const woundResult = gameContext.deer.applyWound(hitName, hitPointVec);
+            const woundResult = deer.applyWound(hitName, hitPointVec, hitResult.direction);
             
             // Check if deer died from accumulated wounds (3+ hits)
             if (woundResult && woundResult.killed) {
-                processKill(20, 'Recovery Kill', wasMoving, gameContext.deer.woundCount, yards, hitName, wasRunning, wasWalking);
+                processKill(20, 'Recovery Kill', wasMoving, deer.woundCount, yards, hitName, wasRunning, wasWalking, deer);
             } else {
                 // Score based on hit location - penalize risky/poor shots
                 const woundScores = {
@@ -554,9 +586,9 @@ export function shoot() {
                     gameContext.badShotPenalties.push({ hitZone: hitName, penalty: Math.abs(woundScore) });
                 }
                 
-                // Long-range penalty: Poor shot at over 100 yards
+                // Long-range penalty: Poor shot past the weapon's effective range (100 yards for a rifle)
                 // Per B&C: "stretch the stalk, not the shot" - if you can't make a clean kill, get closer
-                if (yards > 100) {
+                if (yards > weapon.effectiveRange) {
                     const longRangePenalty = 10;
                     gameContext.score -= longRangePenalty;
                     updateScoreDisplay();
@@ -590,7 +622,8 @@ export function shoot() {
                 }
                 showPracticeModeMessage(message);
                 
-                logEvent("Deer Wounded", `Deer wounded by ${hitName} shot (${woundTypeName}) at ${yards} yards (${scoreText})`, {
+                logEvent("Deer Wounded", `${deer.label} wounded by ${hitName} shot (${woundTypeName}) at ${yards} yards (${scoreText})`, {
+                    deerId: deer.id,
                     distance: yards,
                     moving: wasMoving,
                     hitZone: hitName,
@@ -608,7 +641,7 @@ export function shoot() {
             gameContext.huntLog.recoveryShotDistance = shotDistanceYards;
         }
 
-        gameContext.deer.createShotBloodIndicator(hitPosition);
+        deer.createShotBloodIndicator(hitPosition);
         
     } else {
         // Missed shot - apply penalty
@@ -617,12 +650,14 @@ export function shoot() {
         gameContext.score += missPenalty;
         updateScoreDisplay();
         
-        showPracticeModeMessage(`Missed! ${missPenalty} Points`);
+        // Practice mode says where the bullet went, to help learn holdover
+        const impactNotes = {
+            tree: ' - bullet struck a tree',
+            ground: ` - bullet struck the ground (${shotResult.dropInches} in. of drop)`
+        };
+        showPracticeModeMessage(`Missed! ${missPenalty} Points${impactNotes[hitResult.impact] || ''}`);
         
-        // Deer flees on missed shot
-        if (gameContext.deer.state !== 'KILLED' && gameContext.deer.state !== 'FLEEING') {
-            gameContext.deer.setState('FLEEING');
-        }
+        // The missed deer reacts to the report like every other deer in earshot (below)
     }
 
     if (gameContext.huntLog) {
@@ -670,25 +705,38 @@ export function shoot() {
     };
     const hitZoneDisplay = hitZoneNames[shotResult.hitType] || shotResult.hitType;
     
-    logEvent("Shot Taken", shotResult.hit ? `Shot hit ${hitZoneDisplay} at ${shotDistanceYards} yards` : `Shot missed at ${shotDistanceYards} yards`, {
+    logEvent("Shot Taken", shotResult.hit ? `Shot hit ${deer.label} (${hitZoneDisplay}) at ${shotDistanceYards} yards` : `Shot missed at ${shotDistanceYards} yards`, {
+        deerId: deer.id,
         distance: shotDistanceYards,
         moving: wasMoving,
-        hit: shotResult.hit
+        hit: shotResult.hit,
+        impact: hitResult.impact,
+        dropInches: shotResult.dropInches
     });
+
+    // Every deer and animal in earshot hears the shot. Sent after the hit is resolved so
+    // the deer that was hit goes down wounded rather than freezing at the report.
+    makeLoudNoise(weapon.noise, gameContext.player.position);
 }
 
 /**
  * Records deer sighting (no bonus awarded)
  * Called when deer is first sighted
+ * @param {Deer} deer - The deer that was sighted
  */
-export function awardScoutingBonus() {
+export function awardScoutingBonus(deer) {
     // Only record once per deer
-    if (gameContext.scoutingBonusAwarded) return;
+    if (deer.sightingLogged) return;
     
-    gameContext.scoutingBonusAwarded = true;
+    deer.sightingLogged = true;
     
-    // No points for scouting - just log the sighting
-    logEvent("Deer Sighted", `Spotted deer`, {});
+    // No points for scouting - the log records what the deer was doing and when, so the
+    // report shows where each deer spends which hours
+    const activity = deer.schedule.describeActivity();
+    logEvent("Deer Sighted", `Spotted ${deer.label} ${activity}`, {
+        deerId: deer.id,
+        activity
+    });
 }
 
 /**
@@ -713,15 +761,115 @@ export function awardTrackingBonus(distanceTracked) {
 /**
  * Applies spooking penalty when deer is startled by hunter
  * Called when deer transitions to FLEEING state due to hunter detection
+ * @param {Deer} deer - The deer that was spooked
  */
-export function applySpookingPenalty() {
+export function applySpookingPenalty(deer) {
     // Only log once per deer encounter (no penalty)
-    if (gameContext.spookingPenaltyApplied) return;
+    if (deer.spookLogged) return;
     
-    gameContext.spookingPenaltyApplied = true;
+    deer.spookLogged = true;
     
-    showPracticeModeMessage(`Deer Spooked!`, 2000);
-    logEvent("Deer Spooked", `Deer fled due to hunter detection`, {});
+    showPracticeModeMessage(`${deer.label} Spooked!`, 2000);
+    logEvent("Deer Spooked", `${deer.label} fled due to hunter detection`, { deerId: deer.id });
+}
+
+/**
+ * Starts the overnight random stream for a new hunt. Must be called after the world seed is set.
+ */
+export function initOvernightRandom() {
+    overnightRandom = getWorldRandom('overnight');
+}
+
+/**
+ * Settles every deer still wounded when the day ends. Each rolls its wound's survivalChance:
+ * a survivor heals and stays warier from then on, the rest die in the bed they were making
+ * for and lie there to be found and tagged next morning. Either way the deer went
+ * unrecovered that day, which costs points. Every blood trail ages overnight.
+ * @returns {{expired: Deer[], survived: Deer[]}} Deer by outcome
+ */
+export function resolveWoundedDeerOvernight() {
+    const outcomes = { expired: [], survived: [] };
+    if (!gameContext.herd) return outcomes;
+
+    for (const deer of gameContext.herd.members) {
+        const tracking = deer.config.tracking;
+        deer.effects.degradeBloodTrail(tracking.overnightBloodAgeS, tracking.overnightBloodLoss, overnightRandom);
+
+        if (deer.state !== 'WOUNDED' || !deer.woundState.woundType) continue;
+        if (overnightRandom() < deer.woundState.woundType.survivalChance) {
+            surviveOvernight(deer);
+            outcomes.survived.push(deer);
+        } else {
+            expireOvernight(deer);
+            outcomes.expired.push(deer);
+        }
+    }
+
+    // The GPS map's blood markers thin out the same way
+    if (gameContext.bloodDrops) {
+        gameContext.bloodDrops = gameContext.bloodDrops.filter(() => overnightRandom() >= deerConfig.tracking.overnightBloodLoss);
+    }
+
+    return outcomes;
+}
+
+function expireOvernight(deer) {
+    const woundState = deer.woundState;
+    const woundType = woundState.woundType;
+
+    // It made it to the bed it was heading for, leaving no fresh blood on the last stretch
+    const bed = !woundState.isBedded && woundState.targetBedLocation ? woundState.targetBedLocation : deer.model.position;
+    deer.model.position.set(bed.x, gameContext.getHeightAt(bed.x, bed.z), bed.z);
+
+    // Tagging it later reads this in place of a kill shot
+    deer.killInfo = {
+        score: 0,
+        message: `Found dead the morning after a ${woundType.displayName.toLowerCase()}`,
+        hitZone: 'lost-overnight',
+        deerLabel: deer.label,
+        ageClass: deer.ageClass ? deer.ageClass.label : null,
+        rack: deer.antlers.rack ? describeRack(deer.antlers.rack) : null,
+        grossScore: deer.antlers.getGrossScore()
+    };
+    deer.overnightOutcome = 'expired';
+    deer.setState('KILLED');
+
+    gameContext.score += WOUNDED_LOST_PENALTY;
+    updateScoreDisplay();
+    if (!gameContext.badShotPenalties) gameContext.badShotPenalties = [];
+    gameContext.badShotPenalties.push({
+        hitZone: 'lost-overnight',
+        penalty: Math.abs(WOUNDED_LOST_PENALTY),
+        description: 'Wounded Deer Lost Overnight'
+    });
+    logEvent("Lost Overnight", `${deer.label} (${woundType.displayName}) died overnight in its bed`, {
+        deerId: deer.id,
+        woundType: woundType.name,
+        penalty: WOUNDED_LOST_PENALTY
+    });
+}
+
+function surviveOvernight(deer) {
+    const woundType = deer.woundState.woundType;
+
+    deer.woundState.reset();
+    deer.config.wariness *= deerConfig.woundSurvivorWariness;
+    deer.overnightOutcome = 'survived';
+    deer.setState('IDLE');
+
+    gameContext.score += WOUNDED_SURVIVED_PENALTY;
+    updateScoreDisplay();
+    if (!gameContext.badShotPenalties) gameContext.badShotPenalties = [];
+    gameContext.badShotPenalties.push({
+        hitZone: 'wounded-survived',
+        penalty: Math.abs(WOUNDED_SURVIVED_PENALTY),
+        description: 'Wounded Deer Survived'
+    });
+    logEvent("Survived Wound", `${deer.label} pulled through its ${woundType.displayName.toLowerCase()} and will be warier`, {
+        deerId: deer.id,
+        woundType: woundType.name,
+        penalty: WOUNDED_SURVIVED_PENALTY
+    });
 }
 
 /**
@@ -729,9 +877,13 @@ export function applySpookingPenalty() {
  * Called when deer respawns
  */
 export function resetScoringFlags() {
-    gameContext.scoutingBonusAwarded = false;
+    if (gameContext.herd) {
+        gameContext.herd.members.forEach(member => {
+            member.sightingLogged = false;
+            member.spookLogged = false;
+        });
+    }
     gameContext.trackingBonusAwarded = false;
-    gameContext.spookingPenaltyApplied = false;
     gameContext.killTime = null;
     gameContext.badShotPenalties = [];
     gameContext.lastHitPosition = null;
@@ -742,12 +894,18 @@ export function resetScoringFlags() {
 
 /**
  * Handles tagging a killed deer
+ * Tags the nearest downed deer within reach of the hunter
  */
 export function tagDeer() {
     try {
-        if (gameContext.deer.tagged) {
+        const deer = gameContext.herd?.getTaggableDeer(gameContext.player.position, TAG_REACH_DISTANCE);
+        if (!deer || deer.tagged) {
             return;
         }
+        gameContext.deer = deer;
+        if (deer.killInfo) {
+            gameContext.killInfo = deer.killInfo;
+        }
         if (!gameContext.killInfo) {
             // Fallback: If killInfo is missing but canTag is true, allow tagging for respawned deer
             // This ensures tagging works even if killInfo state is not set properly after respawn
@@ -799,22 +957,27 @@ export function tagDeer() {
         const finalMessage = gameContext.killInfo 
             ? `${gameContext.killInfo.message} (${shotScoreStr}) | ${bonusBreakdown}` 
             : bonusBreakdown;
-        showMessage(finalMessage);
-        logEvent("Deer Tagged", `${finalMessage}`, {
+        // Antlered bucks are measured at the tag
+        const grossScore = deer.antlers.getGrossScore();
+        const rackNote = grossScore !== null ? ` | ${deer.antlers.describe()}, ${formatScore(grossScore)}" gross` : '';
+        showMessage(finalMessage + rackNote);
+        logEvent("Deer Tagged", `${deer.label}: ${finalMessage}${rackNote}`, {
+            deerId: deer.id,
             score: tagBonus,
             bonusType: 'tag',
-            bonuses: bonusMessages
+            bonuses: bonusMessages,
+            grossScore: grossScore
         });
         
         gameContext.dailyKillInfo = { ...gameContext.huntLog, ...gameContext.killInfo };
         gameContext.huntLog = {}; 
         gameContext.killInfo = null;
         gameContext.canTag = false;
-        gameContext.deer.tagged = true; 
+        deer.tagged = true;
         if(gameContext.interactionPromptElement) gameContext.interactionPromptElement.style.display = 'none';
         
         // Season complete - deer has been tagged
-        logEvent("Season Complete", "Successfully harvested and tagged deer. Season ended.");
+        logEvent("Season Complete", `Successfully harvested and tagged ${deer.label.toLowerCase()}. Season ended.`);
         
         // Show season complete modal after a brief delay
         setTimeout(() => {
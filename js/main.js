@@ -1,10 +1,12 @@
 import * as THREE from 'three';
 import { setupScene, updateShadowCamera } from './scene.js';
-import { createHills, createWater, findDrinkingSpots, createTrees, createBushes, createGrass, createGroundCover, createShaderGrass, isWaterAt } from './world.js';
+import { loadHeightmap, createHills, createWater, findDrinkingSpots, createTrees, createBushes, createGrass, createGroundCover, createShaderGrass, isWaterAt } from './world.js';
 import { createTrails } from './trails.js';
+import { buildNavGrid } from './nav-grid.js';
 import { createPlayer, addPlayerEventListeners, updatePlayer, getIsTreeBraced } from './player.js';
-import { deer } from './deer.js';
-import { initUI, showMessage, updateInteraction, updateCompass, ensureMainMenuHidden } from './ui.js';
+import { herd } from './herd.js';
+import { wildlife } from './wildlife.js';
+import { initUI, showMessage, updateInteraction, updateCompass, updateSuspicionMeter, ensureMainMenuHidden } from './ui.js';
 import { initAudio, playRifleSound, updateAmbianceForTime } from './audio.js';
 import { logEvent, initializeDayReport, updateDistanceTraveled } from './report-logger.js';
 import { gameContext } from './context.js';
@@ -16,14 +18,22 @@ import {
     DAWN_START_HOUR,
     SLEEP_SEQUENCE_DELAY_MS,
     SLEEP_SEQUENCE_MAIN_DURATION_MS,
-    SLEEP_FADE_OUT_DURATION_MS
+    SLEEP_FADE_OUT_DURATION_MS,
+    PRACTICE_WARINESS
 } from './constants.js';
 import { updateSpatialAudioListener } from './spatial-audio.js';
-import { shoot, tagDeer } from './hunting-mechanics.js';
-import { updateTimeDisplay, updateDynamicLighting, isNight } from './environment-manager.js';
+import { shoot, tagDeer, resolveWoundedDeerOvernight, initOvernightRandom } from './hunting-mechanics.js';
+import { updateTimeDisplay, updateDynamicLighting, updateLegalHoursDisplay, isNight } from './environment-manager.js';
 import { showLoadingModal, hideLoadingModal, registerTask, completeTask, updateLoadingStatus, initLoadingManager } from './loading-manager.js';
 import { initScreenshotListener } from './screenshot.js';
 import { animationCalibrator } from './animation-calibrator.js';
+import { initWind, updateWind } from './wind.js';
+import { weapons } from './weapons.js';
+import { scope } from './scope.js';
+import { gear } from './gear.js';
+import { initWeather, updateWeather } from './weather.js';
+import { generateSeed, normalizeSeed, initWorldRandom } from './random.js';
+import { getSeason, getDaylightHours } from './seasons.js';
 
 // Make calibrator available globally immediately
 window.animationCalibrator = animationCalibrator;
@@ -177,6 +187,12 @@ async function startGame(selectedWorldId) {
             gameContext.worldId = selectedWorldId;
         }
         
+        // Seed priority: seed typed in the start options, then the world's own seed, then a fresh roll
+        const worldSeed = normalizeSeed(gameContext.requestedSeed) ?? normalizeSeed(worldConfig.seed) ?? generateSeed();
+        initWorldRandom(worldSeed);
+        console.log(`🌱 World seed: ${worldSeed}`);
+        console.log(`🍂 Season: ${getSeason().label}`);
+        
         // Clear existing scene elements if any (for restart)
         while(gameContext.scene.children.length > 0){ 
             gameContext.scene.remove(gameContext.scene.children[0]); 
@@ -185,7 +201,11 @@ async function startGame(selectedWorldId) {
         // Re-setup basic scene elements
         setupScene();
         
-        // 1. Generate Terrain (synchronous)
+        // 1. Generate Terrain (synchronous once any heightmap image has loaded)
+        if (worldConfig.terrain?.generationMethod === 'heightmap') {
+            updateLoadingStatus('Loading heightmap...');
+            await loadHeightmap(worldConfig);
+        }
         updateLoadingStatus('Generating terrain...');
         createHills(worldConfig);
         completeTask('terrain');
@@ -220,31 +240,34 @@ async function startGame(selectedWorldId) {
         initAudio();
         
         // 7. Finalize Setup
-        gameContext.gameTime = 6.0; // Start at 6 AM
+        gameContext.gameTime = getDaylightHours().dawnStart + 1; // An hour after dawn (6 AM in the early season)
+        updateLegalHoursDisplay();
         gameContext.score = 0;
         gameContext.distanceTraveled = 0;
         gameContext.isSleeping = false;
         gameContext.dayCount = 1;
+        gameContext.nightSettled = false;
         gameContext.huntLog = {};
         gameContext.shotLog = [];
         gameContext.reportEntries = [];
+        initWind();
+        initWeather();
+        initOvernightRandom();
+        weapons.init();
+        scope.init();
+        gear.init();
         
-        // 8. Instantiate Deer (async - model needs to load)
+        // 8. Instantiate the herd (async - models need to load)
         updateLoadingStatus('Loading deer...');
-        if (deer && typeof deer.init === 'function') {
-            deer.init();
-        } else if (typeof deer === 'function') {
-            new deer();
-        } else if (deer) {
-            if (deer.respawn) deer.respawn();
-        }
+        herd.init(worldConfig);
+        wildlife.init(worldConfig);
         
         // Wait for deer model to load with timeout to prevent infinite hang
         const DEER_LOAD_TIMEOUT = 15000; // 15 second timeout
         const deerLoadPromise = new Promise((resolve) => {
             const startTime = Date.now();
             const checkDeerLoaded = () => {
-                if (gameContext.deer && gameContext.deer.isModelLoaded) {
+                if (gameContext.herd && gameContext.herd.isLoaded()) {
                     completeTask('deer');
                     resolve();
                 } else if (Date.now() - startTime > DEER_LOAD_TIMEOUT) {
@@ -278,10 +301,18 @@ async function startGame(selectedWorldId) {
             completeTask('deer');
         }
         
+        // Bake the deer navigation grid now that water, trails and vegetation are all placed
+        updateLoadingStatus('Mapping deer routes...');
+        buildNavGrid();
+        
+        // Place the herd once trees are in - seeded spawn points depend on tree collisions
+        herd.respawnAll();
+        // Wildlife spawns on open ground from the navigation grid, and squirrels by trees
+        wildlife.spawnAll();
+        
         // Apply Practice mode deer overrides (must happen after deer is created)
-        if (gameContext.gameMode === 'practice' && gameContext.deer && gameContext.deer.config) {
-            gameContext.deer.config.alertDistanceThreshold = 80;
-            gameContext.deer.config.fleeDistanceThreshold = 40;
+        if (gameContext.gameMode === 'practice' && gameContext.herd) {
+            gameContext.herd.scaleWariness(PRACTICE_WARINESS);
         }
         
         // Update UI
@@ -327,6 +358,22 @@ async function startGame(selectedWorldId) {
     }
 }
 
+/**
+ * A hunter still out at midnight doesn't get to skip the night: wounded deer are settled
+ * the same as when heading home, and calling it a day before dawn won't settle them again.
+ */
+function settleNightInTheWoods() {
+    const overnight = resolveWoundedDeerOvernight();
+    gameContext.nightSettled = true;
+    if (gameContext.gameMode !== 'practice') return;
+
+    const notes = [
+        ...overnight.expired.map(deer => `${deer.label} died overnight`),
+        ...overnight.survived.map(deer => `${deer.label} survived its wound`)
+    ];
+    if (notes.length > 0) showMessage(notes.join(' | '), 3000);
+}
+
 function animate() {
     requestAnimationFrame(animate);
 
@@ -340,22 +387,36 @@ function animate() {
         if (gameContext.gameTime >= HOURS_IN_DAY) {
             gameContext.gameTime = 0;
             gameContext.dayCount++;
+            settleNightInTheWoods();
         }
     }
 
     // Core updates
     updateTimeDisplay();
     updateDynamicLighting();
+    updateWind(delta);
+    updateWeather(delta);
+    gear.update();
+    weapons.updateReload();
     updatePlayer();
     updateInteraction();
     updateCompass();
     
+    // Refine terrain chunks near the hunter, coarsen distant ones
+    if (gameContext.terrainChunks && gameContext.player) {
+        gameContext.terrainChunks.updateLOD(gameContext.player.position);
+    }
+    
     // Update Deer
-    if (gameContext.deer) {
-        gameContext.deer.update(delta);
+    if (gameContext.herd) {
+        gameContext.herd.update(delta);
+    }
+    if (gameContext.wildlife) {
+        gameContext.wildlife.update(delta);
     }
+    updateSuspicionMeter();
     
-    // Update grass wind animation (GPU shader-based)
+    // Update grass wind animation (GPU shader-based, driven by gameContext.wind)
     if (gameContext.updateGrassWind) {
         gameContext.updateGrassWind(delta);
     }
@@ -56,7 +56,7 @@ export function initMap() {
  * @returns {{ scene: THREE.Scene, camera: THREE.OrthographicCamera }}
  */
 function getMapScene(canvasWidth, canvasHeight) {
-    const worldSize = gameContext.terrain.geometry.parameters.width;
+    const worldSize = gameContext.worldSize;
     const halfWorldSize = worldSize / 2;
     
     if (!cachedMapScene) {
@@ -70,8 +70,8 @@ function getMapScene(canvasWidth, canvasHeight) {
         mapDirectional.position.set(MAP_DIRECTIONAL_LIGHT_POSITION.x, MAP_DIRECTIONAL_LIGHT_POSITION.y, MAP_DIRECTIONAL_LIGHT_POSITION.z);
         cachedMapScene.add(mapDirectional);
         
-        // Terrain (cloned once)
-        cachedMapScene.add(gameContext.terrain.clone());
+        // Terrain (single low-detail mesh, built once)
+        cachedMapScene.add(gameContext.terrainChunks.createOverviewMesh());
         
         // Water bodies
         if (gameContext.waterBodies && gameContext.waterBodies.length > 0) {
@@ -185,27 +185,30 @@ function getMapScene(canvasWidth, canvasHeight) {
     cachedMapScene.add(playerMarker);
     dynamicMapObjects.push(playerMarker);
     
-    if (gameContext.deer && gameContext.deer.isModelLoaded) {
-        const isWounded = gameContext.deer.state === 'WOUNDED';
-        const isDead = gameContext.deer.state === 'KILLED';
-        const isTagged = gameContext.deer.tagged;
+    const herdMembers = gameContext.herd ? gameContext.herd.members : [];
+    herdMembers.forEach(member => {
+        if (!member.isModelLoaded) return;
+        
+        const isWounded = member.state === 'WOUNDED';
+        const isDead = member.state === 'KILLED';
+        const isTagged = member.tagged;
         
         if (isTagged) {
-            const deerMarker = createMarkerWithOutline(10, MAP_TAGGED_COLOR, gameContext.deer.model.position, 21);
+            const deerMarker = createMarkerWithOutline(10, MAP_TAGGED_COLOR, member.model.position, 21);
             cachedMapScene.add(deerMarker);
             dynamicMapObjects.push(deerMarker);
         } else if (isWounded || isDead) {
-            if (gameContext.lastHitPosition) {
-                const hitMarker = createHitMarker(gameContext.lastHitPosition, 10);
+            if (member.lastHitPosition) {
+                const hitMarker = createHitMarker(member.lastHitPosition, 10);
                 cachedMapScene.add(hitMarker);
                 dynamicMapObjects.push(hitMarker);
             }
         } else {
-            const deerMarker = createMarkerWithOutline(10, MAP_DEER_COLOR, gameContext.deer.model.position, 21);
+            const deerMarker = createMarkerWithOutline(10, MAP_DEER_COLOR, member.model.position, 21);
             cachedMapScene.add(deerMarker);
             dynamicMapObjects.push(deerMarker);
         }
-    }
+    });
     
     // Create or update camera
     const aspectRatio = canvasWidth / canvasHeight;
@@ -322,7 +325,7 @@ function addDistanceLegend(canvas) {
     if (!ctx) return;
     
     // Get world size for scale calculation
-    const worldSize = gameContext.terrain ? gameContext.terrain.geometry.parameters.width : 1000;
+    const worldSize = gameContext.worldSize;
     const pixelsPerUnit = MAP_CANVAS_SIZE / worldSize;
     
     // Calculate 100 yard bar length (1 yard ≈ 0.9144 meters, game uses ~1 unit = 1 meter)
@@ -0,0 +1,591 @@
+// --- NAVIGATION GRID ---
+// Baked once a world's terrain, water and vegetation are in place: a grid over the map that
+// marks where a deer can't stand (water, tree trunks, cliffs) and what each cell costs to
+// cross. Deer plan routes over it with A* instead of feeling their way around obstacles, and
+// a fleeing deer searches it for the nearest ground the hunter can't see into.
+
+import * as THREE from 'three';
+import { gameContext } from './context.js';
+import { isPointInWater } from './water.js';
+
+// Cell edge in world units. Larger worlds get coarser cells so the grid stays this many cells across at most
+const CELL_SIZE = 2;
+const MAX_CELLS_PER_SIDE = 512;
+
+// Deer body radius plus a margin for the coarse cells - cells this close to a trunk are blocked
+const CLEARANCE = 1.2;
+
+// Same edge moveWithCollisionDetection keeps deer inside
+const BOUNDARY_MARGIN = 20;
+
+// Rise over run. Steeper ground is a cliff; gentler slopes cost more the steeper they are
+const MAX_SLOPE = 1.2;
+const SLOPE_COST = 2;
+
+// Brush slows a deer without stopping it; game trails are the easy way through
+const BRUSH_COST = 1.5;
+const TRAIL_COST_FACTOR = 0.6;
+
+// Vegetation this close to a cell counts toward the cover it offers
+const COVER_RADIUS = 6;
+
+// A* gives up after settling this many cells and settles for the closest one it reached
+const MAX_EXPANSIONS = 30000;
+
+// Farthest (in cells) a start or destination on blocked ground is moved to open ground
+const SNAP_RADIUS = 6;
+
+// Sight lines run from a standing hunter's eyes to a deer's back, checked against the terrain
+const HUNTER_EYE_HEIGHT = 1.8;
+const DEER_BACK_HEIGHT = 1.0;
+const SIGHT_LINE_STEP = 4;
+
+// Eight neighbors as [column step, row step, length in cells]
+const NEIGHBORS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+];
+
+export class NavGrid {
+    /**
+     * @param {number} worldSize - Width and depth of the world in world units
+     */
+    constructor(worldSize) {
+        this.size = Math.min(MAX_CELLS_PER_SIDE, Math.ceil(worldSize / CELL_SIZE));
+        this.cellSize = worldSize / this.size;
+        this.origin = -worldSize / 2;
+
+        const count = this.size * this.size;
+        this.heights = new Float32Array(count);
+        this.blocked = new Uint8Array(count);
+        this.costs = new Float32Array(count).fill(1);
+        this.cover = new Float32Array(count);
+        this.regions = new Int32Array(count); // Connected stretches of open ground; 0 where blocked
+
+        // Search scratch shared by every query
+        this.gScores = new Float32Array(count);
+        this.parents = new Int32Array(count);
+        this.touched = new Uint32Array(count); // Id of the last search to reach each cell
+        this.settled = new Uint32Array(count);
+        this.searchId = 0;
+        this.open = new CellHeap();
+    }
+
+    /**
+     * Samples the terrain, water and vegetation into the grid. Call once the trees and bushes have loaded.
+     */
+    bake() {
+        const { size, cellSize, origin } = this;
+        const boundary = gameContext.worldSize / 2 - BOUNDARY_MARGIN;
+
+        for (let row = 0; row < size; row++) {
+            const z = origin + (row + 0.5) * cellSize;
+            for (let col = 0; col < size; col++) {
+                const x = origin + (col + 0.5) * cellSize;
+                const cell = row * size + col;
+                const height = gameContext.getHeightAt(x, z);
+                this.heights[cell] = height;
+                if (Math.abs(x) > boundary || Math.abs(z) > boundary || isWater(x, z, height)) {
+                    this.blocked[cell] = 1;
+                }
+            }
+        }
+
+        // Slope from the height differences across each cell
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const cell = row * size + col;
+                const left = this.heights[row * size + Math.max(0, col - 1)];
+                const right = this.heights[row * size + Math.min(size - 1, col + 1)];
+                const down = this.heights[Math.max(0, row - 1) * size + col];
+                const up = this.heights[Math.min(size - 1, row + 1) * size + col];
+                const slope = Math.hypot(right - left, up - down) / (2 * cellSize);
+                if (slope > MAX_SLOPE) {
+                    this.blocked[cell] = 1;
+                } else {
+                    this.costs[cell] += slope * SLOPE_COST;
+                }
+            }
+        }
+
+        if (gameContext.trees && gameContext.trees.children) {
+            for (const tree of gameContext.trees.children) {
+                const { x, z } = tree.position;
+                const radius = (tree.userData.collisionRadius ?? (tree.scale.x || 1.0) * 1.8) + CLEARANCE;
+                // A downed log blocks its whole length, a cell at a time
+                const halfLength = tree.userData.collisionHalfLength || 0;
+                const steps = Math.ceil(2 * halfLength / this.cellSize);
+                const axisX = Math.cos(tree.rotation.y);
+                const axisZ = -Math.sin(tree.rotation.y);
+                for (let i = 0; i <= steps; i++) {
+                    const along = steps > 0 ? -halfLength + 2 * halfLength * i / steps : 0;
+                    this.forCellsWithin(x + along * axisX, z + along * axisZ, radius, cell => { this.blocked[cell] = 1; });
+                }
+                const cover = tree.userData.cover ?? 1;
+                this.forCellsWithin(x, z, COVER_RADIUS, cell => { this.cover[cell] += cover; });
+            }
+        }
+
+        if (gameContext.bushes && gameContext.bushes.children) {
+            for (const bush of gameContext.bushes.children) {
+                const { x, z } = bush.position;
+                const radius = bush.userData.collisionRadius ?? (bush.scale.x || 1.0) * 1.5;
+                this.forCellsWithin(x, z, radius, cell => { this.costs[cell] += BRUSH_COST; });
+                const cover = bush.userData.cover ?? 2;
+                this.forCellsWithin(x, z, COVER_RADIUS, cell => { this.cover[cell] += cover; });
+            }
+        }
+
+        // Trail meshes are strips, so their vertices trace the trail every few meters
+        if (gameContext.trails && gameContext.trails.children) {
+            const onTrail = new Uint8Array(size * size);
+            for (const trail of gameContext.trails.children) {
+                const positions = trail.geometry && trail.geometry.attributes.position;
+                if (!positions) continue;
+                for (let v = 0; v < positions.count; v++) {
+                    onTrail[this.cellIndex(positions.getX(v), positions.getZ(v))] = 1;
+                }
+            }
+            for (let cell = 0; cell < onTrail.length; cell++) {
+                if (onTrail[cell]) this.costs[cell] *= TRAIL_COST_FACTOR;
+            }
+        }
+
+        this.labelRegions();
+    }
+
+    /**
+     * Numbers each connected stretch of open ground, so a destination across water or
+     * past a cliff can be turned down without searching for a way there.
+     */
+    labelRegions() {
+        const { size, blocked, regions } = this;
+        const queue = new Int32Array(size * size);
+        let region = 0;
+
+        for (let seed = 0; seed < regions.length; seed++) {
+            if (blocked[seed] || regions[seed]) continue;
+            region++;
+            regions[seed] = region;
+            let head = 0;
+            let tail = 0;
+            queue[tail++] = seed;
+            while (head < tail) {
+                const cell = queue[head++];
+                const col = cell % size;
+                const row = (cell - col) / size;
+                // Four-way is enough: a diagonal step needs both of its sides open
+                if (col > 0) tail = this.spreadRegion(cell - 1, region, queue, tail);
+                if (col < size - 1) tail = this.spreadRegion(cell + 1, region, queue, tail);
+                if (row > 0) tail = this.spreadRegion(cell - size, region, queue, tail);
+                if (row < size - 1) tail = this.spreadRegion(cell + size, region, queue, tail);
+            }
+        }
+    }
+
+    spreadRegion(cell, region, queue, tail) {
+        if (this.blocked[cell] || this.regions[cell]) return tail;
+        this.regions[cell] = region;
+        queue[tail] = cell;
+        return tail + 1;
+    }
+
+    /**
+     * Calls back with every cell whose center is within a radius of a point.
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @param {number} radius - World units
+     * @param {function(number): void} callback - Receives the cell index
+     */
+    forCellsWithin(x, z, radius, callback) {
+        const { size, cellSize, origin } = this;
+        const minCol = Math.max(0, Math.floor((x - radius - origin) / cellSize));
+        const maxCol = Math.min(size - 1, Math.floor((x + radius - origin) / cellSize));
+        const minRow = Math.max(0, Math.floor((z - radius - origin) / cellSize));
+        const maxRow = Math.min(size - 1, Math.floor((z + radius - origin) / cellSize));
+        const radiusSq = radius * radius;
+
+        for (let row = minRow; row <= maxRow; row++) {
+            const dz = origin + (row + 0.5) * cellSize - z;
+            for (let col = minCol; col <= maxCol; col++) {
+                const dx = origin + (col + 0.5) * cellSize - x;
+                if (dx * dx + dz * dz <= radiusSq) callback(row * size + col);
+            }
+        }
+    }
+
+    /**
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {number} Index of the cell holding the point (clamped to the grid)
+     */
+    cellIndex(x, z) {
+        const col = Math.min(this.size - 1, Math.max(0, Math.floor((x - this.origin) / this.cellSize)));
+        const row = Math.min(this.size - 1, Math.max(0, Math.floor((z - this.origin) / this.cellSize)));
+        return row * this.size + col;
+    }
+
+    cellX(cell) {
+        return this.origin + (cell % this.size + 0.5) * this.cellSize;
+    }
+
+    cellZ(cell) {
+        return this.origin + (Math.floor(cell / this.size) + 0.5) * this.cellSize;
+    }
+
+    /**
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {boolean} True if a deer can stand here
+     */
+    isOpen(x, z) {
+        return !this.blocked[this.cellIndex(x, z)];
+    }
+
+    /**
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {number} Cover value of the vegetation around the point (0 in the open)
+     */
+    getCoverAt(x, z) {
+        return this.cover[this.cellIndex(x, z)];
+    }
+
+    /**
+     * Whether a deer can walk from one point to the other at all - false across water
+     * with no way around, past cliffs, or off the map.
+     */
+    isReachable(fromX, fromZ, toX, toZ) {
+        const start = this.snapToOpen(this.cellIndex(fromX, fromZ));
+        const goal = this.snapToOpen(this.cellIndex(toX, toZ));
+        return start >= 0 && goal >= 0 && this.regions[start] === this.regions[goal];
+    }
+
+    /**
+     * Whether the terrain hides a deer standing at a point from a hunter at another:
+     * somewhere along the sight line the ground rises above it.
+     * @param {number} x - World X of the deer
+     * @param {number} z - World Z of the deer
+     * @param {number} viewerX - World X of the hunter
+     * @param {number} viewerZ - World Z of the hunter
+     * @returns {boolean}
+     */
+    isHiddenFrom(x, z, viewerX, viewerZ) {
+        const eye = this.heights[this.cellIndex(viewerX, viewerZ)] + HUNTER_EYE_HEIGHT;
+        const target = this.heights[this.cellIndex(x, z)] + DEER_BACK_HEIGHT;
+        const steps = Math.floor(Math.hypot(x - viewerX, z - viewerZ) / SIGHT_LINE_STEP);
+
+        for (let step = 1; step < steps; step++) {
+            const t = step / steps;
+            const ground = this.heights[this.cellIndex(viewerX + (x - viewerX) * t, viewerZ + (z - viewerZ) * t)];
+            if (ground > eye + (target - eye) * t) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Plans a route with A*. A destination on blocked ground (out in the water, say) is
+     * moved to the nearest open cell; one that can't be reached returns null.
+     * @param {number} fromX - World X of the start
+     * @param {number} fromZ - World Z of the start
+     * @param {number} toX - World X of the destination
+     * @param {number} toZ - World Z of the destination
+     * @returns {THREE.Vector3[]|null} Waypoints after the start, ending at the destination
+     */
+    findPath(fromX, fromZ, toX, toZ) {
+        const start = this.snapToOpen(this.cellIndex(fromX, fromZ));
+        const goal = this.snapToOpen(this.cellIndex(toX, toZ));
+        if (start < 0 || goal < 0 || this.regions[start] !== this.regions[goal]) return null;
+
+        const size = this.size;
+        const goalCol = goal % size;
+        const goalRow = (goal - goalCol) / size;
+        const distanceToGoal = cell => {
+            const col = cell % size;
+            const dx = Math.abs(col - goalCol);
+            const dz = Math.abs((cell - col) / size - goalRow);
+            return (Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz)) * this.cellSize;
+        };
+        // Trail cells are the cheapest ground there is; estimating at that rate never overshoots
+        const heuristic = cell => distanceToGoal(cell) * TRAIL_COST_FACTOR;
+
+        // If the search runs out, get as close as it got
+        let closest = start;
+        let closestDistance = Infinity;
+        const end = this.search(start, {
+            heuristic,
+            settle: cell => {
+                const distance = distanceToGoal(cell);
+                if (distance < closestDistance) {
+                    closestDistance = distance;
+                    closest = cell;
+                }
+                return cell === goal;
+            }
+        });
+
+        const waypoints = this.toWaypoints(this.tracePath(end >= 0 ? end : closest));
+        if (end === goal && this.isOpen(toX, toZ)) {
+            waypoints[waypoints.length - 1].set(toX, this.heights[goal], toZ);
+        }
+        return waypoints;
+    }
+
+    /**
+     * Searches the ground around a fleeing deer for the best place to run to: far from the
+     * threat, hidden from it behind a rise, in cover, and not too long a run - running back
+     * toward the threat costs extra.
+     * @param {number} fromX - World X of the deer
+     * @param {number} fromZ - World Z of the deer
+     * @param {{x: number, z: number}} threat - What the deer is running from
+     * @param {object} settings - The deer config's navigation group
+     * @returns {THREE.Vector3[]|null} Waypoints to the chosen spot, or null if nowhere qualifies
+     */
+    findFleeRoute(fromX, fromZ, threat, settings) {
+        const start = this.snapToOpen(this.cellIndex(fromX, fromZ));
+        if (start < 0) return null;
+
+        const startX = this.cellX(start);
+        const startZ = this.cellZ(start);
+        const threatDistance = cell => Math.hypot(this.cellX(cell) - threat.x, this.cellZ(cell) - threat.z);
+        const startThreatDistance = threatDistance(start);
+        const radiusSq = settings.fleeSearchRadius * settings.fleeSearchRadius;
+        const minDistanceSq = settings.fleeMinDistance * settings.fleeMinDistance;
+        const bestBonus = settings.concealedBonus + settings.coverBonus * settings.maxCover;
+
+        let best = -1;
+        let bestScore = -Infinity;
+        this.search(start, {
+            canEnter: cell => (this.cellX(cell) - startX) ** 2 + (this.cellZ(cell) - startZ) ** 2 <= radiusSq,
+            extraCost: (from, to) => threatDistance(to) < threatDistance(from) ? settings.fleeApproachPenalty : 0,
+            settle: cell => {
+                const x = this.cellX(cell);
+                const z = this.cellZ(cell);
+                if ((x - startX) ** 2 + (z - startZ) ** 2 < minDistanceSq) return false;
+
+                let score = threatDistance(cell) - startThreatDistance - this.gScores[cell] * settings.fleeRouteCost;
+                if (score + bestBonus <= bestScore) return false;
+                score += Math.min(this.cover[cell], settings.maxCover) * settings.coverBonus;
+                if (score + settings.concealedBonus > bestScore && this.isHiddenFrom(x, z, threat.x, threat.z)) {
+                    score += settings.concealedBonus;
+                }
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = cell;
+                }
+                return false;
+            }
+        });
+
+        return best >= 0 ? this.toWaypoints(this.tracePath(best)) : null;
+    }
+
+    /**
+     * Best-first search over open cells. With a heuristic this is A*; without one it
+     * settles every cell it can enter in order of route cost.
+     * @param {number} start - Start cell
+     * @param {object} options
+     * @param {function(number): number} [options.heuristic] - Estimated remaining cost from a cell
+     * @param {function(number): boolean} [options.canEnter] - Limits the cells searched
+     * @param {function(number, number): number} [options.extraCost] - Added cost per world unit of a step between two cells
+     * @param {function(number): boolean} options.settle - Called as each cell is settled; return true to stop there
+     * @returns {number} The cell the search stopped at, or -1 if it ran out
+     */
+    search(start, { heuristic = null, canEnter = null, extraCost = null, settle }) {
+        const { size, blocked, costs, gScores, parents, touched, settled, open } = this;
+        const id = ++this.searchId;
+
+        open.clear();
+        gScores[start] = 0;
+        parents[start] = -1;
+        touched[start] = id;
+        open.push(start, heuristic ? heuristic(start) : 0);
+
+        let expansions = 0;
+        while (open.length > 0) {
+            const cell = open.pop();
+            if (settled[cell] === id) continue;
+            settled[cell] = id;
+            if (settle(cell)) return cell;
+            if (++expansions >= MAX_EXPANSIONS) break;
+
+            const col = cell % size;
+            const row = (cell - col) / size;
+            for (const [dc, dr, length] of NEIGHBORS) {
+                const nextCol = col + dc;
+                const nextRow = row + dr;
+                if (nextCol < 0 || nextCol >= size || nextRow < 0 || nextRow >= size) continue;
+                const next = nextRow * size + nextCol;
+                if (blocked[next] || settled[next] === id) continue;
+                // No cutting corners past a blocked cell
+                if (dc !== 0 && dr !== 0 && (blocked[row * size + nextCol] || blocked[nextRow * size + col])) continue;
+                if (canEnter && !canEnter(next)) continue;
+
+                const distance = length * this.cellSize;
+                let step = distance * (costs[cell] + costs[next]) / 2;
+                if (extraCost) step += distance * extraCost(cell, next);
+                const g = gScores[cell] + step;
+                if (touched[next] !== id || g < gScores[next]) {
+                    touched[next] = id;
+                    gScores[next] = g;
+                    parents[next] = cell;
+                    open.push(next, heuristic ? g + heuristic(next) : g);
+                }
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * @param {number} end - Cell the last search settled
+     * @returns {number[]} Cells from the search's start to the end
+     */
+    tracePath(end) {
+        const cells = [];
+        for (let cell = end; cell >= 0; cell = this.parents[cell]) cells.push(cell);
+        return cells.reverse();
+    }
+
+    /**
+     * Straightens a cell path, dropping every corner the deer can see past, and turns what's
+     * left into waypoints. The start cell is dropped - the deer is already there.
+     * @param {number[]} cells
+     * @returns {THREE.Vector3[]}
+     */
+    toWaypoints(cells) {
+        const corners = [];
+        let anchor = 0;
+        for (let i = 2; i < cells.length; i++) {
+            if (!this.hasClearLine(cells[anchor], cells[i])) {
+                anchor = i - 1;
+                corners.push(cells[anchor]);
+            }
+        }
+        corners.push(cells[cells.length - 1]);
+        return corners.map(cell => new THREE.Vector3(this.cellX(cell), this.heights[cell], this.cellZ(cell)));
+    }
+
+    hasClearLine(from, to) {
+        const fromX = this.cellX(from);
+        const fromZ = this.cellZ(from);
+        const dx = this.cellX(to) - fromX;
+        const dz = this.cellZ(to) - fromZ;
+        const steps = Math.ceil(Math.hypot(dx, dz) / (this.cellSize * 0.5));
+        for (let step = 1; step < steps; step++) {
+            if (this.blocked[this.cellIndex(fromX + dx * step / steps, fromZ + dz * step / steps)]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * @param {number} cell
+     * @returns {number} The cell itself if open, else the nearest open cell within SNAP_RADIUS, else -1
+     */
+    snapToOpen(cell) {
+        if (!this.blocked[cell]) return cell;
+        const size = this.size;
+        const col = cell % size;
+        const row = (cell - col) / size;
+        for (let ring = 1; ring <= SNAP_RADIUS; ring++) {
+            let nearest = -1;
+            let nearestDistSq = Infinity;
+            for (let dr = -ring; dr <= ring; dr++) {
+                for (let dc = -ring; dc <= ring; dc++) {
+                    if (Math.max(Math.abs(dc), Math.abs(dr)) !== ring) continue;
+                    const c = col + dc;
+                    const r = row + dr;
+                    if (c < 0 || c >= size || r < 0 || r >= size || this.blocked[r * size + c]) continue;
+                    const distSq = dc * dc + dr * dr;
+                    if (distSq < nearestDistSq) {
+                        nearestDistSq = distSq;
+                        nearest = r * size + c;
+                    }
+                }
+            }
+            if (nearest >= 0) return nearest;
+        }
+        return -1;
+    }
+}
+
+/**
+ * Bakes the navigation grid for the current world into `gameContext.navGrid`.
+ * Call after the terrain, water, trails and vegetation are all placed.
+ * @returns {NavGrid}
+ */
+export function buildNavGrid() {
+    const navGrid = new NavGrid(gameContext.worldSize);
+    navGrid.bake();
+    gameContext.navGrid = navGrid;
+
+    const blockedCount = navGrid.blocked.reduce((sum, blocked) => sum + blocked, 0);
+    console.log(`🧭 Navigation grid baked: ${navGrid.size}×${navGrid.size} cells, ${(blockedCount / navGrid.blocked.length * 100).toFixed(0)}% blocked`);
+    return navGrid;
+}
+
+function isWater(x, z, terrainHeight) {
+    if (!gameContext.waterBodies) return false;
+    for (const waterBody of gameContext.waterBodies) {
+        if (isPointInWater(waterBody, x, z, terrainHeight)) return true;
+    }
+    return false;
+}
+
+/**
+ * Binary min-heap of cells keyed by priority. Cells can be pushed more than once; the
+ * search skips the stale copies.
+ */
+class CellHeap {
+    constructor() {
+        this.cells = [];
+        this.priorities = [];
+    }
+
+    get length() {
+        return this.cells.length;
+    }
+
+    clear() {
+        this.cells.length = 0;
+        this.priorities.length = 0;
+    }
+
+    push(cell, priority) {
+        const { cells, priorities } = this;
+        let i = cells.length;
+        cells.push(cell);
+        priorities.push(priority);
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (priorities[parent] <= priority) break;
+            cells[i] = cells[parent];
+            priorities[i] = priorities[parent];
+            i = parent;
+        }
+        cells[i] = cell;
+        priorities[i] = priority;
+    }
+
+    pop() {
+        const { cells, priorities } = this;
+        const top = cells[0];
+        const lastCell = cells.pop();
+        const lastPriority = priorities.pop();
+        const count = cells.length;
+        if (count === 0) return top;
+
+        let i = 0;
+        while (true) {
+            let child = 2 * i + 1;
+            if (child >= count) break;
+            if (child + 1 < count && priorities[child + 1] < priorities[child]) child++;
+            if (priorities[child] >= lastPriority) break;
+            cells[i] = cells[child];
+            priorities[i] = priorities[child];
+            i = child;
+        }
+        cells[i] = lastCell;
+        priorities[i] = lastPriority;
+        return top;
+    }
+}
@@ -0,0 +1,63 @@
+// --- LOUD NOISES ---
+// A gunshot, or anything else loud the hunter does, carries well past the deer it was
+// meant for. Every deer and animal in earshot hears it, muffled where a ridge stands
+// between them and the hunter.
+
+import { gameContext } from './context.js';
+
+// Loudness falls from 1 at the source to nothing at `range`. Setting up gear is a rattle,
+// not a bang: a noise with `suspicion` adds that much suspicion at full loudness, like the
+// hunter's footsteps do, instead of startling deer outright.
+const LOUD_NOISES = {
+    gunshot: { label: 'Gunshot', range: 800 },
+    brushCrash: { label: 'Crashing through brush', range: 120 },
+    bowShot: { label: 'Bow string', range: 40 },   // Close enough and a deer still jumps the string
+    sticksSetup: { label: 'Shooting sticks clattering', range: 20, suspicion: 0.3 },
+    blindSetup: { label: 'Blind popping open', range: 70, suspicion: 0.5 },
+    standSetup: { label: 'Tree stand clanking on the trunk', range: 90, suspicion: 0.6 }
+};
+
+// Share of its loudness a sound keeps after crossing terrain that blocks the line to the hunter
+const MUFFLED_LOUDNESS = 0.4;
+
+/**
+ * How loud a noise is where a listener stands.
+ * @param {string} kind - Key of LOUD_NOISES
+ * @param {{x: number, z: number}} listener - Where the animal is
+ * @param {{x: number, z: number}} source - Where the noise was made
+ * @returns {{loudness: number, muffled: boolean}} Loudness 0-1, and whether terrain muffled it
+ */
+export function getHeardLoudness(kind, listener, source) {
+    const range = LOUD_NOISES[kind].range;
+    const distance = Math.hypot(listener.x - source.x, listener.z - source.z);
+    if (distance >= range) return { loudness: 0, muffled: false };
+
+    const navGrid = gameContext.navGrid;
+    const muffled = !!navGrid && navGrid.isHiddenFrom(listener.x, listener.z, source.x, source.z);
+    const loudness = (1 - distance / range) * (muffled ? MUFFLED_LOUDNESS : 1);
+    return { loudness, muffled };
+}
+
+/**
+ * @param {string} kind - Key of LOUD_NOISES
+ * @returns {number} Suspicion the noise adds at full loudness, or 0 if it startles deer instead
+ */
+export function getNoiseSuspicion(kind) {
+    return LOUD_NOISES[kind].suspicion || 0;
+}
+
+/**
+ * Sends a loud noise out to the herd and the rest of the wildlife.
+ * @param {string} kind - Key of LOUD_NOISES
+ * @param {THREE.Vector3} [position] - Where it was made; the hunter's position by default
+ */
+export function makeLoudNoise(kind, position = gameContext.player.position) {
+    if (!LOUD_NOISES[kind]) return;
+
+    if (gameContext.herd) {
+        gameContext.herd.onLoudNoise(kind, position);
+    }
+    if (gameContext.wildlife) {
+        gameContext.wildlife.onLoudNoise(kind, position);
+    }
+}
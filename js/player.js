@@ -7,6 +7,14 @@ import { updateSpatialAudioListener } from './spatial-audio.js';
 import { tagDeer } from './hunting-mechanics.js';
 import { updateDistanceTraveled } from './report-logger.js';
 import { showMessage } from './ui.js';
+import { getNoiseRangeMultiplier } from './weather.js';
+import { useCall } from './calling.js';
+import { makeLoudNoise } from './noise.js';
+import { weapons } from './weapons.js';
+import { scope } from './scope.js';
+import { aimSway } from './aim-sway.js';
+import { gear } from './gear.js';
+import { GEAR } from './gear-config.js';
 
 // --- Player Module Constants ---
 
@@ -23,13 +31,10 @@ function isInputAllowed() {
  * @returns {boolean} True if deer can be tagged, false otherwise.
  */
 function canTagDeer() {
-    if (!gameContext.deer) return false;
-    if (gameContext.deer.state !== 'KILLED') return false;
-    if (gameContext.deer.tagged) return false;
+    if (!gameContext.herd) return false;
     
-    // Check if player is close enough to the deer (within 4 units)
-    const distance = gameContext.player.position.distanceTo(gameContext.deer.model.position);
-    return distance < 4;
+    // Check if player is close enough to a downed deer (within 4 units)
+    return gameContext.herd.getTaggableDeer(gameContext.player.position, 4) !== null;
 }
 const PLAYER_EYE_HEIGHT = 2.04; // Scaled down from 6.0
 const PLAYER_KNEEL_HEIGHT = 0.85; // Scaled down from 2.5
@@ -51,13 +56,9 @@ const STAMINA_EXHAUSTED_THRESHOLD = 20; // Below this, bar turns red
 const STAMINA_DEPLETED_THRESHOLD = 50; // Below this, bar turns yellow
 const MOUSE_SENSITIVITY_SCOPED = 0.0005; // Restored to normal scoped sensitivity
 const CAMERA_FOV_NORMAL = 60; // Reduced from 75 for a more natural perspective
-const CAMERA_FOV_SCOPED = 15;
+const CAMERA_FOV_SCOPED_REFERENCE = 15; // View at 4x the scoped mouse sensitivity is tuned for; the sight's power sets the actual view
 
-// Scope sway parameters for realistic breathing/nerves effect
-const SCOPE_SWAY_FREQUENCY = 2.5; // Breathing rate frequency
-const SCOPE_SWAY_AMPLITUDE = 0.00017; // Reduced by 50% for less standing sway
-const SCOPE_SWAY_NOISE_AMPLITUDE = 0.0002125; // Reduced by 50% for less standing sway
-const SCOPE_SWAY_NOISE_FREQUENCY = 6.0; // Increased from 4.0 for more varied tremor
+// Stance steadiness; the sway itself is worked out in aim-sway.js
 const TREE_BRACE_REDUCTION = 0.13; // When braced against tree, reduce sway to 13% (increased by 5%)
 const KNEEL_SWAY_REDUCTION = 0.35; // When kneeling, reduce sway to 35%
 
@@ -85,7 +86,7 @@ let isSprinting = false; // Shift key for faster movement
 let stamina = STAMINA_MAX; // Current stamina level
 let isExhausted = false; // Can't sprint when exhausted until stamina recovers
 let mouseSensitivity = MOUSE_SENSITIVITY_NORMAL; // Initialized with normal sensitivity
-let scopeSwayTime = 0; // Time accumulator for scope sway animation
+let appliedSway = { pitch: 0, yaw: 0 }; // Aim sway offset currently in the camera's rotation
 let lastTrackCreationPosition = null;
 let humanTracks = []; // Array to store human track objects
 let isWalking = false;
@@ -93,6 +94,7 @@ let isTreeBraced = false;
 let isWalkingOnWater = false;
 let isWalkingOnFoliage = false;
 let isKneeling = false;
+let playerSpeed = 0; // Ground speed this frame, in units per second
 
 // Noise detection system
 let foliageNoiseTimer = 0; // Time spent making noise on foliage
@@ -100,6 +102,8 @@ const FOLIAGE_NOISE_THRESHOLD = 2.0; // Seconds of foliage noise before deer can
 const SPRINT_NOISE_RANGE = 60; // Detection range when sprinting
 const FOLIAGE_NOISE_RANGE = 40; // Detection range when walking on foliage for extended time
 let currentNoiseLevel = 0; // 0 = silent, 1 = foliage noise, 2 = sprint noise
+const BRUSH_CRASH_INTERVAL = 1.5; // Seconds between loud crashes while sprinting through brush
+let brushCrashTimer = 0;
 let lastMovementDirection = new THREE.Vector3(); // Store last movement direction for footprint orientation
 let humanTrackTexture = null; // Cached texture
 
@@ -271,6 +275,11 @@ export function updatePlayer() {
     // Apply rotation to velocity vector
     _velocity.applyQuaternion(gameContext.player.quaternion);
 
+    // Setting up gear or sitting in a tree stand keeps the hunter where they are
+    if (gear.holdsPlayer()) {
+        _velocity.set(0, 0, 0);
+    }
+
     // Prevent movement when kneeling, otherwise calculate velocity
     if (isKneeling) {
         // Show warning if trying to move while kneeling
@@ -333,8 +342,16 @@ export function updatePlayer() {
         // Sprinting is always noisy
         currentNoiseLevel = 2;
         foliageNoiseTimer = 0; // Reset foliage timer
+
+        // Running through brush carries much farther than footsteps (see noise.js)
+        brushCrashTimer = isWalkingOnFoliage ? brushCrashTimer + delta : 0;
+        if (brushCrashTimer >= BRUSH_CRASH_INTERVAL) {
+            brushCrashTimer = 0;
+            makeLoudNoise('brushCrash', gameContext.player.position);
+        }
     } else if (isMoving && isWalkingOnFoliage) {
         // Walking on foliage builds up noise over time
+        brushCrashTimer = 0;
         foliageNoiseTimer += delta;
         if (foliageNoiseTimer >= FOLIAGE_NOISE_THRESHOLD) {
             currentNoiseLevel = 1;
@@ -343,10 +360,13 @@ export function updatePlayer() {
         }
     } else {
         // Not moving or walking on quiet surface
+        brushCrashTimer = 0;
         currentNoiseLevel = 0;
         foliageNoiseTimer = Math.max(0, foliageNoiseTimer - delta * 2); // Decay faster than buildup
     }
 
+    playerSpeed = delta > 0 ? _velocity.length() / delta : 0;
+
     if (_velocity.lengthSq() > 0) {
         // Store previous position for velocity calculation (use reusable vector)
         _previousPosition.copy(gameContext.player.position);
@@ -395,8 +415,8 @@ export function updatePlayer() {
     const targetY = gameContext.getHeightAt(gameContext.player.position.x, gameContext.player.position.z);
     gameContext.player.position.y = targetY;
 
-    // Adjust camera height for kneeling
-    const targetEyeHeight = isKneeling ? PLAYER_KNEEL_HEIGHT : PLAYER_EYE_HEIGHT;
+    // Adjust camera height for kneeling, and for a tree stand's height
+    const targetEyeHeight = (isKneeling ? PLAYER_KNEEL_HEIGHT : PLAYER_EYE_HEIGHT) + gear.getElevation();
     gameContext.camera.position.y = THREE.MathUtils.lerp(gameContext.camera.position.y, targetEyeHeight, 0.1);
 
     // Always check water status at current position (not just when moving)
@@ -470,9 +490,9 @@ export function updatePlayer() {
 
     // --- INTERACTION LOGIC ---
     // Check for deer tagging proximity
-    if (gameContext.deer && gameContext.deer.fallen && !gameContext.deer.tagged) {
-        const distanceToDeer = gameContext.player.position.distanceTo(gameContext.deer.model.position);
-        if (distanceToDeer < 5) { // 5 units of distance to allow tagging
+    if (gameContext.herd && gameContext.herd.members.some(m => m.fallen && !m.tagged)) {
+        // 5 units of distance to allow tagging
+        if (gameContext.herd.getTaggableDeer(gameContext.player.position, 5)) {
             gameContext.canTag = true;
             gameContext.interactionPromptElement.textContent = 'Press E to Tag';
             gameContext.interactionPromptElement.style.display = 'block';
@@ -491,52 +511,19 @@ export function updatePlayer() {
     // Update tree bracing
     checkTreeBracing();
 
-    // Update scope sway if scoped
+    // Aim sway: breathing, heartbeat and tremor move the camera itself, so the shot goes
+    // where the reticle sits. Only the change since last frame is applied, leaving the
+    // hunter's own aim alone.
+    const swayFactor = isScoped ? getStanceSwayFactor() : 0;
+    const sway = aimSway.update(delta, swayFactor, stamina / STAMINA_MAX);
+    gameContext.camera.rotation.x += sway.pitch - appliedSway.pitch;
+    gameContext.camera.rotation.y += sway.yaw - appliedSway.yaw;
+    appliedSway.pitch = sway.pitch;
+    appliedSway.yaw = sway.yaw;
+
     if (isScoped) {
-        scopeSwayTime += delta;
-        
-        // Breathing sway (slow, rhythmic)
-        let swayX = Math.sin(scopeSwayTime * SCOPE_SWAY_FREQUENCY) * SCOPE_SWAY_AMPLITUDE;
-        let swayY = Math.cos(scopeSwayTime * SCOPE_SWAY_FREQUENCY * 0.7) * SCOPE_SWAY_AMPLITUDE * 0.8;
-        
-        // Noise/tremor (faster, irregular)
-        let noiseX = (Math.sin(scopeSwayTime * SCOPE_SWAY_NOISE_FREQUENCY) + 
-                       Math.sin(scopeSwayTime * SCOPE_SWAY_NOISE_FREQUENCY * 1.3)) * SCOPE_SWAY_NOISE_AMPLITUDE * 0.5;
-        let noiseY = (Math.cos(scopeSwayTime * SCOPE_SWAY_NOISE_FREQUENCY * 0.9) + 
-                       Math.cos(scopeSwayTime * SCOPE_SWAY_NOISE_FREQUENCY * 1.7)) * SCOPE_SWAY_NOISE_AMPLITUDE * 0.5;
-        
-        // Random micro-shifts (very subtle, occasional)
-        let randomShiftX = (Math.random() < 0.05) ? (Math.random() - 0.5) * SCOPE_SWAY_NOISE_AMPLITUDE * 0.3 : 0;
-        let randomShiftY = (Math.random() < 0.05) ? (Math.random() - 0.5) * SCOPE_SWAY_NOISE_AMPLITUDE * 0.3 : 0;
-        
-        // Micro-adjustments (very rare, very small)
-        let microAdjustX = (Math.random() < 0.1) ? (Math.random() - 0.5) * SCOPE_SWAY_NOISE_AMPLITUDE * 0.5 : 0;
-        let microAdjustY = (Math.random() < 0.1) ? (Math.random() - 0.5) * SCOPE_SWAY_NOISE_AMPLITUDE * 0.5 : 0;
-        
-        // Reduce sway if braced against a tree or kneeling
-        if (isTreeBraced) {
-            const reduction = isKneeling ? TREE_BRACE_REDUCTION * KNEEL_SWAY_REDUCTION : TREE_BRACE_REDUCTION;
-            swayX *= reduction;
-            swayY *= reduction;
-            noiseX *= reduction;
-            noiseY *= reduction;
-            randomShiftX *= reduction;
-            randomShiftY *= reduction;
-            microAdjustX *= reduction;
-            microAdjustY *= reduction;
-        } else if (isKneeling) {
-            swayX *= KNEEL_SWAY_REDUCTION;
-            swayY *= KNEEL_SWAY_REDUCTION;
-            noiseX *= KNEEL_SWAY_REDUCTION;
-            noiseY *= KNEEL_SWAY_REDUCTION;
-            randomShiftX *= KNEEL_SWAY_REDUCTION;
-            randomShiftY *= KNEEL_SWAY_REDUCTION;
-            microAdjustX *= KNEEL_SWAY_REDUCTION;
-            microAdjustY *= KNEEL_SWAY_REDUCTION;
-        }
-        
-        gameContext.camera.rotation.x += swayY + noiseY + randomShiftY + microAdjustY;
-        gameContext.camera.rotation.y += swayX + noiseX + randomShiftX + microAdjustX;
+        // The eye wanders behind the glass with the same hold
+        scope.update(delta, swayFactor);
     }
 
     // Update walking sound based on movement and water state
@@ -652,7 +639,7 @@ function onKeyDown(event) {
     // Debug log
     // console.log('Key Down:', event.code);
 
-    const allowedKeys = ['KeyE', 'KeyM', 'KeyC']; // E for Tag, M for Map, C for Kneel
+    const allowedKeys = ['KeyE', 'KeyM', 'KeyC', 'KeyG', 'KeyT', 'Space']; // E for Tag, M for Map, C for Kneel, G/T for calls, Space to hold breath
     if (allowedKeys.includes(event.code)) {
         event.preventDefault();
     }
@@ -690,6 +677,25 @@ function onKeyDown(event) {
         case 'KeyM':
             showSmartphoneMap();
             break;
+        case 'KeyG':
+            if (!event.repeat) useCall('grunt');
+            break;
+        case 'KeyT':
+            if (!event.repeat) useCall('rattle');
+            break;
+        case 'KeyL':
+            if (!event.repeat) weapons.reload();
+            break;
+        case 'Space':
+            if (!event.repeat && isScoped) aimSway.holdBreath(true);
+            break;
+        case 'Digit1':
+        case 'Digit2':
+        case 'Digit3': {
+            const gearKey = Object.keys(GEAR).find(key => GEAR[key].key === event.code);
+            if (!event.repeat && gearKey) gear.use(gearKey);
+            break;
+        }
         case 'ShiftLeft':
         case 'ShiftRight':
             isSprinting = true;
@@ -726,6 +732,9 @@ function onKeyUp(event) {
         case 'KeyM':
             closeSmartphoneMap();
             break;
+        case 'Space':
+            aimSway.holdBreath(false);
+            break;
     }
 }
 
@@ -748,7 +757,29 @@ function onMouseMove(event) {
 }
 
 /**
- * Toggles the rifle scope view.
+ * Share of full offhand sway left by the current stance.
+ * @returns {number} 1 standing, less kneeling or braced against a tree
+ */
+function getStanceSwayFactor() {
+    if (isTreeBraced) {
+        return isKneeling ? TREE_BRACE_REDUCTION * KNEEL_SWAY_REDUCTION : TREE_BRACE_REDUCTION;
+    }
+    return isKneeling ? KNEEL_SWAY_REDUCTION : 1;
+}
+
+/**
+ * Sets the camera to the field of view through the sight at its current power, slowing
+ * the mouse to match.
+ */
+function applySightFov() {
+    const sightFov = scope.getFov();
+    gameContext.camera.fov = sightFov;
+    mouseSensitivity = MOUSE_SENSITIVITY_SCOPED * sightFov / CAMERA_FOV_SCOPED_REFERENCE;
+    gameContext.camera.updateProjectionMatrix();
+}
+
+/**
+ * Toggles the rifle scope view (or the bead or pin sight of the weapon carried).
  * Adjusts camera FOV, mouse sensitivity, and visibility of scope/crosshair UI elements.
  * @param {boolean} active - True to activate scope, false to deactivate. If not provided, toggles current state.
  */
@@ -759,9 +790,9 @@ function toggleScope(active) {
         isScoped = !isScoped;
     }
     if (isScoped) {
-        gameContext.camera.fov = CAMERA_FOV_SCOPED;
-        mouseSensitivity = MOUSE_SENSITIVITY_SCOPED;
+        applySightFov();
         gameContext.scopeOverlayElement.style.display = 'block';
+        scope.draw();
     } else {
         gameContext.camera.fov = CAMERA_FOV_NORMAL;
         mouseSensitivity = MOUSE_SENSITIVITY_NORMAL;
@@ -772,7 +803,7 @@ function toggleScope(active) {
 
 function toggleKneel() {
     isKneeling = !isKneeling;
-    const height = isKneeling ? PLAYER_KNEEL_HEIGHT : PLAYER_EYE_HEIGHT;
+    const height = (isKneeling ? PLAYER_KNEEL_HEIGHT : PLAYER_EYE_HEIGHT) + gear.getElevation();
     gameContext.camera.position.set(0, height, 0);
     // Update status indicator
     if (gameContext.ui && typeof gameContext.ui.updateStatusIndicator === 'function') {
@@ -854,16 +885,17 @@ function updateHumanTracks() {
     });
 }
 
-// Add tree bracing detection
+// Add tree bracing detection - shooting sticks or a tree stand's rail brace just the same
 function checkTreeBracing() {
     const playerPosition = gameContext.player.position;
     // Use larger radius for bracing detection to be more forgiving
     const treeCollision = gameContext.checkTreeCollision(playerPosition, 1.5);
-    isTreeBraced = !!treeCollision;
+    isTreeBraced = !!treeCollision || gear.isBracing();
 }
 
 /**
- * Handles mouse wheel events for player movement (forward/backward).
+ * Handles mouse wheel events for player movement (forward/backward), or turns the
+ * scope's power ring while looking through it.
  * @param {WheelEvent} event - The mouse wheel event.
  */
 function onWheel(event) {
@@ -878,6 +910,15 @@ function onWheel(event) {
         });
     }
 
+    if (isScoped && scope.hasScope()) {
+        event.preventDefault();
+        if (event.deltaY !== 0 && scope.adjustMagnification(event.deltaY < 0 ? 1 : -1)) {
+            applySightFov();
+            scope.draw();
+        }
+        return;
+    }
+
     // Clear existing timeout to keep moving while scrolling
     if (wheelTimeout) {
         clearTimeout(wheelTimeout);
@@ -915,15 +956,25 @@ export function getIsKneeling() {
     return isKneeling;
 }
 
+/**
+ * Gets how fast the player is moving - deer pick out a moving hunter far more easily
+ * @returns {number} Speed in units per second (0 when standing still)
+ */
+export function getPlayerSpeed() {
+    return playerSpeed;
+}
+
 /**
  * Gets the player's current noise level and detection range
  * @returns {{ level: number, range: number, source: string }} Noise level (0-2), detection range in units, and source description
  */
 export function getPlayerNoise() {
+    // Rain on the leaves covers the hunter's footsteps, as do the walls of a blind
+    const rangeMultiplier = getNoiseRangeMultiplier() * gear.getNoiseRangeMultiplier();
     if (currentNoiseLevel === 2) {
-        return { level: 2, range: SPRINT_NOISE_RANGE, source: 'Sprinting' };
+        return { level: 2, range: SPRINT_NOISE_RANGE * rangeMultiplier, source: 'Sprinting' };
     } else if (currentNoiseLevel === 1) {
-        return { level: 1, range: FOLIAGE_NOISE_RANGE, source: 'Walking through brush' };
+        return { level: 1, range: FOLIAGE_NOISE_RANGE * rangeMultiplier, source: 'Walking through brush' };
     }
     return { level: 0, range: 0, source: 'Silent' };
 }
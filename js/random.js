@@ -0,0 +1,89 @@
+// --- SEEDED RANDOM ---
+// Reproducible random streams for world generation. The same seed always produces
+// the same terrain, trails, vegetation and deer spawns.
+import { gameContext } from './context.js';
+
+/**
+ * Generates a fresh random seed for worlds that don't specify one.
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Converts a seed from config or user input into an unsigned 32-bit integer.
+ * Numeric values are used as-is; any other string is hashed so word seeds work too.
+ * @param {number|string} value - Seed value
+ * @returns {number|null} Normalized seed, or null if the value is empty
+ */
+export function normalizeSeed(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+    if (text === '') return null;
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+    return hashString(text);
+}
+
+/**
+ * FNV-1a hash of a string
+ * @param {string} text
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates a seeded PRNG (mulberry32) with the same contract as Math.random.
+ * @param {number} seed - Unsigned 32-bit seed
+ * @returns {function(): number} Returns a float in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Creates the PRNG for one named stream of a seed. getWorldRandom uses this for the
+ * current world; the world builder uses it to preview a seed before a hunt starts.
+ * @param {number} seed - Unsigned 32-bit world seed
+ * @param {string} stream - Stream name (e.g. 'terrain')
+ * @returns {function(): number} Seeded PRNG
+ */
+export function createStreamRandom(seed, stream) {
+    return createRandom(hashString(`${seed >>> 0}:${stream}`));
+}
+
+/**
+ * Sets the seed for the current world. Must be called before any world generation.
+ * @param {number} seed - Unsigned 32-bit seed
+ */
+export function initWorldRandom(seed) {
+    gameContext.worldSeed = seed >>> 0;
+}
+
+/**
+ * Gets an independent random stream for one part of world generation.
+ * Each system draws from its own stream so async loaders (trees, bushes, grass)
+ * can finish in any order without changing each other's results.
+ * @param {string} stream - Stream name (e.g. 'trees', 'trails')
+ * @returns {function(): number} Seeded PRNG, or Math.random if no world seed is set
+ */
+export function getWorldRandom(stream) {
+    if (gameContext.worldSeed === null || gameContext.worldSeed === undefined) {
+        return Math.random;
+    }
+    return createStreamRandom(gameContext.worldSeed, stream);
+}
@@ -1,5 +1,9 @@
 // js/report-logger.js
 import { gameContext } from './context.js';
+import { getSeason } from './seasons.js';
+import { HARVEST_RULES, DEFAULT_HARVEST_RULE } from './constants.js';
+import { formatScore } from './deer-antlers.js';
+import { weapons } from './weapons.js';
 
 /**
  * Formats game time for display in reports
@@ -105,6 +109,12 @@ export function updateStats(eventType, data) {
         case "Tracking Bonus":
             gameContext.currentDayStats.trackingBonusAwarded = true;
             break;
+        case "Lost Overnight":
+            gameContext.currentDayStats.lostOvernight = (gameContext.currentDayStats.lostOvernight || 0) + 1;
+            break;
+        case "Survived Wound":
+            gameContext.currentDayStats.survivedWounds = (gameContext.currentDayStats.survivedWounds || 0) + 1;
+            break;
         default:
             // Unknown event type - silently ignore
             break;
@@ -230,7 +240,10 @@ export function generateCurrentReport() {
             'quartering-toward-angle': 'Quartering-Toward Angle',
             'long-range-poor-shot': 'Exceeded Effective Range',
             'pushed-wounded': 'Pushed Wounded Deer',
-            'after-hours-shot': 'Shot After Hours'
+            'after-hours-shot': 'Shot After Hours',
+            'young-buck': 'Young Buck',
+            'lost-overnight': 'Wounded Deer Lost Overnight',
+            'wounded-survived': 'Wounded Deer Survived'
         };
         
         // Consolidate repeated penalties (e.g., pushed-wounded can occur many times)
@@ -271,11 +284,33 @@ export function generateCurrentReport() {
     // Hunt Stats (left)
     reportHTML += `<div class="hunt-stats">`;
     reportHTML += `<div class="stat-row"><span>Started</span><span>${stats.timeStarted}</span></div>`;
+    // World seed - entering it in the start options replays this exact map
+    if (gameContext.worldSeed !== null && gameContext.worldSeed !== undefined) {
+        const worldName = gameContext.worldConfig?.name || gameContext.worldId || 'World';
+        reportHTML += `<div class="stat-row world-seed"><span>Seed</span><span title="${worldName}">${gameContext.worldSeed}</span></div>`;
+    }
+    reportHTML += `<div class="stat-row"><span>Season</span><span>${getSeason().label}</span></div>`;
+    const harvestRule = HARVEST_RULES[gameContext.harvestRule] || HARVEST_RULES[DEFAULT_HARVEST_RULE];
+    reportHTML += `<div class="stat-row"><span>Rules</span><span>${harvestRule.label}</span></div>`;
+    reportHTML += `<div class="stat-row"><span>Weapon</span><span>${weapons.getWeapon().label}</span></div>`;
+    if (killData && killData.ageClass) {
+        const harvested = killData.rack ? `${killData.rack}, ${killData.ageClass}` : killData.ageClass;
+        reportHTML += `<div class="stat-row"><span>Harvest</span><span>${killData.deerLabel} (${harvested})</span></div>`;
+        if (killData.grossScore !== null && killData.grossScore !== undefined) {
+            reportHTML += `<div class="stat-row"><span>Gross B&amp;C</span><span>${formatScore(killData.grossScore)}"</span></div>`;
+        }
+    }
     reportHTML += `<div class="stat-row"><span>Hiked</span><span>${(stats.distanceTraveled * 1.09361).toFixed(0)} yds</span></div>`;
     if (stats.trackingDistance > 0) {
         reportHTML += `<div class="stat-row"><span>Tracked</span><span>${(stats.trackingDistance * 1.09361).toFixed(0)} yds</span></div>`;
     }
     reportHTML += `<div class="stat-row"><span>Shots</span><span>${stats.shotsTaken}${stats.shotsTaken > 0 ? ` (${Math.round((stats.hits / stats.shotsTaken) * 100)}%)` : ''}</span></div>`;
+    if (stats.lostOvernight) {
+        reportHTML += `<div class="stat-row"><span>Lost Overnight</span><span>${stats.lostOvernight}</span></div>`;
+    }
+    if (stats.survivedWounds) {
+        reportHTML += `<div class="stat-row"><span>Survived Wounds</span><span>${stats.survivedWounds}</span></div>`;
+    }
     
     // Status
     let statusText = '';
@@ -318,6 +353,23 @@ export function generateCurrentReport() {
         } else if (woundType && woundType.survivalChance > 0.5) {
             reportHTML += `<div class="harvest-status warning">May Recover</div>`;
         }
+        
+        // Per-animal summary when more than one herd member was hit
+        const hitMembers = gameContext.herd ? gameContext.herd.members.filter(m => m.woundCount > 0 || m.state === 'KILLED') : [];
+        if (hitMembers.length > 1) {
+            reportHTML += `<div class="herd-hits">`;
+            hitMembers.forEach(member => {
+                const memberWound = member.woundState && member.woundState.woundType;
+                const woundName = memberWound ? (memberWound.displayName || memberWound.name) : 'Hit';
+                let memberStatus = 'Wounded';
+                if (member.tagged) memberStatus = 'Tagged';
+                else if (member.overnightOutcome === 'expired') memberStatus = 'Died Overnight';
+                else if (member.state === 'KILLED') memberStatus = 'Harvested';
+                else if (member.overnightOutcome === 'survived') memberStatus = 'Survived';
+                reportHTML += `<div class="herd-hit-row"><span>${member.label}</span><span>${woundName} • ${memberStatus}</span></div>`;
+            });
+            reportHTML += `</div>`;
+        }
         reportHTML += `</div>`;
     }
     
@@ -422,6 +474,8 @@ function getEventClass(eventType) {
             return "event-utility";
         case "Deer Spooked":
         case "Excessive Shots":
+        case "Lost Overnight":
+        case "Survived Wound":
             return "event-penalty";
         default:
             return "event-normal";
@@ -1,6 +1,7 @@
 // js/scene.js
 import * as THREE from 'three';
 import { gameContext } from './context.js';
+import { FOG_DENSITY_DAY } from './constants.js';
 
 const DEFAULT_SKY_COLOR = 0x6ca0dc;
 const SHADOW_MAP_SIZE = 2048;
@@ -15,7 +16,8 @@ export function setupScene() {
     }
     // Initial background is transparent to show title screen
     // gameContext.scene.background = new THREE.Color(DEFAULT_SKY_COLOR); 
-    gameContext.scene.fog = new THREE.Fog(DEFAULT_SKY_COLOR, 50, 200); // color, near, far
+    // Density is driven by time of day and weather in updateDynamicLighting()
+    gameContext.scene.fog = new THREE.FogExp2(DEFAULT_SKY_COLOR, FOG_DENSITY_DAY);
 
     // Ensure we have valid dimensions for the camera and renderer
     const width = window.innerWidth || 800;
@@ -0,0 +1,242 @@
+// --- RIFLE SCOPE ---
+// The power ring, reticle and eye box of a scoped weapon. The reticle is drawn on a canvas in
+// the scope overlay at its true angular size, so a mil covers a mil at any power and the
+// screenshot can draw the same marks. A shaky hold puts the eye off-center behind the glass:
+// the tube shadows in from one side and, away from the scope's parallax distance, the
+// reticle no longer sits on what it seems to cover.
+import { gameContext } from './context.js';
+import { RETICLES, DEFAULT_RETICLE } from './weapon-config.js';
+import { getDropAt } from './ballistics.js';
+import { weapons } from './weapons.js';
+
+const YARDS_TO_METERS = 0.9144;
+const FOV_AT_1X = 60;                  // Degrees; a 1x scope shows the unaided view
+const MAGNIFICATION_STEP = 0.5;        // Power per wheel notch
+const TUBE_RADIUS = 0.4;               // Clear part of the overlay, as a share of half the screen diagonal (the CSS gradient's 40%)
+const RETICLE_COLOR = 'rgba(10, 10, 10, 0.9)';
+const CENTER_DOT_COLOR = 'rgba(200, 0, 0, 0.9)';
+const DUPLEX_POST_START = 20;          // Milliradians from center where the heavy posts begin
+const DUPLEX_POST_WIDTH = 1;           // Milliradians
+const MILDOT_DOT_SIZE = 0.25;          // Milliradians across
+const BDC_MARK_WIDTH = 1.5;            // Milliradians each side of the vertical wire
+
+// Eye box and parallax
+const PARALLAX_DISTANCE = 91.44;       // Meters; hunting scopes are parallax-free at 100 yards
+const OBJECTIVE_RADIUS = 0.02;         // Meters; how far off the optical axis an eye at the edge of the box sights through
+const EYE_BOX_WOBBLE = 0.35;           // Eye offset at full offhand sway and lowest power, as a share of the eye box
+const EYE_WOBBLE_FREQUENCY = 0.9;
+const EYE_SHADOW_SHIFT = 0.3;          // Share of the tube radius the shadow creeps in with the eye at the edge of the box
+
+class ScopeManager {
+    constructor() {
+        this.magnification = 1;
+        this.eyeOffset = { x: 0, y: 0 };   // Eye off the optical axis; 1 is the edge of the eye box
+        this.eyeTime = 0;
+        this.holdovers = [];               // BDC marks for the load carried: { yards, mrad }
+        this.canvas = null;
+        this.ctx = null;
+    }
+
+    /**
+     * @returns {boolean} Whether the weapon carried wears a scope
+     */
+    hasScope() {
+        return !!weapons.getWeapon().sight.scoped;
+    }
+
+    /**
+     * @returns {string} Key of RETICLES for the reticle in the scope
+     */
+    getReticle() {
+        return RETICLES[gameContext.reticle] ? gameContext.reticle : DEFAULT_RETICLE;
+    }
+
+    /**
+     * Sets the scope to its lowest power and works out the BDC holdovers for the load and zero
+     * carried. Call after weapons.init().
+     */
+    init() {
+        const sight = weapons.getWeapon().sight;
+        this.magnification = sight.magnification ? sight.magnification[0] : 1;
+        this.eyeOffset.x = 0;
+        this.eyeOffset.y = 0;
+        this.eyeTime = 0;
+
+        const load = weapons.getLoad();
+        this.holdovers = (sight.bdc || []).map(yards => {
+            const distance = yards * YARDS_TO_METERS;
+            return { yards, mrad: 1000 * Math.atan2(getDropAt(load, distance), distance) };
+        });
+
+        this.canvas = document.getElementById('scope-reticle');
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+        if (this.hasScope()) {
+            console.log(`🔭 ${sight.magnification[0]}-${sight.magnification[1]}x scope, ${RETICLES[this.getReticle()].label} reticle`);
+        }
+    }
+
+    /**
+     * @returns {number} Camera field of view while aiming, degrees. Open sights keep their own.
+     */
+    getFov() {
+        const sight = weapons.getWeapon().sight;
+        return sight.magnification ? FOV_AT_1X / this.magnification : sight.fov;
+    }
+
+    /**
+     * Turns the power ring.
+     * @param {number} notches - Positive to zoom in, negative to zoom out
+     * @returns {boolean} True if the power changed
+     */
+    adjustMagnification(notches) {
+        const range = weapons.getWeapon().sight.magnification;
+        if (!range) return false;
+
+        const magnification = Math.min(range[1], Math.max(range[0], this.magnification + notches * MAGNIFICATION_STEP));
+        if (magnification === this.magnification) return false;
+        this.magnification = magnification;
+        return true;
+    }
+
+    /**
+     * Moves the eye around behind the scope and redraws the reticle. The eye wanders with the
+     * hold, and the box it has to stay in tightens as the power goes up.
+     * @param {number} delta - Seconds since the last frame
+     * @param {number} swayFactor - The stance's share of full offhand sway (1 standing, less kneeling or braced)
+     */
+    update(delta, swayFactor) {
+        if (!this.hasScope()) return;
+
+        this.eyeTime += delta;
+        const minPower = weapons.getWeapon().sight.magnification[0];
+        const amplitude = EYE_BOX_WOBBLE * swayFactor * this.magnification / minPower;
+        const t = this.eyeTime * EYE_WOBBLE_FREQUENCY;
+        this.eyeOffset.x = amplitude * (Math.sin(t) + 0.5 * Math.sin(t * 2.3 + 1)) / 1.5;
+        this.eyeOffset.y = amplitude * (Math.cos(t * 0.8) + 0.5 * Math.sin(t * 1.9)) / 1.5;
+
+        this.draw();
+    }
+
+    /**
+     * How far off the reticle's point of aim is at a distance, from the eye sitting off-center.
+     * Nothing at the parallax distance; the error flips sides closer in.
+     * @param {number} distance - Meters to the target
+     * @returns {{x: number, y: number}} Radians right and up
+     */
+    getParallaxError(distance) {
+        if (!this.hasScope() || distance <= 0) return { x: 0, y: 0 };
+
+        const perEyeOffset = OBJECTIVE_RADIUS * (distance - PARALLAX_DISTANCE) / (PARALLAX_DISTANCE * distance);
+        const clamp = value => Math.max(-1, Math.min(1, value));
+        return {
+            x: clamp(this.eyeOffset.x) * perEyeOffset,
+            y: clamp(this.eyeOffset.y) * perEyeOffset
+        };
+    }
+
+    /**
+     * Draws the scope view on the overlay canvas: the eye-box shadow, the reticle and the power.
+     */
+    draw() {
+        if (!this.canvas || !this.ctx) return;
+
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (this.canvas.width !== width) this.canvas.width = width;
+        if (this.canvas.height !== height) this.canvas.height = height;
+
+        const ctx = this.ctx;
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const tubeRadius = TUBE_RADIUS * Math.hypot(width, height) / 2;
+        ctx.clearRect(0, 0, width, height);
+
+        // The tube's edge follows the eye off-center, darkening the far side of the view
+        const shadowX = centerX - this.eyeOffset.x * EYE_SHADOW_SHIFT * tubeRadius;
+        const shadowY = centerY + this.eyeOffset.y * EYE_SHADOW_SHIFT * tubeRadius;
+        const shadow = ctx.createRadialGradient(shadowX, shadowY, tubeRadius * 0.9, shadowX, shadowY, tubeRadius);
+        shadow.addColorStop(0, 'rgba(0, 0, 0, 0)');
+        shadow.addColorStop(1, 'rgba(0, 0, 0, 1)');
+        ctx.fillStyle = shadow;
+        ctx.fillRect(0, 0, width, height);
+
+        const fovRadians = this.getFov() * Math.PI / 180;
+        const pxPerMrad = (height / 2) / Math.tan(fovRadians / 2) / 1000;
+        this.drawReticle(ctx, centerX, centerY, pxPerMrad, tubeRadius);
+
+        ctx.fillStyle = 'rgba(230, 230, 230, 0.8)';
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(`${this.magnification.toFixed(1)}x`, centerX, centerY + tubeRadius * 0.85);
+    }
+
+    /**
+     * Draws the active reticle at its true size for the current power.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} centerX
+     * @param {number} centerY
+     * @param {number} pxPerMrad - Pixels one milliradian covers at this power and screen size
+     * @param {number} radius - How far out the wires run, pixels
+     */
+    drawReticle(ctx, centerX, centerY, pxPerMrad, radius) {
+        const reticle = this.getReticle();
+        ctx.strokeStyle = RETICLE_COLOR;
+        ctx.fillStyle = RETICLE_COLOR;
+        ctx.lineWidth = 1;
+
+        // Fine crosshair wires
+        ctx.beginPath();
+        ctx.moveTo(centerX - radius, centerY);
+        ctx.lineTo(centerX + radius, centerY);
+        ctx.moveTo(centerX, centerY - radius);
+        ctx.lineTo(centerX, centerY + radius);
+        ctx.stroke();
+
+        if (reticle === 'duplex' || reticle === 'bdc') {
+            // Heavy outer posts draw the eye to the center in poor light
+            const postStart = DUPLEX_POST_START * pxPerMrad;
+            const postWidth = Math.max(3, DUPLEX_POST_WIDTH * pxPerMrad);
+            if (postStart < radius) {
+                const postLength = radius - postStart;
+                ctx.fillRect(centerX + postStart, centerY - postWidth / 2, postLength, postWidth);
+                ctx.fillRect(centerX - radius, centerY - postWidth / 2, postLength, postWidth);
+                ctx.fillRect(centerX - postWidth / 2, centerY + postStart, postWidth, postLength);
+                ctx.fillRect(centerX - postWidth / 2, centerY - radius, postWidth, postLength);
+            }
+        }
+
+        if (reticle === 'bdc') {
+            // A hash for each holdover yardage, where that distance's bullet lands
+            ctx.font = '10px sans-serif';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            for (const { yards, mrad } of this.holdovers) {
+                const y = centerY + mrad * pxPerMrad;
+                const halfWidth = Math.max(4, BDC_MARK_WIDTH * pxPerMrad);
+                ctx.fillRect(centerX - halfWidth, y - 0.5, halfWidth * 2, 1);
+                if (pxPerMrad >= 4) ctx.fillText(yards, centerX + halfWidth + 3, y);
+            }
+        }
+
+        if (reticle === 'mildot') {
+            const { dotSpacing, dots } = RETICLES.mildot;
+            const dotRadius = Math.max(1, MILDOT_DOT_SIZE * pxPerMrad / 2);
+            ctx.beginPath();
+            for (let i = 1; i <= dots; i++) {
+                const offset = i * dotSpacing * pxPerMrad;
+                for (const [dx, dy] of [[offset, 0], [-offset, 0], [0, offset], [0, -offset]]) {
+                    ctx.moveTo(centerX + dx + dotRadius, centerY + dy);
+                    ctx.arc(centerX + dx, centerY + dy, dotRadius, 0, Math.PI * 2);
+                }
+            }
+            ctx.fill();
+        }
+
+        ctx.fillStyle = CENTER_DOT_COLOR;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, 1.5, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
+export const scope = new ScopeManager();
@@ -5,6 +5,8 @@
 
 import { gameContext } from './context.js';
 import { showMessage } from './ui.js';
+import { weapons } from './weapons.js';
+import { scope } from './scope.js';
 
 // Screenshot counter for unique filenames
 let screenshotCounter = 0;
@@ -73,9 +75,12 @@ export function takeScreenshot() {
             0, 0, outputSize, outputSize               // Destination
         );
         
-        // Draw scope overlay if scoped - matches the CSS scope overlay
-        if (isScoped) {
-            drawScopeOverlay(ctx, outputSize);
+        // Draw scope overlay if scoped - matches the CSS scope overlay. Open sights have no tube to ring the view
+        if (isScoped && weapons.getWeapon().sight.scoped) {
+            // Reticle marks keep their angular size: scale from screen pixels to the output
+            const fovRadians = gameContext.camera.fov * Math.PI / 180;
+            const pxPerMrad = (canvasHeight / 2) / Math.tan(fovRadians / 2) / 1000 * (outputSize / sourceSize);
+            drawScopeOverlay(ctx, outputSize, pxPerMrad);
         }
         
         // Add branding overlay
@@ -122,10 +127,12 @@ export function takeScreenshot() {
  * Draws the scope overlay on the screenshot
  * Replicates the CSS scope-overlay styling:
  * radial-gradient(circle, transparent 40%, rgba(0,0,0,0.8) 42%, black 55%)
+ * and the reticle in the scope at its current power
  * @param {CanvasRenderingContext2D} ctx - Canvas context
  * @param {number} size - Canvas size (square)
+ * @param {number} pxPerMrad - Output pixels one milliradian covers
  */
-function drawScopeOverlay(ctx, size) {
+function drawScopeOverlay(ctx, size, pxPerMrad) {
     const centerX = size / 2;
     const centerY = size / 2;
     
@@ -146,27 +153,8 @@ function drawScopeOverlay(ctx, size) {
     ctx.fillStyle = gradient;
     ctx.fillRect(0, 0, size, size);
     
-    // Draw crosshair lines (dark, thin) - only in the visible scope area
-    ctx.strokeStyle = 'rgba(20, 20, 20, 0.7)';
-    ctx.lineWidth = 1;
-    
-    // Vertical line
-    ctx.beginPath();
-    ctx.moveTo(centerX, 0);
-    ctx.lineTo(centerX, size);
-    ctx.stroke();
-    
-    // Horizontal line
-    ctx.beginPath();
-    ctx.moveTo(0, centerY);
-    ctx.lineTo(size, centerY);
-    ctx.stroke();
-    
-    // Draw center red dot
-    ctx.fillStyle = 'rgba(200, 0, 0, 0.9)';
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, 2, 0, Math.PI * 2);
-    ctx.fill();
+    // Draw the active reticle (duplex, BDC or mil-dot)
+    scope.drawReticle(ctx, centerX, centerY, pxPerMrad, size / 2);
 }
 
 /**
@@ -0,0 +1,198 @@
+// --- SEASONS ---
+// A hunt takes place in one season, picked in the start options. The season sets how the
+// woods look (foliage density, canopy and grass color, snow), how long the day is, and
+// per-class overrides merged into each deer's config.
+import * as THREE from 'three';
+import { gameContext } from './context.js';
+import {
+    HOURS_IN_DAY,
+    DAWN_START_HOUR,
+    DUSK_START_HOUR,
+    NIGHT_START_HOUR,
+    LEGAL_HUNTING_START_HOUR,
+    LEGAL_HUNTING_END_HOUR
+} from './constants.js';
+
+export const DEFAULT_SEASON = 'early';
+
+const SNOW_COLOR = 0xEEF2F6;
+
+// Reusable colors for tinting
+const _from = new THREE.Color();
+const _to = new THREE.Color();
+
+/**
+ * @typedef {object} Season
+ * @property {string} label - Name shown in the start options and report
+ * @property {number} foliageDensity - Multiplier on bush thickets and grass clusters
+ * @property {{color: number, amount: number}|null} canopyTint - Shift applied to deciduous leaves
+ * @property {{color: number, amount: number}|null} grassTint - Shift applied to grass
+ * @property {number} snowCover - 0 (bare ground) to 1 (ground fully white)
+ * @property {number} sunriseShift - Hours added to dawn and the start of legal hours
+ * @property {number} sunsetShift - Hours added to dusk, nightfall and the end of legal hours
+ * @property {boolean} [archeryOnly] - Only bows and crossbows may be carried
+ * @property {Object<string, object>} deer - Deer config overrides by class; 'all' applies to every class
+ */
+
+/** @type {Object<string, Season>} */
+export const SEASONS = {
+    archery: {
+        label: 'Archery Season',
+        archeryOnly: true,
+        foliageDensity: 1.1, // Late summer woods, still in full leaf
+        canopyTint: null,
+        grassTint: null,
+        snowCover: 0,
+        sunriseShift: -0.5,
+        sunsetShift: 1,
+        deer: {}
+    },
+    early: {
+        label: 'Early Season',
+        foliageDensity: 1,
+        canopyTint: null,
+        grassTint: null,
+        snowCover: 0,
+        sunriseShift: 0,
+        sunsetShift: 0,
+        deer: {}
+    },
+    rut: {
+        label: 'Rut',
+        foliageDensity: 0.7,
+        canopyTint: { color: 0xC0642A, amount: 0.55 }, // Fall color
+        grassTint: { color: 0xA08850, amount: 0.5 }, // Cured grass
+        snowCover: 0,
+        sunriseShift: 1,
+        sunsetShift: -1.5,
+        deer: {
+            // Bucks cruise for does: longer legs between stops, less feeding, more trail travel
+            buck: {
+                wanderMinRadius: 30,
+                wanderMaxRadiusAddition: 100,
+                grazeChance: 0.1,
+                trailFollowChance: 0.5,
+                seekDoeChance: 0.5,
+                gruntRate: 2,
+                snortWheezeChance: 0.3,
+                callResponse: { grunt: 0.7, rattle: 0.6 },
+                speeds: { wandering: 1.25 },
+                legAnimationSpeeds: { wandering: 8.4 }
+            }
+        }
+    },
+    late: {
+        label: 'Late Season',
+        foliageDensity: 0.4,
+        canopyTint: { color: 0x6E6258, amount: 0.8 }, // Bare hardwoods
+        grassTint: { color: 0xC9B98A, amount: 0.7 },
+        snowCover: 0.85,
+        sunriseShift: 2,
+        sunsetShift: -2.5,
+        deer: {
+            // Deer save energy in the cold and feed hard before dark
+            all: {
+                grazeChance: 0.5,
+                eveningGrazeChance: 0.85,
+                wanderMaxRadiusAddition: 25,
+                stateTimers: { grazing: 7 },
+                callResponse: { rattle: 0.05 }, // Bucks worn out after the rut rarely come to a fight
+                // Tracks in snow last most of the day and show up from farther away
+                tracking: { trackFadeDurationS: 16200, trackShapeRadius: 0.08, trackColor: 0x3A3F4A }
+            }
+        }
+    }
+};
+
+/**
+ * Sets the season for the next hunt. Unknown keys fall back to the default season.
+ * @param {string} key - Key of SEASONS
+ */
+export function setSeason(key) {
+    gameContext.season = SEASONS[key] ? key : DEFAULT_SEASON;
+}
+
+/**
+ * @returns {Season} The current season
+ */
+export function getSeason() {
+    return SEASONS[gameContext.season] || SEASONS[DEFAULT_SEASON];
+}
+
+/**
+ * Day boundaries for the current season. Each is the matching constant shifted by
+ * the season's sunrise or sunset offset.
+ * @returns {{dawnStart: number, duskStart: number, nightStart: number, legalStart: number, legalEnd: number}}
+ */
+export function getDaylightHours() {
+    const season = getSeason();
+    return {
+        dawnStart: DAWN_START_HOUR + season.sunriseShift,
+        duskStart: DUSK_START_HOUR + season.sunsetShift,
+        nightStart: NIGHT_START_HOUR + season.sunsetShift,
+        legalStart: LEGAL_HUNTING_START_HOUR + season.sunriseShift,
+        legalEnd: LEGAL_HUNTING_END_HOUR + season.sunsetShift
+    };
+}
+
+/**
+ * Maps a clock hour onto the early-season day the lighting phases are written for.
+ * Seasonal dawn maps to DAWN_START_HOUR and seasonal nightfall to NIGHT_START_HOUR,
+ * so a short November day runs through the same sunrise-to-sunset sequence.
+ * @param {number} hour - Game clock hour (0-24)
+ * @returns {number} Equivalent early-season hour (0-24)
+ */
+export function getSolarHour(hour) {
+    const { dawnStart, nightStart } = getDaylightHours();
+    if (hour >= dawnStart && hour <= nightStart) {
+        return DAWN_START_HOUR + (hour - dawnStart) * (NIGHT_START_HOUR - DAWN_START_HOUR) / (nightStart - dawnStart);
+    }
+    const seasonNight = HOURS_IN_DAY - nightStart + dawnStart;
+    const baseNight = HOURS_IN_DAY - NIGHT_START_HOUR + DAWN_START_HOUR;
+    const sinceNightfall = (hour - nightStart + HOURS_IN_DAY) % HOURS_IN_DAY;
+    return (NIGHT_START_HOUR + sinceNightfall * baseNight / seasonNight) % HOURS_IN_DAY;
+}
+
+/**
+ * Merges the current season's overrides into a deer config. Nested groups
+ * (speeds, stateTimers, tracking, ...) are merged key by key.
+ * @param {object} config - Deer config for one class
+ * @param {string} deerClass - 'buck', 'doe' or 'fawn'
+ * @returns {object} New config with the season applied
+ */
+export function applySeasonToDeerConfig(config, deerClass) {
+    const overrides = getSeason().deer;
+    const merged = { ...config };
+    for (const override of [overrides.all, overrides[deerClass]]) {
+        if (!override) continue;
+        for (const [key, value] of Object.entries(override)) {
+            const isGroup = value && typeof value === 'object' && merged[key] && typeof merged[key] === 'object';
+            merged[key] = isGroup ? { ...merged[key], ...value } : value;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Shifts a color by a season tint.
+ * @param {number} hexColor - Base color
+ * @param {{color: number, amount: number}|null} tint - Tint from a Season, or null for none
+ * @returns {number} Tinted color
+ */
+export function tintColor(hexColor, tint) {
+    if (!tint) return hexColor;
+    _from.setHex(hexColor);
+    _to.setHex(tint.color);
+    return _from.lerp(_to, tint.amount).getHex();
+}
+
+/**
+ * Covers a ground color with the current season's snow.
+ * @param {number} hexColor - Bare ground or grass color
+ * @param {number} [exposure=1] - How much snow settles on this surface (0-1)
+ * @returns {number} Color with snow applied
+ */
+export function applySnow(hexColor, exposure = 1) {
+    const snowCover = getSeason().snowCover * exposure;
+    return snowCover > 0 ? tintColor(hexColor, { color: SNOW_COLOR, amount: snowCover }) : hexColor;
+}
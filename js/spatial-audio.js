@@ -4,6 +4,17 @@ import { gameContext } from './context.js';
 
 // --- SPATIAL AUDIO MODULE CONSTANTS ---
 const DEER_BLOW_VOLUME = 5; // dB, reduced by 1 dB for better balance
+const DEER_GRUNT_VOLUME = -2; // dB, low and short - only carries a little way
+const DEER_BLEAT_VOLUME = -4; // dB, thin and nasal
+const DEER_SNORT_WHEEZE_VOLUME = 0; // dB, sharp burst of breath
+const DEER_STOMP_VOLUME = -6; // dB, hoof thump on the leaves
+const GRUNT_CALL_VOLUME = -8; // dB, the hunter's own tube call heard from the hunter's spot
+const RATTLE_VOLUME = -6; // dB, antlers clashing in the hunter's hands
+const TURKEY_PUTT_VOLUME = -4; // dB, sharp single note that carries through the woods
+const SQUIRREL_CHATTER_VOLUME = -10; // dB, scolding from up a trunk
+const CROW_CAW_VOLUME = -2; // dB, harsh and loud
+const COYOTE_HOWL_VOLUME = -6; // dB, usually heard from a long way off
+const WING_FLUSH_VOLUME = -4; // dB, wingbeats of a bird bursting into flight
 const MAX_AUDIO_DISTANCE = 300; // Maximum distance for audio to be heard (matches deer alert range)
 const ROLLOFF_FACTOR = 2; // How quickly sound fades with distance
 const DOPPLER_FACTOR = 0.3; // Doppler effect strength
@@ -20,6 +31,158 @@ const SOUND_PATHS = {
     deerBlow: 'assets/sounds/deer_blow.mp3' // Alarm sound when deer spots hunter
 };
 
+// Vocalizations without a recording are synthesized. Each entry builds its Tone source,
+// plays it at a given start time and says how long the instance stays busy (seconds).
+const SYNTH_SOUNDS = {
+    // Short, guttural buck grunt
+    deerGrunt: {
+        create: () => new Tone.MonoSynth({
+            oscillator: { type: 'sawtooth' },
+            filter: { type: 'lowpass', Q: 2 },
+            envelope: { attack: 0.02, decay: 0.2, sustain: 0.4, release: 0.15 },
+            filterEnvelope: { attack: 0.02, decay: 0.2, sustain: 0.3, release: 0.15, baseFrequency: 180, octaves: 1.5 }
+        }),
+        play: (synth, time) => synth.triggerAttackRelease(95 + Math.random() * 20, 0.3, time),
+        duration: 1
+    },
+    // Nasal doe or fawn bleat that falls off in pitch
+    deerBleat: {
+        create: () => new Tone.Synth({
+            oscillator: { type: 'triangle' },
+            envelope: { attack: 0.05, decay: 0.3, sustain: 0.6, release: 0.2 }
+        }),
+        play: (synth, time) => {
+            const pitch = 520 + Math.random() * 140;
+            synth.triggerAttackRelease(pitch, 0.5, time);
+            synth.frequency.exponentialRampToValueAtTime(pitch * 0.7, time + 0.5);
+        },
+        duration: 1.2
+    },
+    // Two sharp snorts then a long wheeze pushed out through the nose
+    deerSnortWheeze: {
+        create: () => new Tone.NoiseSynth({
+            noise: { type: 'white' },
+            envelope: { attack: 0.005, decay: 0.12, sustain: 0, release: 0.05 }
+        }),
+        play: (synth, time) => {
+            synth.triggerAttackRelease(0.08, time);
+            synth.triggerAttackRelease(0.08, time + 0.25);
+            synth.envelope.sustain = 0.4;
+            synth.triggerAttackRelease(1.1, time + 0.55);
+            synth.envelope.sustain = 0;
+        },
+        duration: 2
+    },
+    // Front hoof slammed down on the leaves
+    deerStomp: {
+        create: () => new Tone.MembraneSynth({
+            pitchDecay: 0.03,
+            octaves: 3,
+            envelope: { attack: 0.001, decay: 0.2, sustain: 0, release: 0.05 }
+        }),
+        play: (synth, time) => synth.triggerAttackRelease(55, 0.1, time),
+        duration: 0.6
+    },
+    // The hunter's grunt tube: a short series of grunts
+    gruntCall: {
+        create: () => new Tone.MonoSynth({
+            oscillator: { type: 'sawtooth' },
+            filter: { type: 'lowpass', Q: 3 },
+            envelope: { attack: 0.02, decay: 0.2, sustain: 0.4, release: 0.15 },
+            filterEnvelope: { attack: 0.02, decay: 0.2, sustain: 0.3, release: 0.15, baseFrequency: 200, octaves: 1.5 }
+        }),
+        play: (synth, time) => {
+            for (let i = 0; i < 3; i++) {
+                synth.triggerAttackRelease(100 + Math.random() * 15, 0.28, time + i * 0.55);
+            }
+        },
+        duration: 2
+    },
+    // Two sets of antlers ground together and clashed in irregular bursts
+    rattle: {
+        create: () => new Tone.MetalSynth({
+            frequency: 180,
+            harmonicity: 3.1,
+            modulationIndex: 12,
+            resonance: 2200,
+            octaves: 1,
+            envelope: { attack: 0.001, decay: 0.15, release: 0.05 }
+        }),
+        play: (synth, time) => {
+            let t = time;
+            for (let i = 0; i < 14; i++) {
+                synth.triggerAttackRelease(0.05, t, 0.4 + Math.random() * 0.6);
+                t += 0.08 + Math.random() * (i % 4 === 3 ? 0.5 : 0.15);
+            }
+        },
+        duration: 4
+    },
+    // A turkey's alarm putt - one sharp, clipped note
+    turkeyPutt: {
+        create: () => new Tone.Synth({
+            oscillator: { type: 'square' },
+            envelope: { attack: 0.002, decay: 0.06, sustain: 0, release: 0.02 }
+        }),
+        play: (synth, time) => synth.triggerAttackRelease(1100 + Math.random() * 200, 0.05, time),
+        duration: 0.5
+    },
+    // Rapid chucks of a squirrel scolding
+    squirrelChatter: {
+        create: () => new Tone.Synth({
+            oscillator: { type: 'triangle' },
+            envelope: { attack: 0.002, decay: 0.03, sustain: 0, release: 0.01 }
+        }),
+        play: (synth, time) => {
+            for (let i = 0; i < 8; i++) {
+                synth.triggerAttackRelease(1800 + Math.random() * 600, 0.03, time + i * 0.07);
+            }
+        },
+        duration: 1
+    },
+    // One harsh caw that drops in pitch
+    crowCaw: {
+        create: () => new Tone.MonoSynth({
+            oscillator: { type: 'sawtooth' },
+            filter: { type: 'bandpass', Q: 4 },
+            envelope: { attack: 0.01, decay: 0.1, sustain: 0.6, release: 0.1 },
+            filterEnvelope: { attack: 0.01, decay: 0.2, sustain: 0.5, release: 0.1, baseFrequency: 600, octaves: 1.5 }
+        }),
+        play: (synth, time) => {
+            const pitch = 400 + Math.random() * 60;
+            synth.triggerAttackRelease(pitch, 0.3, time);
+            synth.frequency.exponentialRampToValueAtTime(pitch * 0.75, time + 0.3);
+        },
+        duration: 0.8
+    },
+    // Long rising and falling coyote howl
+    coyoteHowl: {
+        create: () => new Tone.Synth({
+            oscillator: { type: 'sine' },
+            envelope: { attack: 0.3, decay: 0.2, sustain: 0.8, release: 0.6 }
+        }),
+        play: (synth, time) => {
+            const pitch = 400 + Math.random() * 60;
+            synth.triggerAttackRelease(pitch, 2.6, time);
+            synth.frequency.exponentialRampToValueAtTime(pitch * 1.8, time + 0.8);
+            synth.frequency.exponentialRampToValueAtTime(pitch * 1.25, time + 2.6);
+        },
+        duration: 4
+    },
+    // Wings beating as a bird flushes
+    wingFlush: {
+        create: () => new Tone.NoiseSynth({
+            noise: { type: 'brown' },
+            envelope: { attack: 0.005, decay: 0.08, sustain: 0, release: 0.02 }
+        }),
+        play: (synth, time) => {
+            for (let i = 0; i < 10; i++) {
+                synth.triggerAttackRelease(0.06, time + i * 0.09, 1 - i * 0.07);
+            }
+        },
+        duration: 1.5
+    }
+};
+
 /**
  * Initializes the spatial audio system with 3D positioned sounds
  */
@@ -46,16 +209,33 @@ export function initSpatialAudio() {
  * Initializes sound pools for deer audio effects
  */
 function initDeerSoundPools() {
-    const soundTypes = ['deerBlow'];
+    const soundTypes = ['deerBlow', ...Object.keys(SYNTH_SOUNDS)];
     
     soundTypes.forEach(soundType => {
         gameContext.spatialAudio.sounds[soundType] = [];
         
         // Create multiple instances for overlapping sounds
-        const poolSize = 2; // Only need a couple instances for deer blow
+        const poolSize = 2; // Only need a couple instances per sound
         
         for (let i = 0; i < poolSize; i++) {
             try {
+                if (SYNTH_SOUNDS[soundType]) {
+                    const synth = SYNTH_SOUNDS[soundType].create();
+                    synth.volume.value = getSoundVolume(soundType);
+                    const panner = new Tone.Panner(0);
+                    const volume = new Tone.Volume(0);
+                    synth.chain(panner, volume, Tone.Destination);
+                    
+                    gameContext.spatialAudio.sounds[soundType].push({
+                        soundType: soundType,
+                        synth: synth,
+                        panner: panner,
+                        volume: volume,
+                        inUse: false
+                    });
+                    continue;
+                }
+                
                 const player = new Tone.Player({
                     url: SOUND_PATHS[soundType],
                     volume: getSoundVolume(soundType),
@@ -76,6 +256,7 @@ function initDeerSoundPools() {
                 player.chain(panner, volume, Tone.Destination);
                 
                 gameContext.spatialAudio.sounds[soundType].push({
+                    soundType: soundType,
                     player: player,
                     panner: panner,
                     volume: volume,
@@ -95,6 +276,17 @@ function initDeerSoundPools() {
 function getSoundVolume(soundType) {
     switch (soundType) {
         case 'deerBlow': return DEER_BLOW_VOLUME;
+        case 'deerGrunt': return DEER_GRUNT_VOLUME;
+        case 'deerBleat': return DEER_BLEAT_VOLUME;
+        case 'deerSnortWheeze': return DEER_SNORT_WHEEZE_VOLUME;
+        case 'deerStomp': return DEER_STOMP_VOLUME;
+        case 'gruntCall': return GRUNT_CALL_VOLUME;
+        case 'rattle': return RATTLE_VOLUME;
+        case 'turkeyPutt': return TURKEY_PUTT_VOLUME;
+        case 'squirrelChatter': return SQUIRREL_CHATTER_VOLUME;
+        case 'crowCaw': return CROW_CAW_VOLUME;
+        case 'coyoteHowl': return COYOTE_HOWL_VOLUME;
+        case 'wingFlush': return WING_FLUSH_VOLUME;
         default: return -10;
     }
 }
@@ -113,9 +305,15 @@ export function updateSpatialAudioListener() {
 
 /**
  * Plays a positioned 3D sound at a specific location
+ * @param {string} soundType - Pool name ('deerBlow', 'deerGrunt', 'deerBleat', 'deerSnortWheeze', 'deerStomp', 'gruntCall', 'rattle')
+ * @param {THREE.Vector3} position - Where the sound comes from
+ * @param {THREE.Vector3} [velocity] - Source velocity for the Doppler shift (recorded sounds only)
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreDistance] - Play even beyond normal hearing range
+ * @param {number} [options.delay] - Seconds before the sound starts
  */
 export function playPositionalSound(soundType, position, velocity = null, options = {}) {
-    const { ignoreDistance = false } = options;
+    const { ignoreDistance = false, delay = 0.5 } = options;
     // console.log(`Attempting to play positional sound: ${soundType} at position:`, position); // Logging disabled
     
     if (!gameContext.spatialAudio?.sounds[soundType] || !position) {
@@ -132,9 +330,7 @@ export function playPositionalSound(soundType, position, velocity = null, option
     if (!soundInstance) {
         // If all instances are in use, use the first one (oldest)
         soundInstance = soundPool[0];
-        if (soundInstance.player.state === 'started') {
-            soundInstance.player.stop();
-        }
+        stopInstance(soundInstance);
         // console.log(`All instances in use, reusing first instance for ${soundType}`); // Logging disabled
     } else {
         // console.log(`Found available instance for ${soundType}`); // Logging disabled
@@ -170,6 +366,16 @@ export function playPositionalSound(soundType, position, velocity = null, option
         const attenuatedVolume = getSoundVolume(soundType) + (20 * Math.log10(volumeAttenuation + 0.1));
         soundInstance.volume.volume.value = attenuatedVolume;
         
+        // Synthesized calls are scheduled on the audio clock and need no fade handling
+        const synthSound = SYNTH_SOUNDS[soundType];
+        if (synthSound) {
+            synthSound.play(soundInstance.synth, Tone.now() + delay);
+            setTimeout(() => {
+                soundInstance.inUse = false;
+            }, (delay + synthSound.duration) * 1000);
+            return;
+        }
+        
         // Apply Doppler effect if velocity is provided (use reusable vectors)
         if (velocity && DOPPLER_FACTOR > 0) {
             const playerVelocity = gameContext.player.velocity || _zeroVelocity;
@@ -178,7 +384,7 @@ export function playPositionalSound(soundType, position, velocity = null, option
             soundInstance.player.playbackRate = Math.max(0.5, Math.min(2.0, dopplerShift));
         }
         
-        // Play the sound with a 0.5 second delay
+        // Play the sound after the delay
         setTimeout(() => {
             soundInstance.player.start();
             // console.log(`Successfully started playing ${soundType}`); // Logging disabled
@@ -198,7 +404,7 @@ export function playPositionalSound(soundType, position, velocity = null, option
                     );
                 }, 1500); // Start fade later (1.5 seconds)
             }
-        }, 500);
+        }, delay * 1000);
         
         // Mark as available after sound duration
         setTimeout(() => {
@@ -237,11 +443,20 @@ export function updateDeerAudio(deer, delta) {
 }
 
 /**
- * Triggers deer blow sound when deer becomes alert
+ * Triggers deer blow sound when deer becomes alert and alarms nearby herd members
  * Called directly from deer setState method
  */
 export function triggerDeerBlowSound(deer) {
-    if (!deer || !deer.model || !gameContext.spatialAudio) {
+    if (!deer || !deer.model) {
+        return;
+    }
+    
+    // The rest of the herd hears the alarm even when the hunter is out of earshot
+    if (gameContext.herd) {
+        gameContext.herd.onMemberBlow(deer);
+    }
+    
+    if (!gameContext.spatialAudio) {
         return;
     }
     
@@ -254,6 +469,60 @@ export function triggerDeerBlowSound(deer) {
     }
 }
 
+/**
+ * Plays a deer vocalization (grunt, bleat, snort-wheeze or stomp) from a deer's position.
+ * Herd reactions are handled by the caller; this is only the sound.
+ * @param {Deer} deer - The deer making the sound
+ * @param {string} soundType - 'deerGrunt', 'deerBleat', 'deerSnortWheeze' or 'deerStomp'
+ */
+export function triggerDeerVocalization(deer, soundType) {
+    if (!deer || !deer.model || !gameContext.spatialAudio || !gameContext.player) {
+        return;
+    }
+    
+    if (gameContext.player.position.distanceTo(deer.model.position) <= MAX_AUDIO_DISTANCE) {
+        playPositionalSound(soundType, deer.model.position, null, { delay: 0 });
+    }
+}
+
+/**
+ * Plays a call or wingbeat from one of the wildlife. As with deer vocalizations, any
+ * reaction from the herd is up to the caller.
+ * @param {Critter} critter - The animal making the sound
+ * @param {string} soundType - 'turkeyPutt', 'squirrelChatter', 'crowCaw', 'coyoteHowl' or 'wingFlush'
+ */
+export function triggerWildlifeSound(critter, soundType) {
+    if (!critter || !critter.model || !gameContext.spatialAudio || !gameContext.player) {
+        return;
+    }
+    
+    if (gameContext.player.position.distanceTo(critter.model.position) <= MAX_AUDIO_DISTANCE) {
+        playPositionalSound(soundType, critter.model.position, null, { delay: 0 });
+    }
+}
+
+/**
+ * Plays one of the hunter's calls ('gruntCall' or 'rattle') from the hunter's position
+ * @param {string} soundType - Call sound pool
+ */
+export function playHunterCallSound(soundType) {
+    if (!gameContext.spatialAudio || !gameContext.player) {
+        return;
+    }
+    playPositionalSound(soundType, gameContext.player.position, null, { delay: 0 });
+}
+
+/**
+ * Stops a pooled sound instance, recorded or synthesized
+ */
+function stopInstance(instance) {
+    if (instance.synth) {
+        instance.synth.triggerRelease();
+    } else if (instance.player.state === 'started') {
+        instance.player.stop();
+    }
+}
+
 /**
  * Triggers deer blow sound for spawn notifications
  * Plays regardless of distance to alert player of new deer
@@ -282,9 +551,7 @@ export function stopSpatialAudio() {
         // Stop all sound pools
         Object.values(gameContext.spatialAudio.sounds).forEach(soundPool => {
             soundPool.forEach(instance => {
-                if (instance.player.state === 'started') {
-                    instance.player.stop();
-                }
+                stopInstance(instance);
                 instance.inUse = false;
             });
         });
@@ -307,7 +574,7 @@ export function setSpatialAudioVolume(volume) {
         Object.values(gameContext.spatialAudio.sounds).forEach(soundPool => {
             soundPool.forEach(instance => {
                 const baseVolume = getSoundVolume(instance.soundType || 'deerBlow');
-                instance.player.volume.value = baseVolume + volume;
+                (instance.synth || instance.player).volume.value = baseVolume + volume;
             });
         });
         
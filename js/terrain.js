@@ -0,0 +1,336 @@
+// --- CHUNKED TERRAIN ---
+// Splits the ground into square chunks that drop vertex detail with camera distance.
+// Every chunk reads the same full-resolution heightfield, so neighbouring chunks can be
+// stitched exactly and height queries never depend on which LOD is on screen.
+import * as THREE from 'three';
+import {
+    TERRAIN_CHUNK_CELLS,
+    TERRAIN_TARGET_CELL_SIZE,
+    TERRAIN_LOD_DISTANCES,
+    TERRAIN_LOD_UPDATE_DISTANCE
+} from './constants.js';
+
+// Shared index buffers, one per LOD step - every chunk at a given LOD has the same topology
+const indexCache = new Map();
+
+// Reusable vector for normal calculation
+const _normal = new THREE.Vector3();
+
+/**
+ * Builds the triangle indices for a square grid of (cells + 1)² vertices.
+ * Each cell is split along the same diagonal that ChunkedTerrain.getHeightAt interpolates across.
+ * @param {number} cells - Cells along one side
+ * @returns {THREE.BufferAttribute}
+ */
+function getGridIndex(cells) {
+    if (indexCache.has(cells)) return indexCache.get(cells);
+
+    const row = cells + 1;
+    const indices = [];
+    for (let j = 0; j < cells; j++) {
+        for (let i = 0; i < cells; i++) {
+            const a = j * row + i;          // (i, j)
+            const b = a + 1;                // (i + 1, j)
+            const c = a + row;              // (i, j + 1)
+            const d = c + 1;                // (i + 1, j + 1)
+            indices.push(a, c, b, b, c, d);
+        }
+    }
+
+    const attribute = new THREE.Uint32BufferAttribute(indices, 1);
+    indexCache.set(cells, attribute);
+    return attribute;
+}
+
+export class ChunkedTerrain {
+    /**
+     * Samples the terrain into a heightfield and creates one mesh per chunk.
+     * @param {number} size - World width and depth
+     * @param {function(number, number): number} heightFn - Height at world (x, z)
+     * @param {THREE.Material} material - Material shared by every chunk
+     */
+    constructor(size, heightFn, material) {
+        this.size = size;
+        this.halfSize = size / 2;
+        this.material = material;
+
+        // Whole chunks must cover the world, so the cell size bends around the target
+        this.chunksPerSide = Math.max(1, Math.ceil(size / (TERRAIN_CHUNK_CELLS * TERRAIN_TARGET_CELL_SIZE)));
+        this.cells = this.chunksPerSide * TERRAIN_CHUNK_CELLS;
+        this.cellSize = size / this.cells;
+        this.lodSteps = [1, ...TERRAIN_LOD_DISTANCES.map((_, i) => 2 ** (i + 1))];
+
+        this.heights = new Float32Array((this.cells + 1) * (this.cells + 1));
+        for (let j = 0; j <= this.cells; j++) {
+            const z = -this.halfSize + j * this.cellSize;
+            for (let i = 0; i <= this.cells; i++) {
+                this.heights[j * (this.cells + 1) + i] = heightFn(-this.halfSize + i * this.cellSize, z);
+            }
+        }
+
+        this.group = new THREE.Group();
+        this.group.name = 'terrain';
+        this.chunks = [];
+        for (let cz = 0; cz < this.chunksPerSide; cz++) {
+            for (let cx = 0; cx < this.chunksPerSide; cx++) {
+                this.chunks.push(this.createChunk(cx, cz));
+            }
+        }
+
+        this.lastLodPosition = null;
+    }
+
+    /**
+     * @param {number} i - Column (west to east)
+     * @param {number} j - Row (north to south)
+     * @returns {number} Heightfield value at a grid vertex
+     */
+    heightAtVertex(i, j) {
+        return this.heights[j * (this.cells + 1) + i];
+    }
+
+    createChunk(cx, cz) {
+        const i0 = cx * TERRAIN_CHUNK_CELLS;
+        const j0 = cz * TERRAIN_CHUNK_CELLS;
+
+        let minY = Infinity;
+        let maxY = -Infinity;
+        for (let j = j0; j <= j0 + TERRAIN_CHUNK_CELLS; j++) {
+            for (let i = i0; i <= i0 + TERRAIN_CHUNK_CELLS; i++) {
+                const h = this.heightAtVertex(i, j);
+                if (h < minY) minY = h;
+                if (h > maxY) maxY = h;
+            }
+        }
+
+        const minX = -this.halfSize + i0 * this.cellSize;
+        const minZ = -this.halfSize + j0 * this.cellSize;
+        const chunkSize = TERRAIN_CHUNK_CELLS * this.cellSize;
+        // Coarse LODs only interpolate between heightfield samples, so these bounds hold at every level
+        const bounds = new THREE.Box3(
+            new THREE.Vector3(minX, minY, minZ),
+            new THREE.Vector3(minX + chunkSize, maxY, minZ + chunkSize)
+        );
+
+        // Start every chunk at the coarsest level until the first LOD update
+        const coarsest = this.lodSteps.length - 1;
+        const chunk = {
+            cx,
+            cz,
+            i0,
+            j0,
+            bounds,
+            lod: coarsest,
+            geometries: [],
+            seamKey: '',
+            mesh: null
+        };
+
+        chunk.mesh = new THREE.Mesh(this.getChunkGeometry(chunk, coarsest), this.material);
+        chunk.mesh.receiveShadow = true;
+        chunk.mesh.matrixAutoUpdate = false;
+        this.group.add(chunk.mesh);
+        return chunk;
+    }
+
+    /**
+     * Gets (building on first use) a chunk's geometry for one LOD level.
+     * Normals come from the full-resolution heightfield so lighting matches across chunk edges.
+     */
+    getChunkGeometry(chunk, lod) {
+        if (chunk.geometries[lod]) return chunk.geometries[lod];
+
+        const step = this.lodSteps[lod];
+        const cells = TERRAIN_CHUNK_CELLS / step;
+        const positions = new Float32Array((cells + 1) * (cells + 1) * 3);
+        const normals = new Float32Array(positions.length);
+
+        let p = 0;
+        for (let row = 0; row <= cells; row++) {
+            const j = chunk.j0 + row * step;
+            for (let col = 0; col <= cells; col++) {
+                const i = chunk.i0 + col * step;
+                positions[p] = -this.halfSize + i * this.cellSize;
+                positions[p + 1] = this.heightAtVertex(i, j);
+                positions[p + 2] = -this.halfSize + j * this.cellSize;
+
+                this.getVertexNormal(i, j, _normal);
+                normals[p] = _normal.x;
+                normals[p + 1] = _normal.y;
+                normals[p + 2] = _normal.z;
+                p += 3;
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        geometry.setIndex(getGridIndex(cells));
+        geometry.boundingBox = chunk.bounds.clone();
+        geometry.boundingSphere = chunk.bounds.getBoundingSphere(new THREE.Sphere());
+
+        chunk.geometries[lod] = geometry;
+        return geometry;
+    }
+
+    getVertexNormal(i, j, target) {
+        const iw = Math.max(i - 1, 0);
+        const ie = Math.min(i + 1, this.cells);
+        const jn = Math.max(j - 1, 0);
+        const js = Math.min(j + 1, this.cells);
+        const dx = (this.heightAtVertex(ie, j) - this.heightAtVertex(iw, j)) / ((ie - iw) * this.cellSize);
+        const dz = (this.heightAtVertex(i, js) - this.heightAtVertex(i, jn)) / ((js - jn) * this.cellSize);
+        return target.set(-dx, 1, -dz).normalize();
+    }
+
+    /**
+     * Exact terrain height at a world position, interpolated across the same triangles as the
+     * full-detail mesh. Independent of the LOD currently displayed; positions outside the
+     * world are clamped to its edge.
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {number} Height
+     */
+    getHeightAt(x, z) {
+        const gx = Math.min(Math.max((x + this.halfSize) / this.cellSize, 0), this.cells);
+        const gz = Math.min(Math.max((z + this.halfSize) / this.cellSize, 0), this.cells);
+        const i = Math.min(Math.floor(gx), this.cells - 1);
+        const j = Math.min(Math.floor(gz), this.cells - 1);
+        const fx = gx - i;
+        const fz = gz - j;
+
+        const h00 = this.heightAtVertex(i, j);
+        const h10 = this.heightAtVertex(i + 1, j);
+        const h01 = this.heightAtVertex(i, j + 1);
+        const h11 = this.heightAtVertex(i + 1, j + 1);
+
+        if (fx + fz <= 1) {
+            return h00 + (h10 - h00) * fx + (h01 - h00) * fz;
+        }
+        return h11 + (h01 - h11) * (1 - fx) + (h10 - h11) * (1 - fz);
+    }
+
+    /**
+     * Calls back with every heightfield vertex at the given spacing, in world coordinates.
+     * @param {number} step - Spacing in grid cells
+     * @param {function(number, number, number): void} callback - Receives (x, y, z)
+     */
+    forEachGridPoint(step, callback) {
+        for (let j = 0; j <= this.cells; j += step) {
+            for (let i = 0; i <= this.cells; i += step) {
+                callback(-this.halfSize + i * this.cellSize, this.heightAtVertex(i, j), -this.halfSize + j * this.cellSize);
+            }
+        }
+    }
+
+    /**
+     * Picks a level of detail for every chunk from its distance to the viewer, then
+     * re-stitches the edges of any chunk whose own or neighbouring LOD changed.
+     * Skips the work until the viewer has moved TERRAIN_LOD_UPDATE_DISTANCE.
+     * @param {THREE.Vector3} position - Viewer position
+     */
+    updateLOD(position) {
+        if (this.lastLodPosition && this.lastLodPosition.distanceToSquared(position) < TERRAIN_LOD_UPDATE_DISTANCE * TERRAIN_LOD_UPDATE_DISTANCE) {
+            return;
+        }
+        this.lastLodPosition = (this.lastLodPosition || new THREE.Vector3()).copy(position);
+
+        let changed = false;
+        for (const chunk of this.chunks) {
+            const { min, max } = chunk.bounds;
+            const dx = Math.max(min.x - position.x, 0, position.x - max.x);
+            const dz = Math.max(min.z - position.z, 0, position.z - max.z);
+            const distance = Math.sqrt(dx * dx + dz * dz);
+
+            let lod = TERRAIN_LOD_DISTANCES.findIndex(limit => distance < limit);
+            if (lod === -1) lod = TERRAIN_LOD_DISTANCES.length;
+
+            if (lod !== chunk.lod) {
+                chunk.lod = lod;
+                chunk.mesh.geometry = this.getChunkGeometry(chunk, lod);
+                chunk.seamKey = '';
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            for (const chunk of this.chunks) {
+                this.stitchChunk(chunk);
+            }
+        }
+    }
+
+    getChunk(cx, cz) {
+        if (cx < 0 || cz < 0 || cx >= this.chunksPerSide || cz >= this.chunksPerSide) return null;
+        return this.chunks[cz * this.chunksPerSide + cx];
+    }
+
+    /**
+     * Removes cracks along edges shared with a coarser neighbour by moving this chunk's
+     * extra edge vertices onto the neighbour's straight edge. Edges next to an equal or
+     * finer neighbour are reset to the heightfield.
+     */
+    stitchChunk(chunk) {
+        const neighbours = [
+            this.getChunk(chunk.cx, chunk.cz - 1), // north
+            this.getChunk(chunk.cx, chunk.cz + 1), // south
+            this.getChunk(chunk.cx - 1, chunk.cz), // west
+            this.getChunk(chunk.cx + 1, chunk.cz)  // east
+        ];
+        const edgeSteps = neighbours.map(n => Math.max(this.lodSteps[n ? n.lod : chunk.lod], this.lodSteps[chunk.lod]));
+        const seamKey = `${chunk.lod}:${edgeSteps.join(',')}`;
+        if (seamKey === chunk.seamKey) return;
+        chunk.seamKey = seamKey;
+
+        const step = this.lodSteps[chunk.lod];
+        const cells = TERRAIN_CHUNK_CELLS / step;
+        const positions = chunk.mesh.geometry.attributes.position;
+        const last = TERRAIN_CHUNK_CELLS;
+
+        // Each edge as (start vertex index, index stride, grid i/j of offset k)
+        const edges = [
+            { vertex: 0, stride: 1, at: k => [chunk.i0 + k, chunk.j0] },
+            { vertex: cells * (cells + 1), stride: 1, at: k => [chunk.i0 + k, chunk.j0 + last] },
+            { vertex: 0, stride: cells + 1, at: k => [chunk.i0, chunk.j0 + k] },
+            { vertex: cells, stride: cells + 1, at: k => [chunk.i0 + last, chunk.j0 + k] }
+        ];
+
+        edges.forEach((edge, e) => {
+            const seamStep = edgeSteps[e];
+            for (let n = 0; n <= cells; n++) {
+                const k = n * step;
+                const k0 = Math.floor(k / seamStep) * seamStep;
+                const t = (k - k0) / seamStep;
+                const [ia, ja] = edge.at(k0);
+                let height = this.heightAtVertex(ia, ja);
+                if (t > 0) {
+                    const [ib, jb] = edge.at(k0 + seamStep);
+                    height += (this.heightAtVertex(ib, jb) - height) * t;
+                }
+                positions.setY(edge.vertex + n * edge.stride, height);
+            }
+        });
+
+        // Normals stay as sampled from the full heightfield, so both sides of a seam shade alike
+        positions.needsUpdate = true;
+    }
+
+    /**
+     * Builds a single low-detail mesh of the whole terrain (used by the overhead map).
+     * @param {number} [maxSegments=256] - Upper limit on segments per side
+     * @returns {THREE.Mesh}
+     */
+    createOverviewMesh(maxSegments = 256) {
+        const segments = Math.min(this.cells, maxSegments);
+        const geometry = new THREE.PlaneGeometry(this.size, this.size, segments, segments);
+        geometry.rotateX(-Math.PI / 2);
+
+        const positions = geometry.attributes.position;
+        for (let v = 0; v < positions.count; v++) {
+            positions.setY(v, this.getHeightAt(positions.getX(v), positions.getZ(v)));
+        }
+        geometry.computeVertexNormals();
+
+        return new THREE.Mesh(geometry, this.material);
+    }
+}
@@ -2,6 +2,8 @@
 // Creates natural game trails from water sources to different areas of the map
 import * as THREE from 'three';
 import { gameContext } from './context.js';
+import { getWorldRandom } from './random.js';
+import { getWaterCenter, getNearestShorePoint, getShoreDistance } from './water.js';
 
 // Trail configuration
 const TRAIL_CONFIG = {
@@ -16,6 +18,9 @@ const TRAIL_CONFIG = {
     treeAvoidanceStrength: 0.8,    // How strongly to avoid trees (0-1)
 };
 
+// Seeded stream for trail layout, set per world in createTrails
+let random = Math.random;
+
 /**
  * Creates all game trails in the world
  * Trails start from map edges and converge toward water, branching naturally
@@ -30,6 +35,8 @@ export function createTrails(worldConfig) {
         return;
     }
     
+    random = getWorldRandom('trails');
+    
     const trailsGroup = new THREE.Group();
     trailsGroup.name = 'trails';
     
@@ -41,13 +48,12 @@ export function createTrails(worldConfig) {
     
     // For each water body, create trails from map edges converging to it
     for (const waterBody of gameContext.waterBodies) {
-        const waterPos = waterBody.position;
-        const waterRadius = waterBody.userData?.config?.size / 2 || 25;
+        const waterPos = getWaterCenter(waterBody);
         
         // Create main trails from different directions (edges of map)
         // Spread them around the compass - N, SE, SW (or similar)
         const mainAngles = [];
-        const baseAngle = Math.random() * Math.PI * 2; // Random starting rotation
+        const baseAngle = random() * Math.PI * 2; // Random starting rotation
         for (let i = 0; i < TRAIL_CONFIG.numMainTrails; i++) {
             mainAngles.push(baseAngle + (i / TRAIL_CONFIG.numMainTrails) * Math.PI * 2);
         }
@@ -63,10 +69,11 @@ export function createTrails(worldConfig) {
             const startX = Math.max(-mapEdge, Math.min(mapEdge, edgeX));
             const startZ = Math.max(-mapEdge, Math.min(mapEdge, edgeZ));
             
-            // End point stops short of water (1 unit from shoreline)
+            // End point on the nearest bank, stopping short of water (1 unit from shoreline)
             const shorelineBuffer = 1;
-            const endX = waterPos.x + Math.cos(angle + Math.PI) * (waterRadius + shorelineBuffer);
-            const endZ = waterPos.z + Math.sin(angle + Math.PI) * (waterRadius + shorelineBuffer);
+            const shore = getNearestShorePoint(waterBody, startX, startZ);
+            const endX = shore.x + shore.nx * shorelineBuffer;
+            const endZ = shore.z + shore.nz * shorelineBuffer;
             
             // Generate main trail path from edge to water
             const mainTrailPoints = generateTrailToTarget(startX, startZ, endX, endZ, worldConfig);
@@ -76,16 +83,16 @@ export function createTrails(worldConfig) {
                 if (trailMesh) trailsGroup.add(trailMesh);
                 
                 // Create 1-2 branches that split off from this main trail
-                const numBranches = 1 + Math.floor(Math.random() * 2);
+                const numBranches = 1 + Math.floor(random() * 2);
                 for (let b = 0; b < numBranches; b++) {
                     // Branch starts somewhere in the first 60% of the trail
-                    const branchStartRatio = 0.15 + Math.random() * 0.45;
+                    const branchStartRatio = 0.15 + random() * 0.45;
                     const branchStartIndex = Math.floor(mainTrailPoints.length * branchStartRatio);
                     const branchPoint = mainTrailPoints[branchStartIndex];
                     
                     // Branch goes off at an angle toward a different part of the map edge
-                    const branchAngle = angle + (Math.random() > 0.5 ? 1 : -1) * (Math.PI / 4 + Math.random() * Math.PI / 4);
-                    const branchLength = 30 + Math.random() * 50;
+                    const branchAngle = angle + (random() > 0.5 ? 1 : -1) * (Math.PI / 4 + random() * Math.PI / 4);
+                    const branchLength = 30 + random() * 50;
                     
                     const branchEndX = branchPoint.x + Math.cos(branchAngle) * branchLength;
                     const branchEndZ = branchPoint.z + Math.sin(branchAngle) * branchLength;
@@ -111,25 +118,13 @@ export function createTrails(worldConfig) {
 }
 
 /**
- * Gets terrain-only height using direct raycast (avoids hitting trees)
+ * Gets terrain-only height from the heightfield (trees and other objects are ignored)
  */
 function getTerrainOnlyHeight(x, z) {
-    if (!gameContext.terrain || !gameContext.terrain.geometry) {
+    if (!gameContext.terrainChunks) {
         return gameContext.getHeightAt ? gameContext.getHeightAt(x, z) : 0;
     }
-    
-    const raycaster = new THREE.Raycaster();
-    raycaster.set(new THREE.Vector3(x, 1000, z), new THREE.Vector3(0, -1, 0));
-    raycaster.far = 2000;
-    
-    // Only intersect terrain mesh, not trees or other objects
-    const intersects = raycaster.intersectObject(gameContext.terrain, false);
-    if (intersects.length > 0) {
-        return intersects[0].point.y;
-    }
-    
-    // Fallback to getHeightAt if raycast fails
-    return gameContext.getHeightAt ? gameContext.getHeightAt(x, z) : 0;
+    return gameContext.terrainChunks.getHeightAt(x, z);
 }
 
 /**
@@ -193,13 +188,8 @@ function generateTrailToTarget(startX, startZ, endX, endZ, worldConfig) {
         let tooCloseToWater = false;
         if (gameContext.waterBodies) {
             for (const water of gameContext.waterBodies) {
-                const dist = Math.sqrt(
-                    (currentX - water.position.x) ** 2 + 
-                    (currentZ - water.position.z) ** 2
-                );
-                const waterRadius = water.userData?.config?.size / 2 || 25;
                 // Stop 1 unit before water edge
-                if (dist < waterRadius + 1) {
+                if (getShoreDistance(water, currentX, currentZ) < 1) {
                     tooCloseToWater = true;
                     break;
                 }
@@ -228,7 +218,7 @@ function generateTrailToTarget(startX, startZ, endX, endZ, worldConfig) {
         let dirZ = toTargetZ / distToTarget;
         
         // Add natural curviness
-        const curveAmount = (Math.random() - 0.5) * TRAIL_CONFIG.curviness;
+        const curveAmount = (random() - 0.5) * TRAIL_CONFIG.curviness;
         const angle = Math.atan2(dirZ, dirX) + curveAmount;
         dirX = Math.cos(angle);
         dirZ = Math.sin(angle);
@@ -2,11 +2,16 @@
 import { gameContext } from './context.js';
 import { initMap, showMap } from './map.js';
 import { worldPresets } from './world-presets.js';
-import { deer } from './deer.js';
 import { stopTitleMusic } from './audio.js';
 import { generateCurrentReport, updateReportModal } from './report-logger.js';
-import { DEBUG_MODE, INITIAL_PLAYER_X, INITIAL_PLAYER_Z } from './constants.js';
+import { resolveWoundedDeerOvernight } from './hunting-mechanics.js';
+import { DEBUG_MODE, INITIAL_PLAYER_X, INITIAL_PLAYER_Z, HARVEST_RULES, DEFAULT_HARVEST_RULE, CLOTHING_LOADOUTS, DEFAULT_CLOTHING } from './constants.js';
 import { startPreloading } from './preloader.js';
+import { CUSTOM_WORLD_PREFIX, loadCustomWorlds, getCustomWorld } from './custom-worlds.js';
+import { initWorldBuilder } from './world-builder.js';
+import { SEASONS, DEFAULT_SEASON, setSeason, getSeason, getDaylightHours } from './seasons.js';
+import { gear } from './gear.js';
+import { WEAPONS, DEFAULT_WEAPON, ARCHERY_TYPES, RETICLES, DEFAULT_RETICLE } from './weapon-config.js';
 
 // --- UI MODULE CONSTANTS ---
 
@@ -323,6 +328,12 @@ export async function initUI() {
 
 
     populateWorldSelector();
+    populateSeasonSelector();
+    populateHarvestRuleSelector();
+    populateClothingSelector();
+    populateWeaponSelector();
+    populateScopeSelectors();
+    initWorldBuilder((selectedValue) => populateWorldSelector(selectedValue));
 
     // Handle loading and mode selection visibility
     const loadingContainer = document.getElementById('loading-container');
@@ -451,7 +462,7 @@ export async function initUI() {
 /**
  * Advances the game to the next day.
  * Resets player position to starting point, resets time to 4:30 AM.
- * Keeps score, wounded deer state, and other stats intact.
+ * Deer left wounded overnight are settled first; score and other stats carry over.
  */
 function advanceToNextDay() {
     // Exit pointer lock if active
@@ -459,13 +470,23 @@ function advanceToNextDay() {
         document.exitPointerLock();
     }
     
+    // Deer still wounded at day's end either die in their beds or pull through overnight,
+    // unless midnight already settled them while the hunter stayed out
+    const settled = gameContext.nightSettled && gameContext.gameTime < getDaylightHours().dawnStart;
+    const overnight = settled ? { expired: [], survived: [] } : resolveWoundedDeerOvernight();
+    gameContext.nightSettled = false;
+    
     // Reset player position to starting point
+    gear.onNewDay();
     const initialY = gameContext.getHeightAt(INITIAL_PLAYER_X, INITIAL_PLAYER_Z);
     gameContext.player.position.set(INITIAL_PLAYER_X, initialY, INITIAL_PLAYER_Z);
     gameContext.lastPlayerPosition.copy(gameContext.player.position);
     
-    // Reset time to 4:30 AM
-    gameContext.gameTime = 4.5;
+    // Reset time to half an hour before dawn (4:30 AM in the early season). Unless midnight
+    // already passed with the hunter out, that's a new day on the calendar.
+    const dawnReset = getDaylightHours().dawnStart - 0.5;
+    if (gameContext.gameTime >= dawnReset) gameContext.dayCount++;
+    gameContext.gameTime = dawnReset;
     
     // Reset ambiance crossfade triggers for new day
     gameContext.eveningCrossfadeTriggered = false;
@@ -475,6 +496,13 @@ function advanceToNextDay() {
     gameContext.mapUsageCount = 0;
     gameContext.batteryLevel = 100;
     
+    // Log sightings again so the report builds up each deer's daily pattern
+    if (gameContext.herd) {
+        gameContext.herd.members.forEach(member => {
+            member.sightingLogged = false;
+        });
+    }
+    
     // Increment day counter (add if not exists)
     if (!gameContext.currentDay) {
         gameContext.currentDay = 1;
@@ -486,8 +514,13 @@ function advanceToNextDay() {
         gameContext.timeValueElement.textContent = '04:30';
     }
     
-    // Show message
-    showMessage(`Day ${gameContext.currentDay} - New dawn breaks`, 3000);
+    // Show message - practice mode also says how the night went for any wounded deer
+    let dawnMessage = `Day ${gameContext.currentDay} - New dawn breaks`;
+    if (gameContext.gameMode === 'practice') {
+        overnight.expired.forEach(deer => { dawnMessage += ` | ${deer.label} died overnight - search where it was headed`; });
+        overnight.survived.forEach(deer => { dawnMessage += ` | ${deer.label} survived its wound`; });
+    }
+    showMessage(dawnMessage, 3000);
     
     console.log(`🌅 Advanced to Day ${gameContext.currentDay}`);
 }
@@ -518,10 +551,46 @@ async function startGameWithMode(mode) {
     // Read deer behavior debugging option
     gameContext.deerSpawnMode = document.querySelector('input[name="deer-spawn-mode"]:checked').value;
     gameContext.deerBehaviorMode = document.querySelector('input[name="deer-behavior-mode"]:checked').value;
+    
+    // Optional seed override so a shared hunt can be replayed on the identical map
+    const seedInput = document.getElementById('world-seed-input');
+    gameContext.requestedSeed = seedInput ? seedInput.value.trim() || null : null;
+
+    const seasonSelect = document.getElementById('season-select');
+    setSeason(seasonSelect ? seasonSelect.value : DEFAULT_SEASON);
+
+    const harvestRuleSelect = document.getElementById('harvest-rule-select');
+    const harvestRule = harvestRuleSelect ? harvestRuleSelect.value : DEFAULT_HARVEST_RULE;
+    gameContext.harvestRule = HARVEST_RULES[harvestRule] ? harvestRule : DEFAULT_HARVEST_RULE;
+
+    const clothingSelect = document.getElementById('clothing-select');
+    const clothing = clothingSelect ? clothingSelect.value : DEFAULT_CLOTHING;
+    gameContext.clothing = CLOTHING_LOADOUTS[clothing] ? clothing : DEFAULT_CLOTHING;
 
-    // Get the selected world configuration
-    const selectedWorld = gameContext.worldSelect.value;
-    const worldConfig = worldPresets[selectedWorld];
+    const weaponSelect = document.getElementById('weapon-select');
+    const weapon = weaponSelect ? weaponSelect.value : DEFAULT_WEAPON;
+    gameContext.weapon = WEAPONS[weapon] ? weapon : DEFAULT_WEAPON;
+    if (getSeason().archeryOnly && !ARCHERY_TYPES.includes(WEAPONS[gameContext.weapon].type)) {
+        gameContext.weapon = 'compoundBow';
+    }
+
+    const reticleSelect = document.getElementById('reticle-select');
+    const reticle = reticleSelect ? reticleSelect.value : DEFAULT_RETICLE;
+    gameContext.reticle = RETICLES[reticle] ? reticle : DEFAULT_RETICLE;
+
+    const zeroSelect = document.getElementById('zero-select');
+    const zero = zeroSelect ? parseInt(zeroSelect.value, 10) : NaN;
+    const zeros = WEAPONS[gameContext.weapon].sight.zeros || [];
+    gameContext.scopeZero = zeros.includes(zero) ? zero : null;
+
+    const suspicionMeterCheckbox = document.getElementById('show-suspicion-meter');
+    gameContext.showSuspicionMeter = suspicionMeterCheckbox ? suspicionMeterCheckbox.checked : false;
+
+    // Get the selected world - presets load by name, saved custom worlds as a config object
+    let selectedWorld = gameContext.worldSelect.value;
+    if (selectedWorld.startsWith(CUSTOM_WORLD_PREFIX)) {
+        selectedWorld = getCustomWorld(selectedWorld.slice(CUSTOM_WORLD_PREFIX.length)) || 'Hardwood Forest';
+    }
     
     // Hide the main menu
     const mainMenuContainer = document.getElementById('main-menu-container');
@@ -596,13 +665,7 @@ function applyModeConfiguration(mode) {
             gameContext.collisionSystem.updateHitboxVisibility();
         }
         
-        // Reduce deer detection ranges for easier approach
-        if (gameContext.deer && gameContext.deer.config) {
-            gameContext.deer.config.alertDistanceThreshold = 80;
-            gameContext.deer.config.fleeDistanceThreshold = 40;
-        }
-        
-        console.log('🎯 Practice Mode: Hitboxes visible, reduced detection, forgiving mechanics');
+        console.log('🎯 Practice Mode: Hitboxes visible, forgiving mechanics (deer wariness is scaled once the herd loads)');
         
     } else if (mode === 'simulator') {
         // Hunt Simulator: Realistic settings
@@ -614,12 +677,6 @@ function applyModeConfiguration(mode) {
             gameContext.collisionSystem.updateHitboxVisibility();
         }
         
-        // Ensure full detection ranges for realism
-        if (gameContext.deer && gameContext.deer.config) {
-            gameContext.deer.config.alertDistanceThreshold = 250;
-            gameContext.deer.config.fleeDistanceThreshold = 150;
-        }
-        
         console.log('🦌 Hunt Simulator: Realistic mechanics, no visual aids');
     }
 }
@@ -680,13 +737,10 @@ function showReport() {
  * Updates the interaction prompt based on player proximity to a killed deer.
  */
 export function updateInteraction() {
-    if (gameContext.deer.state === 'KILLED' && gameContext.deer.fallen && !gameContext.deer.tagged) {
-        // Calculate distance on the XZ plane only, ignoring height differences
-        const dx = gameContext.player.position.x - gameContext.deer.model.position.x;
-        const dz = gameContext.player.position.z - gameContext.deer.model.position.z;
-        const distance = Math.sqrt(dx * dx + dz * dz);
-        
-        if (distance <= TAG_INTERACTION_DISTANCE) {
+    const herd = gameContext.herd;
+    if (herd && herd.members.some(m => m.state === 'KILLED' && m.fallen && !m.tagged)) {
+        // Distance is measured on the XZ plane only, ignoring height differences
+        if (herd.getTaggableDeer(gameContext.player.position, TAG_INTERACTION_DISTANCE)) {
             gameContext.interactionPromptElement.style.display = 'block';
             gameContext.interactionPromptElement.textContent = INTERACTION_PROMPT_TAG_DEER;
             gameContext.canTag = true;
@@ -768,9 +822,11 @@ export function ensureMainMenuHidden() {
 }
 
 /**
- * Populates the world selection dropdown menu from the available presets.
+ * Populates the world selection dropdown menu from the available presets,
+ * followed by any custom worlds saved from the World Builder.
+ * @param {string} [selectedValue] - Option to select (defaults to "Hardwood Forest")
  */
-function populateWorldSelector() {
+function populateWorldSelector(selectedValue) {
     let worldSelectElement = gameContext.worldSelect;
     if (!worldSelectElement) {
         worldSelectElement = document.getElementById('world-select');
@@ -791,13 +847,128 @@ function populateWorldSelector() {
             optionCount++;
         }
         
+        const customWorldNames = Object.keys(loadCustomWorlds());
+        if (customWorldNames.length > 0) {
+            const customGroup = document.createElement('optgroup');
+            customGroup.label = 'Custom Worlds';
+            customWorldNames.forEach(name => {
+                customGroup.appendChild(new Option(name, CUSTOM_WORLD_PREFIX + name));
+            });
+            worldSelectElement.appendChild(customGroup);
+        }
+        
         // Set default selection to "Hardwood Forest" (with spaces)
-        if (worldSelectElement.querySelector('option[value="Hardwood Forest"]')) {
+        const options = Array.from(worldSelectElement.options);
+        if (selectedValue && options.some(option => option.value === selectedValue)) {
+            worldSelectElement.value = selectedValue;
+        } else if (worldSelectElement.querySelector('option[value="Hardwood Forest"]')) {
             worldSelectElement.value = 'Hardwood Forest';
         }
     }
 }
 
+/**
+ * Populates the season dropdown from SEASONS, defaulting to the early season.
+ */
+function populateSeasonSelector() {
+    const seasonSelect = document.getElementById('season-select');
+    if (!seasonSelect) return;
+    seasonSelect.innerHTML = '';
+    for (const [key, season] of Object.entries(SEASONS)) {
+        seasonSelect.appendChild(new Option(season.label, key));
+    }
+    seasonSelect.value = DEFAULT_SEASON;
+}
+
+/**
+ * Populates the harvest rules dropdown from HARVEST_RULES.
+ */
+function populateHarvestRuleSelector() {
+    const harvestRuleSelect = document.getElementById('harvest-rule-select');
+    if (!harvestRuleSelect) return;
+    harvestRuleSelect.innerHTML = '';
+    for (const [key, rule] of Object.entries(HARVEST_RULES)) {
+        harvestRuleSelect.appendChild(new Option(rule.label, key));
+    }
+    harvestRuleSelect.value = DEFAULT_HARVEST_RULE;
+}
+
+/**
+ * Populates the clothing dropdown from CLOTHING_LOADOUTS.
+ */
+function populateClothingSelector() {
+    const clothingSelect = document.getElementById('clothing-select');
+    if (!clothingSelect) return;
+    clothingSelect.innerHTML = '';
+    for (const [key, loadout] of Object.entries(CLOTHING_LOADOUTS)) {
+        clothingSelect.appendChild(new Option(loadout.label, key));
+    }
+    clothingSelect.value = DEFAULT_CLOTHING;
+}
+
+/**
+ * Populates the weapon dropdown from WEAPONS. Firearms are greyed out while an
+ * archery-only season is picked, switching to the bow if one was selected.
+ */
+function populateWeaponSelector() {
+    const weaponSelect = document.getElementById('weapon-select');
+    if (!weaponSelect) return;
+    weaponSelect.innerHTML = '';
+    for (const [key, weapon] of Object.entries(WEAPONS)) {
+        weaponSelect.appendChild(new Option(weapon.label, key));
+    }
+    weaponSelect.value = DEFAULT_WEAPON;
+
+    const seasonSelect = document.getElementById('season-select');
+    if (!seasonSelect) return;
+    const applySeasonLimits = () => {
+        const archeryOnly = !!SEASONS[seasonSelect.value]?.archeryOnly;
+        for (const option of weaponSelect.options) {
+            option.disabled = archeryOnly && !ARCHERY_TYPES.includes(WEAPONS[option.value].type);
+        }
+        if (weaponSelect.selectedOptions[0]?.disabled) weaponSelect.value = 'compoundBow';
+    };
+    seasonSelect.addEventListener('change', applySeasonLimits);
+    applySeasonLimits();
+}
+
+/**
+ * Populates the scope reticle dropdown from RETICLES, and the zero dropdown from the zeros
+ * the selected weapon's scope allows, refilled whenever the weapon changes.
+ */
+function populateScopeSelectors() {
+    const reticleSelect = document.getElementById('reticle-select');
+    if (reticleSelect) {
+        reticleSelect.innerHTML = '';
+        for (const [key, reticle] of Object.entries(RETICLES)) {
+            reticleSelect.appendChild(new Option(reticle.label, key));
+        }
+        reticleSelect.value = DEFAULT_RETICLE;
+    }
+
+    const zeroSelect = document.getElementById('zero-select');
+    const weaponSelect = document.getElementById('weapon-select');
+    if (!zeroSelect) return;
+    const fillZeros = () => {
+        const weapon = WEAPONS[weaponSelect ? weaponSelect.value : DEFAULT_WEAPON] || WEAPONS[DEFAULT_WEAPON];
+        const zeros = weapon.sight.zeros || [];
+        const current = zeroSelect.value;
+        zeroSelect.innerHTML = '';
+        zeroSelect.appendChild(new Option('Weapon default', ''));
+        for (const yards of zeros) {
+            zeroSelect.appendChild(new Option(`${yards} yards`, String(yards)));
+        }
+        zeroSelect.value = zeros.includes(parseInt(current, 10)) ? current : '';
+        zeroSelect.disabled = zeros.length === 0;
+    };
+    fillZeros();
+
+    // The season can swap the weapon too; its listener was added first, so this runs after it
+    if (weaponSelect) weaponSelect.addEventListener('change', fillZeros);
+    const seasonSelect = document.getElementById('season-select');
+    if (seasonSelect) seasonSelect.addEventListener('change', fillZeros);
+}
+
 // Cache last compass direction to avoid unnecessary DOM updates
 let _lastCompassIndex = -1;
 
@@ -817,6 +988,67 @@ export function updateCompass() {
     }
 }
 
+// Suspicion meter - throttled like the other HUD text, and only touched when it changes
+const SUSPICION_METER_INTERVAL = 0.1;
+const SUSPICION_CUES = {
+    sight: '👁️ Saw you',
+    sound: '👂 Heard you',
+    scent: '👃 Smelled you',
+    alarm: '📣 Wildlife alarm'
+};
+let _suspicionMeterAccumulator = 0;
+let _lastSuspicionMeterText = null;
+
+/**
+ * Shows how suspicious the warier deer in range is (practice mode, when turned on in the
+ * testing options): a bar from calm through curious and alert to spooked, and what gave
+ * the hunter away.
+ */
+export function updateSuspicionMeter() {
+    const meter = document.getElementById('suspicion-meter');
+    if (!meter) return;
+    if (gameContext.gameMode !== 'practice' || !gameContext.showSuspicionMeter || !gameContext.herd) {
+        meter.style.display = 'none';
+        return;
+    }
+
+    _suspicionMeterAccumulator += gameContext.deltaTime || 0.016;
+    if (_suspicionMeterAccumulator < SUSPICION_METER_INTERVAL) return;
+    _suspicionMeterAccumulator = 0;
+
+    // Follow the deer closest to spooking; a fleeing deer shows as spooked until it calms
+    let watched = null;
+    for (const deer of gameContext.herd.getActiveMembers()) {
+        if (deer.state === 'KILLED' || deer.state === 'WOUNDED') continue;
+        const level = deer.state === 'FLEEING' ? 1 : deer.suspicion;
+        if (level > 0 && (!watched || level > watched.level)) watched = { deer, level };
+    }
+    if (!watched) {
+        meter.style.display = 'none';
+        _lastSuspicionMeterText = null;
+        return;
+    }
+
+    const { deer, level } = watched;
+    const thresholds = deer.config.suspicion;
+    let stage = 'calm';
+    if (deer.state === 'FLEEING') stage = 'spooked';
+    else if (level >= thresholds.alert || deer.state === 'ALERT') stage = 'alert';
+    else if (level >= thresholds.curious) stage = 'curious';
+
+    const cue = deer.suspicionCue ? SUSPICION_CUES[deer.suspicionCue] : '';
+    const text = `${deer.label}|${stage}|${cue}|${Math.round(level * 100)}`;
+    if (text === _lastSuspicionMeterText) return;
+    _lastSuspicionMeterText = text;
+
+    meter.style.display = 'block';
+    meter.className = `suspicion-${stage}`;
+    document.getElementById('suspicion-deer').textContent = deer.label;
+    document.getElementById('suspicion-stage').textContent = stage;
+    document.getElementById('suspicion-fill').style.width = `${Math.round(level * 100)}%`;
+    document.getElementById('suspicion-cue').textContent = cue;
+}
+
 /**
  * Shows the season complete modal with options to view report or start new season.
  */
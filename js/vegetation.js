@@ -0,0 +1,332 @@
+// --- VEGETATION CATALOG ---
+// Species a world can place: hardwoods, conifers, cacti, boulders and deadfall on the tree
+// layer, plus the shrubs createBushes groups into thickets. Each species carries its own
+// geometry, placement rules, collision radius and how much cover it gives a deer.
+// Presets choose a weighted mix in vegetation.species, e.g.
+//   species: [{ type: 'conifer', weight: 70 }, { type: 'boulder', weight: 15, minAltitude: 20 }]
+import * as THREE from 'three';
+import { tintColor, applySnow } from './seasons.js';
+
+/**
+ * @typedef {object} PlacementRules
+ * @property {number} [minSlope] - Minimum terrain slope (rise over run)
+ * @property {number} [maxSlope] - Maximum terrain slope (rise over run)
+ * @property {number} [minAltitude] - Minimum terrain height
+ * @property {number} [maxAltitude] - Maximum terrain height
+ * @property {number} [minWaterDistance] - Minimum distance outside the nearest shoreline
+ * @property {number} [maxWaterDistance] - Maximum distance outside the nearest shoreline
+ */
+
+/**
+ * @typedef {object} VegetationSpecies
+ * @property {'trees'|'bushes'} layer - Scene group the species is placed in
+ * @property {boolean} [deciduous] - Leaves take the season's canopy tint
+ * @property {string} [model] - GLB path; species without one (or whose model fails) are built procedurally
+ * @property {number} collisionRadius - Blocking radius at scale 1
+ * @property {number} cover - Cover value per instance for wounded deer looking for thick cover
+ * @property {{min: number, max: number}} [scale] - Scale range; tree species use vegetation.treeScale
+ * @property {PlacementRules} rules - Default placement rules
+ */
+
+/** @type {Object<string, VegetationSpecies>} */
+export const VEGETATION_SPECIES = {
+    hardwood: {
+        layer: 'trees',
+        model: 'assets/landscapes/tree.glb',
+        deciduous: true,
+        collisionRadius: 1.8,
+        cover: 1,
+        rules: { maxSlope: 0.9 }
+    },
+    conifer: {
+        layer: 'trees',
+        collisionRadius: 1.6,
+        cover: 2, // Low limbs hide a bedded deer better than an open hardwood trunk
+        rules: { maxSlope: 1.2 }
+    },
+    cactus: {
+        layer: 'trees',
+        collisionRadius: 0.8,
+        cover: 0.5,
+        scale: { min: 0.7, max: 1.3 },
+        rules: { maxSlope: 0.8, minWaterDistance: 12 } // Stays off the wet ground around an oasis
+    },
+    boulder: {
+        layer: 'trees',
+        collisionRadius: 2.2,
+        cover: 1.5,
+        scale: { min: 0.6, max: 1.6 },
+        rules: {}
+    },
+    deadfall: {
+        layer: 'trees',
+        collisionRadius: 0.8,       // Around the log; it runs the log's length (see getDistanceToStem)
+        cover: 2,
+        scale: { min: 0.8, max: 1.2 },
+        rules: { maxSlope: 0.4 } // A downed log only stays put on gentle ground
+    },
+    shrub: {
+        layer: 'bushes',
+        model: 'assets/landscapes/bush.glb',
+        deciduous: true,
+        collisionRadius: 1.5,
+        cover: 2,
+        rules: { minWaterDistance: 2 }
+    }
+};
+
+// Rule keys a species mix entry may override
+export const PLACEMENT_RULE_KEYS = ['minSlope', 'maxSlope', 'minAltitude', 'maxAltitude', 'minWaterDistance', 'maxWaterDistance'];
+
+// Default colors for species that don't use the preset's canopy/trunk colors
+const BOULDER_COLOR = 0x8A8580;
+const DEADFALL_COLOR = 0x6B5A48;
+
+// Share of the season's snow that shows on evergreen boughs
+const EVERGREEN_SNOW_EXPOSURE = 0.3;
+
+// Reusable HSL target for picking out leaf materials
+const _hsl = { h: 0, s: 0, l: 0 };
+
+// Unit geometries shared by every procedural instance; meshes are sized with mesh.scale
+let sharedGeometry = null;
+
+function getSharedGeometry() {
+    if (!sharedGeometry) {
+        sharedGeometry = {
+            trunk: new THREE.CylinderGeometry(0.3, 0.4, 1, 8).translate(0, 0.5, 0),
+            crown: new THREE.DodecahedronGeometry(1),
+            cone: new THREE.ConeGeometry(1, 1, 16).translate(0, 0.5, 0),
+            stem: new THREE.CylinderGeometry(1, 1, 1, 10).translate(0, 0.5, 0),
+            rock: new THREE.DodecahedronGeometry(1, 0),
+            log: new THREE.CylinderGeometry(0.3, 0.4, 1, 8).rotateZ(Math.PI / 2)
+        };
+    }
+    return sharedGeometry;
+}
+
+/**
+ * Turns vegetation config into the weighted species mix createTrees places.
+ * Worlds without a species list get a single tree species from the legacy treeType.
+ * @param {object} vegetationConfig - worldConfig.vegetation
+ * @returns {Array<{type: string, weight: number, rules: PlacementRules, scale: {min: number, max: number}, color: number|undefined}>}
+ */
+export function resolveSpeciesMix(vegetationConfig) {
+    // Before the catalog every world rendered tree.glb, so an unset treeType means hardwood
+    const entries = vegetationConfig.species && vegetationConfig.species.length > 0
+        ? vegetationConfig.species
+        : [{ type: vegetationConfig.treeType === 'pine' ? 'conifer' : 'hardwood', weight: 1 }];
+
+    return entries
+        .filter(entry => VEGETATION_SPECIES[entry.type]?.layer === 'trees' && entry.weight > 0)
+        .map(entry => {
+            const species = VEGETATION_SPECIES[entry.type];
+            const rules = { ...species.rules };
+            for (const key of PLACEMENT_RULE_KEYS) {
+                if (entry[key] !== undefined) rules[key] = entry[key];
+            }
+            return {
+                type: entry.type,
+                weight: entry.weight,
+                rules,
+                scale: entry.scale || species.scale || vegetationConfig.treeScale,
+                color: entry.color
+            };
+        });
+}
+
+/**
+ * Picks a species from a weighted mix.
+ * @param {Array<{weight: number}>} mix - Output of resolveSpeciesMix
+ * @param {function(): number} random - Seeded PRNG
+ * @returns {object} One mix entry
+ */
+export function pickSpecies(mix, random) {
+    const total = mix.reduce((sum, entry) => sum + entry.weight, 0);
+    let roll = random() * total;
+    for (const entry of mix) {
+        roll -= entry.weight;
+        if (roll < 0) return entry;
+    }
+    return mix[mix.length - 1];
+}
+
+/**
+ * Checks a candidate spot against placement rules.
+ * @param {PlacementRules} rules
+ * @param {{slope: number, altitude: number, waterDistance: number}} site - waterDistance is Infinity in worlds without water
+ * @returns {boolean}
+ */
+export function meetsPlacementRules(rules, site) {
+    if (rules.minSlope !== undefined && site.slope < rules.minSlope) return false;
+    if (rules.maxSlope !== undefined && site.slope > rules.maxSlope) return false;
+    if (rules.minAltitude !== undefined && site.altitude < rules.minAltitude) return false;
+    if (rules.maxAltitude !== undefined && site.altitude > rules.maxAltitude) return false;
+    if (rules.minWaterDistance !== undefined && site.waterDistance < rules.minWaterDistance) return false;
+    if (rules.maxWaterDistance !== undefined && site.waterDistance > rules.maxWaterDistance) return false;
+    return true;
+}
+
+/**
+ * Records a placed instance's species, collision radius and cover value in userData,
+ * where the collision checks and the wounded-deer cover search read them. A downed log
+ * also gets the half length its collision runs along.
+ * @param {THREE.Object3D} object - Placed instance (already scaled)
+ * @param {string} type - Species key
+ * @param {number} scale - Instance scale
+ */
+export function tagVegetation(object, type, scale) {
+    const species = VEGETATION_SPECIES[type];
+    object.userData.species = type;
+    object.userData.collisionRadius = species.collisionRadius * scale;
+    object.userData.cover = species.cover;
+    if (object.userData.logLength) {
+        object.userData.collisionHalfLength = object.userData.logLength / 2 * scale;
+    }
+}
+
+/**
+ * Ground distance from a point to a placed instance's trunk or, for a downed log, to the
+ * nearest point along it. Collides when under the instance's collisionRadius.
+ * @param {THREE.Object3D} object - Placed instance, tagged by tagVegetation
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {number}
+ */
+export function getDistanceToStem(object, x, z) {
+    let dx = x - object.position.x;
+    let dz = z - object.position.z;
+    const halfLength = object.userData.collisionHalfLength;
+    if (halfLength) {
+        // The log lies along the instance's local X axis
+        const axisX = Math.cos(object.rotation.y);
+        const axisZ = -Math.sin(object.rotation.y);
+        const along = Math.max(-halfLength, Math.min(halfLength, dx * axisX + dz * axisZ));
+        dx -= along * axisX;
+        dz -= along * axisZ;
+    }
+    return Math.sqrt(dx * dx + dz * dz);
+}
+
+/**
+ * Creates the materials procedural species are built from. Hardwood leaves take the
+ * season's canopy tint; conifers and cacti stay green under a dusting of any snow.
+ * @param {object} vegetationConfig - worldConfig.vegetation
+ * @param {object} season - Current season (see seasons.js)
+ * @returns {{canopy: THREE.Material, evergreen: THREE.Material, trunk: THREE.Material, boulder: THREE.Material, deadfall: THREE.Material}}
+ */
+export function createVegetationMaterials(vegetationConfig, season) {
+    return {
+        canopy: new THREE.MeshLambertMaterial({ color: tintColor(vegetationConfig.canopyColor, season.canopyTint) }),
+        evergreen: new THREE.MeshLambertMaterial({ color: applySnow(vegetationConfig.canopyColor, EVERGREEN_SNOW_EXPOSURE) }),
+        trunk: new THREE.MeshLambertMaterial({ color: vegetationConfig.trunkColor }),
+        boulder: new THREE.MeshLambertMaterial({ color: BOULDER_COLOR, flatShading: true }),
+        deadfall: new THREE.MeshLambertMaterial({ color: DEADFALL_COLOR })
+    };
+}
+
+/**
+ * Tints the leaves of a loaded model for the season. Leaves are picked out as the
+ * green materials, so bark keeps its color. Clones share materials, so tint the
+ * source model once before cloning.
+ * @param {THREE.Object3D} model - Loaded GLB scene
+ * @param {{color: number, amount: number}|null} tint - Season canopy tint
+ */
+export function tintFoliage(model, tint) {
+    if (!tint) return;
+    model.traverse(node => {
+        if (!node.isMesh) return;
+        const materials = Array.isArray(node.material) ? node.material : [node.material];
+        for (const material of materials) {
+            if (!material?.color) continue;
+            material.color.getHSL(_hsl);
+            if (_hsl.h > 0.15 && _hsl.h < 0.45 && _hsl.s > 0.15) {
+                material.color.setHex(tintColor(material.color.getHex(), tint));
+            }
+        }
+    });
+}
+
+/**
+ * Builds a procedural instance of a species at unit scale, with its base at the origin.
+ * @param {string} type - Species key
+ * @param {function(): number} random - Seeded PRNG for proportions
+ * @param {object} materials - From createVegetationMaterials
+ * @param {THREE.Material} [colorMaterial] - Replaces the species' main material (mix entry color)
+ * @returns {THREE.Group}
+ */
+export function buildSpecies(type, random, materials, colorMaterial) {
+    const geometry = getSharedGeometry();
+    const group = new THREE.Group();
+    const addMesh = (geo, material) => {
+        const mesh = new THREE.Mesh(geo, material);
+        mesh.castShadow = false;
+        mesh.receiveShadow = true;
+        group.add(mesh);
+        return mesh;
+    };
+
+    if (type === 'hardwood') {
+        const trunkHeight = 4 + random() * 2;
+        addMesh(geometry.trunk, materials.trunk).scale.set(1, trunkHeight, 1);
+        const crown = addMesh(geometry.crown, colorMaterial || materials.canopy);
+        crown.scale.setScalar(1.5 + random());
+        crown.position.y = trunkHeight;
+    } else if (type === 'conifer') {
+        const trunkHeight = 2 + random();
+        const crownHeight = 7 + random() * 4;
+        const crownRadius = 2 + random() * 1.2;
+        addMesh(geometry.trunk, materials.trunk).scale.set(0.8, trunkHeight + 1, 0.8);
+        // Two overlapping tiers read as a spruce/fir silhouette rather than a single cone
+        const lower = addMesh(geometry.cone, colorMaterial || materials.evergreen);
+        lower.scale.set(crownRadius, crownHeight * 0.65, crownRadius);
+        lower.position.y = trunkHeight;
+        const upper = addMesh(geometry.cone, colorMaterial || materials.evergreen);
+        upper.scale.set(crownRadius * 0.7, crownHeight * 0.6, crownRadius * 0.7);
+        upper.position.y = trunkHeight + crownHeight * 0.4;
+    } else if (type === 'cactus') {
+        const material = colorMaterial || materials.evergreen;
+        const height = 3 + random() * 2;
+        addMesh(geometry.stem, material).scale.set(0.35, height, 0.35);
+        const armCount = Math.floor(random() * 3); // 0-2 arms
+        for (let i = 0; i < armCount; i++) {
+            const side = i === 0 ? 1 : -1;
+            const armY = height * (0.35 + random() * 0.25);
+            const elbow = addMesh(geometry.stem, material);
+            elbow.scale.set(0.22, 0.7, 0.22);
+            elbow.rotation.z = -side * Math.PI / 2;
+            elbow.position.set(0, armY, 0);
+            const arm = addMesh(geometry.stem, material);
+            arm.scale.set(0.22, 1 + random() * 1.2, 0.22);
+            arm.position.set(side * 0.7, armY - 0.1, 0);
+        }
+    } else if (type === 'boulder') {
+        const material = colorMaterial || materials.boulder;
+        const rock = addMesh(geometry.rock, material);
+        rock.scale.set(1.2 + random() * 0.8, 0.7 + random() * 0.5, 1 + random() * 0.6);
+        rock.rotation.set(random() * 0.4, random() * Math.PI, random() * 0.4);
+        rock.position.y = rock.scale.y * 0.5; // Lower quarter stays buried so it sits into slopes
+        if (random() < 0.5) {
+            const chip = addMesh(geometry.rock, material);
+            chip.scale.setScalar(0.4 + random() * 0.3);
+            chip.position.set(rock.scale.x * 0.9, chip.scale.y * 0.4, rock.scale.z * 0.5);
+        }
+    } else if (type === 'deadfall') {
+        const material = colorMaterial || materials.deadfall;
+        const length = 6 + random() * 3;
+        const log = addMesh(geometry.log, material);
+        log.scale.set(length, 1, 1);
+        group.userData.logLength = length;
+        log.position.y = 0.3;
+        // Root wad at the butt end and a snapped-off limb
+        const roots = addMesh(geometry.crown, material);
+        roots.scale.set(0.4, 0.9, 0.9);
+        roots.position.set(length / 2, 0.6, 0);
+        const limb = addMesh(geometry.trunk, material);
+        limb.scale.set(0.3, 1.2 + random(), 0.3);
+        limb.rotation.z = -0.7;
+        limb.position.set(-length * 0.15, 0.4, 0);
+    }
+
+    return group;
+}
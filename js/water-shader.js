@@ -4,6 +4,8 @@ import * as THREE from 'three';
 /**
  * Creates an animated water shader material with subtle ripple effects.
  * Designed for low performance overhead while still looking like water.
+ * `shoreFade` picks how the edge softens: 'radial' for circle geometry, 'across' for
+ * river ribbons (UV x spans the channel) or 'none' for shapes without usable UVs.
  */
 export function createWaterMaterial(options = {}) {
     const {
@@ -11,12 +13,17 @@ export function createWaterMaterial(options = {}) {
         opacity = 0.75,
         speed = 0.5,           // Animation speed
         rippleScale = 0.15,    // How pronounced the ripples are
+        shoreFade = 'radial',  // Edge fade mode
     } = options;
 
     // Convert hex color to RGB
     const baseColor = new THREE.Color(color);
 
     const material = new THREE.ShaderMaterial({
+        defines: {
+            SHORE_FADE_RADIAL: shoreFade === 'radial' ? 1 : 0,
+            SHORE_FADE_ACROSS: shoreFade === 'across' ? 1 : 0,
+        },
         uniforms: {
             uTime: { value: 0 },
             uColor: { value: new THREE.Vector3(baseColor.r, baseColor.g, baseColor.b) },
@@ -50,9 +57,16 @@ export function createWaterMaterial(options = {}) {
                 
                 vec3 finalColor = uColor + vec3(pattern);
                 
-                // Edge fade for circular ponds
-                float distFromCenter = length(vUv - 0.5) * 2.0;
-                float edgeFade = smoothstep(0.98, 0.8, distFromCenter);
+                float edgeFade = 1.0;
+                #if SHORE_FADE_RADIAL
+                    // Edge fade for circular ponds
+                    float distFromCenter = length(vUv - 0.5) * 2.0;
+                    edgeFade = smoothstep(0.98, 0.8, distFromCenter);
+                #elif SHORE_FADE_ACROSS
+                    // Fade toward both banks of a river
+                    float distFromMiddle = abs(vUv.x - 0.5) * 2.0;
+                    edgeFade = smoothstep(1.0, 0.8, distFromMiddle);
+                #endif
                 
                 gl_FragColor = vec4(finalColor, uOpacity * edgeFade);
             }
@@ -0,0 +1,466 @@
+// --- WATER SHAPES ---
+// Geometry helpers for the three kinds of water body a world can contain:
+//   circle  - { shape: 'circle', size, position: { x, z } } (also 'square')
+//   polygon - { shape: 'polygon', points: [{ x, z }, ...], depth?, bankWidth? } an irregular pond
+//   river   - { shape: 'river', points: [{ x, z, width }, ...], depth? } a creek or river whose
+//             width is interpolated between points
+// Terrain carving works from the world config; everything else works from the water meshes
+// created in world.js, which carry their shape in userData.shape.
+
+// Carving defaults for polygon ponds and rivers
+const DEFAULT_POND_DEPTH = 6;
+const DEFAULT_POND_BANK_WIDTH = 6;
+const DEFAULT_RIVER_DEPTH = 2.5;
+const DEFAULT_RIVER_WIDTH = 8;
+
+// Round ponds keep their original carve: a cosine bowl 10 units deep reaching 1.5x the radius
+const CIRCLE_DEPRESSION_DEPTH = 10;
+const CIRCLE_TRANSITION_FACTOR = 1.5;
+
+// River surfaces sit this fraction of the channel depth above the bed
+const RIVER_SURFACE_FRACTION = 0.4;
+
+// Spacing (world units) between river surface samples
+export const RIVER_SAMPLE_SPACING = 4;
+
+// Parsed shapes, keyed by the config object they came from
+const shapeCache = new WeakMap();
+
+/**
+ * Parses a water body config into a shape with precomputed bounds and center.
+ * Results are cached per config object, so this is cheap to call per height sample.
+ * @param {object} bodyConfig - Water body entry from worldConfig.environment.waterBodies
+ * @returns {object} Shape: { type, center, bounds, ... }
+ */
+export function getWaterShape(bodyConfig) {
+    let shape = shapeCache.get(bodyConfig);
+    if (shape) return shape;
+
+    const x = bodyConfig.position?.x || 0;
+    const z = bodyConfig.position?.z || 0;
+
+    if (bodyConfig.shape === 'circle') {
+        const radius = bodyConfig.size / 2;
+        shape = {
+            type: 'circle',
+            x,
+            z,
+            radius,
+            center: { x, z },
+            shoreInset: radius * 0.05, // isWaterAt stays 5% inside the edge
+            reach: radius * CIRCLE_TRANSITION_FACTOR
+        };
+    } else if (bodyConfig.shape === 'river') {
+        const points = bodyConfig.points.map(p => ({ x: p.x, z: p.z, halfWidth: (p.width || DEFAULT_RIVER_WIDTH) / 2 }));
+        const maxHalfWidth = Math.max(...points.map(p => p.halfWidth));
+        shape = {
+            type: 'river',
+            points,
+            depth: bodyConfig.depth || DEFAULT_RIVER_DEPTH,
+            center: pointAlongPath(points, 0.5),
+            shoreInset: 0.5,
+            reach: maxHalfWidth // Bank carve reaches one half-width beyond the water
+        };
+    } else {
+        // Polygon ponds; squares are a four-point polygon
+        const half = bodyConfig.size / 2;
+        const points = bodyConfig.shape === 'polygon'
+            ? bodyConfig.points.map(p => ({ x: p.x, z: p.z }))
+            : [{ x: x - half, z: z - half }, { x: x + half, z: z - half }, { x: x + half, z: z + half }, { x: x - half, z: z + half }];
+        const bankWidth = bodyConfig.bankWidth || DEFAULT_POND_BANK_WIDTH;
+        shape = {
+            type: 'polygon',
+            points,
+            depth: bodyConfig.depth || DEFAULT_POND_DEPTH,
+            bankWidth,
+            center: polygonCentroid(points),
+            shoreInset: 0.5,
+            reach: bankWidth
+        };
+    }
+
+    shape.bounds = computeBounds(shape);
+    shapeCache.set(bodyConfig, shape);
+    return shape;
+}
+
+function computeBounds(shape) {
+    if (shape.type === 'circle') {
+        return { minX: shape.x - shape.reach, maxX: shape.x + shape.reach, minZ: shape.z - shape.reach, maxZ: shape.z + shape.reach };
+    }
+    const bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+    for (const p of shape.points) {
+        const pad = (p.halfWidth || 0) + shape.reach;
+        bounds.minX = Math.min(bounds.minX, p.x - pad);
+        bounds.maxX = Math.max(bounds.maxX, p.x + pad);
+        bounds.minZ = Math.min(bounds.minZ, p.z - pad);
+        bounds.maxZ = Math.max(bounds.maxZ, p.z + pad);
+    }
+    return bounds;
+}
+
+function polygonCentroid(points) {
+    let area = 0;
+    let cx = 0;
+    let cz = 0;
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        const cross = a.x * b.z - b.x * a.z;
+        area += cross;
+        cx += (a.x + b.x) * cross;
+        cz += (a.z + b.z) * cross;
+    }
+    if (Math.abs(area) < 1e-6) return { x: points[0].x, z: points[0].z };
+    return { x: cx / (3 * area), z: cz / (3 * area) };
+}
+
+/**
+ * Point at a fraction of a polyline's length.
+ */
+function pointAlongPath(points, fraction) {
+    let total = 0;
+    for (let i = 1; i < points.length; i++) {
+        total += Math.hypot(points[i].x - points[i - 1].x, points[i].z - points[i - 1].z);
+    }
+    let remaining = total * fraction;
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        const length = Math.hypot(b.x - a.x, b.z - a.z);
+        if (remaining <= length && length > 0) {
+            const t = remaining / length;
+            return { x: a.x + (b.x - a.x) * t, z: a.z + (b.z - a.z) * t };
+        }
+        remaining -= length;
+    }
+    const last = points[points.length - 1];
+    return { x: last.x, z: last.z };
+}
+
+/**
+ * Closest point on segment ab to (x, z).
+ * @returns {{x: number, z: number, t: number, distSq: number}}
+ */
+function closestOnSegment(a, b, x, z) {
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const lengthSq = dx * dx + dz * dz;
+    let t = lengthSq > 0 ? ((x - a.x) * dx + (z - a.z) * dz) / lengthSq : 0;
+    t = Math.max(0, Math.min(1, t));
+    const px = a.x + dx * t;
+    const pz = a.z + dz * t;
+    return { x: px, z: pz, t, distSq: (x - px) * (x - px) + (z - pz) * (z - pz) };
+}
+
+function isInsidePolygon(points, x, z) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.z > z) !== (b.z > z) && x < (b.x - a.x) * (z - a.z) / (b.z - a.z) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Nearest point on a river's centerline, with the interpolated half-width there.
+ */
+function closestOnRiver(shape, x, z) {
+    let best = null;
+    for (let i = 1; i < shape.points.length; i++) {
+        const a = shape.points[i - 1];
+        const b = shape.points[i];
+        const hit = closestOnSegment(a, b, x, z);
+        if (!best || hit.distSq < best.distSq) {
+            best = hit;
+            best.segment = i;
+            best.halfWidth = a.halfWidth + (b.halfWidth - a.halfWidth) * hit.t;
+        }
+    }
+    return best;
+}
+
+/**
+ * Nearest point on a polygon's outline.
+ */
+function closestOnPolygon(shape, x, z) {
+    let best = null;
+    for (let i = 0; i < shape.points.length; i++) {
+        const hit = closestOnSegment(shape.points[i], shape.points[(i + 1) % shape.points.length], x, z);
+        if (!best || hit.distSq < best.distSq) {
+            best = hit;
+            best.segment = i;
+        }
+    }
+    return best;
+}
+
+/**
+ * Signed distance from a point to a shape's shoreline: negative in the water, positive on land.
+ * @param {object} shape - Shape from getWaterShape
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {number}
+ */
+export function getShapeShoreDistance(shape, x, z) {
+    if (shape.type === 'circle') {
+        return Math.sqrt((x - shape.x) * (x - shape.x) + (z - shape.z) * (z - shape.z)) - shape.radius;
+    }
+    if (shape.type === 'river') {
+        const hit = closestOnRiver(shape, x, z);
+        return Math.sqrt(hit.distSq) - hit.halfWidth;
+    }
+    const distance = Math.sqrt(closestOnPolygon(shape, x, z).distSq);
+    return isInsidePolygon(shape.points, x, z) ? -distance : distance;
+}
+
+/**
+ * How far the terrain is lowered at a point by one water body (0 outside its reach).
+ * @param {object} bodyConfig - Water body config
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {number} Depression depth
+ */
+export function getWaterDepression(bodyConfig, x, z) {
+    const shape = getWaterShape(bodyConfig);
+    const { bounds } = shape;
+    if (x < bounds.minX || x > bounds.maxX || z < bounds.minZ || z > bounds.maxZ) return 0;
+
+    if (shape.type === 'circle') {
+        const distance = Math.sqrt((x - shape.x) * (x - shape.x) + (z - shape.z) * (z - shape.z));
+        if (distance >= shape.reach) return 0;
+        const t = distance / shape.reach;
+        return CIRCLE_DEPRESSION_DEPTH * 0.5 * (1 + Math.cos(t * Math.PI));
+    }
+
+    // Cosine bank: full depth one bank-width inside the shore, half depth at the shore,
+    // nothing one bank-width out. A river's bank width is its half-width, so the channel
+    // is deepest along the centerline.
+    let shoreDistance;
+    let bankWidth;
+    if (shape.type === 'river') {
+        const hit = closestOnRiver(shape, x, z);
+        bankWidth = hit.halfWidth;
+        shoreDistance = Math.sqrt(hit.distSq) - hit.halfWidth;
+    } else {
+        bankWidth = shape.bankWidth;
+        shoreDistance = getShapeShoreDistance(shape, x, z);
+    }
+    const t = Math.max(0, Math.min(1, (shoreDistance + bankWidth) / (2 * bankWidth)));
+    return shape.depth * 0.5 * (1 + Math.cos(t * Math.PI));
+}
+
+/**
+ * Resamples a river's centerline every RIVER_SAMPLE_SPACING units and sets the surface
+ * height at each sample from the (already carved) terrain. The higher end is the source;
+ * from there the level only ever falls, so a bump in the bed can't step the water uphill.
+ * @param {object} shape - River shape from getWaterShape
+ * @param {function(number, number): number} getHeightAt - Terrain height at world (x, z)
+ * @returns {Array<{x: number, z: number, halfWidth: number, level: number}>}
+ */
+export function sampleRiverProfile(shape, getHeightAt) {
+    const profile = [];
+    for (let i = 1; i < shape.points.length; i++) {
+        const a = shape.points[i - 1];
+        const b = shape.points[i];
+        const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.z - a.z) / RIVER_SAMPLE_SPACING));
+        for (let s = i === 1 ? 0 : 1; s <= steps; s++) {
+            const t = s / steps;
+            const x = a.x + (b.x - a.x) * t;
+            const z = a.z + (b.z - a.z) * t;
+            profile.push({
+                x,
+                z,
+                halfWidth: a.halfWidth + (b.halfWidth - a.halfWidth) * t,
+                level: getHeightAt(x, z) + shape.depth * RIVER_SURFACE_FRACTION
+            });
+        }
+    }
+
+    const fromStart = profile[0].level >= profile[profile.length - 1].level;
+    let level = Infinity;
+    for (let i = 0; i < profile.length; i++) {
+        const sample = profile[fromStart ? i : profile.length - 1 - i];
+        level = Math.min(level, sample.level);
+        sample.level = level;
+    }
+    return profile;
+}
+
+/**
+ * Signed distance from a point to a water body's shoreline: negative in the water.
+ * @param {THREE.Mesh} water - Water mesh from gameContext.waterBodies
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {number}
+ */
+export function getShoreDistance(water, x, z) {
+    return getShapeShoreDistance(water.userData.shape, x, z);
+}
+
+/**
+ * Nearest point on a water body's shoreline, with the outward (water to land) direction.
+ * @param {THREE.Mesh} water - Water mesh from gameContext.waterBodies
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {{x: number, z: number, nx: number, nz: number}}
+ */
+export function getNearestShorePoint(water, x, z) {
+    const shape = water.userData.shape;
+
+    if (shape.type === 'circle') {
+        const dx = x - shape.x;
+        const dz = z - shape.z;
+        const length = Math.sqrt(dx * dx + dz * dz);
+        const nx = length > 1e-6 ? dx / length : 1;
+        const nz = length > 1e-6 ? dz / length : 0;
+        return { x: shape.x + nx * shape.radius, z: shape.z + nz * shape.radius, nx, nz };
+    }
+
+    if (shape.type === 'river') {
+        const hit = closestOnRiver(shape, x, z);
+        const length = Math.sqrt(hit.distSq);
+        // On the centerline either bank will do
+        const normal = length > 1e-6
+            ? { x: (x - hit.x) / length, z: (z - hit.z) / length }
+            : segmentNormal(shape.points[hit.segment - 1], shape.points[hit.segment]);
+        return { x: hit.x + normal.x * hit.halfWidth, z: hit.z + normal.z * hit.halfWidth, nx: normal.x, nz: normal.z };
+    }
+
+    const hit = closestOnPolygon(shape, x, z);
+    const length = Math.sqrt(hit.distSq);
+    if (length < 1e-6) {
+        const normal = polygonEdgeNormal(shape, hit.segment);
+        return { x: hit.x, z: hit.z, nx: normal.x, nz: normal.z };
+    }
+    const sign = isInsidePolygon(shape.points, x, z) ? -1 : 1;
+    return { x: hit.x, z: hit.z, nx: sign * (x - hit.x) / length, nz: sign * (z - hit.z) / length };
+}
+
+/**
+ * Picks a random point on a water body's shoreline, with the outward direction.
+ * @param {THREE.Mesh} water - Water mesh from gameContext.waterBodies
+ * @param {function(): number} random - PRNG to draw from
+ * @returns {{x: number, z: number, nx: number, nz: number}}
+ */
+export function getRandomShorePoint(water, random) {
+    const shape = water.userData.shape;
+
+    if (shape.type === 'circle') {
+        const angle = random() * Math.PI * 2;
+        const nx = Math.cos(angle);
+        const nz = Math.sin(angle);
+        return { x: shape.x + nx * shape.radius, z: shape.z + nz * shape.radius, nx, nz };
+    }
+
+    const closed = shape.type === 'polygon';
+    const segmentCount = closed ? shape.points.length : shape.points.length - 1;
+    const lengths = [];
+    let total = 0;
+    for (let i = 0; i < segmentCount; i++) {
+        const a = shape.points[i];
+        const b = shape.points[(i + 1) % shape.points.length];
+        lengths.push(Math.hypot(b.x - a.x, b.z - a.z));
+        total += lengths[i];
+    }
+
+    // Uniform along the outline (or centerline)
+    let along = random() * total;
+    let segment = 0;
+    while (segment < segmentCount - 1 && along > lengths[segment]) {
+        along -= lengths[segment];
+        segment++;
+    }
+    const a = shape.points[segment];
+    const b = shape.points[(segment + 1) % shape.points.length];
+    const t = lengths[segment] > 0 ? Math.min(along / lengths[segment], 1) : 0;
+    const x = a.x + (b.x - a.x) * t;
+    const z = a.z + (b.z - a.z) * t;
+
+    if (closed) {
+        const normal = polygonEdgeNormal(shape, segment);
+        return { x, z, nx: normal.x, nz: normal.z };
+    }
+
+    // Rivers: pick a bank
+    const side = random() < 0.5 ? 1 : -1;
+    const normal = segmentNormal(a, b);
+    const halfWidth = a.halfWidth + (b.halfWidth - a.halfWidth) * t;
+    return { x: x + side * normal.x * halfWidth, z: z + side * normal.z * halfWidth, nx: side * normal.x, nz: side * normal.z };
+}
+
+/**
+ * Unit vector perpendicular to segment ab (to its left when looking from a to b).
+ */
+function segmentNormal(a, b) {
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const length = Math.sqrt(dx * dx + dz * dz) || 1;
+    return { x: -dz / length, z: dx / length };
+}
+
+/**
+ * Outward unit normal of one polygon edge, whichever way the outline is wound.
+ */
+function polygonEdgeNormal(shape, segment) {
+    const a = shape.points[segment];
+    const b = shape.points[(segment + 1) % shape.points.length];
+    const normal = segmentNormal(a, b);
+    const midX = (a.x + b.x) / 2;
+    const midZ = (a.z + b.z) / 2;
+    if (isInsidePolygon(shape.points, midX + normal.x * 0.01, midZ + normal.z * 0.01)) {
+        return { x: -normal.x, z: -normal.z };
+    }
+    return normal;
+}
+
+/**
+ * Water surface height at a point. Ponds are flat; rivers follow their channel downhill.
+ * @param {THREE.Mesh} water - Water mesh from gameContext.waterBodies
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {number}
+ */
+export function getWaterLevelAt(water, x, z) {
+    const profile = water.userData.profile;
+    if (!profile) return water.position.y;
+
+    let bestDistSq = Infinity;
+    let level = profile[0].level;
+    for (let i = 1; i < profile.length; i++) {
+        const hit = closestOnSegment(profile[i - 1], profile[i], x, z);
+        if (hit.distSq < bestDistSq) {
+            bestDistSq = hit.distSq;
+            level = profile[i - 1].level + (profile[i].level - profile[i - 1].level) * hit.t;
+        }
+    }
+    return level;
+}
+
+/**
+ * Representative point for a water body (circle center, polygon centroid, river midpoint).
+ * @param {THREE.Mesh} water - Water mesh from gameContext.waterBodies
+ * @returns {{x: number, z: number}}
+ */
+export function getWaterCenter(water) {
+    return water.userData.shape.center;
+}
+
+/**
+ * Checks whether a point is in a water body: inside its outline (less a small inset) and
+ * with the ground at or below the water surface.
+ * @param {THREE.Mesh} water - Water mesh from gameContext.waterBodies
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @param {number} terrainHeight - Ground height at (x, z)
+ * @param {number} [tolerance=0.3] - How far the ground may sit above the surface
+ * @returns {boolean}
+ */
+export function isPointInWater(water, x, z, terrainHeight, tolerance = 0.3) {
+    const shape = water.userData.shape;
+    if (getShapeShoreDistance(shape, x, z) > -shape.shoreInset) return false;
+    return terrainHeight <= getWaterLevelAt(water, x, z) + tolerance;
+}
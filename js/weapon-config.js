@@ -0,0 +1,169 @@
+// --- WEAPON CATALOG ---
+// Firearms and archery gear the hunter can carry, picked in the start options. Each has its
+// own projectile (see ballistics.js), sight, report, recoil and reload, and an ethical range
+// the scoring holds it to. Ranges are in yards, as hunters think of them; ballistics are metric.
+
+/**
+ * @typedef {object} WeaponSight
+ * @property {'duplex'|'bead'|'pins'} reticle - Crosshair scope, shotgun bead or bow pin sight; a scope's reticle can be swapped in the start options
+ * @property {number} [fov] - Camera field of view while aiming over open sights, degrees
+ * @property {boolean} [scoped] - Seen through a tube: the view is ringed in black
+ * @property {[number, number]} [magnification] - A scope's lowest and highest power
+ * @property {number[]} [bdc] - Yardages of a BDC reticle's holdover marks
+ * @property {number[]} [zeros] - Yardages the scope can be sighted in at, kept inside the weapon's reach
+ * @property {number[]} [pins] - Yardages of a pin sight's pins, top to bottom; the top pin is the zero
+ */
+
+/**
+ * @typedef {object} Reticle
+ * @property {string} label
+ * @property {number} [dotSpacing] - Milliradians between the dots of a mil-dot reticle
+ * @property {number} [dots] - Dots on each arm
+ */
+
+/**
+ * @typedef {object} Weapon
+ * @property {string} label
+ * @property {'rifle'|'muzzleloader'|'shotgun'|'bow'|'crossbow'} type
+ * @property {import('./ballistics.js').ProjectileLoad} load - Projectile fired
+ * @property {WeaponSight} sight
+ * @property {number} capacity - Shots loaded at once
+ * @property {number} cycleTime - Seconds to chamber the next shot (bolt, pump, nocking)
+ * @property {number} reloadTime - Seconds to load back up once empty
+ * @property {number} effectiveRange - Yards; the close-range bonuses are bands of it, and a poor hit past it costs points
+ * @property {number} maxEthicalRange - Yards; any shot that connects past it costs points
+ * @property {{sample?: boolean, playbackRate?: number, volume?: number, synth?: 'bowString'|'crossbowString'}} sound
+ * @property {string} noise - Loud-noise kind in noise.js that carries to the deer
+ * @property {number} recoil - Multiplier on the rifle's camera kick
+ */
+
+/** @type {Object<string, Weapon>} */
+export const WEAPONS = {
+    rifle243: {
+        label: '.243 Winchester',
+        type: 'rifle',
+        load: { label: '.243 Win 100 gr', muzzleVelocity: 900, ballisticCoefficient: 0.36, bulletMass: 6.5, sightHeight: 0.038, zeroRange: 91.44 },
+        sight: { reticle: 'duplex', scoped: true, magnification: [3, 9], bdc: [200, 300, 400, 500], zeros: [50, 100, 150, 200] },
+        capacity: 4,
+        cycleTime: 1.0,
+        reloadTime: 5,
+        effectiveRange: 100,
+        maxEthicalRange: 250,           // Light bullet - runs out of energy for deer sooner
+        sound: { sample: true, playbackRate: 1.15, volume: -2 },
+        noise: 'gunshot',
+        recoil: 0.6,
+    },
+    rifle308: {
+        label: '.308 Winchester',
+        type: 'rifle',
+        load: { label: '.308 Win 150 gr', muzzleVelocity: 860, ballisticCoefficient: 0.40, bulletMass: 9.7, sightHeight: 0.038, zeroRange: 91.44 },
+        sight: { reticle: 'duplex', scoped: true, magnification: [3, 9], bdc: [200, 300, 400, 500], zeros: [50, 100, 150, 200, 250] },
+        capacity: 4,
+        cycleTime: 1.0,
+        reloadTime: 5,
+        effectiveRange: 100,
+        maxEthicalRange: 300,
+        sound: { sample: true },
+        noise: 'gunshot',
+        recoil: 1,
+    },
+    rifle3006: {
+        label: '.30-06 Springfield',
+        type: 'rifle',
+        load: { label: '.30-06 165 gr', muzzleVelocity: 850, ballisticCoefficient: 0.45, bulletMass: 10.7, sightHeight: 0.038, zeroRange: 91.44 },
+        sight: { reticle: 'duplex', scoped: true, magnification: [3, 9], bdc: [200, 300, 400, 500], zeros: [50, 100, 150, 200, 250, 300] },
+        capacity: 4,
+        cycleTime: 1.0,
+        reloadTime: 5,
+        effectiveRange: 100,
+        maxEthicalRange: 350,
+        sound: { sample: true, playbackRate: 0.95, volume: 1 },
+        noise: 'gunshot',
+        recoil: 1.2,
+    },
+    muzzleloader: {
+        label: '.50 Muzzleloader',
+        type: 'muzzleloader',
+        load: { label: '.50 cal 250 gr sabot', muzzleVelocity: 600, ballisticCoefficient: 0.20, bulletMass: 16.2, sightHeight: 0.038, zeroRange: 91.44 },
+        sight: { reticle: 'duplex', scoped: true, magnification: [2, 7], bdc: [100, 150, 200], zeros: [50, 75, 100] },
+        capacity: 1,
+        cycleTime: 0,
+        reloadTime: 30,                 // Powder, sabot, ramrod and a new primer
+        effectiveRange: 75,
+        maxEthicalRange: 150,
+        sound: { sample: true, playbackRate: 0.75, volume: 2 },
+        noise: 'gunshot',
+        recoil: 1.4,
+    },
+    shotgunSlug: {
+        label: '12 Gauge Slug',
+        type: 'shotgun',
+        load: { label: '12 ga 1 oz rifled slug', muzzleVelocity: 490, ballisticCoefficient: 0.08, bulletMass: 28.3, sightHeight: 0.02, zeroRange: 45.72 },
+        sight: { reticle: 'bead', fov: 45 },
+        capacity: 3,
+        cycleTime: 0.8,                 // Pump
+        reloadTime: 6,
+        effectiveRange: 60,
+        maxEthicalRange: 100,
+        sound: { sample: true, playbackRate: 0.85, volume: 2 },
+        noise: 'gunshot',
+        recoil: 1.6,
+    },
+    compoundBow: {
+        label: 'Compound Bow',
+        type: 'bow',
+        load: { label: '425 gr arrow, 290 fps', muzzleVelocity: 88, ballisticCoefficient: 0.05, bulletMass: 27.5, sightHeight: 0.09, zeroRange: 18.29 },
+        sight: { reticle: 'pins', fov: 50, pins: [20, 30, 40, 50] },
+        capacity: 1,
+        cycleTime: 0,
+        reloadTime: 4,                  // Nock the next arrow
+        effectiveRange: 30,
+        maxEthicalRange: 50,
+        sound: { synth: 'bowString' },
+        noise: 'bowShot',
+        recoil: 0.15,
+    },
+    crossbow: {
+        label: 'Crossbow',
+        type: 'crossbow',
+        load: { label: '400 gr bolt, 380 fps', muzzleVelocity: 116, ballisticCoefficient: 0.06, bulletMass: 25.9, sightHeight: 0.05, zeroRange: 18.29 },
+        sight: { reticle: 'duplex', scoped: true, magnification: [1.5, 5], bdc: [30, 40, 50, 60], zeros: [20, 30, 40, 50] },
+        capacity: 1,
+        cycleTime: 0,
+        reloadTime: 12,                 // Crank the string back and load a bolt
+        effectiveRange: 40,
+        maxEthicalRange: 60,
+        sound: { synth: 'crossbowString' },
+        noise: 'bowShot',
+        recoil: 0.3,
+    },
+};
+
+/**
+ * Weapon carried when none is picked.
+ * @type {string}
+ */
+export const DEFAULT_WEAPON = 'rifle308';
+
+/**
+ * Weapon types legal in an archery-only season.
+ * @type {string[]}
+ */
+export const ARCHERY_TYPES = ['bow', 'crossbow'];
+
+/**
+ * Reticles a scope can be fitted with. They sit in the first focal plane, so marks keep
+ * their true angular size at any power.
+ * @type {Object<string, Reticle>}
+ */
+export const RETICLES = {
+    duplex: { label: 'Duplex' },
+    bdc: { label: 'BDC (holdover marks)' },
+    mildot: { label: 'Mil-Dot', dotSpacing: 1, dots: 5 },
+};
+
+/**
+ * Reticle a scope has when none is picked.
+ * @type {string}
+ */
+export const DEFAULT_RETICLE = 'duplex';
@@ -0,0 +1,128 @@
+// --- WEAPONS ---
+// The weapon carried on this hunt: how many shots are loaded, when the next one is ready,
+// reloading, and the sight drawn in the scope overlay. The catalog is in weapon-config.js.
+import { gameContext } from './context.js';
+import { WEAPONS, DEFAULT_WEAPON } from './weapon-config.js';
+import { getDropAt } from './ballistics.js';
+import { showMessage } from './ui.js';
+
+const YARDS_TO_METERS = 0.9144;
+
+class WeaponManager {
+    constructor() {
+        this.loaded = 0;
+        this.readyAt = 0;            // Elapsed time the next shot is chambered
+        this.reloadDoneAt = null;    // Elapsed time a reload in progress finishes
+        this.load = null;            // Projectile fired, re-zeroed if the scope was sighted in elsewhere
+    }
+
+    /**
+     * @returns {import('./weapon-config.js').Weapon} The weapon picked for this hunt
+     */
+    getWeapon() {
+        return WEAPONS[gameContext.weapon] || WEAPONS[DEFAULT_WEAPON];
+    }
+
+    /**
+     * @returns {import('./ballistics.js').ProjectileLoad} What the weapon fires, zeroed where its sight is set
+     */
+    getLoad() {
+        return this.load || this.getWeapon().load;
+    }
+
+    /**
+     * Starts the hunt fully loaded and builds the weapon's sight in the scope overlay.
+     */
+    init() {
+        const weapon = this.getWeapon();
+        this.loaded = weapon.capacity;
+        this.readyAt = 0;
+        this.reloadDoneAt = null;
+
+        // A scope can be sighted in at a different distance than the weapon's usual zero.
+        // The copy gets its own cached zero angle in ballistics.js.
+        const zeroYards = weapon.sight.scoped ? gameContext.scopeZero : null;
+        this.load = zeroYards ? { ...weapon.load, zeroRange: zeroYards * YARDS_TO_METERS } : weapon.load;
+
+        this.buildSight();
+        const zeroLabel = Math.round(this.load.zeroRange / YARDS_TO_METERS);
+        console.log(`🎯 Carrying ${weapon.label} (${weapon.load.label}), zeroed at ${zeroLabel} yards`);
+    }
+
+    /**
+     * Finishes a reload whose time is up. Called every frame; fire() and reload() also check.
+     */
+    updateReload() {
+        if (this.reloadDoneAt === null || gameContext.clock.getElapsed() < this.reloadDoneAt) return;
+
+        this.reloadDoneAt = null;
+        this.loaded = this.getWeapon().capacity;
+        showMessage(`${this.getWeapon().label} loaded`, 1500);
+    }
+
+    /**
+     * Starts loading back up to capacity. Nothing can be fired until it finishes.
+     */
+    reload() {
+        this.updateReload();
+        const weapon = this.getWeapon();
+        if (this.reloadDoneAt !== null || this.loaded >= weapon.capacity) return;
+
+        this.reloadDoneAt = gameContext.clock.getElapsed() + weapon.reloadTime;
+        showMessage(`Reloading... (${weapon.reloadTime} s)`, 1500);
+    }
+
+    /**
+     * Uses up a loaded shot if one is ready, starting a reload once the last is gone.
+     * @returns {boolean} False if the weapon is empty, reloading or still cycling
+     */
+    fire() {
+        this.updateReload();
+        const now = gameContext.clock.getElapsed();
+        if (this.reloadDoneAt !== null) {
+            showMessage('Still reloading', 1000);
+            return false;
+        }
+        if (this.loaded <= 0) {
+            this.reload();
+            return false;
+        }
+        if (now < this.readyAt) return false;
+
+        const weapon = this.getWeapon();
+        this.loaded--;
+        this.readyAt = now + weapon.cycleTime;
+        if (this.loaded === 0) this.reload();
+        return true;
+    }
+
+    /**
+     * Sets up the scope overlay for the weapon: a ringed tube for scopes (scope.js draws the
+     * reticle), a bead for a slug gun, or one pin per yardage for a bow, each placed where
+     * that yardage's arrow lands.
+     */
+    buildSight() {
+        const overlay = gameContext.scopeOverlayElement;
+        if (!overlay) return;
+
+        const sight = this.getWeapon().sight;
+        overlay.classList.toggle('open-sight', !sight.scoped);
+        overlay.dataset.reticle = sight.scoped ? 'scope' : sight.reticle;
+        overlay.querySelectorAll('.sight-pin').forEach(pin => pin.remove());
+        if (sight.reticle !== 'pins') return;
+
+        const load = this.getLoad();
+        const halfFov = (sight.fov / 2) * Math.PI / 180;
+        for (const yards of sight.pins) {
+            const distance = yards * YARDS_TO_METERS;
+            const angle = Math.atan2(getDropAt(load, distance), distance);
+            const pin = document.createElement('div');
+            pin.className = 'sight-pin';
+            pin.style.top = `${50 + 50 * Math.tan(angle) / Math.tan(halfFov)}%`;
+            pin.textContent = yards;
+            overlay.appendChild(pin);
+        }
+    }
+}
+
+export const weapons = new WeaponManager();
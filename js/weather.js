@@ -0,0 +1,402 @@
+// --- WEATHER SYSTEM ---
+// Weather fronts move through over the day: clear skies, overcast, rain, heavy fog and
+// thunderstorms. The blended state drives fog, light, rain particles and ambient audio,
+// and feeds gameplay: rain washes out blood and covers the hunter's noise, storms keep deer still.
+import * as THREE from 'three';
+import { gameContext } from './context.js';
+import {
+    WEATHER_FRONT_DURATION_HOURS,
+    WEATHER_TRANSITION_HOURS,
+    LIGHTNING_INTERVAL_S,
+    AFTERNOON_START_HOUR
+} from './constants.js';
+import { getWorldRandom } from './random.js';
+import { updateWeatherAudio, playThunderSound } from './audio.js';
+import { logEvent } from './report-logger.js';
+
+/**
+ * @typedef {object} WeatherState
+ * @property {string} label - Name shown in the HUD and report
+ * @property {number} fogMultiplier - Multiplier on the time-of-day fog density
+ * @property {number} sunLight - Multiplier on direct sunlight
+ * @property {number} ambientLight - Multiplier on ambient light
+ * @property {number} overcast - 0 (blue sky) to 1 (fully gray sky)
+ * @property {number} rain - Rain intensity, 0 (dry) to 1 (downpour)
+ * @property {number} lightning - 0 (none) to 1 (strikes at the full storm rate)
+ * @property {number} noiseRangeMultiplier - Multiplier on how far deer hear the hunter
+ * @property {number} bloodWashout - Extra seconds of blood fading per real second
+ * @property {number} deerActivity - 1 is normal movement; lower values stretch out idle pauses
+ * @property {Object<string, number>} next - Relative weights of the front that follows
+ */
+
+/** @type {Object<string, WeatherState>} */
+export const WEATHER_STATES = {
+    clear: {
+        label: 'Clear',
+        fogMultiplier: 1,
+        sunLight: 1,
+        ambientLight: 1,
+        overcast: 0,
+        rain: 0,
+        lightning: 0,
+        noiseRangeMultiplier: 1,
+        bloodWashout: 0,
+        deerActivity: 1,
+        next: { clear: 4, overcast: 3, fog: 1 }
+    },
+    overcast: {
+        label: 'Overcast',
+        fogMultiplier: 1.6,
+        sunLight: 0.45,
+        ambientLight: 0.85,
+        overcast: 0.7,
+        rain: 0,
+        lightning: 0,
+        noiseRangeMultiplier: 1,
+        bloodWashout: 0,
+        deerActivity: 1,
+        next: { clear: 3, overcast: 2, rain: 3, fog: 1, thunderstorm: 1 }
+    },
+    rain: {
+        label: 'Rain',
+        fogMultiplier: 3,
+        sunLight: 0.3,
+        ambientLight: 0.7,
+        overcast: 0.85,
+        rain: 0.55,
+        lightning: 0,
+        noiseRangeMultiplier: 0.6,
+        bloodWashout: 8, // A blood trail lasts about 10 real minutes
+        deerActivity: 0.75,
+        next: { overcast: 4, rain: 2, thunderstorm: 2, fog: 1 }
+    },
+    fog: {
+        label: 'Heavy Fog',
+        fogMultiplier: 8,
+        sunLight: 0.4,
+        ambientLight: 0.9,
+        overcast: 0.8,
+        rain: 0,
+        lightning: 0,
+        noiseRangeMultiplier: 1,
+        bloodWashout: 0,
+        deerActivity: 1,
+        next: { clear: 3, overcast: 3, rain: 1 }
+    },
+    thunderstorm: {
+        label: 'Thunderstorm',
+        fogMultiplier: 4,
+        sunLight: 0.15,
+        ambientLight: 0.5,
+        overcast: 1,
+        rain: 1,
+        lightning: 1,
+        noiseRangeMultiplier: 0.4,
+        bloodWashout: 16,
+        deerActivity: 0.25, // Deer hold tight in heavy cover until it passes
+        next: { rain: 4, overcast: 3 }
+    }
+};
+
+// Weights for the first front of each day
+const MORNING_WEATHER_WEIGHTS = { clear: 5, overcast: 3, rain: 1, fog: 2, thunderstorm: 0.5 };
+
+// Fog banks form in the cool morning and burn off through the afternoon
+const MORNING_FOG_WEIGHT_MULTIPLIER = 2;
+const AFTERNOON_FOG_WEIGHT_MULTIPLIER = 0.25;
+
+// Numeric WeatherState fields blended between the current and incoming front
+const BLENDED_FIELDS = [
+    'fogMultiplier', 'sunLight', 'ambientLight', 'overcast', 'rain',
+    'lightning', 'noiseRangeMultiplier', 'bloodWashout', 'deerActivity'
+];
+
+// Rain streaks, drawn in a column around the hunter
+const RAIN_DROP_COUNT = 3000;
+const RAIN_AREA_RADIUS = 30;
+const RAIN_TOP = 25;
+const RAIN_BOTTOM = -5;
+const RAIN_FALL_SPEED = 18; // units/s
+const RAIN_STREAK_LENGTH = 0.04; // seconds of travel drawn per streak
+const RAIN_WIND_DRIFT = 0.3; // units/s of sideways drift per mph of wind
+const RAIN_COLOR = 0xaab4c0;
+
+// Lightning
+const LIGHTNING_FLASH_DECAY = 4; // Flash strength lost per second
+const LIGHTNING_DISTANCE_RANGE = { min: 300, max: 3000 };
+const SPEED_OF_SOUND = 343; // units/s
+
+// Throttle HUD updates - weather changes slowly
+let weatherDisplayAccumulator = 0;
+const WEATHER_DISPLAY_UPDATE_INTERVAL = 1.0;
+
+// Used to detect a new day (midnight rollover or "Jump to Next Day")
+let lastGameTime = null;
+
+// Seeded stream so the same world seed gets the same weather pattern
+let random = Math.random;
+
+let lightningTimer = 0;
+let rainMesh = null;
+let rainVelocities = null;
+
+/**
+ * Initializes the weather for a new hunt and adds the rain particles to the scene.
+ * Must be called after gameTime is set for the hunt and after the world seed is set.
+ */
+export function initWeather() {
+    random = getWorldRandom('weather');
+    const state = rollWeather(MORNING_WEATHER_WEIGHTS);
+    gameContext.weather = {
+        state,              // Key of WEATHER_STATES for the current front
+        nextState: null,    // Key of the front moving in, null while the weather holds
+        transition: 0,      // 0-1 progress toward nextState
+        hoursLeft: rollFrontDuration(),
+        flash: 0            // Lightning flash strength, 0-1
+    };
+    applyBlend(gameContext.weather);
+
+    lastGameTime = gameContext.gameTime;
+    lightningTimer = rollLightningInterval();
+    weatherDisplayAccumulator = WEATHER_DISPLAY_UPDATE_INTERVAL; // Show immediately
+
+    createRain();
+    console.log(`🌦️ Weather: ${WEATHER_STATES[state].label}`);
+}
+
+function rollWeather(weights) {
+    const morning = gameContext.gameTime < AFTERNOON_START_HOUR;
+    let total = 0;
+    const entries = Object.entries(weights).map(([key, weight]) => {
+        if (key === 'fog') {
+            weight *= morning ? MORNING_FOG_WEIGHT_MULTIPLIER : AFTERNOON_FOG_WEIGHT_MULTIPLIER;
+        }
+        total += weight;
+        return [key, weight];
+    });
+    let roll = random() * total;
+    for (const [key, weight] of entries) {
+        roll -= weight;
+        if (roll <= 0) return key;
+    }
+    return entries[entries.length - 1][0];
+}
+
+function rollFrontDuration() {
+    const { min, max } = WEATHER_FRONT_DURATION_HOURS;
+    return min + random() * (max - min);
+}
+
+function rollLightningInterval() {
+    const { min, max } = LIGHTNING_INTERVAL_S;
+    return min + random() * (max - min);
+}
+
+/**
+ * Writes the blend of the current and incoming fronts onto the weather object.
+ */
+function applyBlend(weather) {
+    const from = WEATHER_STATES[weather.state];
+    const to = WEATHER_STATES[weather.nextState] || from;
+    // Smoothstep so fronts ease in and out rather than ramping linearly
+    const t = weather.transition * weather.transition * (3 - 2 * weather.transition);
+    for (const field of BLENDED_FIELDS) {
+        weather[field] = from[field] + (to[field] - from[field]) * t;
+    }
+}
+
+/**
+ * Advances the weather. Each front holds for a few game hours, then the next one
+ * blends in over WEATHER_TRANSITION_HOURS.
+ * @param {number} delta - Time since last frame in seconds
+ */
+export function updateWeather(delta) {
+    const weather = gameContext.weather;
+    if (!weather) return;
+
+    const gameTime = gameContext.gameTime;
+    let elapsedHours = gameTime - lastGameTime;
+
+    // Time jumped backward - a new day has started with fresh morning weather
+    if (elapsedHours < -1) {
+        weather.state = rollWeather(MORNING_WEATHER_WEIGHTS);
+        weather.nextState = null;
+        weather.transition = 0;
+        weather.hoursLeft = rollFrontDuration();
+        elapsedHours = 0;
+    }
+    lastGameTime = gameTime;
+    elapsedHours = Math.max(0, elapsedHours);
+
+    if (weather.nextState) {
+        weather.transition += elapsedHours / WEATHER_TRANSITION_HOURS;
+        if (weather.transition >= 1) {
+            weather.state = weather.nextState;
+            weather.nextState = null;
+            weather.transition = 0;
+            weather.hoursLeft = rollFrontDuration();
+        }
+    } else {
+        weather.hoursLeft -= elapsedHours;
+        if (weather.hoursLeft <= 0) {
+            const nextState = rollWeather(WEATHER_STATES[weather.state].next);
+            if (nextState === weather.state) {
+                weather.hoursLeft = rollFrontDuration();
+            } else {
+                weather.nextState = nextState;
+                logEvent("Weather Change", `${WEATHER_STATES[nextState].label} moving in`);
+            }
+        }
+    }
+    applyBlend(weather);
+
+    updateLightning(weather, delta);
+    updateRain(weather, delta);
+    updateWeatherAudio(weather.rain);
+    updateWeatherDisplay(delta);
+}
+
+/**
+ * Strikes lightning at random intervals while a storm is overhead. The flash is
+ * read by the lighting update; thunder follows after the sound's travel time.
+ */
+function updateLightning(weather, delta) {
+    weather.flash = Math.max(0, weather.flash - delta * LIGHTNING_FLASH_DECAY);
+    if (weather.lightning <= 0) return;
+
+    // Strikes come less often while the storm is still building or passing
+    lightningTimer -= delta * weather.lightning;
+    if (lightningTimer > 0) return;
+    lightningTimer = rollLightningInterval();
+
+    const { min, max } = LIGHTNING_DISTANCE_RANGE;
+    const distance = min + random() * (max - min);
+    const closeness = 1 - (distance - min) / (max - min);
+    weather.flash = 0.4 + closeness * 0.6;
+    playThunderSound(distance / SPEED_OF_SOUND, closeness);
+}
+
+function createRain() {
+    if (rainMesh) {
+        if (rainMesh.parent) rainMesh.parent.remove(rainMesh);
+        rainMesh.geometry.dispose();
+        rainMesh.material.dispose();
+    }
+
+    // Two vertices per drop: the head, then the tail trailing back along its velocity
+    const positions = new Float32Array(RAIN_DROP_COUNT * 6);
+    rainVelocities = new Float32Array(RAIN_DROP_COUNT);
+    for (let i = 0; i < RAIN_DROP_COUNT; i++) {
+        resetRainDrop(positions, i, RAIN_BOTTOM + Math.random() * (RAIN_TOP - RAIN_BOTTOM));
+        rainVelocities[i] = RAIN_FALL_SPEED * (0.8 + Math.random() * 0.4);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    const material = new THREE.LineBasicMaterial({
+        color: RAIN_COLOR,
+        transparent: true,
+        opacity: 0.35,
+        depthWrite: false
+    });
+    rainMesh = new THREE.LineSegments(geometry, material);
+    rainMesh.frustumCulled = false; // Vertices move every frame around the hunter
+    rainMesh.visible = false;
+    gameContext.scene.add(rainMesh);
+}
+
+function resetRainDrop(positions, index, y) {
+    const angle = Math.random() * Math.PI * 2;
+    const radius = Math.sqrt(Math.random()) * RAIN_AREA_RADIUS;
+    const base = index * 6;
+    positions[base] = positions[base + 3] = Math.cos(angle) * radius;
+    positions[base + 1] = positions[base + 4] = y;
+    positions[base + 2] = positions[base + 5] = Math.sin(angle) * radius;
+}
+
+/**
+ * Moves the rain streaks that are in use and keeps the column centered on the hunter.
+ */
+function updateRain(weather, delta) {
+    if (!rainMesh) return;
+    const activeDrops = Math.floor(RAIN_DROP_COUNT * weather.rain);
+    rainMesh.visible = activeDrops > 0;
+    if (!rainMesh.visible || !gameContext.player) return;
+
+    rainMesh.position.copy(gameContext.player.position);
+
+    // Rain slants with the wind
+    const wind = gameContext.wind;
+    const driftX = wind ? wind.downwindX * wind.speed * RAIN_WIND_DRIFT : 0;
+    const driftZ = wind ? wind.downwindZ * wind.speed * RAIN_WIND_DRIFT : 0;
+
+    const attribute = rainMesh.geometry.attributes.position;
+    const positions = attribute.array;
+    for (let i = 0; i < activeDrops; i++) {
+        const base = i * 6;
+        const fall = rainVelocities[i];
+        let y = positions[base + 1] - fall * delta;
+        if (y < RAIN_BOTTOM) {
+            resetRainDrop(positions, i, RAIN_TOP);
+            y = RAIN_TOP;
+        } else {
+            positions[base] += driftX * delta;
+            positions[base + 2] += driftZ * delta;
+        }
+        positions[base + 1] = y;
+        positions[base + 3] = positions[base] - driftX * RAIN_STREAK_LENGTH;
+        positions[base + 4] = y + fall * RAIN_STREAK_LENGTH;
+        positions[base + 5] = positions[base + 2] - driftZ * RAIN_STREAK_LENGTH;
+    }
+    rainMesh.geometry.setDrawRange(0, activeDrops * 2);
+    attribute.needsUpdate = true;
+}
+
+/**
+ * Gets the label of the weather the hunter is seeing (the incoming front once it's
+ * more than halfway in).
+ * @returns {string} Weather label (e.g. 'Rain')
+ */
+export function getWeatherLabel() {
+    const weather = gameContext.weather;
+    if (!weather) return '--';
+    const key = weather.nextState && weather.transition >= 0.5 ? weather.nextState : weather.state;
+    return WEATHER_STATES[key].label;
+}
+
+/**
+ * Gets the multiplier on how far deer can hear the hunter. Rain on the leaves covers footsteps.
+ * @returns {number} 1 in dry weather, lower in rain
+ */
+export function getNoiseRangeMultiplier() {
+    return gameContext.weather ? gameContext.weather.noiseRangeMultiplier : 1;
+}
+
+/**
+ * Gets how many extra seconds of fading blood drops take on per real second of rain.
+ * @returns {number} 0 in dry weather
+ */
+export function getBloodWashoutRate() {
+    return gameContext.weather ? gameContext.weather.bloodWashout : 0;
+}
+
+/**
+ * Gets how active deer are in the current weather.
+ * @returns {number} 1 normally, lower in storms
+ */
+export function getDeerActivity() {
+    return gameContext.weather ? gameContext.weather.deerActivity : 1;
+}
+
+/**
+ * Updates the weather readout in the HUD
+ */
+function updateWeatherDisplay(delta) {
+    weatherDisplayAccumulator += delta;
+    if (weatherDisplayAccumulator < WEATHER_DISPLAY_UPDATE_INTERVAL) return;
+    weatherDisplayAccumulator = 0;
+
+    if (gameContext.weatherValueElement) {
+        gameContext.weatherValueElement.textContent = getWeatherLabel();
+    }
+}
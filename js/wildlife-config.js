@@ -0,0 +1,201 @@
+// --- WILDLIFE CONFIGURATION ---
+// Turkeys, squirrels, crows and coyotes. Each is built procedurally on Animal (boxes and
+// cylinders, like the deer's fallback model) and runs its own lightweight AI in wildlife.js.
+// Model sizes are meters; forward is +z.
+
+// Shared by every species; each species below is merged over it
+export const critterConfig = {
+    worldBoundaryMargin: 30,
+    wanderRadius: { min: 8, max: 25 },
+    idleDuration: { min: 3, max: 10 },  // Seconds standing or feeding before moving on
+    turnRate: 4,                        // Radians per second
+    climbRate: 3,                       // Meters per second taking off, landing or going up a trunk
+    groupSize: { min: 1, max: 1 },
+    groupSpread: 6,                     // Group members spawn within this distance of each other
+    // How close the hunter can get before an animal bolts. A motionless hunter gets much
+    // closer than a walking one, and a running one is spotted farthest off.
+    flush: {
+        stillFactor: 0.3,
+        walkingSpeed: 1.5,
+        maxMotionFactor: 1.6,
+    },
+    alarm: null,                        // Call given when flushed; see turkey for the fields
+};
+
+export const wildlifeSpecies = {
+    turkey: {
+        label: 'Turkey',
+        icon: '🦃',
+        bodyColor: 0x3B2A20,
+        bodySize: { x: 0.4, y: 0.4, z: 0.7 },
+        heightOffset: 0.65,
+        legs: {
+            radiusTop: 0.025,
+            radiusBottom: 0.02,
+            height: 0.45,
+            segments: 6,
+            yOffset: -0.425,
+            positions: [{ x: 0.1, z: 0 }, { x: -0.1, z: 0 }],
+        },
+        neck: {
+            radiusTop: 0.035,
+            radiusBottom: 0.05,
+            height: 0.35,
+            segments: 6,
+            positionYOffset: 0.175,
+            groupOffset: { x: 0, y: 0.15, z: 0.32 },
+            rotationZ: 0,
+        },
+        head: { size: { x: 0.08, y: 0.1, z: 0.14 }, positionYOffset: 0.38 },
+        tail: { size: { x: 0.6, y: 0.4, z: 0.04 }, offset: { x: 0, y: 0.2, z: -0.38 } }, // Fan
+        groupSize: { min: 4, max: 7 },
+        groupSpread: 10,
+        flushDistance: 45,               // Sharp-eyed - they pick out movement a long way off
+        escape: 'run',                   // Most run off; some take wing
+        flyChance: 0.3,
+        flyHeight: 6,
+        fleeDistance: { min: 60, max: 110 },
+        speeds: { walk: 0.8, flee: 6, fly: 12 },
+        alarm: {
+            sound: 'turkeyPutt',
+            range: 120,                  // Deer within this range hear it
+            strength: 0.35,              // Suspicion each call adds to a deer that hears it
+            calls: 2,
+            interval: { min: 0.4, max: 0.8 },
+        },
+    },
+    squirrel: {
+        label: 'Squirrel',
+        icon: '🐿️',
+        bodyColor: 0x7A7470,
+        bodySize: { x: 0.12, y: 0.12, z: 0.24 },
+        heightOffset: 0.12,
+        legs: {
+            radiusTop: 0.015,
+            radiusBottom: 0.012,
+            height: 0.06,
+            segments: 5,
+            yOffset: -0.09,
+            positions: [{ x: 0.05, z: 0.08 }, { x: -0.05, z: 0.08 }, { x: 0.05, z: -0.08 }, { x: -0.05, z: -0.08 }],
+        },
+        neck: {
+            radiusTop: 0.03,
+            radiusBottom: 0.035,
+            height: 0.05,
+            segments: 5,
+            positionYOffset: 0.025,
+            groupOffset: { x: 0, y: 0.03, z: 0.12 },
+            rotationZ: 0,
+        },
+        head: { size: { x: 0.08, y: 0.08, z: 0.09 }, positionYOffset: 0.07 },
+        tail: { size: { x: 0.1, y: 0.22, z: 0.06 }, offset: { x: 0, y: 0.12, z: -0.14 } },
+        wanderRadius: { min: 3, max: 12 },
+        ignoresObstacles: true,          // Small enough to run between trunks and up them; only water stops it
+        flushDistance: 15,
+        escape: 'tree',                  // Runs for the nearest trunk and scolds from it
+        treeSearchRadius: 40,
+        treeSpecies: ['hardwood', 'conifer'], // Trunks it will climb - not boulders, cacti or logs
+        perchHeight: 3,
+        perchTime: 25,                   // Seconds up the tree before coming back down
+        fleeDistance: { min: 15, max: 30 },
+        speeds: { walk: 1.2, flee: 5 },
+        alarm: {
+            sound: 'squirrelChatter',
+            range: 60,
+            strength: 0.12,
+            calls: 5,
+            interval: { min: 1.5, max: 3 },
+        },
+    },
+    crow: {
+        label: 'Crow',
+        icon: '🐦',
+        bodyColor: 0x111111,
+        bodySize: { x: 0.16, y: 0.16, z: 0.32 },
+        heightOffset: 0.15,
+        legs: {
+            radiusTop: 0.01,
+            radiusBottom: 0.01,
+            height: 0.07,
+            segments: 4,
+            yOffset: -0.115,
+            positions: [{ x: 0.04, z: 0 }, { x: -0.04, z: 0 }],
+        },
+        neck: {
+            radiusTop: 0.04,
+            radiusBottom: 0.05,
+            height: 0.05,
+            segments: 5,
+            positionYOffset: 0.025,
+            groupOffset: { x: 0, y: 0.04, z: 0.15 },
+            rotationZ: 0,
+        },
+        head: { size: { x: 0.09, y: 0.09, z: 0.12 }, positionYOffset: 0.06 },
+        tail: { size: { x: 0.1, y: 0.02, z: 0.14 }, offset: { x: 0, y: 0.02, z: -0.22 } },
+        groupSize: { min: 2, max: 4 },
+        groupSpread: 8,
+        wanderRadius: { min: 40, max: 120 }, // They get about by air
+        travelsByAir: true,
+        flushDistance: 35,
+        escape: 'fly',
+        flyHeight: 14,
+        fleeDistance: { min: 80, max: 150 },
+        speeds: { walk: 0.6, flee: 10, fly: 10 },
+        alarm: {
+            sound: 'crowCaw',
+            range: 200,
+            strength: 0.2,
+            calls: 3,
+            interval: { min: 0.8, max: 1.5 },
+        },
+    },
+    coyote: {
+        label: 'Coyote',
+        icon: '🐺',
+        bodyColor: 0x8B7D6B,
+        bodySize: { x: 0.35, y: 0.4, z: 0.9 },
+        heightOffset: 0.65,
+        legs: {
+            radiusTop: 0.04,
+            radiusBottom: 0.03,
+            height: 0.45,
+            segments: 6,
+            yOffset: -0.425,
+            positions: [{ x: 0.12, z: 0.32 }, { x: -0.12, z: 0.32 }, { x: 0.12, z: -0.32 }, { x: -0.12, z: -0.32 }],
+        },
+        neck: {
+            radiusTop: 0.1,
+            radiusBottom: 0.12,
+            height: 0.3,
+            segments: 6,
+            positionYOffset: 0.15,
+            groupOffset: { x: 0, y: 0.1, z: 0.45 },
+            rotationZ: 0,
+        },
+        head: { size: { x: 0.2, y: 0.2, z: 0.32 }, positionYOffset: 0.32 },
+        tail: { size: { x: 0.1, y: 0.1, z: 0.4 }, offset: { x: 0, y: 0.05, z: -0.6 } },
+        groupSize: { min: 1, max: 2 },
+        wanderRadius: { min: 30, max: 90 },
+        flushDistance: 70,               // The wariest thing in the woods
+        escape: 'run',
+        fleeDistance: { min: 120, max: 200 },
+        speeds: { walk: 1.6, trot: 3.5, flee: 9 },
+        howlRate: 0.4,                   // Howls per minute after dark
+        // Coyotes work blood trails and home in on wounded or downed deer nobody has recovered
+        scavenger: {
+            bloodScentRange: 90,         // Picks up a blood trail from this far
+            carcassScentRange: 250,      // Winds a wounded or dead deer from this far
+            senseInterval: 1,            // Seconds between sniffs
+            bumpDistance: 8,             // Gets this close to a bedded wounded deer and pushes it out
+            restAfterBump: 60,           // Seconds before it takes up the chase again
+        },
+    },
+};
+
+// Groups of each species in a world, unless the world config has a `wildlife` section
+export const wildlifePopulation = {
+    turkey: 2,
+    squirrel: 10,
+    crow: 1,
+    coyote: 1,
+};
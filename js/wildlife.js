@@ -0,0 +1,594 @@
+// --- WILDLIFE ---
+// Turkeys, squirrels, crows and coyotes sharing the woods with the herd. Each runs a small
+// state machine of its own - mill about, flush when the hunter blunders into it, sound off
+// in ways the deer hear - and coyotes work blood trails toward wounded or downed deer.
+import * as THREE from 'three';
+import { gameContext } from './context.js';
+import { Animal } from './animal.js';
+import { critterConfig, wildlifeSpecies, wildlifePopulation } from './wildlife-config.js';
+import { getPlayerSpeed } from './player.js';
+import { isNight } from './environment-manager.js';
+import { triggerWildlifeSound } from './spatial-audio.js';
+import { getWorldRandom } from './random.js';
+import { getHeardLoudness } from './noise.js';
+
+const SPECIES_ORDER = ['turkey', 'squirrel', 'crow', 'coyote'];
+const ARRIVE_DISTANCE = 1.5;        // Close enough to a target to count as there
+const LANDING_DISTANCE = 15;        // Fliers start coming down this far from where they're headed
+const DETOUR_ANGLES = [0, 0.6, -0.6, 1.2, -1.2]; // Headings tried, in radians off the direct line, when the way is blocked
+const TRUNK_RADIUS = 0.5;           // How far from a tree's center a squirrel clings to the bark
+const PLAYER_SPAWN_CLEARANCE = 60;  // Nothing spawns close enough to flush on the first frame
+const SPAWN_ATTEMPTS = 30;
+const NOISE_FLUSH_LOUDNESS = 0.5;  // A gunshot or other loud noise at least this loud flushes anything that hears it
+
+// Reusable vector for movement
+const _toTarget = new THREE.Vector3();
+
+/**
+ * One animal of a non-game species, built procedurally from its species config.
+ */
+export class Critter extends Animal {
+    /**
+     * @param {'turkey'|'squirrel'|'crow'|'coyote'} species
+     */
+    constructor(species) {
+        super({ ...critterConfig, ...wildlifeSpecies[species], name: species });
+        this.species = species;
+        this.group = [this];               // Flock, pack or just itself; set by the manager
+        this.target = new THREE.Vector3();
+        this.idleDuration = 0;
+        this.flying = false;
+        this.altitude = 0;                 // Height above the ground while flying or up a tree
+        this.perchTree = null;             // Trunk a flushed squirrel is making for
+        this.alarmCallsLeft = 0;
+        this.alarmTimer = 0;
+        // Coyotes only
+        this.quarry = null;                // Wounded or downed deer being followed
+        this.visitedDrop = null;           // Newest blood drop already visited
+        this.targetDrop = null;            // Blood drop currently headed for
+        this.senseTimer = 0;
+        this.restTimer = 0;
+    }
+
+    createBody() {
+        super.createBody();
+
+        const tail = this.config.tail;
+        if (!tail) return;
+        const tailMesh = new THREE.Mesh(
+            new THREE.BoxGeometry(tail.size.x, tail.size.y, tail.size.z),
+            new THREE.MeshLambertMaterial({ color: this.config.bodyColor })
+        );
+        tailMesh.castShadow = true;
+        tailMesh.position.set(tail.offset.x, tail.offset.y, tail.offset.z);
+        this.model.add(tailMesh);
+    }
+
+    spawn(position, rotationY) {
+        super.spawn(position, rotationY);
+        this.flying = false;
+        this.altitude = 0;
+        this.perchTree = null;
+        this.alarmCallsLeft = 0;
+        this.quarry = null;
+        this.visitedDrop = null;
+        this.targetDrop = null;
+        this.restTimer = 0;
+        this.idleDuration = randomBetween(this.config.idleDuration);
+        this.updateHeight(0);
+    }
+
+    setState(newState) {
+        super.setState(newState);
+        if (newState === 'IDLE') {
+            this.idleDuration = randomBetween(this.config.idleDuration);
+            this.flying = false;
+        }
+    }
+
+    update(delta) {
+        super.update(delta);
+
+        if (this.canFlush() && this.isHunterTooClose()) {
+            this.flush(true);
+        }
+
+        switch (this.state) {
+            case 'IDLE':
+                if (this.isCoyote() && this.sniffForDeer(delta)) break;
+                if (this.stateTimer > this.idleDuration) {
+                    this.pickWanderTarget();
+                    this.setState('WANDERING');
+                    this.flying = !!this.config.travelsByAir;
+                }
+                break;
+
+            case 'WANDERING': {
+                if (this.isCoyote() && this.sniffForDeer(delta)) break;
+                const remaining = this.moveTowards(this.target, this.flying ? this.config.speeds.fly : this.config.speeds.walk, delta);
+                if (remaining <= 0) this.setState('IDLE');
+                break;
+            }
+
+            case 'FLUSHED':
+                this.updateFlushed(delta);
+                break;
+
+            case 'PERCHED':
+                // Up the trunk scolding until the coast is clear
+                if (this.stateTimer > this.config.perchTime) {
+                    this.perchTree = null;
+                    this.setState('IDLE');
+                }
+                break;
+
+            case 'TRACKING':
+                this.updateTracking(delta);
+                break;
+
+            case 'FEEDING':
+                if (!this.quarry || this.quarry.tagged || this.quarry.state !== 'KILLED') {
+                    this.quarry = null;
+                    this.setState('IDLE');
+                }
+                break;
+        }
+
+        if (this.isCoyote() && (this.state === 'IDLE' || this.state === 'WANDERING') && isNight()
+            && Math.random() < this.config.howlRate / 60 * delta) {
+            triggerWildlifeSound(this, 'coyoteHowl');
+        }
+
+        this.updateAlarm(delta);
+        this.updateHeight(delta);
+    }
+
+    isCoyote() {
+        return !!this.config.scavenger;
+    }
+
+    /**
+     * @returns {boolean} True if the animal is on the ground or feeding and could still be flushed
+     */
+    canFlush() {
+        return this.state !== 'FLUSHED' && this.state !== 'PERCHED' && !this.flying;
+    }
+
+    /**
+     * The hunter is inside this animal's flush distance, which stretches with how fast
+     * they are moving - the same motion scaling the deer use for sight.
+     * @returns {boolean}
+     */
+    isHunterTooClose() {
+        if (!gameContext.player) return false;
+
+        const flush = this.config.flush;
+        const motion = Math.min(flush.maxMotionFactor,
+            flush.stillFactor + (1 - flush.stillFactor) * getPlayerSpeed() / flush.walkingSpeed);
+        const range = this.config.flushDistance * motion;
+        return horizontalDistanceSq(this.model.position, gameContext.player.position) < range * range;
+    }
+
+    /**
+     * Bolts away from the hunter: squirrels make for a tree, birds may take wing, and the
+     * rest run. The first of a group to go gives the alarm and takes the others with it.
+     * @param {boolean} leading - This animal spotted the hunter itself
+     */
+    flush(leading) {
+        const position = this.model.position;
+        const hunter = gameContext.player.position;
+
+        this.quarry = null;
+        this.flying = this.config.escape === 'fly' || Math.random() < (this.config.flyChance || 0);
+        this.perchTree = this.config.escape === 'tree' ? this.findPerchTree() : null;
+
+        if (this.perchTree) {
+            // Make for the near side of the trunk
+            _toTarget.subVectors(position, this.perchTree.position).setY(0).normalize();
+            this.target.copy(this.perchTree.position).addScaledVector(_toTarget, TRUNK_RADIUS);
+        } else {
+            const heading = Math.atan2(position.x - hunter.x, position.z - hunter.z) + (Math.random() - 0.5) * Math.PI / 2;
+            const distance = randomBetween(this.config.fleeDistance);
+            this.setTargetWithinBounds(position.x + Math.sin(heading) * distance, position.z + Math.cos(heading) * distance);
+        }
+
+        this.setState('FLUSHED');
+        if (this.flying) triggerWildlifeSound(this, 'wingFlush');
+        if (!leading) return;
+
+        console.log(`${this.config.icon} ${this.config.label} flushed`);
+        if (this.config.alarm && !this.perchTree) this.startAlarm();
+        gameContext.wildlife?.onFlush(this);
+    }
+
+    updateFlushed(delta) {
+        const speed = this.flying ? this.config.speeds.fly : this.config.speeds.flee;
+        const remaining = this.moveTowards(this.target, speed, delta);
+
+        if (remaining < 0) {
+            // Cornered against water or a thicket - break off to one side
+            const heading = this.model.rotation.y + (Math.random() < 0.5 ? 1 : -1) * Math.PI / 2;
+            const distance = randomBetween(this.config.fleeDistance) / 2;
+            this.setTargetWithinBounds(this.model.position.x + Math.sin(heading) * distance,
+                this.model.position.z + Math.cos(heading) * distance);
+        } else if (remaining === 0) {
+            if (this.perchTree) {
+                this.setState('PERCHED');
+                if (this.config.alarm) this.startAlarm();
+            } else {
+                this.setState('IDLE');
+            }
+        }
+    }
+
+    /**
+     * @returns {THREE.Object3D|null} The nearest climbable tree within the squirrel's reach
+     */
+    findPerchTree() {
+        if (!gameContext.trees) return null;
+
+        const treeSpecies = this.config.treeSpecies;
+        let nearest = null;
+        let nearestDistSq = this.config.treeSearchRadius * this.config.treeSearchRadius;
+        for (const tree of gameContext.trees.children) {
+            const species = tree.userData.species;
+            if (species && treeSpecies && !treeSpecies.includes(species)) continue;
+
+            const distSq = horizontalDistanceSq(this.model.position, tree.position);
+            if (distSq < nearestDistSq) {
+                nearestDistSq = distSq;
+                nearest = tree;
+            }
+        }
+        return nearest;
+    }
+
+    startAlarm() {
+        this.alarmCallsLeft = this.config.alarm.calls;
+        this.alarmTimer = 0;
+    }
+
+    /**
+     * Gives the remaining alarm calls at the species' interval. Every call is heard by
+     * deer in range, so a long scolding keeps working on them.
+     */
+    updateAlarm(delta) {
+        if (this.alarmCallsLeft <= 0) return;
+
+        this.alarmTimer -= delta;
+        if (this.alarmTimer > 0) return;
+
+        const alarm = this.config.alarm;
+        this.alarmCallsLeft--;
+        this.alarmTimer = randomBetween(alarm.interval);
+        triggerWildlifeSound(this, alarm.sound);
+        gameContext.herd?.onWildlifeAlarm(this.model.position, alarm.strength, alarm.range);
+    }
+
+    pickWanderTarget() {
+        const position = this.model.position;
+        for (let attempt = 0; attempt < 10; attempt++) {
+            const heading = Math.random() * Math.PI * 2;
+            const distance = randomBetween(this.config.wanderRadius);
+            this.setTargetWithinBounds(position.x + Math.sin(heading) * distance, position.z + Math.cos(heading) * distance);
+            if (this.canStandAt(this.target.x, this.target.z)) return;
+        }
+        this.target.copy(position);
+    }
+
+    setTargetWithinBounds(x, z) {
+        const boundary = this.getBoundary();
+        this.target.set(
+            THREE.MathUtils.clamp(x, -boundary, boundary),
+            0,
+            THREE.MathUtils.clamp(z, -boundary, boundary)
+        );
+    }
+
+    getBoundary() {
+        return gameContext.worldSize / 2 - this.config.worldBoundaryMargin;
+    }
+
+    /**
+     * @returns {boolean} True if a ground animal can stand at this point - inside the world,
+     * out of the water and, for the bigger animals, clear of the trunks and steep ground the
+     * deer avoid
+     */
+    canStandAt(x, z) {
+        const boundary = this.getBoundary();
+        if (Math.abs(x) > boundary || Math.abs(z) > boundary) return false;
+
+        const navGrid = gameContext.navGrid;
+        if (navGrid && !this.config.ignoresObstacles) return navGrid.isOpen(x, z);
+        return !(gameContext.isWaterAt && gameContext.isWaterAt(x, z));
+    }
+
+    /**
+     * Moves straight for a target, turning the model to face the way it's going. Ground
+     * animals try a few headings either side of the direct one when it is blocked.
+     * @returns {number} Distance left, 0 on arrival or -1 if every heading is blocked
+     */
+    moveTowards(target, speed, delta) {
+        const position = this.model.position;
+        _toTarget.subVectors(target, position).setY(0);
+        const distance = _toTarget.length();
+        if (distance < ARRIVE_DISTANCE) return 0;
+
+        const direct = Math.atan2(_toTarget.x, _toTarget.z);
+        const step = Math.min(distance, speed * delta);
+        let heading = null;
+        for (const offset of this.flying ? [0] : DETOUR_ANGLES) {
+            const x = position.x + Math.sin(direct + offset) * step;
+            const z = position.z + Math.cos(direct + offset) * step;
+            if (this.flying || this.canStandAt(x, z)) {
+                heading = direct + offset;
+                position.x = x;
+                position.z = z;
+                break;
+            }
+        }
+        if (heading === null) return -1;
+
+        let turn = heading - this.model.rotation.y;
+        turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+        const maxTurn = this.config.turnRate * delta;
+        this.model.rotation.y += THREE.MathUtils.clamp(turn, -maxTurn, maxTurn);
+
+        return Math.max(distance - step, ARRIVE_DISTANCE * 0.5);
+    }
+
+    /**
+     * Puts the animal on the ground, up its tree or at flying height, climbing or
+     * descending at the species' climb rate. Fliers come down as they near their target.
+     */
+    updateHeight(delta) {
+        let targetAltitude = 0;
+        if (this.flying) {
+            const near = horizontalDistanceSq(this.model.position, this.target) < LANDING_DISTANCE * LANDING_DISTANCE;
+            targetAltitude = near ? 0 : this.config.flyHeight;
+        } else if (this.state === 'PERCHED') {
+            targetAltitude = this.config.perchHeight;
+        }
+
+        const climb = this.config.climbRate * delta;
+        this.altitude += THREE.MathUtils.clamp(targetAltitude - this.altitude, -climb, climb);
+
+        const position = this.model.position;
+        position.y = gameContext.getCachedHeightAt(position.x, position.z) + this.config.heightOffset + this.altitude;
+    }
+
+    /**
+     * Coyote: sniffs for a wounded or downed deer, then for a blood trail. A wounded or
+     * dead deer nobody has recovered wins over a trail; on a trail the coyote heads for the
+     * newest drop it can smell, so it works toward the deer rather than back along it.
+     * @returns {boolean} True if the coyote has started tracking something
+     */
+    sniffForDeer(delta) {
+        if (this.restTimer > 0) {
+            this.restTimer -= delta;
+            return false;
+        }
+        this.senseTimer -= delta;
+        if (this.senseTimer > 0) return false;
+        this.senseTimer = this.config.scavenger.senseInterval;
+
+        if (!this.pickScent()) return false;
+        this.setState('TRACKING');
+        console.log(`${this.config.icon} Coyote picked up ${this.quarry ? `the scent of ${this.quarry.label}` : 'a blood trail'}`);
+        return true;
+    }
+
+    /**
+     * Points the coyote at the best scent in range.
+     * @returns {boolean} False if there is nothing to follow
+     */
+    pickScent() {
+        const scavenger = this.config.scavenger;
+        const position = this.model.position;
+
+        this.quarry = null;
+        let nearestDistSq = scavenger.carcassScentRange * scavenger.carcassScentRange;
+        for (const deer of gameContext.herd?.members || []) {
+            if (!deer.isModelLoaded || deer.tagged) continue;
+            if (deer.state !== 'WOUNDED' && deer.state !== 'KILLED') continue;
+            const distSq = horizontalDistanceSq(position, deer.model.position);
+            if (distSq < nearestDistSq) {
+                nearestDistSq = distSq;
+                this.quarry = deer;
+            }
+        }
+        if (this.quarry) {
+            this.target.copy(this.quarry.model.position);
+            return true;
+        }
+
+        const drops = gameContext.bloodDrops || [];
+        // Drops thin out overnight, so find the last one visited by reference; if it washed
+        // out the coyote works the whole trail again
+        const visited = drops.indexOf(this.visitedDrop);
+        const rangeSq = scavenger.bloodScentRange * scavenger.bloodScentRange;
+        for (let i = drops.length - 1; i > visited; i--) {
+            const drop = drops[i];
+            const dx = drop.x - position.x;
+            const dz = drop.z - position.z;
+            if (dx * dx + dz * dz < rangeSq) {
+                this.targetDrop = drop;
+                this.target.set(drop.x, 0, drop.z);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    updateTracking(delta) {
+        const scavenger = this.config.scavenger;
+
+        this.senseTimer -= delta;
+        if (this.senseTimer <= 0) {
+            this.senseTimer = scavenger.senseInterval;
+            if (!this.pickScent()) {
+                this.setState('IDLE');
+                return;
+            }
+        }
+
+        if (this.quarry) {
+            this.target.copy(this.quarry.model.position);
+            const reach = scavenger.bumpDistance;
+            if (horizontalDistanceSq(this.model.position, this.target) < reach * reach) {
+                if (this.quarry.state === 'KILLED') {
+                    console.log(`${this.config.icon} Coyote found ${this.quarry.label} down`);
+                    this.setState('FEEDING');
+                    return;
+                }
+                if (this.quarry.woundState.isBedded) {
+                    console.log(`${this.config.icon} Coyote bumped ${this.quarry.label} out of its bed`);
+                    this.quarry.woundState.bumpFromBed();
+                    this.quarry = null;
+                    this.restTimer = scavenger.restAfterBump;
+                    this.setState('IDLE');
+                    return;
+                }
+            }
+        }
+
+        const remaining = this.moveTowards(this.target, this.config.speeds.trot, delta);
+        if (remaining === 0 && !this.quarry) {
+            this.visitedDrop = this.targetDrop;
+            this.senseTimer = 0; // On to the next drop
+        } else if (remaining < 0) {
+            this.setState('IDLE');
+        }
+    }
+}
+
+/**
+ * Spawns and updates all the wildlife and keeps each flock or pack together when one
+ * member flushes.
+ */
+export class WildlifeManager {
+    constructor() {
+        this.critters = [];
+        this.groups = [];
+        this.spawnRandom = Math.random;
+    }
+
+    /**
+     * Creates the animals for a world. Group counts come from worldConfig.wildlife
+     * (e.g. { turkey: 3, coyote: 0 }) over wildlifePopulation.
+     * @param {object} worldConfig - The world configuration
+     */
+    init(worldConfig) {
+        const population = { ...wildlifePopulation, ...worldConfig?.wildlife };
+
+        this.critters = [];
+        this.groups = [];
+        this.spawnRandom = getWorldRandom('wildlife');
+
+        for (const species of SPECIES_ORDER) {
+            const groupSize = wildlifeSpecies[species].groupSize || critterConfig.groupSize;
+            for (let g = 0; g < (population[species] || 0); g++) {
+                const size = Math.round(randomBetween(groupSize, this.spawnRandom));
+                const group = [];
+                for (let i = 0; i < size; i++) {
+                    const critter = new Critter(species);
+                    critter.group = group;
+                    group.push(critter);
+                    this.critters.push(critter);
+                }
+                this.groups.push(group);
+            }
+        }
+
+        gameContext.wildlife = this;
+    }
+
+    /**
+     * Scatters every group over the world - squirrels at the foot of a tree, the rest
+     * anywhere open - away from the hunter. Call after the navigation grid is baked.
+     */
+    spawnAll() {
+        for (const group of this.groups) {
+            const leader = group[0];
+            const anchor = this.findSpawnPoint(leader);
+            for (const critter of group) {
+                const angle = this.spawnRandom() * Math.PI * 2;
+                const offset = critter === leader ? 0 : this.spawnRandom() * critter.config.groupSpread;
+                const position = new THREE.Vector3(anchor.x + Math.sin(angle) * offset, 0, anchor.z + Math.cos(angle) * offset);
+                if (!critter.canStandAt(position.x, position.z)) position.copy(anchor);
+                critter.spawn(position, this.spawnRandom() * Math.PI * 2);
+            }
+        }
+
+        const counts = SPECIES_ORDER.map(species =>
+            `${this.critters.filter(c => c.species === species).length} ${wildlifeSpecies[species].label.toLowerCase()}s`);
+        console.log(`🌲 Wildlife spawned: ${counts.join(', ')}`);
+    }
+
+    findSpawnPoint(critter) {
+        const random = this.spawnRandom;
+        const boundary = critter.getBoundary();
+        const trees = gameContext.trees ? gameContext.trees.children : [];
+        const point = new THREE.Vector3();
+
+        for (let attempt = 0; attempt < SPAWN_ATTEMPTS; attempt++) {
+            if (critter.config.escape === 'tree' && trees.length > 0) {
+                const tree = trees[Math.floor(random() * trees.length)];
+                const angle = random() * Math.PI * 2;
+                const distance = 2 + random() * 3;
+                point.set(tree.position.x + Math.sin(angle) * distance, 0, tree.position.z + Math.cos(angle) * distance);
+            } else {
+                point.set((random() * 2 - 1) * boundary, 0, (random() * 2 - 1) * boundary);
+            }
+
+            if (!critter.canStandAt(point.x, point.z)) continue;
+            if (gameContext.player && horizontalDistanceSq(point, gameContext.player.position) < PLAYER_SPAWN_CLEARANCE * PLAYER_SPAWN_CLEARANCE) continue;
+            return point;
+        }
+        return point;
+    }
+
+    update(delta) {
+        for (const critter of this.critters) {
+            if (critter.isModelLoaded) critter.update(delta);
+        }
+    }
+
+    /**
+     * Called when an animal spots the hunter and bolts. The rest of its flock or pack
+     * goes with it.
+     * @param {Critter} source - The animal that flushed first
+     */
+    onFlush(source) {
+        for (const mate of source.group) {
+            if (mate !== source && mate.canFlush()) mate.flush(false);
+        }
+    }
+
+    /**
+     * Called when the hunter shoots or makes some other loud noise. Anything close enough
+     * flushes as if it had spotted the hunter.
+     * @param {string} kind - Noise kind from noise.js
+     * @param {THREE.Vector3} position - Where the noise was made
+     */
+    onLoudNoise(kind, position) {
+        for (const critter of this.critters) {
+            if (!critter.isModelLoaded || !critter.canFlush()) continue;
+            if (getHeardLoudness(kind, critter.model.position, position).loudness >= NOISE_FLUSH_LOUDNESS) {
+                critter.flush(true);
+            }
+        }
+    }
+}
+
+function horizontalDistanceSq(a, b) {
+    const dx = a.x - b.x;
+    const dz = a.z - b.z;
+    return dx * dx + dz * dz;
+}
+
+function randomBetween(range, random = Math.random) {
+    return range.min + random() * (range.max - range.min);
+}
+
+export const wildlife = new WildlifeManager();
@@ -0,0 +1,167 @@
+// --- WIND SYSTEM ---
+// Prevailing wind that shifts over the day and carries the hunter's scent downwind
+import { gameContext } from './context.js';
+import {
+    WIND_MIN_SPEED_MPH,
+    WIND_PREVAILING_SPEED_RANGE_MPH,
+    WIND_DAILY_DIRECTION_SWING,
+    WIND_DAY_TO_DAY_SHIFT,
+    WIND_CALM_SPEED_MPH,
+    WIND_SCENT_SWIRL_RANGE,
+    WIND_SCENT_BASE_RANGE,
+    WIND_SCENT_RANGE_PER_MPH,
+    WIND_SCENT_CONE_HALF_ANGLE
+} from './constants.js';
+import { getSolarHour } from './seasons.js';
+import { getWorldRandom } from './random.js';
+
+// Compass labels for the direction the wind blows FROM (north is -Z, east is +X)
+const WIND_COMPASS_DIRECTIONS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// Throttle HUD updates - wind changes slowly
+let windDisplayAccumulator = 0;
+const WIND_DISPLAY_UPDATE_INTERVAL = 1.0;
+
+// Used to detect a new day (midnight rollover or "Jump to Next Day")
+let lastGameTime = null;
+
+// Elapsed real seconds, drives short-term gust variation
+let gustTime = 0;
+
+// Seeded stream so the same world seed gets the same weather pattern
+let random = Math.random;
+
+const SCENT_CONE_COS = Math.cos(WIND_SCENT_CONE_HALF_ANGLE);
+
+/**
+ * Initializes the wind for a new hunt with a random prevailing direction and speed.
+ * Must be called after gameTime is set for the hunt and after the world seed is set.
+ */
+export function initWind() {
+    random = getWorldRandom('wind');
+    gameContext.wind = {
+        prevailingDirection: random() * Math.PI * 2,
+        prevailingSpeed: rollPrevailingSpeed(),
+        direction: 0,       // Bearing the wind blows FROM (radians, 0 = north, clockwise)
+        speed: 0,           // Current speed in mph
+        downwindX: 0,       // Unit vector the wind blows TOWARD, world X
+        downwindZ: 0        // Unit vector the wind blows TOWARD, world Z
+    };
+
+    lastGameTime = gameContext.gameTime;
+    gustTime = 0;
+    windDisplayAccumulator = WIND_DISPLAY_UPDATE_INTERVAL; // Show immediately
+
+    updateWind(0);
+}
+
+function rollPrevailingSpeed() {
+    const { min, max } = WIND_PREVAILING_SPEED_RANGE_MPH;
+    return min + random() * (max - min);
+}
+
+/**
+ * Advances the wind simulation. Direction swings with the daily thermal cycle and
+ * speed builds from calm at dawn to a mid-afternoon peak, then lays down at dusk.
+ * @param {number} delta - Time since last frame in seconds
+ */
+export function updateWind(delta) {
+    const wind = gameContext.wind;
+    if (!wind) return;
+
+    const gameTime = gameContext.gameTime;
+
+    // Time jumped backward - a new day has started, let the weather pattern move on
+    if (lastGameTime !== null && gameTime < lastGameTime - 1) {
+        wind.prevailingDirection += (random() * 2 - 1) * WIND_DAY_TO_DAY_SHIFT;
+        wind.prevailingSpeed = rollPrevailingSpeed();
+    }
+    lastGameTime = gameTime;
+    gustTime += delta;
+
+    // Daily thermal swing: peaks at noon one way, midnight the other
+    const dayPhase = ((gameTime - 6) / 24) * Math.PI * 2;
+    const thermalSwing = Math.sin(dayPhase) * WIND_DAILY_DIRECTION_SWING;
+    // Slow wander so the wind never sits perfectly still on a bearing
+    const drift = Math.sin(gustTime * 0.05) * 0.15 + Math.sin(gustTime * 0.13) * 0.08;
+    wind.direction = normalizeAngle(wind.prevailingDirection + thermalSwing + drift);
+
+    // Speed follows daylight: calm before dawn and after dusk, strongest mid-afternoon
+    const daylight = Math.max(0, Math.sin(((getSolarHour(gameTime) - 5) / 15) * Math.PI));
+    const gust = 1 + Math.sin(gustTime * 0.7) * 0.12 + Math.sin(gustTime * 1.9) * 0.06;
+    wind.speed = Math.max(0, (WIND_MIN_SPEED_MPH + (wind.prevailingSpeed - WIND_MIN_SPEED_MPH) * daylight) * gust);
+
+    // Wind FROM bearing b blows toward bearing b + 180
+    wind.downwindX = -Math.sin(wind.direction);
+    wind.downwindZ = Math.cos(wind.direction);
+
+    updateWindDisplay(delta);
+}
+
+function normalizeAngle(angle) {
+    const twoPi = Math.PI * 2;
+    return ((angle % twoPi) + twoPi) % twoPi;
+}
+
+/**
+ * Gets the compass label for the direction the wind is blowing from.
+ * @returns {string} Compass direction (e.g. 'NW')
+ */
+export function getWindCompassDirection() {
+    if (!gameContext.wind) return '--';
+    const index = Math.round(gameContext.wind.direction / (Math.PI / 4)) % WIND_COMPASS_DIRECTIONS.length;
+    return WIND_COMPASS_DIRECTIONS[index];
+}
+
+/**
+ * Gets the distance at which a deer directly downwind can smell the hunter.
+ * @returns {number} Scent range in world units
+ */
+export function getScentRange() {
+    const wind = gameContext.wind;
+    if (!wind || wind.speed < WIND_CALM_SPEED_MPH) return WIND_SCENT_SWIRL_RANGE;
+    return WIND_SCENT_BASE_RANGE + wind.speed * WIND_SCENT_RANGE_PER_MPH;
+}
+
+/**
+ * Checks if the hunter's scent is reaching a position.
+ * In calm air scent pools around the hunter; otherwise it travels in a cone downwind.
+ * @param {THREE.Vector3} position - Position to test (e.g. the deer)
+ * @returns {boolean} True if the position is downwind and within scent range
+ */
+export function isPlayerScentAt(position) {
+    const wind = gameContext.wind;
+    const player = gameContext.player;
+    if (!wind || !player || !position) return false;
+
+    const dx = position.x - player.position.x;
+    const dz = position.z - player.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+
+    if (distance > getScentRange()) return false;
+    if (wind.speed < WIND_CALM_SPEED_MPH) return true;
+    if (distance < 0.001) return true;
+
+    // Cosine of angle between hunter->position and the downwind direction
+    const alignment = (dx * wind.downwindX + dz * wind.downwindZ) / distance;
+    return alignment >= SCENT_CONE_COS;
+}
+
+/**
+ * Updates the wind readout in the HUD
+ */
+function updateWindDisplay(delta) {
+    windDisplayAccumulator += delta;
+    if (windDisplayAccumulator < WIND_DISPLAY_UPDATE_INTERVAL) return;
+    windDisplayAccumulator = 0;
+
+    const wind = gameContext.wind;
+    const isCalm = wind.speed < WIND_CALM_SPEED_MPH;
+
+    if (gameContext.windDirectionElement) {
+        gameContext.windDirectionElement.textContent = isCalm ? 'Calm' : getWindCompassDirection();
+    }
+    if (gameContext.windSpeedElement) {
+        gameContext.windSpeedElement.textContent = isCalm ? '' : `${Math.round(wind.speed)} mph`;
+    }
+}
@@ -0,0 +1,595 @@
+// --- WORLD BUILDER ---
+// Main-menu editor for custom worlds: terrain, water and vegetation settings with a
+// live shaded-relief preview, saved to the browser or exported/imported as JSON.
+import { worldPresets } from './world-presets.js';
+import { sampleTerrainHeight, loadHeightmap } from './world.js';
+import { normalizeSeed, createStreamRandom } from './random.js';
+import {
+    CUSTOM_WORLD_PREFIX,
+    validateWorldConfig,
+    loadCustomWorlds,
+    getCustomWorld,
+    saveCustomWorld,
+    deleteCustomWorld,
+    exportWorldConfig
+} from './custom-worlds.js';
+
+// Preview grid resolution - each cell is one terrain sample
+const PREVIEW_RESOLUTION = 128;
+
+// Starting parameters when switching a world to a generation method it didn't use
+const DEFAULT_METHOD_PARAMS = {
+    sineCosineParams: { freq1: 77.8, amp1: 8, freq2: 40.0, amp2: 4 },
+    perlinParams: { quality: 1, amplitudeScale: 1.75, coordinateScale: 0.02 },
+    heightmapParams: { image: '', minHeight: 0, maxHeight: 30 }
+};
+
+// Defaults for a newly added water body
+const NEW_WATER_BODY = { shape: 'circle', size: 60, position: { x: 0, y: 0, z: 0 }, opacity: 0.8 };
+
+// Water shapes placed by a list of points rather than a position and size
+const POINT_WATER_SHAPES = ['polygon', 'river'];
+
+// Module state
+let backdrop = null;
+let draft = null;               // World config being edited
+let previewFrame = null;        // Pending requestAnimationFrame id
+let onWorldsChanged = () => {};
+
+/**
+ * Wires up the World Builder button and modal.
+ * @param {function(string): void} worldsChangedCallback - Called with the selector value
+ *   of a world after it is saved or deleted, so the world list can be refreshed
+ */
+export function initWorldBuilder(worldsChangedCallback) {
+    backdrop = document.getElementById('world-builder-backdrop');
+    const openButton = document.getElementById('world-builder-button');
+    if (!backdrop || !openButton) return;
+
+    if (worldsChangedCallback) onWorldsChanged = worldsChangedCallback;
+
+    openButton.addEventListener('click', () => openWorldBuilder(document.getElementById('world-select')?.value));
+
+    const form = backdrop.querySelector('.wb-form');
+    form.addEventListener('input', () => {
+        draft = readForm();
+        updateMethodParams();
+        schedulePreview();
+    });
+
+    document.getElementById('wb-base-select').addEventListener('change', (e) => {
+        loadDraft(resolveWorld(e.target.value));
+    });
+
+    document.getElementById('wb-add-water-button').addEventListener('click', () => {
+        draft = readForm();
+        draft.environment.waterBodies.push(JSON.parse(JSON.stringify(NEW_WATER_BODY)));
+        renderWaterList();
+        schedulePreview();
+    });
+
+    // Polygons and rivers are edited as point lists, so their rows have different fields
+    document.getElementById('wb-water-list').addEventListener('change', (e) => {
+        if (e.target.dataset.field !== 'shape') return;
+        draft = readForm();
+        renderWaterList();
+        schedulePreview();
+    });
+
+    document.getElementById('wb-water-list').addEventListener('click', (e) => {
+        const removeIndex = e.target.dataset.removeWater;
+        if (removeIndex === undefined) return;
+        draft = readForm();
+        draft.environment.waterBodies.splice(Number(removeIndex), 1);
+        renderWaterList();
+        schedulePreview();
+    });
+
+    const importInput = document.getElementById('wb-import-input');
+    document.getElementById('wb-import-button').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        importInput.value = ''; // Allow re-importing the same file
+        if (file) await importWorldFile(file);
+    });
+
+    document.getElementById('wb-save-button').addEventListener('click', saveDraft);
+    document.getElementById('wb-export-button').addEventListener('click', exportDraft);
+    document.getElementById('wb-delete-button').addEventListener('click', deleteDraft);
+    document.getElementById('wb-close-button').addEventListener('click', closeWorldBuilder);
+
+    backdrop.addEventListener('click', (e) => {
+        if (e.target === backdrop) closeWorldBuilder();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && backdrop.style.display === 'flex') closeWorldBuilder();
+    });
+}
+
+/**
+ * Opens the builder, starting from a preset or saved world.
+ * @param {string} [selectorValue] - World selector value to start from
+ */
+function openWorldBuilder(selectorValue) {
+    populateBaseSelect(selectorValue);
+    loadDraft(resolveWorld(document.getElementById('wb-base-select').value));
+    backdrop.style.display = 'flex';
+}
+
+function closeWorldBuilder() {
+    backdrop.style.display = 'none';
+}
+
+/**
+ * Looks up a world by selector value ("Hardwood Forest" or "custom:My Ridge").
+ * Presets get a name so they can be saved as a new custom world straight away.
+ */
+function resolveWorld(selectorValue) {
+    if (selectorValue && selectorValue.startsWith(CUSTOM_WORLD_PREFIX)) {
+        const saved = getCustomWorld(selectorValue.slice(CUSTOM_WORLD_PREFIX.length));
+        if (saved) return saved;
+    }
+    const presetName = worldPresets[selectorValue] ? selectorValue : 'Hardwood Forest';
+    return { ...worldPresets[presetName], name: `${presetName} Copy` };
+}
+
+function populateBaseSelect(selectedValue) {
+    const select = document.getElementById('wb-base-select');
+    select.innerHTML = '';
+
+    for (const name of Object.keys(worldPresets)) {
+        select.appendChild(new Option(name, name));
+    }
+
+    const savedNames = Object.keys(loadCustomWorlds());
+    if (savedNames.length > 0) {
+        const group = document.createElement('optgroup');
+        group.label = 'Saved Worlds';
+        savedNames.forEach(name => group.appendChild(new Option(name, CUSTOM_WORLD_PREFIX + name)));
+        select.appendChild(group);
+    }
+
+    if (selectedValue && select.querySelector(`option[value="${CSS.escape(selectedValue)}"]`)) {
+        select.value = selectedValue;
+    }
+}
+
+/**
+ * Replaces the draft and refreshes the whole form.
+ * @param {object} config - World config to edit (copied, never mutated)
+ */
+function loadDraft(config) {
+    draft = JSON.parse(JSON.stringify(config));
+    draft.terrain = draft.terrain || { generationMethod: 'sineCosine' };
+    for (const [key, params] of Object.entries(DEFAULT_METHOD_PARAMS)) {
+        draft.terrain[key] = draft.terrain[key] || { ...params };
+    }
+    draft.environment = draft.environment || {};
+    draft.environment.waterBodies = draft.environment.waterBodies || [];
+    draft.vegetation = draft.vegetation || {};
+    draft.vegetation.treeScale = draft.vegetation.treeScale || { min: 0.4, max: 0.8 };
+
+    backdrop.querySelectorAll('[data-path]').forEach(input => {
+        const value = getPath(draft, input.dataset.path);
+        if (input.dataset.type === 'color') {
+            input.value = toHexColor(value ?? 0x000000);
+        } else {
+            input.value = value ?? '';
+        }
+    });
+
+    renderWaterList();
+    updateMethodParams();
+    setStatus('');
+    schedulePreview();
+}
+
+/**
+ * Builds a world config from the form. Fields the form doesn't edit (e.g. the
+ * deer herd) are carried over from the draft.
+ * @returns {object} Unvalidated world config
+ */
+function readForm() {
+    const config = JSON.parse(JSON.stringify(draft));
+
+    backdrop.querySelectorAll('[data-path]').forEach(input => {
+        const path = input.dataset.path;
+        const raw = input.value.trim();
+
+        if (input.dataset.type === 'color') {
+            setPath(config, path, parseInt(raw.slice(1), 16));
+        } else if (input.dataset.type === 'number') {
+            setPath(config, path, raw === '' ? undefined : Number(raw));
+        } else if (path === 'seed') {
+            setPath(config, path, raw === '' ? undefined : (/^\d+$/.test(raw) ? Number(raw) : raw));
+        } else {
+            setPath(config, path, raw);
+        }
+    });
+
+    // Only the active generation method's parameters belong in the world
+    const activeParams = `${config.terrain.generationMethod}Params`;
+    for (const key of Object.keys(DEFAULT_METHOD_PARAMS)) {
+        if (key !== activeParams) delete config.terrain[key];
+    }
+
+    config.environment.waterBodies = [];
+    document.querySelectorAll('#wb-water-list .wb-water-row').forEach((row, index) => {
+        const field = name => row.querySelector(`[data-field="${name}"]`)?.value;
+        const previous = draft.environment.waterBodies[index] || NEW_WATER_BODY;
+        const shape = field('shape');
+        const body = { ...previous, shape, opacity: Number(field('opacity')) };
+
+        if (POINT_WATER_SHAPES.includes(shape)) {
+            const pointsText = field('points');
+            body.points = pointsText === undefined
+                ? defaultWaterPoints(shape, previous)
+                : parseWaterPoints(pointsText, shape === 'river');
+            delete body.size;
+            delete body.position;
+        } else {
+            const center = field('x') === undefined ? waterBodyCenter(previous) : { x: Number(field('x')), z: Number(field('z')) };
+            body.size = field('size') === undefined ? NEW_WATER_BODY.size : Number(field('size'));
+            body.position = { x: center.x, y: 0, z: center.z };
+            delete body.points;
+            delete body.depth;
+            delete body.bankWidth;
+        }
+        config.environment.waterBodies.push(body);
+    });
+
+    return config;
+}
+
+function renderWaterList() {
+    const list = document.getElementById('wb-water-list');
+    list.innerHTML = '';
+
+    draft.environment.waterBodies.forEach((body, index) => {
+        const row = document.createElement('div');
+        row.className = 'wb-water-row';
+        const placement = POINT_WATER_SHAPES.includes(body.shape)
+            ? `<label class="wb-water-points" title="${body.shape === 'river' ? 'x,z,width for each point along the channel' : 'x,z for each corner of the outline'}">Points
+                <input type="text" data-field="points" value="${formatWaterPoints(body.points || [], body.shape === 'river')}"></label>`
+            : `<label>X <input type="number" data-field="x" step="5" value="${body.position?.x ?? 0}"></label>
+            <label>Z <input type="number" data-field="z" step="5" value="${body.position?.z ?? 0}"></label>
+            <label>Size <input type="number" data-field="size" step="5" value="${body.size ?? 60}"></label>`;
+        row.innerHTML = `
+            <select data-field="shape">
+                <option value="circle">Pond</option>
+                <option value="square">Square</option>
+                <option value="polygon">Irregular pond</option>
+                <option value="river">Creek / river</option>
+            </select>
+            ${placement}
+            <label>Opacity <input type="number" data-field="opacity" step="0.05" min="0.1" max="1" value="${body.opacity ?? 0.8}"></label>
+            <button type="button" data-remove-water="${index}" title="Remove">✕</button>`;
+        row.querySelector('[data-field="shape"]').value = body.shape;
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Formats polygon or river points for the row's text field: "x,z x,z ..." or "x,z,width ...".
+ */
+function formatWaterPoints(points, withWidth) {
+    return points.map(p => (withWidth ? [p.x, p.z, p.width] : [p.x, p.z]).join(',')).join(' ');
+}
+
+/**
+ * Parses the points text field. Malformed entries come through as NaN so validation reports them.
+ */
+function parseWaterPoints(text, withWidth) {
+    return text.trim().split(/[\s;]+/).filter(Boolean).map(entry => {
+        const [x, z, width] = entry.split(',').map(Number);
+        return withWidth ? { x, z, width } : { x, z };
+    });
+}
+
+function waterBodyCenter(body) {
+    if (body.position) return { x: body.position.x, z: body.position.z };
+    const points = body.points || [];
+    if (points.length === 0) return { x: 0, z: 0 };
+    return {
+        x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+        z: points.reduce((sum, p) => sum + p.z, 0) / points.length
+    };
+}
+
+/**
+ * Starting points when a row switches to a polygon or river, placed where the old water body was.
+ */
+function defaultWaterPoints(shape, previous) {
+    const center = waterBodyCenter(previous);
+    const radius = (previous.size || NEW_WATER_BODY.size) / 2;
+    if (shape === 'river') {
+        return [
+            { x: center.x - radius * 2, z: center.z - radius, width: 8 },
+            { x: center.x, z: center.z, width: 10 },
+            { x: center.x + radius * 2, z: center.z + radius * 0.5, width: 12 }
+        ];
+    }
+    // Lopsided hexagon so it reads as a natural pond
+    return [0, 1, 2, 3, 4, 5].map(i => {
+        const angle = (i / 6) * Math.PI * 2;
+        const r = radius * (i % 2 === 0 ? 1 : 0.75);
+        return { x: Math.round(center.x + Math.cos(angle) * r), z: Math.round(center.z + Math.sin(angle) * r) };
+    });
+}
+
+function updateMethodParams() {
+    const method = document.getElementById('wb-generation-method').value;
+    backdrop.querySelectorAll('.wb-method-params').forEach(group => {
+        group.style.display = group.dataset.method === method ? '' : 'none';
+    });
+}
+
+function schedulePreview() {
+    if (previewFrame !== null) return;
+    previewFrame = requestAnimationFrame(() => {
+        previewFrame = null;
+        updatePreview();
+    });
+}
+
+/**
+ * Validates the draft and redraws the terrain preview when it is valid.
+ */
+function updatePreview() {
+    const { valid, errors, config } = validateWorldConfig(draft);
+    showErrors(errors);
+    if (!valid) return;
+
+    // Heightmap images load asynchronously; draw once the image is decoded
+    if (config.terrain.generationMethod === 'heightmap') {
+        const image = config.terrain.heightmapParams.image;
+        loadHeightmap(config)
+            .then(() => {
+                if (draft.terrain.heightmapParams?.image === image) renderPreview(config);
+            })
+            .catch(error => showErrors([error.message]));
+        return;
+    }
+
+    renderPreview(config);
+}
+
+/**
+ * Draws a top-down shaded relief of the terrain (north up) with water bodies on top.
+ * Heights come from the same function the game uses to build the terrain mesh.
+ * @param {object} config - Validated world config
+ */
+function renderPreview(config) {
+    const canvas = document.getElementById('wb-preview-canvas');
+    const ctx = canvas.getContext('2d');
+    const worldSize = config.terrain.size;
+    const half = worldSize / 2;
+    const cellSize = worldSize / PREVIEW_RESOLUTION;
+
+    // Perlin worlds without a pinned noise slice take it from the seed, like createHills
+    let previewConfig = config;
+    const perlinParams = config.terrain.perlinParams;
+    if (perlinParams && perlinParams.noiseZ === undefined) {
+        const seed = normalizeSeed(config.seed);
+        const noiseZ = seed === null ? 0 : createStreamRandom(seed, 'terrain')() * 100;
+        previewConfig = { ...config, terrain: { ...config.terrain, perlinParams: { ...perlinParams, noiseZ } } };
+    }
+
+    // Sample heights
+    const heights = new Float32Array(PREVIEW_RESOLUTION * PREVIEW_RESOLUTION);
+    let minHeight = Infinity;
+    let maxHeight = -Infinity;
+    for (let row = 0; row < PREVIEW_RESOLUTION; row++) {
+        const z = -half + (row + 0.5) * cellSize;
+        for (let col = 0; col < PREVIEW_RESOLUTION; col++) {
+            const x = -half + (col + 0.5) * cellSize;
+            const height = sampleTerrainHeight(x, z, previewConfig);
+            heights[row * PREVIEW_RESOLUTION + col] = height;
+            if (height < minHeight) minHeight = height;
+            if (height > maxHeight) maxHeight = height;
+        }
+    }
+
+    // Hillshade lit from the northwest, tinted by elevation
+    const baseR = (config.terrain.color >> 16) & 0xFF;
+    const baseG = (config.terrain.color >> 8) & 0xFF;
+    const baseB = config.terrain.color & 0xFF;
+    const heightRange = Math.max(0.001, maxHeight - minHeight);
+    const image = ctx.createImageData(PREVIEW_RESOLUTION, PREVIEW_RESOLUTION);
+    const at = (row, col) => heights[
+        Math.min(PREVIEW_RESOLUTION - 1, Math.max(0, row)) * PREVIEW_RESOLUTION +
+        Math.min(PREVIEW_RESOLUTION - 1, Math.max(0, col))
+    ];
+
+    for (let row = 0; row < PREVIEW_RESOLUTION; row++) {
+        for (let col = 0; col < PREVIEW_RESOLUTION; col++) {
+            const slopeX = (at(row, col - 1) - at(row, col + 1)) / (2 * cellSize);
+            const slopeZ = (at(row - 1, col) - at(row + 1, col)) / (2 * cellSize);
+            const shade = Math.min(1.3, Math.max(0.35, 0.85 - (slopeX + slopeZ) * 2));
+            const elevation = 0.75 + 0.5 * (at(row, col) - minHeight) / heightRange;
+            const light = shade * elevation;
+
+            const i = (row * PREVIEW_RESOLUTION + col) * 4;
+            image.data[i] = Math.min(255, baseR * light);
+            image.data[i + 1] = Math.min(255, baseG * light);
+            image.data[i + 2] = Math.min(255, baseB * light);
+            image.data[i + 3] = 255;
+        }
+    }
+
+    // Scale the sample grid up to the canvas
+    const sampleCanvas = document.createElement('canvas');
+    sampleCanvas.width = PREVIEW_RESOLUTION;
+    sampleCanvas.height = PREVIEW_RESOLUTION;
+    sampleCanvas.getContext('2d').putImageData(image, 0, 0);
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(sampleCanvas, 0, 0, canvas.width, canvas.height);
+
+    // Water bodies
+    const toCanvas = canvas.width / worldSize;
+    ctx.fillStyle = toHexColor(config.environment.waterColor);
+    const toX = x => (x + half) * toCanvas;
+    const toZ = z => (z + half) * toCanvas;
+    for (const body of config.environment.waterBodies) {
+        ctx.globalAlpha = body.opacity;
+        ctx.beginPath();
+        if (body.shape === 'polygon') {
+            body.points.forEach((p, i) => (i === 0 ? ctx.moveTo(toX(p.x), toZ(p.z)) : ctx.lineTo(toX(p.x), toZ(p.z))));
+            ctx.closePath();
+        } else if (body.shape === 'river') {
+            // One quad per stretch plus a disc at each bend so the channel has no gaps. Every
+            // piece is wound clockwise so overlaps fill instead of cancelling out.
+            for (let i = 1; i < body.points.length; i++) {
+                const a = body.points[i - 1];
+                const b = body.points[i];
+                const length = Math.hypot(b.x - a.x, b.z - a.z) || 1;
+                const nx = -(b.z - a.z) / length;
+                const nz = (b.x - a.x) / length;
+                const corners = [
+                    [toX(a.x + nx * a.width / 2), toZ(a.z + nz * a.width / 2)],
+                    [toX(b.x + nx * b.width / 2), toZ(b.z + nz * b.width / 2)],
+                    [toX(b.x - nx * b.width / 2), toZ(b.z - nz * b.width / 2)],
+                    [toX(a.x - nx * a.width / 2), toZ(a.z - nz * a.width / 2)]
+                ];
+                let area = 0;
+                corners.forEach(([x1, y1], c) => {
+                    const [x2, y2] = corners[(c + 1) % corners.length];
+                    area += x1 * y2 - x2 * y1;
+                });
+                if (area < 0) corners.reverse();
+                corners.forEach(([x, y], c) => (c === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+                ctx.closePath();
+            }
+            for (const p of body.points) {
+                ctx.moveTo(toX(p.x) + (p.width / 2) * toCanvas, toZ(p.z));
+                ctx.arc(toX(p.x), toZ(p.z), (p.width / 2) * toCanvas, 0, Math.PI * 2);
+            }
+        } else if (body.shape === 'circle') {
+            ctx.arc(toX(body.position.x), toZ(body.position.z), (body.size / 2) * toCanvas, 0, Math.PI * 2);
+        } else {
+            ctx.rect(toX(body.position.x - body.size / 2), toZ(body.position.z - body.size / 2), body.size * toCanvas, body.size * toCanvas);
+        }
+        ctx.fill('nonzero');
+    }
+    ctx.globalAlpha = 1;
+
+    // North marker
+    ctx.fillStyle = '#e8e4dc';
+    ctx.font = 'bold 12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText('N', canvas.width / 2, 14);
+
+    const reliefYards = Math.round((maxHeight - minHeight) * 1.09361);
+    const sizeYards = Math.round(worldSize * 1.09361);
+    document.getElementById('wb-preview-stats').textContent =
+        `${sizeYards} yds across • ${reliefYards} yds relief • ${config.vegetation.treeCount} trees`;
+}
+
+async function importWorldFile(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        showErrors([`${file.name}: not valid JSON (${error.message})`]);
+        return;
+    }
+
+    const { valid, errors, config } = validateWorldConfig(data);
+    if (!valid) {
+        showErrors(errors.map(message => `${file.name}: ${message}`));
+        return;
+    }
+
+    loadDraft(config);
+    setStatus(`Imported "${config.name}" - save it to add it to the world list`);
+}
+
+function saveDraft() {
+    const { valid, errors, config } = validateWorldConfig(readForm());
+    if (!valid) {
+        showErrors(errors);
+        return;
+    }
+    if (worldPresets[config.name]) {
+        showErrors([`name: "${config.name}" is a built-in world - pick another name`]);
+        return;
+    }
+
+    saveCustomWorld(config);
+    populateBaseSelect(CUSTOM_WORLD_PREFIX + config.name);
+    onWorldsChanged(CUSTOM_WORLD_PREFIX + config.name);
+    setStatus(`Saved "${config.name}"`);
+}
+
+function exportDraft() {
+    const { valid, errors, config } = validateWorldConfig(readForm());
+    if (!valid) {
+        showErrors(errors);
+        return;
+    }
+
+    const blob = new Blob([exportWorldConfig(config)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${config.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+function deleteDraft() {
+    const name = readForm().name;
+    if (!getCustomWorld(name)) {
+        showErrors([`"${name}" isn't a saved world`]);
+        return;
+    }
+    if (!confirm(`Delete the saved world "${name}"?`)) return;
+
+    deleteCustomWorld(name);
+    populateBaseSelect();
+    onWorldsChanged(null);
+    loadDraft(resolveWorld(document.getElementById('wb-base-select').value));
+    setStatus(`Deleted "${name}"`);
+}
+
+function showErrors(errors) {
+    const list = document.getElementById('wb-errors');
+    list.innerHTML = '';
+    errors.forEach(message => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        list.appendChild(item);
+    });
+    if (errors.length > 0) setStatus('');
+}
+
+function setStatus(message) {
+    document.getElementById('wb-status').textContent = message;
+}
+
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, path, value) {
+    const keys = path.split('.');
+    let target = object;
+    for (let i = 0; i < keys.length - 1; i++) {
+        if (target[keys[i]] == null || typeof target[keys[i]] !== 'object') {
+            target[keys[i]] = {};
+        }
+        target = target[keys[i]];
+    }
+    const last = keys[keys.length - 1];
+    if (value === undefined) {
+        delete target[last];
+    } else {
+        target[last] = value;
+    }
+}
+
+function toHexColor(value) {
+    return `#${(value >>> 0).toString(16).padStart(6, '0').slice(-6)}`;
+}
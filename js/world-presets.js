@@ -1,5 +1,6 @@
 export const worldPresets = {
     "Hardwood Forest": {
+        seed: 1107, // Fixed so every hunter gets the same map; override from the start options
         terrain: {
             color: 0x3d5c28, // Darker forest floor green
             size: 1000,
@@ -13,18 +14,41 @@ export const worldPresets = {
             waterColor: 0x1E3A8A, // Deep blue
             waterLevel: -18.15, // Lowered by another 10% from -16.5
             waterBodies: [
-                { shape: 'circle', size: 92, position: { x: 0, y: -7.26, z: 0 }, opacity: 0.75 } // Y position lowered by another 10%
+                { shape: 'circle', size: 92, position: { x: 0, y: -7.26, z: 0 }, opacity: 0.75 }, // Y position lowered by another 10%
+                { // Creek bottom along the west side, widening downstream
+                    shape: 'river',
+                    depth: 2.5,
+                    opacity: 0.7,
+                    points: [
+                        { x: -490, z: -140, width: 6 },
+                        { x: -390, z: -70, width: 7 },
+                        { x: -310, z: 30, width: 8 },
+                        { x: -265, z: 140, width: 9 },
+                        { x: -175, z: 235, width: 10 },
+                        { x: -130, z: 350, width: 11 },
+                        { x: -70, z: 490, width: 12 }
+                    ]
+                }
             ]
         },
         vegetation: {
             treeCount: 600,
             canopyColor: 0x228B22, // ForestGreen
             trunkColor: 0x8B4513, // SaddleBrown
-                        treeScale: { min: 0.4, max: 0.8 },
-            treeType: 'hardwood'
+            treeScale: { min: 0.4, max: 0.8 },
+            species: [
+                { type: 'hardwood', weight: 72 },
+                { type: 'conifer', weight: 6 },
+                { type: 'deadfall', weight: 15 },
+                { type: 'boulder', weight: 7, scale: { min: 0.5, max: 1.1 } }
+            ]
+        },
+        deer: {
+            herd: { buck: 1, doe: 3, fawn: 2 } // Good browse supports a larger family group
         }
     },
     "Alpine Forest": {
+        seed: 2214,
         terrain: {
             color: 0x967969, // LightBrown
             size: 1000,
@@ -43,6 +67,12 @@ export const worldPresets = {
             bushCount: 220, // Increased 10% from 200
             canopyColor: 0x228B22, // Forest Green
             trunkColor: 0x8B4513,  // Saddle Brown
+            species: [
+                { type: 'conifer', weight: 70 },
+                { type: 'hardwood', weight: 12, maxAltitude: 12 }, // Aspen and alder stay in the low ground
+                { type: 'boulder', weight: 12, minAltitude: 22 }, // Rock on the high ridges
+                { type: 'deadfall', weight: 6 }
+            ]
         },
         environment: {
             waterLevel: -1.21, // Lowered by another 10% from -1.1
@@ -52,9 +82,13 @@ export const worldPresets = {
             waterBodies: [
                 { shape: 'circle', size: 230, position: { x: 0, y: -0.11, z: 0 }, opacity: 0.8 } // Y position lowered by another 10%
             ]
+        },
+        deer: {
+            herd: { buck: 1, doe: 2, fawn: 1 }
         }
     },
     "Desert Canyon": {
+        seed: 3321,
         terrain: {
             color: 0xD2B48C, // Tan
             size: 1000,
@@ -68,10 +102,14 @@ export const worldPresets = {
             heightMultiplier: 20 // Steeper hills for canyon effect
         },
         vegetation: {
-            treeCount: 50, // Fewer "trees" (cacti/rocks)
+            treeCount: 50, // Sparse cacti and rocks
             treeScale: { min: 0.5, max: 1.5 },
             canopyColor: 0x2E8B57, // Cactus green
             trunkColor: 0x9B7D64,  // Rocky brown
+            species: [
+                { type: 'cactus', weight: 55 },
+                { type: 'boulder', weight: 45, minSlope: 0.6, color: 0xA0704C } // Red rock on the canyon walls
+            ]
         },
         environment: {
             waterLevel: -18.15, // Small oasis, lowered by another 10% from -16.5
@@ -82,6 +120,9 @@ export const worldPresets = {
                 { shape: 'circle', size: 77, position: { x: -250, y: -16.94, z: -250 }, opacity: 0.85 }, // Remote oasis
                 { shape: 'circle', size: 60, position: { x: 100, y: -16.94, z: -80 }, opacity: 0.80 } // Accessible oasis near center
             ]
+        },
+        deer: {
+            herd: { buck: 1, doe: 1, fawn: 1 } // Sparse desert herd
         }
     }
 };
@@ -6,23 +6,37 @@ import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { DEFAULT_WORLD_SIZE, INITIAL_PLAYER_X, INITIAL_PLAYER_Z } from './constants.js';
 import { createGrassShaderMaterial, createGrassBladeGeometry, updateGrassWind } from './grass-shader.js';
 import { createWaterMaterial } from './water-shader.js';
+import { getWorldRandom } from './random.js';
+import { ChunkedTerrain } from './terrain.js';
+import { VEGETATION_SPECIES, resolveSpeciesMix, pickSpecies, meetsPlacementRules, tagVegetation, createVegetationMaterials, buildSpecies, tintFoliage } from './vegetation.js';
+import { getSeason, tintColor, applySnow } from './seasons.js';
+import { getWaterShape, getWaterDepression, sampleRiverProfile, getShoreDistance, getWaterLevelAt, getRandomShorePoint, isPointInWater } from './water.js';
 
 // --- Constants for World Generation ---
-const WORLD_PLANE_SEGMENTS = 127; // Number of segments for the terrain plane
 
 // Cached Perlin noise instance (reused across all height queries)
 const perlin = new ImprovedNoise();
 
 // getHeightAt defaults
 const DEFAULT_SINE_COSINE_PARAMS = { freq1: 77.8, amp1: 8, freq2: 40.0, amp2: 4 };
-const DEFAULT_PERLIN_PARAMS = { quality: 1, noiseZ: Math.random() * 100, amplitudeScale: 1.75, coordinateScale: 0.02 };
+const DEFAULT_PERLIN_PARAMS = { quality: 1, amplitudeScale: 1.75, coordinateScale: 0.02 };
 const PERLIN_NOISE_ITERATIONS = 4;
 const PERLIN_QUALITY_MULTIPLIER = 5;
 const DEFAULT_PERLIN_HEIGHT_MULTIPLIER = 15.0;
 const DEFAULT_SINE_COSINE_HEIGHT_MULTIPLIER = 1.0;
 
+// Perlin slice used when the world config doesn't pin noiseZ; rolled from the world seed in createHills
+let seededNoiseZ = 0;
+
+// Decoded heightmap images keyed by path: { width, height, values } with values 0-1
+const heightmapCache = new Map();
+const DEFAULT_HEIGHTMAP_PARAMS = { minHeight: 0, maxHeight: 30 };
+
 // createWater defaults
 const DEFAULT_WATER_OPACITY = 0.7;
+const POND_SHORE_SAMPLE_SPACING = 4; // Spacing of shoreline height samples for polygon ponds
+const POND_SHORE_CLEARANCE = 0.2; // Pond surface sits this far below its lowest bank
+const RIVER_UV_LENGTH = 20; // World units per UV repeat along a river
 
 // findDrinkingSpots defaults
 const NUM_DRINKING_SPOTS_PER_BODY = 5;
@@ -30,81 +44,115 @@ const DRINKING_SPOT_RADIUS_RAND_FACTOR = 0.4;
 const DRINKING_SPOT_RADIUS_MIN_FACTOR = 0.9;
 const DRINKING_SPOT_Y_OFFSET = 0.5;
 const DRINKING_SPOT_MAX_HEIGHT_ABOVE_WATER = 2;
+const DRINKING_SPOT_SCAN_RESOLUTION = 128; // Heightfield samples per side checked for shoreline
+const DRINKING_SPOT_MAX_SHORE_DISTANCE = 6; // How far from a shoreline a drinking spot may be
 const FALLBACK_DRINKING_SPOT_POSITION = new THREE.Vector3(100, 0, 100);
 
 // createTrees defaults
 const TREE_SPAWN_AVOID_PLAYER_RADIUS = 15;
-const TREE_TRUNK_BASE_HEIGHT = 4;
-const TREE_TRUNK_RAND_HEIGHT = 2;
-const TREE_TRUNK_SCALE_MIN_RADIUS = 0.3;
-const TREE_TRUNK_SCALE_MAX_RADIUS = 0.4;
-const TREE_TRUNK_SEGMENTS = 8;
-const HARDWOOD_LEAVES_BASE_RADIUS = 1.5;
-const PINE_CANOPY_BASE_HEIGHT = 5;
-const PINE_CANOPY_RAND_HEIGHT = 5;
-const PINE_CANOPY_BASE_RADIUS = 3;
-const PINE_CANOPY_RAND_RADIUS = 4;
-const PINE_CANOPY_SEGMENTS = 16;
+const VEGETATION_PLACEMENT_ATTEMPTS = 10; // Random spots tried per instance before giving up on it
+const SLOPE_SAMPLE_DISTANCE = 1;
+const _vegetationSite = new THREE.Vector3();
+
+// Grass pokes through snow, so it whitens less than the ground
+const GRASS_SNOW_EXPOSURE = 0.5;
 
 /**
- * Creates the terrain geometry for the game world based on the provided configuration.
- * It's then rotated to be horizontal and added to the scene.
- * This function also attaches a `getHeightAt` method to the game context for later use.
+ * Creates the chunked terrain for the game world based on the provided configuration
+ * and adds it to the scene. This function also attaches a `getHeightAt` method to the
+ * game context for later use.
  * @param {object} worldConfig - The configuration object for the current world, containing terrain settings.
  */
 export function createHills(worldConfig) {
     // Guard against missing or invalid worldConfig or terrain property
     const terrainConfig = worldConfig?.terrain || {};
     const size = terrainConfig.size || DEFAULT_WORLD_SIZE;
-    const color = terrainConfig.color || 0x3c5224; // Default to a green color
+    const color = applySnow(terrainConfig.color || 0x3c5224); // Default to a green color
+    seededNoiseZ = getWorldRandom('terrain')() * 100;
 
-    const geometry = new THREE.PlaneGeometry(size, size, WORLD_PLANE_SEGMENTS, WORLD_PLANE_SEGMENTS);
-    const positions = geometry.attributes.position;
+    const material = new THREE.MeshLambertMaterial({ color: color });
+    // Plane coordinates are (x, -z) - see getHeightAt
+    const terrain = new ChunkedTerrain(size, (x, z) => getHeightAt(x, -z, worldConfig), material);
 
-    for (let i = 0; i < positions.count; i++) {
-        const x = positions.getX(i);
-        const y = positions.getY(i);
-        positions.setZ(i, getHeightAt(x, y, worldConfig));
+    gameContext.terrainChunks = terrain;
+    gameContext.terrain = terrain.group;
+    gameContext.worldSize = size;
+    gameContext.scene.add(gameContext.terrain);
+    gameContext.clearHeightCache();
+
+    // Heights come from the heightfield rather than a raycast, so they match the full-detail
+    // mesh even where distant chunks are drawn at a coarser LOD
+    gameContext.getHeightAt = (x, z) => terrain.getHeightAt(x, z);
+}
+
+/**
+ * Loads and decodes the heightmap image for a 'heightmap' world. Must finish before
+ * createHills, since height sampling is synchronous. Does nothing for other methods.
+ * 16-bit PNGs are read at 8-bit precision (browser canvas limitation).
+ * @param {object} worldConfig - The world configuration object.
+ * @returns {Promise<void>}
+ */
+export async function loadHeightmap(worldConfig) {
+    const terrainConfig = worldConfig?.terrain;
+    if (terrainConfig?.generationMethod !== 'heightmap') return;
+
+    const imagePath = terrainConfig.heightmapParams?.image;
+    if (!imagePath) {
+        throw new Error('Heightmap terrain needs terrain.heightmapParams.image');
     }
+    if (heightmapCache.has(imagePath)) return;
 
-    geometry.rotateX(-Math.PI / 2);
-    geometry.computeVertexNormals();
+    let image;
+    try {
+        image = await new THREE.ImageLoader().loadAsync(imagePath);
+    } catch (error) {
+        throw new Error(`Heightmap image not found: ${imagePath}`);
+    }
 
-    const material = new THREE.MeshLambertMaterial({ color: color });
-    gameContext.terrain = new THREE.Mesh(geometry, material);
-    gameContext.terrain.receiveShadow = true;
-    gameContext.scene.add(gameContext.terrain);
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(image, 0, 0);
+    const pixels = context.getImageData(0, 0, image.width, image.height).data;
+
+    // Grayscale expected - average the channels so slightly tinted exports still work
+    const values = new Float32Array(image.width * image.height);
+    for (let i = 0; i < values.length; i++) {
+        values[i] = (pixels[i * 4] + pixels[i * 4 + 1] + pixels[i * 4 + 2]) / (3 * 255);
+    }
 
-    // Create a raycaster for accurate terrain height detection
-    const terrainRaycaster = new THREE.Raycaster();
-    const _rayOrigin = new THREE.Vector3();
-    const _rayDown = new THREE.Vector3(0, -1, 0);
-    const _terrainIntersects = []; // Reusable array to avoid per-frame allocation
-    
-    // Attach a function to the context that raycasts against the actual terrain mesh
-    // This ensures objects are placed on the visible terrain, not the mathematical approximation
-    // Terrain is static - update matrix once after creation
-    gameContext.terrain.updateMatrixWorld(true);
-    
-    gameContext.getHeightAt = (x, z) => {
-        // Raycast from above the terrain downward
-        _rayOrigin.set(x, 500, z);
-        terrainRaycaster.set(_rayOrigin, _rayDown);
-        
-        _terrainIntersects.length = 0;
-        terrainRaycaster.intersectObject(gameContext.terrain, false, _terrainIntersects);
-        if (_terrainIntersects.length > 0) {
-            return _terrainIntersects[0].point.y;
-        }
-        
-        // Fallback to mathematical calculation if raycast fails
-        return getHeightAt(x, z, worldConfig);
-    };
+    heightmapCache.set(imagePath, { width: image.width, height: image.height, values });
+}
+
+/**
+ * Bilinearly samples a loaded heightmap. The image covers the whole terrain with its
+ * top edge to the north (-Z) and left edge to the west (-X).
+ * @param {object} heightmap - Decoded heightmap from loadHeightmap
+ * @param {number} u - Horizontal position across the image (0-1, west to east)
+ * @param {number} v - Vertical position down the image (0-1, north to south)
+ * @returns {number} Normalized height (0-1)
+ */
+function sampleHeightmap(heightmap, u, v) {
+    const { width, height, values } = heightmap;
+    const px = Math.min(Math.max(u, 0), 1) * (width - 1);
+    const py = Math.min(Math.max(v, 0), 1) * (height - 1);
+
+    const x0 = Math.floor(px);
+    const y0 = Math.floor(py);
+    const x1 = Math.min(x0 + 1, width - 1);
+    const y1 = Math.min(y0 + 1, height - 1);
+    const tx = px - x0;
+    const ty = py - y0;
+
+    const top = values[y0 * width + x0] * (1 - tx) + values[y0 * width + x1] * tx;
+    const bottom = values[y1 * width + x0] * (1 - tx) + values[y1 * width + x1] * tx;
+    return top * (1 - ty) + bottom * ty;
 }
 
 /**
  * Calculates the terrain height at a given world-plane coordinate (x, y before plane rotation).
- * Uses either a sine/cosine formula or Perlin noise based on `worldConfig.terrain.generationMethod`.
+ * Uses a sine/cosine formula, Perlin noise or a heightmap image based on `worldConfig.terrain.generationMethod`.
  * @param {number} x_world_plane - The x-coordinate on the unrotated world plane.
  * @param {number} y_world_plane - The y-coordinate on the unrotated world plane.
  * @param {object} worldConfig - The world configuration object containing terrain parameters.
@@ -120,10 +168,24 @@ function getHeightAt(x_world_plane, y_world_plane, worldConfig) {
         height = Math.sin(x_world_plane / freq1) * Math.cos(y_world_plane / freq1) * amp1;
         height += Math.sin(x_world_plane / freq2) * Math.cos(y_world_plane / freq2) * amp2;
         height = height * (terrainConfig.heightMultiplier || DEFAULT_SINE_COSINE_HEIGHT_MULTIPLIER);
+    } else if (terrainConfig.generationMethod === 'heightmap') {
+        const params = terrainConfig.heightmapParams || DEFAULT_HEIGHTMAP_PARAMS;
+        const minHeight = params.minHeight ?? DEFAULT_HEIGHTMAP_PARAMS.minHeight;
+        const maxHeight = params.maxHeight ?? DEFAULT_HEIGHTMAP_PARAMS.maxHeight;
+        const heightmap = heightmapCache.get(params.image);
+        if (heightmap) {
+            const size = terrainConfig.size || DEFAULT_WORLD_SIZE;
+            // World Z is -y on the unrotated plane; the image's top row is north (-Z)
+            const u = x_world_plane / size + 0.5;
+            const v = -y_world_plane / size + 0.5;
+            height = minHeight + sampleHeightmap(heightmap, u, v) * (maxHeight - minHeight);
+        } else {
+            height = minHeight; // Not loaded (loadHeightmap not awaited) - flat ground
+        }
     } else { // Default to Perlin noise
         const perlinParams = terrainConfig.perlinParams || DEFAULT_PERLIN_PARAMS;
         const quality = perlinParams.quality;
-        const noiseZ = perlinParams.noiseZ !== undefined ? perlinParams.noiseZ : DEFAULT_PERLIN_PARAMS.noiseZ;
+        const noiseZ = perlinParams.noiseZ !== undefined ? perlinParams.noiseZ : seededNoiseZ;
         const amplitudeScale = perlinParams.amplitudeScale;
         const coordinateScale = perlinParams.coordinateScale;
         
@@ -140,30 +202,12 @@ function getHeightAt(x_world_plane, y_world_plane, worldConfig) {
         height = height * (terrainConfig.heightMultiplier || DEFAULT_PERLIN_HEIGHT_MULTIPLIER);
     }
 
-    // Apply pond depressions if water bodies exist
-    if (worldConfig.environment && worldConfig.environment.waterBodies) {
-        for (const waterBody of worldConfig.environment.waterBodies) {
-            if (waterBody.shape === 'circle') {
-                const pondX = waterBody.position.x || 0;
-                const pondZ = waterBody.position.z || 0;
-                const pondRadius = waterBody.size / 2;
-                
-                // Calculate distance from this point to pond center
-                const distanceToPond = Math.sqrt(
-                    (x_world_plane - pondX) * (x_world_plane - pondX) + 
-                    (y_world_plane - pondZ) * (y_world_plane - pondZ)
-                );
-                
-                // Create depression with very smooth cosine falloff for natural-looking edges
-                const transitionZone = pondRadius * 1.5; // Wider transition for smoother appearance
-                if (distanceToPond < transitionZone) {
-                    const depressionDepth = 10;
-                    // Use smoothstep-like cosine interpolation for very smooth edges
-                    const t = distanceToPond / transitionZone;
-                    const smoothFactor = 0.5 * (1 + Math.cos(t * Math.PI)); // Cosine falloff: 1 at center, 0 at edge
-                    height -= depressionDepth * smoothFactor;
-                }
-            }
+    // Lower the ground under water bodies. Water positions are world coordinates, and
+    // world Z is -y on the unrotated plane.
+    const waterBodies = worldConfig.environment?.waterBodies;
+    if (waterBodies) {
+        for (const waterBody of waterBodies) {
+            height -= getWaterDepression(waterBody, x_world_plane, -y_world_plane);
         }
     }
 
@@ -171,8 +215,22 @@ function getHeightAt(x_world_plane, y_world_plane, worldConfig) {
 }
 
 /**
- * Creates water bodies (lakes, ponds) in the scene based on the `worldConfig`.
- * Populates `gameContext.waterBodies` array.
+ * Samples terrain height for a world config without building the terrain mesh.
+ * Used by the world builder preview, so it matches what createHills generates.
+ * @param {number} x - World X coordinate.
+ * @param {number} z - World Z coordinate.
+ * @param {object} worldConfig - The world configuration object.
+ * @returns {number} Terrain height at (x, z).
+ */
+export function sampleTerrainHeight(x, z, worldConfig) {
+    // The terrain plane is rotated -90° about X, so world Z maps to -Y on the plane
+    return getHeightAt(x, -z, worldConfig);
+}
+
+/**
+ * Creates water bodies (ponds, lakes, creeks and rivers) in the scene based on the `worldConfig`.
+ * Populates `gameContext.waterBodies` array. Each mesh carries its parsed shape in
+ * `userData.shape`; rivers also carry their sampled surface in `userData.profile`.
  * @param {object} worldConfig - The world configuration object, containing `environment.waterBodies` settings.
  */
 export function createWater(worldConfig) {
@@ -184,22 +242,48 @@ export function createWater(worldConfig) {
     const defaultOpacity = worldConfig.environment.waterOpacity || DEFAULT_WATER_OPACITY;
 
     waterBodies.forEach(bodyConfig => {
+        const shape = getWaterShape(bodyConfig);
         let waterGeometry;
-        
-        if (bodyConfig.shape === 'circle') {
+        let waterX = shape.center.x;
+        let waterZ = shape.center.z;
+        let waterY;
+        let profile = null;
+        let shoreFade = 'radial';
+
+        if (shape.type === 'circle') {
             // Create smooth circular pond using CircleGeometry for perfect edges
-            const radius = bodyConfig.size / 2;
             const segments = 128; // High segment count for very smooth circle
             
             // Use built-in CircleGeometry for smooth edges
-            waterGeometry = new THREE.CircleGeometry(radius, segments);
+            waterGeometry = new THREE.CircleGeometry(shape.radius, segments);
             // Rotate to be horizontal (CircleGeometry is vertical by default)
             waterGeometry.rotateX(-Math.PI / 2);
-            
-        } else {
-            // Fallback to simple plane for other shapes
-            waterGeometry = new THREE.PlaneGeometry(bodyConfig.size, bodyConfig.size);
+
+            // Calculate water Y position based on terrain height at the water body's center
+            // This ensures water sits properly on the terrain instead of floating in the air
+            if (gameContext.getHeightAt) {
+                const terrainHeight = gameContext.getHeightAt(waterX, waterZ);
+                // Position water slightly below terrain level to create a depression effect
+                waterY = terrainHeight - 1.5;
+            } else {
+                // Fallback to config value if getHeightAt not available
+                waterY = bodyConfig.position.y || 0;
+            }
+        } else if (shape.type === 'polygon') {
+            // Outline relative to the centroid; the shape's Y axis becomes -Z once rotated flat
+            const outline = new THREE.Shape(shape.points.map(p => new THREE.Vector2(p.x - waterX, -(p.z - waterZ))));
+            waterGeometry = new THREE.ShapeGeometry(outline);
             waterGeometry.rotateX(-Math.PI / 2);
+            waterY = getPondSurfaceLevel(shape);
+            shoreFade = 'none';
+        } else {
+            // Rivers are built in world space with a surface that follows the channel downhill
+            profile = sampleRiverProfile(shape, gameContext.getHeightAt);
+            waterGeometry = createRiverGeometry(profile);
+            waterX = 0;
+            waterY = 0;
+            waterZ = 0;
+            shoreFade = 'across';
         }
 
         // Create animated water shader material
@@ -208,30 +292,16 @@ export function createWater(worldConfig) {
             opacity: bodyConfig.opacity || defaultOpacity,
             speed: 0.5,
             rippleScale: 0.12,
+            shoreFade
         });
 
         const waterMesh = new THREE.Mesh(waterGeometry, waterMaterial);
-        
-        // Position the water body
-        const waterX = bodyConfig.position.x || 0;
-        const waterZ = bodyConfig.position.z || 0;
-        
-        // Calculate water Y position based on terrain height at the water body's center
-        // This ensures water sits properly on the terrain instead of floating in the air
-        let waterY;
-        if (gameContext.getHeightAt) {
-            const terrainHeight = gameContext.getHeightAt(waterX, waterZ);
-            // Position water slightly below terrain level to create a depression effect
-            waterY = terrainHeight - 1.5;
-        } else {
-            // Fallback to config value if getHeightAt not available
-            waterY = bodyConfig.position.y || 0;
-        }
-        
         waterMesh.position.set(waterX, waterY, waterZ);
         
         // Store original config for easy removal/modification
         waterMesh.userData.config = bodyConfig;
+        waterMesh.userData.shape = shape;
+        waterMesh.userData.profile = profile;
         waterMesh.userData.isPond = bodyConfig.shape === 'circle' && bodyConfig.size <= 100;
         
         gameContext.scene.add(waterMesh);
@@ -242,6 +312,69 @@ export function createWater(worldConfig) {
     gameContext.waterTime = 0;
 }
 
+/**
+ * Surface height for a polygon pond: just under the lowest point of its (carved) shoreline,
+ * so the water never floats above the bank.
+ * @param {object} shape - Polygon shape from getWaterShape
+ * @returns {number}
+ */
+function getPondSurfaceLevel(shape) {
+    let lowest = Infinity;
+    for (let i = 0; i < shape.points.length; i++) {
+        const a = shape.points[i];
+        const b = shape.points[(i + 1) % shape.points.length];
+        const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.z - a.z) / POND_SHORE_SAMPLE_SPACING));
+        for (let s = 0; s < steps; s++) {
+            const t = s / steps;
+            lowest = Math.min(lowest, gameContext.getHeightAt(a.x + (b.x - a.x) * t, a.z + (b.z - a.z) * t));
+        }
+    }
+    return lowest - POND_SHORE_CLEARANCE;
+}
+
+/**
+ * Builds a river surface as a ribbon along its sampled centerline. UV x runs across the
+ * channel (0 to 1) for the shore fade; UV y runs downstream.
+ * @param {Array<object>} profile - Samples from sampleRiverProfile
+ * @returns {THREE.BufferGeometry}
+ */
+function createRiverGeometry(profile) {
+    const positions = [];
+    const uvs = [];
+    const indices = [];
+    let distance = 0;
+
+    for (let i = 0; i < profile.length; i++) {
+        const sample = profile[i];
+        const prev = profile[Math.max(i - 1, 0)];
+        const next = profile[Math.min(i + 1, profile.length - 1)];
+        if (i > 0) distance += Math.hypot(sample.x - prev.x, sample.z - prev.z);
+
+        // Perpendicular to the local flow direction
+        const dx = next.x - prev.x;
+        const dz = next.z - prev.z;
+        const length = Math.sqrt(dx * dx + dz * dz) || 1;
+        const px = -dz / length * sample.halfWidth;
+        const pz = dx / length * sample.halfWidth;
+
+        positions.push(sample.x + px, sample.level, sample.z + pz);
+        positions.push(sample.x - px, sample.level, sample.z - pz);
+        uvs.push(0, distance / RIVER_UV_LENGTH, 1, distance / RIVER_UV_LENGTH);
+
+        if (i > 0) {
+            const a = (i - 1) * 2;
+            indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+        }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
 // Throttle water updates
 let waterUpdateAccumulator = 0;
 const WATER_UPDATE_INTERVAL = 0.05; // Update every 50ms instead of every frame
@@ -275,6 +408,7 @@ export function updateWater(delta) {
  * Populates `gameContext.drinkingSpots` array.
  */
 export function findDrinkingSpots() {
+    const random = getWorldRandom('drinkingSpots');
     gameContext.drinkingSpots = [];
 
     if (!gameContext.terrain || !gameContext.waterBodies || gameContext.waterBodies.length === 0) {
@@ -283,28 +417,31 @@ export function findDrinkingSpots() {
         return;
     }
 
-    const waterLevel = gameContext.waterBodies[0].position.y;
-    const terrainGeo = gameContext.terrain.geometry;
-    const positions = terrainGeo.attributes.position;
+    const terrain = gameContext.terrainChunks;
     const possibleSpots = [];
 
-    // Systematically scan all terrain vertices for valid shoreline spots
-    for (let i = 0; i < positions.count; i++) {
-        const localPos = new THREE.Vector3().fromBufferAttribute(positions, i);
-        const worldPos = gameContext.terrain.localToWorld(localPos.clone());
-        const height = worldPos.y;
-
-        // Check if the vertex is on land and within the valid height range above water
-        if (height > waterLevel && height < waterLevel + DRINKING_SPOT_MAX_HEIGHT_ABOVE_WATER) {
-            possibleSpots.push(worldPos);
+    // Systematically scan the terrain heightfield for valid shoreline spots
+    const scanStep = Math.max(1, Math.round(terrain.cells / DRINKING_SPOT_SCAN_RESOLUTION));
+    const shoreReach = Math.max(DRINKING_SPOT_MAX_SHORE_DISTANCE, terrain.cellSize * scanStep);
+    terrain.forEachGridPoint(scanStep, (x, height, z) => {
+        for (const water of gameContext.waterBodies) {
+            // Must be in or beside this water body, not just at a similar height elsewhere
+            if (getShoreDistance(water, x, z) > shoreReach) continue;
+
+            // Check if the vertex is on land and within the valid height range above water
+            const waterLevel = getWaterLevelAt(water, x, z);
+            if (height > waterLevel && height < waterLevel + DRINKING_SPOT_MAX_HEIGHT_ABOVE_WATER) {
+                possibleSpots.push(new THREE.Vector3(x, height, z));
+                break;
+            }
         }
-    }
+    });
 
     // If we found possible spots, select a subset of them randomly
     if (possibleSpots.length > 0) {
         const spotsToTake = Math.min(possibleSpots.length, 50); // Take up to 50 spots
         for (let i = 0; i < spotsToTake; i++) {
-            const randomIndex = Math.floor(Math.random() * possibleSpots.length);
+            const randomIndex = Math.floor(random() * possibleSpots.length);
             const spot = possibleSpots[randomIndex].clone();
             spot.y += DRINKING_SPOT_Y_OFFSET;
             gameContext.drinkingSpots.push(spot);
@@ -319,122 +456,134 @@ export function findDrinkingSpots() {
 }
 
 /**
- * Procedurally generates and places trees in the game world.
+ * Places the world's tree-layer vegetation (trees, cacti, boulders, deadfall) from the
+ * species mix in `worldConfig.vegetation`. Species with a GLB model use it when it loads
+ * and fall back to procedural geometry otherwise.
  * Populates `gameContext.trees` (a THREE.Group) and adds it to the scene.
  * @param {object} worldConfig - The world configuration, containing vegetation settings.
  */
 export async function createTrees(worldConfig) {
+    const random = getWorldRandom('trees');
     const worldSize = worldConfig.terrain.size || DEFAULT_WORLD_SIZE;
     const treeCount = worldConfig.vegetation.treeCount;
     const treesGroup = new THREE.Group();
     gameContext.trees = treesGroup;
     gameContext.scene.add(gameContext.trees);
 
-    const loader = new GLTFLoader();
-
-    try {
-        const gltf = await loader.loadAsync('assets/landscapes/tree.glb');
-        const treeModel = gltf.scene;
-
-        treeModel.traverse(node => {
-            if (node.isMesh) {
-                node.castShadow = false;
-                node.receiveShadow = true;
-            }
-        });
-
-        for (let i = 0; i < treeCount; i++) {
-            const x = Math.random() * worldSize - worldSize / 2;
-            const z = Math.random() * worldSize - worldSize / 2;
-            const terrainHeight = gameContext.getHeightAt(x, z);
-
-            let isSubmerged = false;
-            for (const water of gameContext.waterBodies) {
-                const distanceToWaterCenter = new THREE.Vector2(x - water.position.x, z - water.position.z).length();
-                // Get water radius from stored config instead of geometry parameters
-                const waterRadius = water.userData.config ? (water.userData.config.size / 2) : 50; // Default 50 unit radius
-                if (distanceToWaterCenter < waterRadius && terrainHeight < water.position.y + 1) {
-                    isSubmerged = true;
-                    break;
-                }
-            }
-            if (isSubmerged) continue;
-
-            if (new THREE.Vector3(x, terrainHeight, z).distanceTo(new THREE.Vector3(INITIAL_PLAYER_X, gameContext.getHeightAt(INITIAL_PLAYER_X, INITIAL_PLAYER_Z), INITIAL_PLAYER_Z)) < TREE_SPAWN_AVOID_PLAYER_RADIUS) {
-                continue;
+    const mix = resolveSpeciesMix(worldConfig.vegetation);
+    if (mix.length === 0) return;
+
+    const models = await loadSpeciesModels(mix);
+    const materials = createVegetationMaterials(worldConfig.vegetation, getSeason());
+    const entryMaterials = new Map(); // Mix entries with their own color
+    const spawnPosition = new THREE.Vector3(INITIAL_PLAYER_X, gameContext.getHeightAt(INITIAL_PLAYER_X, INITIAL_PLAYER_Z), INITIAL_PLAYER_Z);
+
+    for (let i = 0; i < treeCount; i++) {
+        const entry = pickSpecies(mix, random);
+        const site = findVegetationSite(entry.rules, worldSize, spawnPosition, random);
+        if (!site) continue;
+
+        const scale = random() * (entry.scale.max - entry.scale.min) + entry.scale.min;
+        const model = models.get(entry.type);
+        let instance;
+        if (model) {
+            instance = model.clone();
+            // Position the model slightly into the ground (-0.5) to ensure it's always grounded
+            instance.position.set(site.x, site.height - 0.5, site.z);
+        } else {
+            if (entry.color !== undefined && !entryMaterials.has(entry)) {
+                entryMaterials.set(entry, new THREE.MeshLambertMaterial({ color: entry.color }));
             }
-
-            const treeInstance = treeModel.clone();
-            const scale = (Math.random() * (worldConfig.vegetation.treeScale.max - worldConfig.vegetation.treeScale.min) + worldConfig.vegetation.treeScale.min);
-            treeInstance.scale.set(scale, scale, scale);
-            // Position tree slightly into the ground (-0.5) to ensure it's always grounded
-            treeInstance.position.set(x, terrainHeight - 0.5, z);
-            treeInstance.rotation.y = Math.random() * Math.PI * 2;
-            treesGroup.add(treeInstance);
+            instance = buildSpecies(entry.type, random, materials, entryMaterials.get(entry));
+            instance.position.set(site.x, site.height, site.z);
         }
-    } catch (error) {
-        // console.error("Failed to load tree model, falling back to procedural trees.", error); // Logging disabled
-        
-        // --- Procedural Fallback ---
-        const canopyMaterial = new THREE.MeshLambertMaterial({ color: worldConfig.vegetation.canopyColor });
-        const trunkMaterial = new THREE.MeshLambertMaterial({ color: worldConfig.vegetation.trunkColor });
-
-        for (let i = 0; i < treeCount; i++) {
-            const x = Math.random() * worldSize - worldSize / 2;
-            const z = Math.random() * worldSize - worldSize / 2;
-            const terrainHeight = gameContext.getHeightAt(x, z);
+        instance.scale.set(scale, scale, scale);
+        instance.rotation.y = random() * Math.PI * 2;
+        tagVegetation(instance, entry.type, scale);
+        treesGroup.add(instance);
+    }
+}
 
-            let isSubmerged = false;
-            for (const water of gameContext.waterBodies) {
-                const distanceToWaterCenter = new THREE.Vector2(x - water.position.x, z - water.position.z).length();
-                // Get water radius from stored config instead of geometry parameters
-                const waterRadius = water.userData.config ? (water.userData.config.size / 2) : 50; // Default 50 unit radius
-                if (distanceToWaterCenter < waterRadius && terrainHeight < water.position.y + 1) {
-                    isSubmerged = true;
-                    break;
+/**
+ * Loads the GLB model of every species in a mix that has one.
+ * @param {Array<{type: string}>} mix - Species mix from resolveSpeciesMix
+ * @returns {Promise<Map<string, THREE.Object3D>>} Models by species; failed loads are left out
+ */
+async function loadSpeciesModels(mix) {
+    const loader = new GLTFLoader();
+    const models = new Map();
+
+    for (const entry of mix) {
+        const path = VEGETATION_SPECIES[entry.type].model;
+        if (!path || models.has(entry.type)) continue;
+        try {
+            const gltf = await loader.loadAsync(path);
+            gltf.scene.traverse(node => {
+                if (node.isMesh) {
+                    node.castShadow = false;
+                    node.receiveShadow = true;
                 }
+            });
+            if (VEGETATION_SPECIES[entry.type].deciduous) {
+                tintFoliage(gltf.scene, getSeason().canopyTint);
             }
-            if (isSubmerged) continue;
-
-            if (new THREE.Vector3(x, terrainHeight, z).distanceTo(new THREE.Vector3(INITIAL_PLAYER_X, gameContext.getHeightAt(INITIAL_PLAYER_X, INITIAL_PLAYER_Z), INITIAL_PLAYER_Z)) < TREE_SPAWN_AVOID_PLAYER_RADIUS) {
-                continue;
-            }
-
-            const tree = new THREE.Group();
-                        const scale = (Math.random() * (worldConfig.vegetation.treeScale.max - worldConfig.vegetation.treeScale.min) + worldConfig.vegetation.treeScale.min);
-
-            const trunkHeight = (TREE_TRUNK_BASE_HEIGHT + Math.random() * TREE_TRUNK_RAND_HEIGHT) * scale;
-            const trunkGeometry = new THREE.CylinderGeometry(TREE_TRUNK_SCALE_MIN_RADIUS * scale, TREE_TRUNK_SCALE_MAX_RADIUS * scale, trunkHeight, TREE_TRUNK_SEGMENTS);
-            const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-            trunk.position.y = trunkHeight / 2;
-            trunk.castShadow = false;
-            trunk.receiveShadow = true;
-            tree.add(trunk);
-
-            let canopy;
-            const treeType = worldConfig.vegetation.treeType || 'pine';
+            models.set(entry.type, gltf.scene);
+        } catch (error) {
+            // console.error(`Failed to load ${path}, falling back to procedural ${entry.type}.`, error); // Logging disabled
+        }
+    }
+    return models;
+}
 
-            if (treeType === 'hardwood') {
-                const leavesRadius = (HARDWOOD_LEAVES_BASE_RADIUS + Math.random()) * scale;
-                canopy = new THREE.Mesh(new THREE.DodecahedronGeometry(leavesRadius), canopyMaterial);
-                canopy.position.y = trunkHeight;
-            } else {
-                const canopyHeight = (PINE_CANOPY_BASE_HEIGHT + Math.random() * PINE_CANOPY_RAND_HEIGHT) * scale;
-                const canopyRadius = (PINE_CANOPY_BASE_RADIUS + Math.random() * PINE_CANOPY_RAND_RADIUS) * scale;
-                canopy = new THREE.Mesh(new THREE.ConeGeometry(canopyRadius, canopyHeight, PINE_CANOPY_SEGMENTS), canopyMaterial);
-                canopy.position.y = trunkHeight;
+/**
+ * Rolls random spots until one suits a species' placement rules.
+ * Spots under water or beside the player spawn are always rejected.
+ * @param {object} rules - Placement rules from the species mix entry
+ * @param {number} worldSize - Terrain size
+ * @param {THREE.Vector3} spawnPosition - Player spawn point to keep clear
+ * @param {function(): number} random - Seeded PRNG
+ * @returns {{x: number, z: number, height: number}|null} Null if every attempt failed
+ */
+function findVegetationSite(rules, worldSize, spawnPosition, random) {
+    for (let attempt = 0; attempt < VEGETATION_PLACEMENT_ATTEMPTS; attempt++) {
+        const x = random() * worldSize - worldSize / 2;
+        const z = random() * worldSize - worldSize / 2;
+        const height = gameContext.getHeightAt(x, z);
+
+        let waterDistance = Infinity;
+        let isSubmerged = false;
+        for (const water of gameContext.waterBodies) {
+            const shoreDistance = getShoreDistance(water, x, z);
+            waterDistance = Math.min(waterDistance, shoreDistance);
+            if (shoreDistance < 0 && height < getWaterLevelAt(water, x, z) + 1) {
+                isSubmerged = true;
+                break;
             }
+        }
+        if (isSubmerged) continue;
 
-            canopy.castShadow = false;
-            canopy.receiveShadow = true;
-            tree.add(canopy);
+        _vegetationSite.set(x, height, z);
+        if (_vegetationSite.distanceTo(spawnPosition) < TREE_SPAWN_AVOID_PLAYER_RADIUS) continue;
 
-            // Position tree at terrain height - Y is the vertical axis after terrain rotation
-            tree.position.set(x, terrainHeight, z);
-            tree.rotation.y = Math.random() * Math.PI * 2;
-            treesGroup.add(tree);
+        const slope = getTerrainSlope(x, z);
+        if (meetsPlacementRules(rules, { slope, altitude: height, waterDistance })) {
+            return { x, z, height };
         }
     }
+    return null;
+}
+
+/**
+ * Terrain slope (rise over run) at a point, from central differences of the heightfield.
+ * @param {number} x - World X coordinate.
+ * @param {number} z - World Z coordinate.
+ * @returns {number}
+ */
+function getTerrainSlope(x, z) {
+    const d = SLOPE_SAMPLE_DISTANCE;
+    const dx = gameContext.getHeightAt(x + d, z) - gameContext.getHeightAt(x - d, z);
+    const dz = gameContext.getHeightAt(x, z + d) - gameContext.getHeightAt(x, z - d);
+    return Math.sqrt(dx * dx + dz * dz) / (2 * d);
 }
 
 /**
@@ -443,6 +592,7 @@ export async function createTrees(worldConfig) {
  * @param {object} worldConfig - The world configuration, containing vegetation settings.
  */
 export async function createBushes(worldConfig) {
+    const random = getWorldRandom('bushes');
     const vegetationConfig = worldConfig.vegetation || {};
     const bushDensity = vegetationConfig.bushDensity || 0.6; // Default density
 
@@ -453,7 +603,7 @@ export async function createBushes(worldConfig) {
     const loader = new GLTFLoader();
 
     try {
-        const gltf = await loader.loadAsync('assets/landscapes/bush.glb');
+        const gltf = await loader.loadAsync(VEGETATION_SPECIES.shrub.model);
         const bushModel = gltf.scene;
 
         bushModel.traverse(node => {
@@ -462,42 +612,42 @@ export async function createBushes(worldConfig) {
                 node.receiveShadow = true;
             }
         });
+        tintFoliage(bushModel, getSeason().canopyTint);
 
         const worldSize = worldConfig.terrain.size || DEFAULT_WORLD_SIZE;
         
         // Use bushCount from config, or default to 1/4 of tree count
-        const thicketCount = vegetationConfig.bushCount || Math.floor((worldConfig.vegetation.treeCount || 50) / 4);
+        const baseThicketCount = vegetationConfig.bushCount || Math.floor((worldConfig.vegetation.treeCount || 50) / 4);
+        // Leaf drop and snow thin out the brush later in the season
+        const thicketCount = Math.round(baseThicketCount * getSeason().foliageDensity);
 
         for (let i = 0; i < thicketCount; i++) {
             // Create a thicket center point
             let centerX, centerZ, centerHeight;
             
             // 30% chance to place bushes around water edges (but not in water)
-            const placeNearWater = Math.random() < 0.3 && gameContext.waterBodies && gameContext.waterBodies.length > 0;
+            const placeNearWater = random() < 0.3 && gameContext.waterBodies && gameContext.waterBodies.length > 0;
             
             if (placeNearWater) {
                 // Pick a random water body and place bushes around its edge
-                const water = gameContext.waterBodies[Math.floor(Math.random() * gameContext.waterBodies.length)];
-                const waterRadius = water.userData.config ? (water.userData.config.size / 2) : 50;
-                const angle = Math.random() * Math.PI * 2;
+                const water = gameContext.waterBodies[Math.floor(random() * gameContext.waterBodies.length)];
+                const shore = getRandomShorePoint(water, random);
                 // Place 5-15 units outside the water edge
-                const distFromWater = waterRadius + 5 + Math.random() * 10;
-                centerX = water.position.x + Math.cos(angle) * distFromWater;
-                centerZ = water.position.z + Math.sin(angle) * distFromWater;
+                const distFromWater = 5 + random() * 10;
+                centerX = shore.x + shore.nx * distFromWater;
+                centerZ = shore.z + shore.nz * distFromWater;
                 centerHeight = gameContext.getHeightAt(centerX, centerZ);
             } else {
-                centerX = Math.random() * worldSize - worldSize / 2;
-                centerZ = Math.random() * worldSize - worldSize / 2;
+                centerX = random() * worldSize - worldSize / 2;
+                centerZ = random() * worldSize - worldSize / 2;
                 centerHeight = gameContext.getHeightAt(centerX, centerZ);
             }
 
             // Check if thicket center is submerged or too close to water
             let tooCloseToWater = false;
             for (const water of gameContext.waterBodies) {
-                const distanceToWaterCenter = new THREE.Vector2(centerX - water.position.x, centerZ - water.position.z).length();
-                const waterRadius = water.userData.config ? (water.userData.config.size / 2) : 50;
                 // Keep bushes at least 3 units outside water edge
-                if (distanceToWaterCenter < waterRadius + 3) {
+                if (getShoreDistance(water, centerX, centerZ) < 3) {
                     tooCloseToWater = true;
                     break;
                 }
@@ -510,13 +660,13 @@ export async function createBushes(worldConfig) {
             }
 
             // Create 2-5 bushes in a small cluster around the center point
-            const bushesInThicket = 2 + Math.floor(Math.random() * 4); // 2-5 bushes
-            const thicketRadius = 3 + Math.random() * 4; // 3-7 unit radius
+            const bushesInThicket = 2 + Math.floor(random() * 4); // 2-5 bushes
+            const thicketRadius = 3 + random() * 4; // 3-7 unit radius
 
             for (let j = 0; j < bushesInThicket; j++) {
                 // Position bushes randomly within the thicket radius
-                const angle = Math.random() * Math.PI * 2;
-                const distance = Math.random() * thicketRadius;
+                const angle = random() * Math.PI * 2;
+                const distance = random() * thicketRadius;
                 const bushX = centerX + Math.cos(angle) * distance;
                 const bushZ = centerZ + Math.sin(angle) * distance;
                 const bushHeight = gameContext.getHeightAt(bushX, bushZ);
@@ -524,10 +674,8 @@ export async function createBushes(worldConfig) {
                 // Check if this bush position is too close to water
                 let bushTooCloseToWater = false;
                 for (const water of gameContext.waterBodies) {
-                    const distanceToWaterCenter = new THREE.Vector2(bushX - water.position.x, bushZ - water.position.z).length();
-                    const waterRadius = water.userData.config ? (water.userData.config.size / 2) : 50;
-                    // Keep individual bushes at least 2 units outside water edge
-                    if (distanceToWaterCenter < waterRadius + 2) {
+                    // Keep individual bushes outside the water edge
+                    if (getShoreDistance(water, bushX, bushZ) < VEGETATION_SPECIES.shrub.rules.minWaterDistance) {
                         bushTooCloseToWater = true;
                         break;
                     }
@@ -541,16 +689,16 @@ export async function createBushes(worldConfig) {
                 // Medium bushes: 40% chance, scale 0.3-0.5 (reduced by 50%)
                 // Large bushes: 20% chance, scale 0.5-0.75 (reduced by 50%)
                 let scale;
-                const sizeRandom = Math.random();
+                const sizeRandom = random();
                 if (sizeRandom < 0.4) {
                     // Small bushes - deer can hide behind with head showing
-                    scale = 0.15 + Math.random() * 0.15; // 0.15-0.3 (was 0.3-0.6)
+                    scale = 0.15 + random() * 0.15; // 0.15-0.3 (was 0.3-0.6)
                 } else if (sizeRandom < 0.8) {
                     // Medium bushes - standard size
-                    scale = 0.3 + Math.random() * 0.2; // 0.3-0.5 (was 0.6-1.0)
+                    scale = 0.3 + random() * 0.2; // 0.3-0.5 (was 0.6-1.0)
                 } else {
                     // Large bushes - taller cover
-                    scale = 0.5 + Math.random() * 0.25; // 0.5-0.75 (was 1.0-1.5)
+                    scale = 0.5 + random() * 0.25; // 0.5-0.75 (was 1.0-1.5)
                 }
                 
                 bushInstance.scale.set(scale, scale, scale);
@@ -558,7 +706,8 @@ export async function createBushes(worldConfig) {
                 // Sink depth based on scale to keep bushes anchored
                 const sinkDepth = 0.5 + scale * 0.5;
                 bushInstance.position.set(bushX, bushHeight - sinkDepth, bushZ);
-                bushInstance.rotation.y = Math.random() * Math.PI * 2;
+                bushInstance.rotation.y = random() * Math.PI * 2;
+                tagVegetation(bushInstance, 'shrub', scale);
                 bushesGroup.add(bushInstance);
             }
         }
@@ -568,6 +717,15 @@ export async function createBushes(worldConfig) {
     }
 }
 
+/**
+ * Shifts a grass color for the current season: cured in the fall, snow-dusted in winter.
+ * @param {number} hexColor - Early-season grass color
+ * @returns {number}
+ */
+function getSeasonalGrassColor(hexColor) {
+    return applySnow(tintColor(hexColor, getSeason().grassTint), GRASS_SNOW_EXPOSURE);
+}
+
 /**
  * Procedurally generates and places grass throughout the game world.
  * Creates scattered grass patches for natural-looking ground cover.
@@ -575,6 +733,7 @@ export async function createBushes(worldConfig) {
  * @returns {Promise} Resolves when grass is loaded and placed
  */
 export function createGrass(worldConfig) {
+    const random = getWorldRandom('grass');
     const loader = new GLTFLoader();
     
     return new Promise((resolve, reject) => {
@@ -603,7 +762,7 @@ export function createGrass(worldConfig) {
                         grassMaterial.shininess = 0;
                         grassMaterial.specular = new THREE.Color(0x000000);
                         grassMaterial.reflectivity = 0;
-                        grassMaterial.color.setHex(0xc4d44a);
+                        grassMaterial.color.setHex(getSeasonalGrassColor(0xc4d44a));
                         grassMaterial.needsUpdate = true;
                     }
                 }
@@ -617,7 +776,7 @@ export function createGrass(worldConfig) {
             }
 
             // Check terrain is ready
-            if (!gameContext.terrain || !gameContext.terrain.geometry) {
+            if (!gameContext.terrain) {
                 console.warn('🌿 GRASS: Terrain not ready, skipping brush creation');
                 resolve(); // Resolve anyway to prevent hang
                 return;
@@ -628,7 +787,7 @@ export function createGrass(worldConfig) {
             const grassDensity = vegetationConfig.grassDensity || 0.8;
             const worldSize = worldConfig?.terrain?.size || DEFAULT_WORLD_SIZE;
             
-            const numGrassClusters = Math.floor((worldSize * worldSize * grassDensity) / 8000);
+            const numGrassClusters = Math.floor((worldSize * worldSize * grassDensity * getSeason().foliageDensity) / 8000);
             const maxPlantsPerCluster = 80;
             const maxInstances = numGrassClusters * maxPlantsPerCluster;
 
@@ -640,9 +799,6 @@ export function createGrass(worldConfig) {
             const dummy = new THREE.Object3D();
             let instanceIndex = 0;
             
-            // Ensure terrain world matrix is updated before raycasting
-            gameContext.terrain.updateMatrixWorld(true);
-            
             // Track min/max heights for height range validation
             let minHeight = Infinity, maxHeight = -Infinity;
             let sampleCount = 0;
@@ -652,8 +808,8 @@ export function createGrass(worldConfig) {
 
             for (let i = 0; i < numGrassClusters; i++) {
                 // Random position for cluster
-                const clusterCenterX = (Math.random() - 0.5) * worldSize * 0.9;
-                const clusterCenterZ = (Math.random() - 0.5) * worldSize * 0.9;
+                const clusterCenterX = (random() - 0.5) * worldSize * 0.9;
+                const clusterCenterZ = (random() - 0.5) * worldSize * 0.9;
                 const clusterCenterHeight = gameContext.getHeightAt(clusterCenterX, clusterCenterZ);
                 
                 if (clusterCenterHeight === null) continue;
@@ -662,13 +818,10 @@ export function createGrass(worldConfig) {
                 let isSubmerged = false;
                 if (gameContext.waterBodies) {
                     for (const water of gameContext.waterBodies) {
-                        const dwx = clusterCenterX - water.position.x;
-                        const dwz = clusterCenterZ - water.position.z;
-                        const dist = Math.sqrt(dwx * dwx + dwz * dwz);
-                        const waterRadius = water.userData.config ? (water.userData.config.size / 2) : 50;
-                        // Skip if within water radius OR within 10 units of water edge (buffer zone for sloping banks)
+                        // Skip if in water OR within 10 units of water edge (buffer zone for sloping banks)
                         const bufferZone = 10;
-                        if (dist < waterRadius + bufferZone && clusterCenterHeight < water.position.y + 2.0) {
+                        if (getShoreDistance(water, clusterCenterX, clusterCenterZ) < bufferZone &&
+                            clusterCenterHeight < getWaterLevelAt(water, clusterCenterX, clusterCenterZ) + 2.0) {
                             isSubmerged = true;
                             break;
                         }
@@ -681,8 +834,8 @@ export function createGrass(worldConfig) {
                 const spawnDz = clusterCenterZ - INITIAL_PLAYER_Z;
                 if (Math.sqrt(spawnDx * spawnDx + spawnDz * spawnDz) < 10) continue;
                 
-                const plantsInCluster = 40 + Math.floor(Math.random() * 11);
-                const clusterRadius = 1.5 + Math.random() * 2;
+                const plantsInCluster = 40 + Math.floor(random() * 11);
+                const clusterRadius = 1.5 + random() * 2;
                 
                 // Store cluster position for sound/collision detection
                 // Use exact cluster radius - no inflation to prevent false positives
@@ -692,8 +845,8 @@ export function createGrass(worldConfig) {
                 for (let j = 0; j < plantsInCluster; j++) {
                     if (instanceIndex >= maxInstances) break;
 
-                    const angle = Math.random() * Math.PI * 2;
-                    const distance = Math.random() * clusterRadius;
+                    const angle = random() * Math.PI * 2;
+                    const distance = random() * clusterRadius;
                     const grassX = clusterCenterX + Math.cos(angle) * distance;
                     const grassZ = clusterCenterZ + Math.sin(angle) * distance;
                     
@@ -704,12 +857,8 @@ export function createGrass(worldConfig) {
                     let grassSubmerged = false;
                     if (gameContext.waterBodies) {
                         for (const water of gameContext.waterBodies) {
-                            const gwx = grassX - water.position.x;
-                            const gwz = grassZ - water.position.z;
-                            const dist = Math.sqrt(gwx * gwx + gwz * gwz);
-                            const waterRadius = water.userData.config ? (water.userData.config.size / 2) : 50;
                             // Skip grass within 10 units of water edge
-                            if (dist < waterRadius + 10) {
+                            if (getShoreDistance(water, grassX, grassZ) < 10) {
                                 grassSubmerged = true;
                                 break;
                             }
@@ -717,7 +866,7 @@ export function createGrass(worldConfig) {
                     }
                     if (grassSubmerged) continue;
                     
-                    const baseScale = 0.12 + Math.random() * 0.08;
+                    const baseScale = 0.12 + random() * 0.08;
                     
                     // Track height range
                     if (grassHeight < minHeight) minHeight = grassHeight;
@@ -731,7 +880,7 @@ export function createGrass(worldConfig) {
                     const yOffset = modelBoundingBox ? modelBoundingBox.min.z * baseScale : 0;
                     
                     dummy.position.set(grassX, grassHeight + yOffset, grassZ);
-                    dummy.rotation.set(Math.PI / 2, 0, Math.random() * Math.PI * 2);
+                    dummy.rotation.set(Math.PI / 2, 0, random() * Math.PI * 2);
                     dummy.scale.set(baseScale, baseScale, baseScale);
                     dummy.updateMatrix();
                     
@@ -767,6 +916,7 @@ export function createGrass(worldConfig) {
  * @param {object} worldConfig - The world configuration, containing vegetation settings.
  */
 export function createShaderGrass(worldConfig) {
+    const random = getWorldRandom('shaderGrass');
     const vegetationConfig = worldConfig?.environment?.vegetation || {};
     const grassDensity = vegetationConfig.grassDensity || 0.8;
     const worldSize = worldConfig?.terrain?.size || DEFAULT_WORLD_SIZE;
@@ -774,9 +924,12 @@ export function createShaderGrass(worldConfig) {
     // Use procedural geometry and shader material
     const grassGeometry = createGrassBladeGeometry();
     const grassMaterial = createGrassShaderMaterial();
+    for (const uniform of [grassMaterial.uniforms.grassColor, grassMaterial.uniforms.grassColorTip]) {
+        uniform.value.setHex(getSeasonalGrassColor(uniform.value.getHex()));
+    }
     
     // Higher density for shader grass since it's more efficient
-    const grassCount = Math.floor(worldSize * worldSize * grassDensity * 0.5);
+    const grassCount = Math.floor(worldSize * worldSize * grassDensity * getSeason().foliageDensity * 0.5);
     const instancedGrass = new THREE.InstancedMesh(grassGeometry, grassMaterial, grassCount);
     instancedGrass.name = 'shaderGrass';
     instancedGrass.frustumCulled = true;
@@ -786,17 +939,15 @@ export function createShaderGrass(worldConfig) {
     
     // Distribute grass across the terrain
     for (let i = 0; i < grassCount; i++) {
-        const x = (Math.random() - 0.5) * worldSize * 0.95;
-        const z = (Math.random() - 0.5) * worldSize * 0.95;
+        const x = (random() - 0.5) * worldSize * 0.95;
+        const z = (random() - 0.5) * worldSize * 0.95;
         const y = gameContext.getHeightAt(x, z);
         
         // Skip if in water
         let inWater = false;
         if (gameContext.waterBodies) {
             for (const water of gameContext.waterBodies) {
-                const dist = Math.sqrt((x - water.position.x) ** 2 + (z - water.position.z) ** 2);
-                const radius = water.userData?.config?.size / 2 || 50;
-                if (dist < radius && y < water.position.y + 0.5) {
+                if (getShoreDistance(water, x, z) < 0 && y < getWaterLevelAt(water, x, z) + 0.5) {
                     inWater = true;
                     break;
                 }
@@ -808,12 +959,12 @@ export function createShaderGrass(worldConfig) {
         if (Math.sqrt(x * x + (z - 10) ** 2) < 8) continue;
         
         // Random scale and rotation for variety
-        const scale = 0.8 + Math.random() * 0.6;
-        const rotY = Math.random() * Math.PI * 2;
+        const scale = 0.8 + random() * 0.6;
+        const rotY = random() * Math.PI * 2;
         
         dummy.position.set(x, y, z);
         dummy.rotation.set(0, rotY, 0);
-        dummy.scale.set(scale, scale + Math.random() * 0.5, scale);
+        dummy.scale.set(scale, scale + random() * 0.5, scale);
         dummy.updateMatrix();
         
         instancedGrass.setMatrixAt(instanceIndex, dummy.matrix);
@@ -828,7 +979,7 @@ export function createShaderGrass(worldConfig) {
     gameContext.scene.add(instancedGrass);
     
     // Store update function for animation loop
-    gameContext.updateGrassWind = (delta) => updateGrassWind(instancedGrass, delta);
+    gameContext.updateGrassWind = (delta) => updateGrassWind(instancedGrass, delta, gameContext.wind);
 }
 
 /**
@@ -837,6 +988,7 @@ export function createShaderGrass(worldConfig) {
  * @param {object} worldConfig - The world configuration
  */
 export function createGroundCover(worldConfig) {
+    const random = getWorldRandom('groundCover');
     return new Promise((resolve) => {
     // Use setTimeout to avoid blocking the main thread
     setTimeout(() => {
@@ -857,12 +1009,12 @@ export function createGroundCover(worldConfig) {
         
         // Natural grass green material
         const material = new THREE.MeshLambertMaterial({
-            color: 0x4a7f2e,  // Forest grass green
+            color: getSeasonalGrassColor(0x4a7f2e),  // Forest grass green
             side: THREE.DoubleSide,
         });
         
         // Reasonable grass count - 10,000 max for performance
-        const grassCount = Math.min(10000, Math.floor(worldSize * worldSize * 0.04));
+        const grassCount = Math.min(10000, Math.floor(worldSize * worldSize * 0.04 * getSeason().foliageDensity));
         const instancedGrass = new THREE.InstancedMesh(geometry, material, grassCount);
         instancedGrass.name = 'groundCover';
         instancedGrass.receiveShadow = true;
@@ -871,17 +1023,15 @@ export function createGroundCover(worldConfig) {
         let instanceIndex = 0;
         
         for (let i = 0; i < grassCount; i++) {
-            const x = (Math.random() - 0.5) * worldSize * 0.95;
-            const z = (Math.random() - 0.5) * worldSize * 0.95;
+            const x = (random() - 0.5) * worldSize * 0.95;
+            const z = (random() - 0.5) * worldSize * 0.95;
             const y = gameContext.getHeightAt ? gameContext.getHeightAt(x, z) : 0;
             
             // Skip if in water
             let inWater = false;
             if (gameContext.waterBodies) {
                 for (const water of gameContext.waterBodies) {
-                    const dist = Math.sqrt((x - water.position.x) ** 2 + (z - water.position.z) ** 2);
-                    const radius = water.userData?.config?.size / 2 || 50;
-                    if (dist < radius + 2) {
+                    if (getShoreDistance(water, x, z) < 2) {
                         inWater = true;
                         break;
                     }
@@ -895,12 +1045,12 @@ export function createGroundCover(worldConfig) {
             if (Math.sqrt(spDx * spDx + spDz * spDz) < 5) continue;
             
             // Random scale and rotation for natural variety
-            const scale = 0.8 + Math.random() * 0.8; // 0.8-1.6 scale
-            const rotY = Math.random() * Math.PI * 2;
+            const scale = 0.8 + random() * 0.8; // 0.8-1.6 scale
+            const rotY = random() * Math.PI * 2;
             
             dummy.position.set(x, y, z);
             dummy.rotation.set(0, rotY, 0);
-            dummy.scale.set(scale, scale + Math.random() * 0.5, scale);
+            dummy.scale.set(scale, scale + random() * 0.5, scale);
             dummy.updateMatrix();
             
             instancedGrass.setMatrixAt(instanceIndex, dummy.matrix);
@@ -930,35 +1080,13 @@ export function isWaterAt(x, z) {
         return false;
     }
     
-    // Check if position is within any water body
+    // Get the terrain height at this position (cached per grid cell)
+    const terrainHeight = gameContext.getCachedHeightAt(x, z);
+
+    // Water only where the position is inside a body's outline and the ground is at or below its surface
     for (const waterBody of gameContext.waterBodies) {
-        const waterX = waterBody.position.x;
-        const waterZ = waterBody.position.z;
-        const waterY = waterBody.position.y;
-        const distance = Math.sqrt((x - waterX) * (x - waterX) + (z - waterZ) * (z - waterZ));
-        
-        // Get water body radius from config or estimate from size
-        let waterRadius = 10; // Default radius
-        if (waterBody.userData && waterBody.userData.config) {
-            waterRadius = waterBody.userData.config.size / 2;
-        }
-        
-        // Use ACTUAL water radius (not expanded) - must be inside the water body
-        // Reduce by 5% to account for natural pond edge variations
-        const detectionRadius = waterRadius * 0.95;
-        
-        // Check if player is within actual water body radius
-        if (distance <= detectionRadius) {
-            // Get the terrain height at this position (cached to avoid per-frame raycasts)
-            const terrainHeight = gameContext.getCachedHeightAt(x, z);
-            
-            // Player is in water only if:
-            // 1. They are within the water radius AND
-            // 2. The terrain at their position is at or below water level
-            // Use a small tolerance (0.3) for slight terrain variations
-            if (terrainHeight <= waterY + 0.3) {
-                return true;
-            }
+        if (isPointInWater(waterBody, x, z, terrainHeight)) {
+            return true;
         }
     }
     
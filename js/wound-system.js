@@ -4,6 +4,7 @@
 
 import * as THREE from 'three';
 import { gameContext } from './context.js';
+import { getNearestShorePoint } from './water.js';
 
 // Wound type definitions with behavior profiles
 export const WOUND_TYPES = {
@@ -127,7 +128,8 @@ export const WOUND_TYPES = {
 };
 
 // Map hitbox zones to wound types
-export function getWoundTypeFromHitbox(hitZone, hitPoint, deerPosition, deerRotation) {
+// shotDirection is the bullet's path at impact; without it the shot is assumed to come straight from the hunter
+export function getWoundTypeFromHitbox(hitZone, hitPoint, deerPosition, deerRotation, shotDirection = null) {
     switch (hitZone) {
         case 'vitals':
             // Determine heart vs lung based on hit position
@@ -147,11 +149,11 @@ export function getWoundTypeFromHitbox(hitZone, hitPoint, deerPosition, deerRota
                 
                 // Check shot angle if we have player position
                 let isBroadsideShot = false;
-                if (gameContext.player && deerRotation !== undefined) {
+                if ((shotDirection || gameContext.player) && deerRotation !== undefined) {
                     // Calculate angle between shot direction and deer facing
-                    const shotDir = new THREE.Vector3()
-                        .subVectors(deerPosition, gameContext.player.position)
-                        .normalize();
+                    const shotDir = shotDirection
+                        ? shotDirection.clone().normalize()
+                        : new THREE.Vector3().subVectors(deerPosition, gameContext.player.position).normalize();
                     
                     // Deer's facing direction (forward is +Z in local space)
                     const deerFacing = new THREE.Vector3(0, 0, 1)
@@ -198,6 +200,47 @@ export function getWoundTypeFromHitbox(hitZone, hitPoint, deerPosition, deerRota
     }
 }
 
+// Radius (world units) around a point whose vegetation counts toward its cover density
+const COVER_DENSITY_RADIUS = 25;
+
+/**
+ * Sums the cover value of bushes, trees, rocks and deadfall around a point.
+ * Wounded deer use it to pick a place to hide; healthy deer use it to pick a bedding area.
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @param {number} [radius=COVER_DENSITY_RADIUS] - Search radius
+ * @returns {number} Density score (0 in the open)
+ */
+export function getCoverDensity(x, z, radius = COVER_DENSITY_RADIUS) {
+    let density = 0;
+    
+    if (gameContext.bushes && gameContext.bushes.children) {
+        for (const bush of gameContext.bushes.children) {
+            const dx = bush.position.x - x;
+            const dz = bush.position.z - z;
+            if (Math.abs(dx) + Math.abs(dz) > radius * 1.5) continue;
+            if (dx * dx + dz * dz < radius * radius) {
+                density += bush.userData.cover ?? 2; // Bushes provide good cover
+            }
+        }
+    }
+    
+    if (gameContext.trees && gameContext.trees.children) {
+        for (const tree of gameContext.trees.children) {
+            const dx = tree.position.x - x;
+            const dz = tree.position.z - z;
+            if (Math.abs(dx) + Math.abs(dz) > radius * 1.5) continue;
+            const distSq = dx * dx + dz * dz;
+            if (distSq < radius * radius && distSq > 9) { // Not too close to trunk (3²=9)
+                // Per-species cover: conifers and deadfall hide a deer better than an open trunk
+                density += tree.userData.cover ?? 1;
+            }
+        }
+    }
+    
+    return density;
+}
+
 // Wound state manager for a deer
 export class WoundState {
     constructor(deer) {
@@ -328,37 +371,40 @@ export class WoundState {
     }
     
     /**
-     * Find nearest water by sampling points
+     * Find nearest water from each water body's shoreline. Checks the closest bank and the
+     * bank closest to a point ahead in the flee direction, so long creeks are found even
+     * when their nearest stretch is behind the deer.
      */
     findNearestWater(searchRadius) {
-        if (!gameContext.isWaterAt) return null;
+        if (!gameContext.waterBodies || gameContext.waterBodies.length === 0) return null;
         
         const deerPos = this.deer.model.position;
+        const aheadX = deerPos.x + this.fleeDirection.x * searchRadius * 0.5;
+        const aheadZ = deerPos.z + this.fleeDirection.z * searchRadius * 0.5;
         let nearestWater = null;
         let nearestDist = Infinity;
         
-        // Sample in a grid pattern, biased toward flee direction
-        const sampleCount = 16;
-        const angleStep = (Math.PI * 2) / sampleCount;
-        
-        for (let r = 20; r <= searchRadius; r += 30) {
-            for (let i = 0; i < sampleCount; i++) {
-                const angle = i * angleStep;
-                const x = deerPos.x + Math.cos(angle) * r;
-                const z = deerPos.z + Math.sin(angle) * r;
+        for (const water of gameContext.waterBodies) {
+            const candidates = [
+                getNearestShorePoint(water, deerPos.x, deerPos.z),
+                getNearestShorePoint(water, aheadX, aheadZ)
+            ];
+            
+            for (const shore of candidates) {
+                // Step just past the shoreline into the water
+                const x = shore.x - shore.nx;
+                const z = shore.z - shore.nz;
+                const dist = Math.sqrt((x - deerPos.x) ** 2 + (z - deerPos.z) ** 2);
+                if (dist > searchRadius) continue;
                 
-                if (gameContext.isWaterAt(x, z)) {
-                    const dist = Math.sqrt((x - deerPos.x) ** 2 + (z - deerPos.z) ** 2);
-                    
-                    // Prefer water in the flee direction
-                    const toWater = new THREE.Vector3(x - deerPos.x, 0, z - deerPos.z).normalize();
-                    const alignment = this.fleeDirection.dot(toWater);
-                    const adjustedDist = dist * (1 - alignment * 0.3); // Up to 30% closer if aligned with flee
-                    
-                    if (adjustedDist < nearestDist) {
-                        nearestDist = adjustedDist;
-                        nearestWater = new THREE.Vector3(x, deerPos.y, z);
-                    }
+                // Prefer water in the flee direction
+                const toWater = new THREE.Vector3(x - deerPos.x, 0, z - deerPos.z).normalize();
+                const alignment = this.fleeDirection.dot(toWater);
+                const adjustedDist = dist * (1 - alignment * 0.3); // Up to 30% closer if aligned with flee
+                
+                if (adjustedDist < nearestDist) {
+                    nearestDist = adjustedDist;
+                    nearestWater = new THREE.Vector3(x, deerPos.y, z);
                 }
             }
         }
@@ -391,32 +437,7 @@ export class WoundState {
                 if (dist > searchRadius) continue;
                 if (gameContext.isWaterAt && gameContext.isWaterAt(testX, testZ)) continue;
                 
-                // Count nearby bushes and trees (density score)
-                let density = 0;
-                const densityRadius = 25;
-                
-                if (gameContext.bushes && gameContext.bushes.children) {
-                    for (const bush of gameContext.bushes.children) {
-                        const dx = bush.position.x - testX;
-                        const dz = bush.position.z - testZ;
-                        if (Math.abs(dx) + Math.abs(dz) > densityRadius * 1.5) continue;
-                        if (dx * dx + dz * dz < densityRadius * densityRadius) {
-                            density += 2; // Bushes provide good cover
-                        }
-                    }
-                }
-                
-                if (gameContext.trees && gameContext.trees.children) {
-                    for (const tree of gameContext.trees.children) {
-                        const dx = tree.position.x - testX;
-                        const dz = tree.position.z - testZ;
-                        if (Math.abs(dx) + Math.abs(dz) > densityRadius * 1.5) continue;
-                        const distSq = dx * dx + dz * dz;
-                        if (distSq < densityRadius * densityRadius && distSq > 9) { // Not too close to trunk (3²=9)
-                            density += 1; // Trees provide some cover
-                        }
-                    }
-                }
+                const density = getCoverDensity(testX, testZ);
                 
                 // Prefer locations in the flee direction
                 const toLocation = new THREE.Vector3(x, 0, z).normalize();
@@ -614,6 +635,17 @@ export class WoundState {
         this.findTargetLocation();
     }
     
+    /**
+     * Gets a bedded deer back on its feet for a short run to a new bed - whether the
+     * hunter or a coyote pushed it out.
+     */
+    bumpFromBed() {
+        this.isBedded = false;
+        this.distanceTraveled = 0; // Reset for new short run
+        this.beddingDistance = 30 + Math.random() * 70; // Short distance: 30-100 units
+        this.findBeddingLocation();
+    }
+    
     getMovementDirection() {
         if (!this.woundType) return this.fleeDirection;
         
@@ -634,8 +666,11 @@ export class WoundState {
                 return new THREE.Vector3(0, 0, 0); // Stop moving
             }
             
+            // Head for the next waypoint of a route there, so the deer works around obstacles
+            const waypoint = this.deer.movement.getRouteWaypoint(this.targetBedLocation);
             const toTarget = new THREE.Vector3()
-                .subVectors(this.targetBedLocation, deerPos)
+                .subVectors(waypoint, deerPos)
+                .setY(0)
                 .normalize();
             
             // Stronger blend toward target as deer gets weaker or closer